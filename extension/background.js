@@ -1,23 +1,95 @@
+// 共用 MCP 設定轉換、URL 轉換邏輯、攔截紀錄、安裝政策、MCP 設定檢視與 MCP 目錄
+importScripts(
+  'mcp-translator.js',
+  'url-conversion.js',
+  'history.js',
+  'install-policy.js',
+  'mcp-review.js',
+  'mcp-catalog.js'
+);
+
+const {
+  parseExtensionFromVsixUrl,
+  formatExtensionSpec,
+  parseExtensionSpec,
+  buildExtensionUrl,
+  parseMcpInstallUrl,
+  buildMcpInstallUrl,
+  getMissingRemoteSupport,
+  normalizeSiteRules,
+  normalizeLinkTypeRules,
+  resolveTargetProtocol,
+  getIdeOptions,
+  setCustomIdes,
+  LINK_TYPES
+} = IDELinkConversion;
+
+const {
+  HISTORY_KEY,
+  OUTCOMES,
+  normalizeHistoryEntry,
+  appendHistoryEntry
+} = IDELinkHistory;
+
+const {
+  POLICY_VIOLATIONS,
+  normalizeInstallPolicy,
+  evaluateInstallPolicy,
+  getSiteOrigin,
+  normalizeTrustedSites
+} = IDELinkInstallPolicy;
+
+const { validateMcpServer } = IDELinkMcpReview;
+
+const { MCP_FORMATS, MCP_TRANSLATION_ERRORS, getMcpFormat, usesMcpConfigFile, translateMcpServer } = IDELinkMcpTranslator;
+
+const {
+  MCP_CATALOG_KEY,
+  normalizeMcpCatalog,
+  resolveMcpCatalogEntry,
+  catalogEntryToServer,
+  getMcpSearchUrl
+} = IDELinkMcpCatalog;
+
 const STORAGE_KEY = 'selectedProtocol';
+const SITE_RULES_KEY = 'siteRules';
+const LINK_TYPE_RULES_KEY = 'linkTypeRules';
+const CUSTOM_IDES_KEY = 'customIdes';
+const MULTI_INSTALL_ENABLED_KEY = 'multiInstallEnabled';
+const MULTI_INSTALL_IDES_KEY = 'multiInstallIdes';
+const INSTALL_POLICY_KEY = 'installPolicy';
+const TRUSTED_INSTALL_SITES_KEY = 'trustedInstallSites';
 const DEFAULT_PROTOCOL = 'antigravity';
 const NATIVE_HOST_NAME = 'com.idelinkinterceptor.host';
 
-// IDE 選項配置
-const IDE_OPTIONS = [
-  { id: 'vscode', name: 'VS Code', desc: 'Official stable' },
-  { id: 'vscode-insiders', name: 'VS Code Insiders', desc: 'Preview release' },
-  { id: 'antigravity', name: 'Antigravity', desc: 'Antigravity IDE' },
-  { id: 'cursor', name: 'Cursor', desc: 'AI-first IDE' },
-  { id: 'windsurf', name: 'Windsurf', desc: 'Codeium IDE' },
-];
+// IDE 選項配置（內建 IDE 加上使用者自訂 IDE，由 loadIdeOptions 載入）
+let ideOptions = getIdeOptions();
+let validProtocols = new Set(ideOptions.map(option => option.id));
 
-const VALID_PROTOCOLS = new Set(IDE_OPTIONS.map(option => option.id));
+/**
+ * 從 storage 載入自訂 IDE，更新 IDE 選項與協議前綴格式
+ */
+async function loadIdeOptions() {
+  try {
+    const result = await chrome.storage.sync.get(CUSTOM_IDES_KEY);
+    const customIdes = setCustomIdes(result[CUSTOM_IDES_KEY]);
+    ideOptions = getIdeOptions(customIdes);
+  } catch (error) {
+    console.error('[IDE Switcher] 載入自訂 IDE 失敗:', error);
+    setCustomIdes([]);
+    ideOptions = getIdeOptions();
+  }
+  validProtocols = new Set(ideOptions.map(option => option.id));
+}
+
+// Service Worker 啟動時載入；需要 IDE 清單的流程先 await 此 Promise
+let ideOptionsReady = loadIdeOptions();
 
 // Native Host 連線狀態
 let nativeHostAvailable = null; // null = 未知, true = 可用, false = 不可用
 
 function normalizeProtocol(protocol) {
-  return VALID_PROTOCOLS.has(protocol) ? protocol : DEFAULT_PROTOCOL;
+  return validProtocols.has(protocol) ? protocol : DEFAULT_PROTOCOL;
 }
 
 /**
@@ -25,6 +97,7 @@ function normalizeProtocol(protocol) {
  */
 async function migrateProtocolIfNeeded() {
   try {
+    await ideOptionsReady;
     const result = await chrome.storage.sync.get(STORAGE_KEY);
     const currentProtocol = result[STORAGE_KEY];
     const normalizedProtocol = normalizeProtocol(currentProtocol);
@@ -45,9 +118,10 @@ async function migrateProtocolIfNeeded() {
  */
 async function getCurrentIDEName() {
   try {
+    await ideOptionsReady;
     const result = await chrome.storage.sync.get(STORAGE_KEY);
     const currentProtocol = normalizeProtocol(result[STORAGE_KEY]);
-    const ide = IDE_OPTIONS.find(i => i.id === currentProtocol);
+    const ide = ideOptions.find(i => i.id === currentProtocol);
     return ide ? ide.name : 'IDE';
   } catch {
     return 'IDE';
@@ -55,56 +129,496 @@ async function getCurrentIDEName() {
 }
 
 /**
- * 檢查 Native Host 是否可用
+ * 取得 IDE 顯示名稱（找不到時使用協議名稱）
  */
-async function checkNativeHost() {
-  return new Promise((resolve) => {
+function getIdeName(protocol) {
+  return ideOptions.find(i => i.id === protocol)?.name || protocol;
+}
+
+/**
+ * 依站台規則與連結類型規則取得目標協議
+ * @param {string} [pageUrl] - 觸發動作的頁面 URL
+ * @param {string} [linkUrl] - 被處理的連結，用於判斷連結類型
+ * @returns {Promise<string>}
+ */
+async function getProtocolForPage(pageUrl, linkUrl) {
+  await ideOptionsReady;
+  const result = await chrome.storage.sync.get([STORAGE_KEY, SITE_RULES_KEY, LINK_TYPE_RULES_KEY]);
+  const defaultProtocol = normalizeProtocol(result[STORAGE_KEY]);
+  const rules = normalizeSiteRules(result[SITE_RULES_KEY], validProtocols);
+  const linkTypeRules = normalizeLinkTypeRules(result[LINK_TYPE_RULES_KEY], validProtocols);
+  return resolveTargetProtocol(pageUrl, rules, defaultProtocol, { linkUrl, linkTypeRules }).protocol;
+}
+
+// 攔截紀錄寫入佇列：依序讀取再寫回，避免同時寫入時遺失紀錄
+let historyWriteQueue = Promise.resolve();
+
+/**
+ * 記錄一次攔截（content script、interceptor 與右鍵選單共用）
+ * @param {Object} entry - 攔截資訊，欄位見 history.js HISTORY_FIELDS
+ * @returns {Promise<void>}
+ */
+function recordInterception(entry) {
+  const normalized = normalizeHistoryEntry(entry);
+  if (!normalized) return historyWriteQueue;
+
+  historyWriteQueue = historyWriteQueue
+    .then(async () => {
+      const result = await chrome.storage.local.get(HISTORY_KEY);
+      await chrome.storage.local.set({
+        [HISTORY_KEY]: appendHistoryEntry(result[HISTORY_KEY], normalized)
+      });
+    })
+    .catch(error => console.error('[IDE Switcher] 記錄攔截歷史失敗:', error));
+  return historyWriteQueue;
+}
+
+// Native Host 持久連線：以請求 ID 對應回應，閒置一段時間後關閉以免 Service Worker 常駐
+const NATIVE_IDLE_TIMEOUT_MS = 30000;
+const NATIVE_REQUEST_TIMEOUT_MS = 30000;
+let nativePort = null;
+let nativeIdleTimer = null;
+let nextNativeRequestId = 1;
+const pendingNativeRequests = new Map(); // id -> { resolve, reject, onProgress, timer }
+
+/**
+ * 取得（必要時建立）Native Host 連線
+ */
+function getNativePort() {
+  if (nativePort) return nativePort;
+
+  const port = chrome.runtime.connectNative(NATIVE_HOST_NAME);
+  port.onMessage.addListener(handleNativeMessage);
+  port.onDisconnect.addListener(() => {
+    const error = new Error(chrome.runtime.lastError?.message || 'Native Host disconnected');
+    if (nativePort === port) {
+      nativePort = null;
+    }
+    clearTimeout(nativeIdleTimer);
+
+    // 連線中斷時，所有等待中的請求一併失敗
+    for (const [id, pending] of pendingNativeRequests) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+      pendingNativeRequests.delete(id);
+    }
+  });
+
+  nativePort = port;
+  return port;
+}
+
+/**
+ * 沒有等待中的請求時，排程關閉連線（Native Host 收到 stdin 結束後自行退出）
+ */
+function scheduleNativeIdleDisconnect() {
+  clearTimeout(nativeIdleTimer);
+  if (pendingNativeRequests.size > 0) return;
+
+  nativeIdleTimer = setTimeout(() => {
+    if (nativePort && pendingNativeRequests.size === 0) {
+      nativePort.disconnect();
+      nativePort = null;
+    }
+  }, NATIVE_IDLE_TIMEOUT_MS);
+}
+
+/**
+ * 處理 Native Host 傳回的進度與回應
+ */
+function handleNativeMessage(message) {
+  const pending = pendingNativeRequests.get(message?.id);
+  if (!pending) return;
+
+  if (message.type === 'progress') {
+    pending.onProgress?.(message);
+    return;
+  }
+
+  clearTimeout(pending.timer);
+  pendingNativeRequests.delete(message.id);
+  scheduleNativeIdleDisconnect();
+  pending.resolve(message);
+}
+
+/**
+ * 透過持久連線送出請求
+ * @param {Object} message - 請求內容（action 與參數）
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - 收到進度訊息時呼叫
+ * @param {number} [options.timeoutMs] - 逾時時間
+ * @returns {Promise<Object>} Native Host 的回應
+ */
+function sendNativeRequest(message, { onProgress, timeoutMs = NATIVE_REQUEST_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const id = nextNativeRequestId++;
+    const timer = setTimeout(() => {
+      pendingNativeRequests.delete(id);
+      scheduleNativeIdleDisconnect();
+      reject(new Error('Native Host request timed out'));
+    }, timeoutMs);
+
+    clearTimeout(nativeIdleTimer);
+    pendingNativeRequests.set(id, { resolve, reject, onProgress, timer });
+
     try {
-      chrome.runtime.sendNativeMessage(
-        NATIVE_HOST_NAME,
-        { action: 'ping' },
-        (response) => {
-          if (chrome.runtime.lastError) {
-            console.log('[IDE Switcher] Native Host not available:', chrome.runtime.lastError.message);
-            nativeHostAvailable = false;
-            resolve(false);
-          } else if (response && response.success) {
-            console.log('[IDE Switcher] Native Host connected, version:', response.version);
-            nativeHostAvailable = true;
-            resolve(true);
-          } else {
-            nativeHostAvailable = false;
-            resolve(false);
-          }
-        }
-      );
+      getNativePort().postMessage({ ...message, id });
     } catch (e) {
-      console.error('[IDE Switcher] Native Host check error:', e);
-      nativeHostAvailable = false;
-      resolve(false);
+      clearTimeout(timer);
+      pendingNativeRequests.delete(id);
+      reject(e);
     }
   });
 }
 
+/**
+ * 檢查 Native Host 是否可用
+ */
+async function checkNativeHost() {
+  try {
+    const response = await sendNativeRequest({ action: 'ping' });
+    nativeHostAvailable = Boolean(response && response.success);
+    if (nativeHostAvailable) {
+      console.log('[IDE Switcher] Native Host connected, version:', response.version);
+    }
+  } catch (e) {
+    console.log('[IDE Switcher] Native Host not available:', e.message);
+    nativeHostAvailable = false;
+  }
+  return nativeHostAvailable;
+}
+
+/**
+ * 讀取擴充功能安裝政策
+ */
+async function getInstallPolicy() {
+  const result = await chrome.storage.sync.get(INSTALL_POLICY_KEY);
+  return normalizeInstallPolicy(result[INSTALL_POLICY_KEY]);
+}
+
+// 拒絕原因的 i18n key 與預設文字
+const POLICY_VIOLATION_MESSAGES = {
+  [POLICY_VIOLATIONS.BLOCKED_EXTENSION]: ['policyBlockedExtension', id => `${id} is on the blocked extensions list.`],
+  [POLICY_VIOLATIONS.PUBLISHER_NOT_ALLOWED]: ['policyPublisherNotAllowed', (id, publisher) => `Publisher "${publisher}" is not in the allowed publishers list.`],
+  [POLICY_VIOLATIONS.UNVERIFIED_PUBLISHER]: ['policyUnverifiedPublisher', (id, publisher) => `Publisher "${publisher}" is not in your verified publishers list.`],
+  [POLICY_VIOLATIONS.UNKNOWN_PUBLISHER]: ['policyUnknownPublisher', () => 'The publisher of this extension is unknown, and the install policy only allows listed publishers.']
+};
+
+/**
+ * 依安裝政策檢查擴充功能；拒絕時顯示說明原因的通知
+ * @param {string|null} extensionId - publisher.name（可含 @version）；無法判斷時為 null
+ * @param {string} label - 通知中顯示的名稱
+ * @returns {Promise<{allowed: true}|{allowed: false, reason: string, message: string}>}
+ */
+async function enforceInstallPolicy(extensionId, label) {
+  const result = evaluateInstallPolicy(extensionId, await getInstallPolicy());
+  if (result.allowed) {
+    return result;
+  }
+
+  const [messageKey, fallback] = POLICY_VIOLATION_MESSAGES[result.reason];
+  const message = chrome.i18n.getMessage(messageKey, [result.extensionId || label, result.publisher || '']) ||
+    fallback(result.extensionId || label, result.publisher);
+  console.log(`[IDE Switcher] Install of ${label} blocked by policy:`, result.reason);
+  showNotification(chrome.i18n.getMessage('notificationInstallBlocked') || 'Installation Blocked', message, true);
+  return { ...result, message };
+}
+
 /**
  * 透過 Native Host 安裝擴充功能
+ * @param {Function} [onProgress] - 收到 CLI 輸出行時呼叫 ({stage, line})
  */
-async function installViaHost(extensionId, ide) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendNativeMessage(
-      NATIVE_HOST_NAME,
-      { action: 'install', extensionId, ide },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else if (response && response.success) {
-          resolve(response);
-        } else {
-          reject(new Error(response?.error || 'Unknown error'));
-        }
-      }
-    );
+async function installViaHost(extensionId, ide, onProgress) {
+  const response = await sendNativeRequest(
+    {
+      action: 'install',
+      extensionId,
+      ide,
+      command: ideOptions.find(i => i.id === ide)?.command,
+      policy: await getInstallPolicy() // Native Host 端再檢查一次
+    },
+    { onProgress, timeoutMs: 90000 } // Native Host 端安裝逾時為 60 秒
+  );
+  installedExtensionsCache.delete(ide);
+  if (!response || !response.success) {
+    // Native Host 的安裝政策拒絕時保留原因，呼叫端不再改用 VSIX 重試
+    throw Object.assign(new Error(response?.error || 'Unknown error'), { policyViolation: response?.policyViolation });
+  }
+  return response;
+}
+
+// 已安裝擴充功能清單快取（每個 IDE 一份，安裝或解除安裝後清除）
+const INSTALLED_CACHE_TTL_MS = 60000;
+
+const installedExtensionsCache = new Map(); // ide -> { time, extensions }
+
+/**
+ * 透過 Native Host 列出 IDE 已安裝的擴充功能
+ * @param {string} ide - IDE 協議
+ * @param {boolean} [refresh] - 忽略快取
+ * @returns {Promise<Array<{id: string, version: string|null}>>}
+ */
+async function listExtensionsViaHost(ide, refresh = false) {
+  const cached = installedExtensionsCache.get(ide);
+  if (!refresh && cached && Date.now() - cached.time < INSTALLED_CACHE_TTL_MS) {
+    return cached.extensions;
+  }
+
+  const response = await sendNativeRequest({
+    action: 'listExtensions',
+    ide,
+    command: ideOptions.find(i => i.id === ide)?.command
+  });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Unknown error');
+  }
+  installedExtensionsCache.set(ide, { time: Date.now(), extensions: response.extensions });
+  return response.extensions;
+}
+
+/**
+ * 透過 Native Host 解除安裝擴充功能
+ */
+async function uninstallViaHost(extensionId, ide) {
+  const response = await sendNativeRequest({
+    action: 'uninstall',
+    extensionId,
+    ide,
+    command: ideOptions.find(i => i.id === ide)?.command
+  });
+  installedExtensionsCache.delete(ide);
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Unknown error');
+  }
+  return response;
+}
+
+/**
+ * 透過 Native Host 將 MCP 伺服器寫入 IDE 的 mcp_config.json
+ * @param {string} name - 伺服器名稱（mcpServers 的鍵）
+ * @param {Object} config - translateMcpServer 轉出的 mcp_config.json 項目
+ * @returns {Promise<{name: string, renamed: boolean, alreadyExists: boolean, path: string}>}
+ */
+async function addMcpServerViaHost(name, config, ide) {
+  const response = await sendNativeRequest({ action: 'addMcpServer', ide, name, config });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Unknown error');
+  }
+  return response;
+}
+
+/**
+ * 查詢擴充功能是否已安裝於指定 IDE（無法列出時視為未安裝）
+ * @returns {Promise<{id: string, version: string|null}|null>}
+ */
+async function findInstalledExtension(extensionId, ide) {
+  try {
+    const extensions = await listExtensionsViaHost(ide);
+    return extensions.find(ext => ext.id.toLowerCase() === extensionId.toLowerCase()) || null;
+  } catch (e) {
+    console.log('[IDE Switcher] Cannot list installed extensions:', e.message);
+    return null;
+  }
+}
+
+/**
+ * 安裝擴充功能到單一 IDE；已安裝（且符合指定版本）時不重新安裝
+ * @param {{id: string, version: string|null}} spec - parseExtensionSpec 的結果
+ * @returns {Promise<Object>} Native Host 的回應；安裝失敗時拋出錯誤
+ */
+async function installSpecIntoIde(spec, protocol, onProgress) {
+  const installed = await findInstalledExtension(spec.id, protocol);
+  if (installed && (!spec.version || installed.version === spec.version)) {
+    return { success: true, alreadyInstalled: true, version: installed.version };
+  }
+  return installViaHost(spec.version ? `${spec.id}@${spec.version}` : spec.id, protocol, onProgress);
+}
+
+// 最近一次安裝的進度（popup 開啟時查詢，更新時廣播）
+let installProgress = null;
+let nextInstallNotificationId = 1;
+
+function updateInstallProgress(update) {
+  installProgress = { ...installProgress, ...update };
+  chrome.runtime.sendMessage({ action: 'installProgress', progress: installProgress }).catch(() => {});
+}
+
+/**
+ * 安裝完成的摘要（含 CLI 回報的版本）
+ */
+function buildInstallSummary(label, ideName, response) {
+  if (response.alreadyInstalled) {
+    return chrome.i18n.getMessage('notificationAlreadyInstalled', [label, ideName]) ||
+      `${label} is already installed in ${ideName}`;
+  }
+  const version = response.version ? ` v${response.version}` : '';
+  return `${label}${version} ${chrome.i18n.getMessage('notificationInstalledTo') || 'installed to'} ${ideName}`;
+}
+
+/**
+ * 透過 Native Host 安裝，並以同一則通知與 popup 即時顯示 CLI 進度
+ * @param {string} label - 顯示名稱（擴充功能 ID 或 VSIX 檔名）
+ * @param {string} ideName - 目標 IDE 顯示名稱
+ * @param {Function} runInstall - (onProgress) => Promise<Native Host 回應>
+ * @returns {Promise<Object>} Native Host 的回應；安裝失敗時拋出錯誤
+ */
+async function installWithProgress(label, ideName, runInstall) {
+  const notificationId = `install-${nextInstallNotificationId++}`;
+  const target = `${label} → ${ideName}`;
+
+  console.log(`[IDE Switcher] Installing ${label} via Native Host...`);
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: chrome.i18n.getMessage('notificationInstalling') || 'Installing Extension',
+    message: target,
+    priority: 1
   });
+  installProgress = { label, ideName, stage: 'starting', line: '', done: false, success: null };
+  updateInstallProgress({});
+
+  try {
+    const response = await runInstall(progress => {
+      updateInstallProgress({ stage: progress.stage, line: progress.line });
+      chrome.notifications.update(notificationId, { message: target, contextMessage: progress.line });
+    });
+    console.log('[IDE Switcher] Install result:', response);
+
+    const summary = buildInstallSummary(label, ideName, response);
+    updateInstallProgress({ stage: 'installed', line: summary, done: true, success: true, version: response.version || null });
+    chrome.notifications.update(notificationId, {
+      title: chrome.i18n.getMessage('notificationInstallSuccess') || 'Installation Successful',
+      message: summary,
+      contextMessage: ''
+    });
+    return response;
+  } catch (err) {
+    console.error('[IDE Switcher] Install failed:', err);
+    updateInstallProgress({ line: err.message, done: true, success: false });
+    chrome.notifications.update(notificationId, {
+      title: chrome.i18n.getMessage('notificationInstallFailed') || 'Installation Failed',
+      message: err.message,
+      contextMessage: '',
+      priority: 2
+    });
+    throw err;
+  }
+}
+
+/**
+ * 多 IDE 安裝中單一 IDE 的結果摘要
+ */
+function formatMultiInstallResult(result) {
+  if (!result.success) {
+    return `❌ ${result.ideName}: ${result.error}`;
+  }
+  if (result.alreadyInstalled) {
+    return `✅ ${result.ideName} (${chrome.i18n.getMessage('notificationMultiAlreadyInstalled') || 'already installed'})`;
+  }
+  return `✅ ${result.ideName}${result.version ? ` v${result.version}` : ''}`;
+}
+
+/**
+ * 同時安裝到多個 IDE，以同一則通知彙整各 IDE 的進度與結果
+ * @param {string} label - 顯示名稱（擴充功能 ID 或 VSIX 檔名）
+ * @param {string[]} protocols - 目標 IDE 協議
+ * @param {Function} runInstall - (protocol, onProgress) => Promise<Native Host 回應>
+ * @returns {Promise<Array<{protocol: string, ideName: string, success: boolean, version?: string|null, alreadyInstalled?: boolean, error?: string}>>}
+ */
+async function installIntoIdes(label, protocols, runInstall) {
+  const notificationId = `install-${nextInstallNotificationId++}`;
+  const ideNames = protocols.map(getIdeName);
+  const target = `${label} → ${ideNames.join(', ')}`;
+
+  console.log(`[IDE Switcher] Installing ${label} into ${protocols.join(', ')} via Native Host...`);
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: chrome.i18n.getMessage('notificationInstallingMulti', [String(protocols.length)]) ||
+      `Installing into ${protocols.length} IDEs`,
+    message: target,
+    priority: 1
+  });
+  installProgress = { label, ideName: ideNames.join(', '), stage: 'starting', line: '', done: false, success: null };
+  updateInstallProgress({});
+
+  const settled = await Promise.allSettled(protocols.map((protocol, index) =>
+    runInstall(protocol, progress => {
+      const line = `${ideNames[index]}: ${progress.line}`;
+      updateInstallProgress({ stage: progress.stage, line });
+      chrome.notifications.update(notificationId, { message: target, contextMessage: line });
+    })
+  ));
+
+  const results = settled.map((outcome, index) => {
+    const base = { protocol: protocols[index], ideName: ideNames[index] };
+    if (outcome.status === 'rejected') {
+      return { ...base, success: false, error: outcome.reason?.message || String(outcome.reason) };
+    }
+    return {
+      ...base,
+      success: true,
+      version: outcome.value?.version || null,
+      alreadyInstalled: outcome.value?.alreadyInstalled === true
+    };
+  });
+  console.log('[IDE Switcher] Multi-IDE install results:', results);
+
+  const succeeded = results.filter(result => result.success).length;
+  let title;
+  if (succeeded === results.length) {
+    title = chrome.i18n.getMessage('notificationInstallSuccess') || 'Installation Successful';
+  } else if (succeeded === 0) {
+    title = chrome.i18n.getMessage('notificationInstallFailed') || 'Installation Failed';
+  } else {
+    title = chrome.i18n.getMessage('notificationInstallPartial', [String(succeeded), String(results.length)]) ||
+      `Installed in ${succeeded} of ${results.length} IDEs`;
+  }
+
+  const summary = results.map(formatMultiInstallResult).join('\n');
+  updateInstallProgress({ line: summary, done: true, success: succeeded === results.length });
+  chrome.notifications.update(notificationId, {
+    title,
+    message: summary,
+    contextMessage: '',
+    priority: succeeded === results.length ? 1 : 2
+  });
+  return results;
+}
+
+/**
+ * 透過 Native Host 安裝已下載的 VSIX 檔案
+ * @param {Function} [onProgress] - 收到 CLI 輸出行時呼叫 ({stage, line})
+ */
+async function installVsixViaHost(vsixPath, ide, onProgress) {
+  const response = await sendNativeRequest(
+    {
+      action: 'installVsix',
+      vsixPath,
+      ide,
+      command: ideOptions.find(i => i.id === ide)?.command,
+      policy: await getInstallPolicy()
+    },
+    { onProgress, timeoutMs: 90000 }
+  );
+  installedExtensionsCache.delete(ide);
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Unknown error');
+  }
+  return response;
+}
+
+/**
+ * 將 checkProtocol 回應轉為註冊狀態
+ */
+function toRegistrationStatus(response) {
+  if (response && response.success) {
+    return {
+      registered: response.registered,
+      execPath: response.execPath
+    };
+  }
+  return { registered: false, error: response?.error };
 }
 
 /**
@@ -113,25 +627,12 @@ async function installViaHost(extensionId, ide) {
  * @returns {Promise<{registered: boolean, execPath?: string, error?: string}>}
  */
 async function checkIDERegistration(protocol) {
-  return new Promise((resolve) => {
-    chrome.runtime.sendNativeMessage(
-      NATIVE_HOST_NAME,
-      { action: 'checkProtocol', protocol },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          console.log('[IDE Switcher] checkIDERegistration error:', chrome.runtime.lastError.message);
-          resolve({ registered: false, error: chrome.runtime.lastError.message });
-        } else if (response && response.success) {
-          resolve({
-            registered: response.registered,
-            execPath: response.execPath
-          });
-        } else {
-          resolve({ registered: false, error: response?.error });
-        }
-      }
-    );
-  });
+  try {
+    return toRegistrationStatus(await sendNativeRequest({ action: 'checkProtocol', protocol }));
+  } catch (e) {
+    console.log('[IDE Switcher] checkIDERegistration error:', e.message);
+    return { registered: false, error: e.message };
+  }
 }
 
 /**
@@ -141,31 +642,25 @@ async function checkIDERegistration(protocol) {
  * @returns {Promise<{success: boolean, execPath?: string, error?: string}>}
  */
 async function requestIDERegistration(protocol, execPath = null) {
-  return new Promise((resolve) => {
-    const message = { action: 'registerProtocol', protocol };
-    if (execPath) {
-      message.execPath = execPath;
-    }
+  const message = { action: 'registerProtocol', protocol };
+  if (execPath) {
+    message.execPath = execPath;
+  }
 
-    chrome.runtime.sendNativeMessage(
-      NATIVE_HOST_NAME,
-      message,
-      (response) => {
-        if (chrome.runtime.lastError) {
-          console.error('[IDE Switcher] requestIDERegistration error:', chrome.runtime.lastError.message);
-          resolve({ success: false, error: chrome.runtime.lastError.message });
-        } else if (response && response.success) {
-          resolve({
-            success: true,
-            execPath: response.execPath,
-            alreadyRegistered: response.alreadyRegistered
-          });
-        } else {
-          resolve({ success: false, error: response?.error });
-        }
-      }
-    );
-  });
+  try {
+    const response = await sendNativeRequest(message);
+    if (response && response.success) {
+      return {
+        success: true,
+        execPath: response.execPath,
+        alreadyRegistered: response.alreadyRegistered
+      };
+    }
+    return { success: false, error: response?.error };
+  } catch (e) {
+    console.error('[IDE Switcher] requestIDERegistration error:', e.message);
+    return { success: false, error: e.message };
+  }
 }
 
 /**
@@ -174,6 +669,7 @@ async function requestIDERegistration(protocol, execPath = null) {
  */
 async function checkAllIDERegistrations() {
   const results = {};
+  await ideOptionsReady;
 
   // 先確認 Native Host 可用
   if (nativeHostAvailable === null) {
@@ -182,22 +678,76 @@ async function checkAllIDERegistrations() {
 
   if (!nativeHostAvailable) {
     // Native Host 不可用，返回所有未知狀態
-    IDE_OPTIONS.forEach(ide => {
+    ideOptions.forEach(ide => {
       results[ide.id] = { registered: null, error: 'Native Host not available' };
     });
     return results;
   }
 
-  // 並行檢查所有 IDE
-  const promises = IDE_OPTIONS.map(async (ide) => {
-    const status = await checkIDERegistration(ide.id);
-    results[ide.id] = status;
-  });
-
-  await Promise.all(promises);
+  // 以單一批次請求檢查所有 IDE（Native Host 端並行處理）
+  try {
+    const response = await sendNativeRequest({
+      action: 'batch',
+      requests: ideOptions.map(ide => ({ action: 'checkProtocol', protocol: ide.id }))
+    });
+    ideOptions.forEach((ide, index) => {
+      results[ide.id] = response?.success
+        ? toRegistrationStatus(response.results[index])
+        : { registered: false, error: response?.error };
+    });
+  } catch (e) {
+    console.log('[IDE Switcher] checkAllIDERegistrations error:', e.message);
+    ideOptions.forEach(ide => {
+      results[ide.id] = { registered: false, error: e.message };
+    });
+  }
   return results;
 }
 
+/**
+ * 是否將擴充功能安裝到多個 IDE（設定頁選項）
+ */
+async function isMultiInstallEnabled() {
+  const result = await chrome.storage.sync.get(MULTI_INSTALL_ENABLED_KEY);
+  return result[MULTI_INSTALL_ENABLED_KEY] === true;
+}
+
+/**
+ * 取得多 IDE 安裝的目標：設定頁勾選的 IDE，未勾選時為所有已註冊協議的 IDE
+ * @returns {Promise<string[]>}
+ */
+async function getMultiInstallTargets() {
+  await ideOptionsReady;
+  const result = await chrome.storage.sync.get(MULTI_INSTALL_IDES_KEY);
+  const chosen = Array.isArray(result[MULTI_INSTALL_IDES_KEY])
+    ? [...new Set(result[MULTI_INSTALL_IDES_KEY])].filter(protocol => validProtocols.has(protocol))
+    : [];
+  if (chosen.length > 0) {
+    return chosen;
+  }
+
+  const registrations = await checkAllIDERegistrations();
+  return ideOptions.filter(ide => registrations[ide.id]?.registered === true).map(ide => ide.id);
+}
+
+// VSIX 下載連結（右鍵選單只在這些連結上顯示）
+const VSIX_LINK_PATTERNS = [
+  '*://*/*.vsix',
+  '*://*/*.vsix?*',
+  '*://open-vsx.org/api/*/*/*/file*',
+  '*://*.open-vsx.org/api/*/*/*/file*',
+  '*://*.gallery.vsassets.io/_apis/public/gallery/publisher/*/extension/*/*/assetbyname/*',
+  '*://marketplace.visualstudio.com/_apis/public/gallery/publishers/*/vsextensions/*/*/vspackage',
+  '*://github.com/*/*/releases/download/*/*.vsix',
+  '*://github.com/*/*/releases/download/*/*.vsix?*'
+];
+
+// 倉庫檔案頁面（GitHub /blob/、/blame/ 與 GitLab /-/blob/、/-/blame/，含自架站台；是否有本機對應由 content script 判斷）
+const REPO_FILE_PAGE_PATTERNS = [
+  '*://*/*/blob/*',
+  '*://*/*/blame/*'
+];
+
 /**
  * 建立右鍵選單
  */
@@ -211,16 +761,23 @@ async function createContextMenus() {
       id: 'install-vsix',
       title: chrome.i18n.getMessage('menuInstallVsix', [ideName]),
       contexts: ['link'],
-      targetUrlPatterns: [
-        '*://*/*.vsix',
-        '*://*/*.vsix?*',
-        '*://open-vsx.org/api/*/*/*/file*',
-        '*://*.open-vsx.org/api/*/*/*/file*',
-        '*://*.gallery.vsassets.io/_apis/public/gallery/publisher/*/extension/*/*/assetbyname/*',
-        '*://marketplace.visualstudio.com/_apis/public/gallery/publishers/*/vsextensions/*/*/vspackage',
-        '*://github.com/*/*/releases/download/*/*.vsix',
-        '*://github.com/*/*/releases/download/*/*.vsix?*'
-      ]
+      targetUrlPatterns: VSIX_LINK_PATTERNS
+    });
+
+    // 同一組連結：一次安裝到多個 IDE
+    chrome.contextMenus.create({
+      id: 'install-vsix-all',
+      title: chrome.i18n.getMessage('menuInstallVsixAll') || '📦 Install extension into multiple IDEs',
+      contexts: ['link'],
+      targetUrlPatterns: VSIX_LINK_PATTERNS
+    });
+
+    // ============ 倉庫檔案頁面選單 ============
+    chrome.contextMenus.create({
+      id: 'open-repo-file',
+      title: chrome.i18n.getMessage('menuOpenRepoFile', [ideName]) || `📂 Open this file in ${ideName}`,
+      contexts: ['page'],
+      documentUrlPatterns: REPO_FILE_PAGE_PATTERNS
     });
 
     // ============ IDE 選擇選單 ============
@@ -231,7 +788,7 @@ async function createContextMenus() {
     });
 
     // 建立各 IDE 選項
-    IDE_OPTIONS.forEach((ide) => {
+    ideOptions.forEach((ide) => {
       chrome.contextMenus.create({
         id: `ide-${ide.id}`,
         parentId: 'ide-switcher-parent',
@@ -251,17 +808,32 @@ async function createContextMenus() {
  */
 async function updateMenuCheckState() {
   try {
-    const result = await chrome.storage.sync.get(STORAGE_KEY);
+    await ideOptionsReady;
+    const result = await chrome.storage.sync.get([STORAGE_KEY, LINK_TYPE_RULES_KEY, MULTI_INSTALL_ENABLED_KEY]);
     const currentProtocol = normalizeProtocol(result[STORAGE_KEY]);
-    const ideName = IDE_OPTIONS.find(i => i.id === currentProtocol)?.name || 'IDE';
+    // VSIX 安裝選單依「擴充功能」連結類型規則顯示（站台規則於點擊時才能判斷）
+    const linkTypeRules = normalizeLinkTypeRules(result[LINK_TYPE_RULES_KEY], validProtocols);
+    const vsixProtocol = linkTypeRules[LINK_TYPES.EXTENSION] || currentProtocol;
+    const ideName = ideOptions.find(i => i.id === vsixProtocol)?.name || 'IDE';
 
-    // 更新 VSIX 安裝選單標題
+    // 更新 VSIX 安裝選單標題；啟用多 IDE 安裝時一般選單即安裝到多個 IDE，隱藏重複的專用選單
+    const multiInstall = result[MULTI_INSTALL_ENABLED_KEY] === true;
     chrome.contextMenus.update('install-vsix', {
-      title: chrome.i18n.getMessage('menuInstallVsix', [ideName])
+      title: multiInstall
+        ? chrome.i18n.getMessage('menuInstallVsixAll') || '📦 Install extension into multiple IDEs'
+        : chrome.i18n.getMessage('menuInstallVsix', [ideName])
+    });
+    chrome.contextMenus.update('install-vsix-all', { visible: !multiInstall });
+
+    // 倉庫檔案選單依「檔案」連結類型規則顯示
+    const fileProtocol = linkTypeRules[LINK_TYPES.FILE] || currentProtocol;
+    const fileIdeName = ideOptions.find(i => i.id === fileProtocol)?.name || 'IDE';
+    chrome.contextMenus.update('open-repo-file', {
+      title: chrome.i18n.getMessage('menuOpenRepoFile', [fileIdeName]) || `📂 Open this file in ${fileIdeName}`
     });
 
     // 更新 radio 狀態
-    IDE_OPTIONS.forEach((ide) => {
+    ideOptions.forEach((ide) => {
       chrome.contextMenus.update(`ide-${ide.id}`, {
         checked: ide.id === currentProtocol,
       });
@@ -271,105 +843,15 @@ async function updateMenuCheckState() {
   }
 }
 
-/**
- * 從 VSIX URL 解析擴充套件資訊
- * 支援 Open VSX 格式: https://open-vsx.org/api/{namespace}/{name}/{version}/file
- * 或 https://open-vsx.org/api/{namespace}/{name}/{version}/file/{name}-{version}.vsix
- */
-function parseExtensionFromVsixUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname.toLowerCase();
-
-    // Visual Studio Marketplace 資產 (gallery.vsassets.io)
-    if (hostname.endsWith('.gallery.vsassets.io')) {
-      const vsAssetsMatch = urlObj.pathname.match(
-        /^\/_apis\/public\/gallery\/publisher\/([^/]+)\/extension\/([^/]+)\/([^/]+)\/assetbyname\/.+$/
-      );
-      if (vsAssetsMatch) {
-        return {
-          publisher: vsAssetsMatch[1],
-          name: vsAssetsMatch[2],
-          version: vsAssetsMatch[3]
-        };
-      }
-    }
-
-    // Visual Studio Marketplace API
-    if (hostname === 'marketplace.visualstudio.com') {
-      const marketplaceMatch = urlObj.pathname.match(
-        /^\/_apis\/public\/gallery\/publishers\/([^/]+)\/vsextensions\/([^/]+)\/([^/]+)\/vspackage$/
-      );
-      if (marketplaceMatch) {
-        return {
-          publisher: marketplaceMatch[1],
-          name: marketplaceMatch[2],
-          version: marketplaceMatch[3]
-        };
-      }
-    }
-
-    // Open VSX 格式: /api/{namespace}/{name}/{version}/file/{filename}.vsix
-    const openVsxMatch = urlObj.pathname.match(/^\/api\/([^/]+)\/([^/]+)\/([^/]+)\/file(?:\/([^/]+))?$/);
-    if (openVsxMatch) {
-      return {
-        publisher: openVsxMatch[1],
-        name: openVsxMatch[2],
-        version: openVsxMatch[3]
-      };
-    }
-
-    // 嘗試從檔案名解析: {publisher}.{name}-{version}.vsix
-    const filename = urlObj.pathname.split('/').pop();
-    if (filename) {
-      const vsixMatch = filename.match(/^(.+)\.vsix$/i);
-      if (vsixMatch) {
-        const baseName = vsixMatch[1];
-        const lastDash = baseName.lastIndexOf('-');
-        const namePart = lastDash > 0 ? baseName.slice(0, lastDash) : baseName;
-        const version = lastDash > 0 ? baseName.slice(lastDash + 1) : null;
-        const dotIndex = namePart.indexOf('.');
-        if (dotIndex > 0) {
-          return {
-            publisher: namePart.slice(0, dotIndex),
-            name: namePart.slice(dotIndex + 1),
-            version: version || undefined
-          };
-        }
-      }
-    }
-
-    return null;
-  } catch {
-    return null;
-  }
-}
-
-/**
- * 取得協議前綴
- * Antigravity 使用 antigravity:// 格式（有雙斜線）
- * 其他 IDE 使用 protocol: 格式（無雙斜線）
- */
-function getProtocolPrefix(protocol) {
-  return protocol === 'antigravity' ? `${protocol}://` : `${protocol}:`;
-}
-
 /**
  * 建立擴充瀏覽 URL（開啟 Marketplace 頁面）
  * 格式: vscode:extension/{publisher}.{name}
  */
 function buildExtensionViewUrl(protocol, extInfo) {
   if (!extInfo?.publisher || !extInfo?.name) {
-    return null;
-  }
-  const extensionId = `${extInfo.publisher}.${extInfo.name}`;
-
-  if (protocol === 'antigravity') {
-    return `antigravity://${extensionId}`;
+    return null;
   }
-
-  const prefix = getProtocolPrefix(protocol);
-  return `${prefix}extension/${extensionId}`;
+  return buildExtensionUrl(protocol, `${extInfo.publisher}.${extInfo.name}`);
 }
 
 /**
@@ -390,23 +872,52 @@ function showNotification(title, message, isError = false) {
  */
 async function handleMenuClick(info, tab) {
   const menuId = info.menuItemId;
+  await ideOptionsReady;
+
+  // 安裝到多個 IDE（專用選單，或設定頁啟用多 IDE 安裝時的一般安裝選單）
+  if (info.linkUrl && (menuId === 'install-vsix-all' || (menuId === 'install-vsix' && await isMultiInstallEnabled()))) {
+    await installVsixLinkIntoIdes(info.linkUrl, info.pageUrl || tab?.url);
+    return;
+  }
 
   // 處理 VSIX 安裝
   if (menuId === 'install-vsix' && info.linkUrl) {
-    const result = await chrome.storage.sync.get(STORAGE_KEY);
-    const protocol = result[STORAGE_KEY] || DEFAULT_PROTOCOL;
-    const ideName = IDE_OPTIONS.find(i => i.id === protocol)?.name || protocol;
+    const pageUrl = info.pageUrl || tab?.url;
+    const protocol = await getProtocolForPage(pageUrl, info.linkUrl);
+    const ideName = getIdeName(protocol);
+
+    // 右鍵選單的攔截紀錄（結果於各分支補上）
+    const record = (outcome, extra = {}) => recordInterception({
+      trigger: 'contextMenu',
+      pageUrl,
+      originalUrl: info.linkUrl,
+      linkType: LINK_TYPES.EXTENSION,
+      protocol,
+      outcome,
+      ...extra
+    });
 
     const extInfo = parseExtensionFromVsixUrl(info.linkUrl);
 
+    const policy = await enforceInstallPolicy(
+      extInfo ? `${extInfo.publisher}.${extInfo.name}` : null,
+      extInfo ? formatExtensionSpec(extInfo) : info.linkUrl
+    );
+    if (!policy.allowed) {
+      record(OUTCOMES.BLOCKED, { error: policy.message });
+      return;
+    }
+
     if (!extInfo) {
-      // 無法解析擴充資訊，直接下載 VSIX 並顯示提示
+      // 無法解析擴充資訊，下載 VSIX 後以本機檔案安裝
       console.log(`[IDE Switcher] Cannot parse extension info, downloading VSIX: ${info.linkUrl}`);
-      downloadVsixWithNotification(info.linkUrl, ideName);
+      const result = await downloadAndInstallVsix(info.linkUrl, protocol, ideName);
+      record(result.outcome, result);
       return;
     }
 
-    const extensionId = `${extInfo.publisher}.${extInfo.name}`;
+    // 連結帶有版本時安裝該版本（publisher.name@version）
+    const extensionSpec = formatExtensionSpec(extInfo);
 
     // 嘗試透過 Native Host 安裝
     if (nativeHostAvailable === null) {
@@ -414,28 +925,17 @@ async function handleMenuClick(info, tab) {
     }
 
     if (nativeHostAvailable) {
-      console.log(`[IDE Switcher] Installing ${extensionId} via Native Host...`);
-      showNotification(
-        chrome.i18n.getMessage('notificationInstalling') || 'Installing Extension',
-        `${extensionId} → ${ideName}`
-      );
-
       try {
-        const installResult = await installViaHost(extensionId, protocol);
-        console.log('[IDE Switcher] Install result:', installResult);
-        showNotification(
-          chrome.i18n.getMessage('notificationInstallSuccess') || 'Installation Successful',
-          `${extensionId} ${chrome.i18n.getMessage('notificationInstalledTo') || 'installed to'} ${ideName}`
-        );
+        await installWithProgress(extensionSpec, ideName, onProgress => installViaHost(extensionSpec, protocol, onProgress));
+        record(OUTCOMES.INSTALLED, { convertedUrl: extensionSpec });
       } catch (err) {
-        console.error('[IDE Switcher] Install failed:', err);
-        showNotification(
-          chrome.i18n.getMessage('notificationInstallFailed') || 'Installation Failed',
-          err.message,
-          true
-        );
-        // 備援：下載 VSIX
-        downloadVsixWithNotification(info.linkUrl, ideName);
+        if (err.policyViolation) {
+          record(OUTCOMES.BLOCKED, { error: err.message });
+          return;
+        }
+        // 備援：下載 VSIX 後改以本機檔案安裝（適用於未上架或私有的擴充功能）
+        const result = await downloadAndInstallVsix(info.linkUrl, protocol, ideName);
+        record(result.outcome, result);
       }
     } else {
       // Native Host 不可用，使用 protocol URL 或下載備援
@@ -447,14 +947,26 @@ async function handleMenuClick(info, tab) {
         // 非 Antigravity 的 IDE 可能支援 protocol URL
         console.log(`[IDE Switcher] Trying protocol URL: ${viewUrl}`);
         chrome.tabs.update(tab.id, { url: viewUrl });
+        record(OUTCOMES.REDIRECTED, { convertedUrl: viewUrl });
       } else {
         // Antigravity 或其他情況：下載 VSIX
-        downloadVsixWithNotification(info.linkUrl, ideName);
+        const result = await downloadAndInstallVsix(info.linkUrl, protocol, ideName);
+        record(result.outcome, result);
       }
     }
     return;
   }
 
+  // 倉庫檔案頁面：本機倉庫對應與「每次詢問」等設定在 content script，交由頁面處理
+  if (menuId === 'open-repo-file' && tab?.id !== undefined) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { action: 'openRepoFile' }, { frameId: 0 });
+    } catch (error) {
+      console.error('[IDE Switcher] Failed to open repository file:', error);
+    }
+    return;
+  }
+
   // 處理 IDE 選擇
   if (menuId.startsWith('ide-')) {
     const protocol = menuId.replace('ide-', '');
@@ -472,60 +984,299 @@ async function handleMenuClick(info, tab) {
 }
 
 /**
- * 下載 VSIX 並顯示安裝提示
+ * 下載檔案並等待完成
+ * @param {string} url
+ * @returns {Promise<string>} 下載後的本機完整路徑
  */
-function downloadVsixWithNotification(url, ideName) {
-  chrome.downloads.download({ url }, () => {
-    if (chrome.runtime.lastError) {
-      console.error('[IDE Switcher] Download failed:', chrome.runtime.lastError);
-      return;
-    }
+function downloadFile(url) {
+  return new Promise((resolve, reject) => {
+    chrome.downloads.download({ url }, (downloadId) => {
+      if (chrome.runtime.lastError || downloadId === undefined) {
+        reject(new Error(chrome.runtime.lastError?.message || 'Download failed'));
+        return;
+      }
+
+      const finish = (error, filename) => {
+        chrome.downloads.onChanged.removeListener(handleChange);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(filename);
+        }
+      };
+
+      const checkState = () => {
+        chrome.downloads.search({ id: downloadId }, ([item] = []) => {
+          if (item?.state === 'complete') {
+            finish(null, item.filename);
+          } else if (item?.state === 'interrupted') {
+            finish(new Error(`Download interrupted: ${item.error || 'unknown'}`));
+          }
+        });
+      };
+
+      function handleChange(delta) {
+        if (delta.id === downloadId && delta.state) {
+          checkState();
+        }
+      }
+
+      chrome.downloads.onChanged.addListener(handleChange);
+      // 小檔案可能在監聽前就已完成
+      checkState();
+    });
+  });
+}
+
+/**
+ * 下載 VSIX 並透過 Native Host 安裝；Native Host 不可用時顯示手動安裝提示
+ * @returns {Promise<{outcome: string, convertedUrl?: string, error?: string}>} 攔截紀錄的結果
+ */
+async function downloadAndInstallVsix(url, protocol, ideName) {
+  let filePath;
+  try {
+    filePath = await downloadFile(url);
+  } catch (err) {
+    console.error('[IDE Switcher] Download failed:', err);
+    return { outcome: OUTCOMES.INSTALL_FAILED, error: err.message };
+  }
+
+  if (nativeHostAvailable === null) {
+    await checkNativeHost();
+  }
 
+  if (!nativeHostAvailable) {
     showNotification(
       chrome.i18n.getMessage('notificationVsixDownloaded') || 'VSIX Downloaded',
       chrome.i18n.getMessage('notificationVsixInstallHint', [ideName]) ||
       `Use "${ideName} --install-extension <path>" to install.`
     );
-  });
+    return { outcome: OUTCOMES.DOWNLOADED, convertedUrl: filePath };
+  }
+
+  const fileName = filePath.split(/[\\/]/).pop();
+  try {
+    await installWithProgress(fileName, ideName, onProgress => installVsixViaHost(filePath, protocol, onProgress));
+    return { outcome: OUTCOMES.INSTALLED, convertedUrl: filePath };
+  } catch (err) {
+    return { outcome: OUTCOMES.INSTALL_FAILED, convertedUrl: filePath, error: err.message };
+  }
 }
 
 /**
- * 處理來自 content script 的擴充功能安裝請求
+ * 將 VSIX 連結安裝到多個 IDE
+ * 可解析擴充功能 ID 時以 ID 安裝，失敗的 IDE 改用下載的 VSIX 檔案重試（只下載一次）
  */
-async function handleInstallRequest(extensionId) {
-  const result = await chrome.storage.sync.get(STORAGE_KEY);
-  const protocol = result[STORAGE_KEY] || DEFAULT_PROTOCOL;
-  const ideName = IDE_OPTIONS.find(i => i.id === protocol)?.name || protocol;
-
-  // 檢查 Native Host
+async function installVsixLinkIntoIdes(linkUrl, pageUrl) {
   if (nativeHostAvailable === null) {
     await checkNativeHost();
   }
+  if (!nativeHostAvailable) {
+    showNotification(
+      chrome.i18n.getMessage('notificationInstallFailed') || 'Installation Failed',
+      chrome.i18n.getMessage('notificationMultiInstallNeedsHost') || 'Installing into several IDEs requires the native host.',
+      true
+    );
+    return;
+  }
 
-  if (nativeHostAvailable) {
-    console.log(`[IDE Switcher] Installing ${extensionId} via Native Host...`);
+  const protocols = await getMultiInstallTargets();
+  if (protocols.length === 0) {
     showNotification(
-      chrome.i18n.getMessage('notificationInstalling') || 'Installing Extension',
-      `${extensionId} → ${ideName}`
+      chrome.i18n.getMessage('notificationInstallFailed') || 'Installation Failed',
+      chrome.i18n.getMessage('notificationNoInstallTargets') ||
+        'No registered IDEs found. Register IDE protocols or choose IDEs on the options page.',
+      true
     );
+    return;
+  }
 
+  const extInfo = parseExtensionFromVsixUrl(linkUrl);
+  const spec = extInfo ? parseExtensionSpec(formatExtensionSpec(extInfo)) : null;
+  let label = spec ? formatExtensionSpec(extInfo) : new URL(linkUrl).pathname.split('/').pop() || linkUrl;
+  if (!spec) {
+    // 檔名含不合法的 % 編碼時沿用原始片段
     try {
-      await installViaHost(extensionId, protocol);
-      showNotification(
-        chrome.i18n.getMessage('notificationInstallSuccess') || 'Installation Successful',
-        `${extensionId} ${chrome.i18n.getMessage('notificationInstalledTo') || 'installed to'} ${ideName}`
-      );
-      return { success: true };
-    } catch (err) {
-      console.error('[IDE Switcher] Install failed:', err);
-      showNotification(
-        chrome.i18n.getMessage('notificationInstallFailed') || 'Installation Failed',
-        err.message,
-        true
-      );
-      return { success: false, error: err.message };
+      label = decodeURIComponent(label);
+    } catch {
+      // 保留未解碼的檔名
     }
-  } else {
+  }
+
+  const policy = await enforceInstallPolicy(spec?.id || null, label);
+  if (!policy.allowed) {
+    recordInterception({
+      trigger: 'contextMenu',
+      pageUrl,
+      originalUrl: linkUrl,
+      linkType: LINK_TYPES.EXTENSION,
+      outcome: OUTCOMES.BLOCKED,
+      error: policy.message
+    });
+    return;
+  }
+
+  let download = null;
+  const results = await installIntoIdes(label, protocols, async (protocol, onProgress) => {
+    if (spec) {
+      try {
+        return await installSpecIntoIde(spec, protocol, onProgress);
+      } catch (err) {
+        if (err.policyViolation) throw err;
+        console.log(`[IDE Switcher] Install by ID failed for ${protocol}, falling back to VSIX:`, err.message);
+      }
+    }
+    download = download || downloadFile(linkUrl);
+    return installVsixViaHost(await download, protocol, onProgress);
+  });
+
+  results.forEach(result => recordInterception({
+    trigger: 'contextMenu',
+    pageUrl,
+    originalUrl: linkUrl,
+    convertedUrl: label,
+    linkType: LINK_TYPES.EXTENSION,
+    protocol: result.protocol,
+    outcome: !result.success
+      ? OUTCOMES.INSTALL_FAILED
+      : result.alreadyInstalled ? OUTCOMES.ALREADY_INSTALLED : OUTCOMES.INSTALLED,
+    error: result.error || ''
+  }));
+}
+
+// 確認視窗（擴充功能安裝、MCP 設定檢視）的選擇
+const CONSENT_DECISIONS = Object.freeze({
+  ALLOW: 'allow',
+  ALWAYS_ALLOW: 'alwaysAllow', // 允許並將來源網站加入信任清單（僅擴充功能安裝）
+  CANCEL: 'cancel'
+});
+
+// 使用者未回應時自動取消
+const CONSENT_TIMEOUT_MS = 120000;
+
+// 等待確認的請求（requestId -> { page, details, resolve, windowId, timer }）
+const pendingConsents = new Map();
+let nextConsentId = 1;
+
+/**
+ * 是否為擴充功能自己的頁面（設定頁、確認視窗等），而非網頁中的 content script
+ */
+function isExtensionPage(sender, page = '') {
+  return typeof sender.url === 'string' && sender.url.startsWith(chrome.runtime.getURL(page));
+}
+
+/**
+ * 結束等待中的確認並關閉確認視窗
+ * @param {{decision: string, server?: Object}} result - 使用者的選擇（MCP 檢視另含編輯後的設定）
+ */
+function settleConsent(requestId, result) {
+  const pending = pendingConsents.get(requestId);
+  if (!pending) return;
+  pendingConsents.delete(requestId);
+  clearTimeout(pending.timer);
+  pending.resolve(result);
+  if (pending.windowId !== null) {
+    chrome.windows.remove(pending.windowId).catch(() => {});
+  }
+}
+
+/**
+ * 開啟擴充功能自有的確認視窗（網頁無法操作），等待使用者選擇
+ * 同一分頁已有等待中的確認時直接取消，避免網頁連續觸發開出多個視窗
+ * @param {string} page - 確認視窗頁面（confirm-install.html / confirm-mcp.html）
+ * @param {Object} details - 顯示於確認視窗的資訊（需含來源分頁 tabId）
+ * @param {{width: number, height: number}} size - 視窗大小
+ * @returns {Promise<{decision: string, server?: Object}>}
+ */
+function requestConsent(page, details, size) {
+  const cancelled = { decision: CONSENT_DECISIONS.CANCEL };
+  for (const pending of pendingConsents.values()) {
+    if (pending.details.tabId === details.tabId) {
+      return Promise.resolve(cancelled);
+    }
+  }
+
+  const requestId = String(nextConsentId++);
+  return new Promise(resolve => {
+    const timer = setTimeout(() => settleConsent(requestId, cancelled), CONSENT_TIMEOUT_MS);
+    pendingConsents.set(requestId, { page, details, resolve, windowId: null, timer });
+
+    chrome.windows.create({
+      url: chrome.runtime.getURL(`${page}?request=${requestId}`),
+      type: 'popup',
+      ...size,
+      focused: true
+    }, win => {
+      if (chrome.runtime.lastError || !win) {
+        console.error('[IDE Switcher] Failed to open confirmation window:', chrome.runtime.lastError?.message);
+        settleConsent(requestId, cancelled);
+        return;
+      }
+      const pending = pendingConsents.get(requestId);
+      if (pending) {
+        pending.windowId = win.id;
+      } else {
+        // 視窗開啟前已逾時
+        chrome.windows.remove(win.id).catch(() => {});
+      }
+    });
+  });
+}
+
+/**
+ * 網頁觸發的安裝：信任的網站直接允許，其餘開啟確認視窗
+ * @returns {Promise<boolean>} 使用者是否同意
+ */
+async function confirmPageInstall(details) {
+  const origin = getSiteOrigin(details.pageUrl);
+  const result = await chrome.storage.sync.get(TRUSTED_INSTALL_SITES_KEY);
+  const trustedSites = normalizeTrustedSites(result[TRUSTED_INSTALL_SITES_KEY]);
+  if (origin && trustedSites.includes(origin)) {
+    console.log(`[IDE Switcher] Install from trusted site: ${origin}`);
+    return true;
+  }
+
+  const { decision } = await requestConsent('confirm-install.html', { ...details, origin }, { width: 440, height: 460 });
+  if (decision === CONSENT_DECISIONS.ALWAYS_ALLOW && origin) {
+    const latest = await chrome.storage.sync.get(TRUSTED_INSTALL_SITES_KEY);
+    await chrome.storage.sync.set({
+      [TRUSTED_INSTALL_SITES_KEY]: normalizeTrustedSites([...(latest[TRUSTED_INSTALL_SITES_KEY] || []), origin])
+    });
+  }
+  return decision === CONSENT_DECISIONS.ALLOW || decision === CONSENT_DECISIONS.ALWAYS_ALLOW;
+}
+
+/**
+ * 處理來自 content script 與設定頁的擴充功能安裝請求
+ * @param {string} extensionSpec - publisher.name 或 publisher.name@version
+ * @param {number|null} [tabId] - 網頁觸發時的來源分頁；網頁觸發的安裝需使用者確認，並套用多 IDE 安裝
+ */
+async function handleInstallRequest(extensionSpec, ide, pageUrl, tabId = null) {
+  const spec = parseExtensionSpec(extensionSpec);
+  if (!spec) {
+    return { success: false, error: `Invalid extension ID: ${extensionSpec}` };
+  }
+  const extensionId = spec.id;
+
+  // 先檢查安裝政策（Native Host 不可用時也不改用 protocol URL 開啟）
+  const policy = await enforceInstallPolicy(extensionId, extensionSpec);
+  if (!policy.allowed) {
+    return { success: false, error: policy.message, policyViolation: policy.reason };
+  }
+
+  await ideOptionsReady;
+  // content script 已依站台與連結類型規則決定 ide；未提供時依來源頁面重新計算
+  const protocol = validProtocols.has(ide)
+    ? ide
+    : await getProtocolForPage(pageUrl, `vscode:extension/${extensionId}`);
+  const ideName = getIdeName(protocol);
+
+  // 檢查 Native Host
+  if (nativeHostAvailable === null) {
+    await checkNativeHost();
+  }
+
+  if (!nativeHostAvailable) {
     // Native Host 不可用，返回提示
     return {
       success: false,
@@ -533,17 +1284,335 @@ async function handleInstallRequest(extensionId) {
       hint: 'Please run the install script in native-host folder first.'
     };
   }
+
+  const fromPage = tabId !== null;
+  const protocols = fromPage && await isMultiInstallEnabled() ? await getMultiInstallTargets() : [];
+  const label = spec.version ? `${extensionId}@${spec.version}` : extensionId;
+
+  // 已安裝（且符合指定版本）時不重新執行安裝，也不詢問使用者，直接告知目前版本
+  const isCurrent = installed => installed && (!spec.version || installed.version === spec.version);
+  if (protocols.length === 0) {
+    const installed = await findInstalledExtension(extensionId, protocol);
+    if (isCurrent(installed)) {
+      console.log(`[IDE Switcher] ${extensionId} already installed in ${protocol}:`, installed.version);
+      showNotification(
+        chrome.i18n.getMessage('notificationAlreadyInstalledTitle') || 'Already Installed',
+        installed.version
+          ? chrome.i18n.getMessage('notificationAlreadyInstalledVersion', [extensionId, installed.version, ideName]) ||
+            `${extensionId} is already installed (v${installed.version}) in ${ideName}`
+          : buildInstallSummary(extensionId, ideName, { alreadyInstalled: true })
+      );
+      return { success: true, alreadyInstalled: true, version: installed.version };
+    }
+  }
+
+  // 多 IDE 安裝時，所有目標都已安裝才略過確認（installIntoIdes 仍會彙整通知）
+  const allInstalled = protocols.length > 0 &&
+    (await Promise.all(protocols.map(target => findInstalledExtension(extensionId, target)))).every(isCurrent);
+
+  // 網頁觸發的安裝：呼叫 Native Host 前先由使用者確認
+  if (fromPage && !allInstalled) {
+    const allowed = await confirmPageInstall({
+      tabId,
+      pageUrl,
+      extensionId,
+      publisher: extensionId.slice(0, extensionId.indexOf('.')),
+      version: spec.version,
+      ideNames: (protocols.length > 0 ? protocols : [protocol]).map(getIdeName)
+    });
+    if (!allowed) {
+      console.log(`[IDE Switcher] Install of ${label} cancelled by user`);
+      return { success: false, cancelled: true, error: 'Cancelled by user' };
+    }
+  }
+
+  if (protocols.length > 0) {
+    const results = await installIntoIdes(label, protocols, (target, onProgress) => installSpecIntoIde(spec, target, onProgress));
+    return {
+      success: results.some(result => result.success),
+      alreadyInstalled: results.every(result => result.alreadyInstalled),
+      results,
+      error: results.find(result => !result.success)?.error
+    };
+  }
+
+  try {
+    const response = await installWithProgress(label, ideName, onProgress => installViaHost(label, protocol, onProgress));
+    return { success: true, version: response.version || null };
+  } catch (err) {
+    return { success: false, error: err.message, policyViolation: err.policyViolation };
+  }
+}
+
+/**
+ * 在 IDE 收到 MCP 安裝連結前，開啟檢視視窗顯示解碼後的設定與風險，由使用者編輯、確認或取消
+ * @param {string} url - 原始 MCP 安裝連結
+ * @param {string} protocol - 目標協議
+ * @param {number|null} tabId - 來源分頁
+ * @param {string} pageUrl - 來源頁面
+ * Antigravity 等沒有 MCP 安裝 deeplink 的 IDE，確認後由 Native Host 寫入 mcp_config.json（written 為 true）
+ * @returns {Promise<{approved: boolean, url?: string, edited?: boolean, written?: boolean, name?: string,
+ *   alreadyExists?: boolean, cancelled?: boolean, error?: string}>}
+ */
+async function reviewMcpInstall(url, protocol, tabId, pageUrl) {
+  const server = parseMcpInstallUrl(url);
+  if (!server) {
+    return { approved: false, error: 'Invalid MCP install link' };
+  }
+  return reviewMcpServer(server, protocol, tabId, pageUrl);
+}
+
+/**
+ * MCP 伺服器設定無效或無法以目標 IDE 的格式表示時通知使用者（設定不會轉交 IDE）
+ * @param {string} protocol - 目標協議
+ * @param {string} error - MCP_TRANSLATION_ERRORS 或 validateMcpServer 的錯誤代碼
+ */
+function notifyMcpNotSent(protocol, error) {
+  const ideName = getIdeName(protocol);
+  const reason = error === MCP_TRANSLATION_ERRORS.UNSUPPORTED_INPUTS
+    ? chrome.i18n.getMessage('mcpErrorUnsupportedInputs') || 'it prompts for ${input:…} values, which only VS Code supports'
+    : error;
+  showNotification(
+    chrome.i18n.getMessage('notificationMcpFailedTitle') || 'MCP Server Not Added',
+    chrome.i18n.getMessage('notificationMcpUntranslatable', [ideName, reason]) ||
+      `This MCP server config cannot be sent to ${ideName}: ${reason}`,
+    true
+  );
+}
+
+/**
+ * 開啟檢視視窗確認 MCP 伺服器設定，確認後產生 IDE 安裝連結或寫入 mcp_config.json（回傳值同 reviewMcpInstall）
+ * @param {Object} server - parseMcpInstallUrl 格式的伺服器設定
+ */
+async function reviewMcpServer(server, protocol, tabId, pageUrl) {
+  await ideOptionsReady;
+  const ideName = getIdeName(protocol);
+  const writesConfig = usesMcpConfigFile(protocol);
+
+  if (writesConfig) {
+    if (nativeHostAvailable === null) {
+      await checkNativeHost();
+    }
+    if (!nativeHostAvailable) {
+      showNotification(
+        chrome.i18n.getMessage('notificationMcpFailedTitle') || 'MCP Server Not Added',
+        chrome.i18n.getMessage('notificationMcpNeedsHost', [ideName]) ||
+          `Adding MCP servers to ${ideName} requires the native host.`,
+        true
+      );
+      return { approved: false, error: 'Native Host not installed' };
+    }
+  }
+
+  const result = await requestConsent('confirm-mcp.html', {
+    tabId,
+    pageUrl,
+    server,
+    ideName: writesConfig ? `${ideName} (mcp_config.json)` : ideName
+  }, { width: 560, height: 720 });
+
+  if (result.decision !== CONSENT_DECISIONS.ALLOW) {
+    console.log(`[IDE Switcher] MCP install of ${server.name} cancelled by user`);
+    return { approved: false, cancelled: true };
+  }
+
+  // 確認視窗傳回的設定來自使用者編輯，轉交 IDE 前再驗證一次
+  const reviewed = result.server === undefined ? server : result.server;
+  const invalid = validateMcpServer(reviewed);
+  if (invalid) {
+    notifyMcpNotSent(protocol, invalid);
+    return { approved: false, error: `Invalid MCP server config: ${invalid}` };
+  }
+
+  const edited = JSON.stringify(reviewed) !== JSON.stringify(server);
+  if (writesConfig) {
+    return { ...await writeMcpServerConfig(reviewed, protocol), edited };
+  }
+  const built = buildMcpInstallUrl(protocol, reviewed);
+  if (built.error) {
+    notifyMcpNotSent(protocol, built.error);
+    return { approved: false, error: `MCP server config cannot be sent to ${ideName}: ${built.error}` };
+  }
+  return { approved: true, url: built.url, edited };
+}
+
+/**
+ * 讀取使用者自訂的 MCP 目錄項目（chrome.storage.local）
+ */
+async function getUserMcpCatalog() {
+  try {
+    const result = await chrome.storage.local.get(MCP_CATALOG_KEY);
+    return normalizeMcpCatalog(result[MCP_CATALOG_KEY]);
+  } catch (err) {
+    console.error('[IDE Switcher] Failed to read MCP catalog:', err);
+    return [];
+  }
+}
+
+/**
+ * 以 MCP 目錄解析 mcp/by-name 連結（連結本身不含設定內容）
+ * 目錄項目有安裝設定且目標 IDE 由 Native Host 寫入 mcp_config.json 時，經檢視視窗確認後寫入；
+ * 其餘情況回傳倉庫網址（目錄中找不到時為 GitHub 搜尋網址），由 content.js 顯示安裝說明
+ * @param {string} name - 伺服器名稱
+ * @param {string} protocol - 目標協議
+ * @returns {Promise<{found: boolean, repoUrl: string, approved?: boolean, written?: boolean, name?: string,
+ *   alreadyExists?: boolean, cancelled?: boolean, error?: string}>}
+ */
+async function installMcpByName(name, protocol, tabId, pageUrl) {
+  const entry = resolveMcpCatalogEntry(name, await getUserMcpCatalog());
+  const repoUrl = entry?.repo || getMcpSearchUrl(name);
+  const server = catalogEntryToServer(entry);
+
+  if (!server || !usesMcpConfigFile(protocol)) {
+    console.log(`[IDE Switcher] MCP server ${name} ${entry ? 'has no install config' : 'not found in catalog'}`);
+    return { found: Boolean(entry), repoUrl };
+  }
+  return { ...await reviewMcpServer(server, protocol, tabId, pageUrl), found: true, repoUrl };
+}
+
+/**
+ * 將確認後的 MCP 伺服器寫入 IDE 的 mcp_config.json，並以通知顯示結果
+ */
+async function writeMcpServerConfig(server, protocol) {
+  const ideName = getIdeName(protocol);
+  try {
+    // 轉為 IDE 的 mcp_config.json 格式（例如不支援 VS Code 的 inputs），Native Host 只驗證並合併
+    const translated = translateMcpServer(server, MCP_FORMATS.VSCODE, getMcpFormat(protocol));
+    if (translated.error) {
+      throw new Error(`MCP server config cannot be written for ${ideName}: ${translated.error}`);
+    }
+
+    const response = await addMcpServerViaHost(translated.server.name, translated.config, protocol);
+    console.log(`[IDE Switcher] MCP server ${response.name} written to ${response.path}`);
+
+    let message;
+    if (response.alreadyExists) {
+      message = chrome.i18n.getMessage('notificationMcpAlreadyAdded', [response.name, ideName]) ||
+        `${response.name} is already in the ${ideName} MCP config`;
+    } else if (response.renamed) {
+      message = chrome.i18n.getMessage('notificationMcpRenamed', [server.name, response.name, ideName]) ||
+        `A different ${server.name} already exists, so it was added to ${ideName} as ${response.name}`;
+    } else {
+      message = chrome.i18n.getMessage('notificationMcpAdded', [response.name, ideName]) ||
+        `${response.name} was added to the ${ideName} MCP config`;
+    }
+    showNotification(chrome.i18n.getMessage('notificationMcpAddedTitle') || 'MCP Server Added', message);
+    return { approved: true, written: true, name: response.name, alreadyExists: response.alreadyExists };
+  } catch (err) {
+    console.error('[IDE Switcher] Failed to write MCP config:', err);
+    showNotification(chrome.i18n.getMessage('notificationMcpFailedTitle') || 'MCP Server Not Added', err.message, true);
+    return { approved: false, error: err.message };
+  }
 }
 
 // 監聽來自 content script 的訊息
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'installExtension' && request.extensionId) {
-    handleInstallRequest(request.extensionId)
+    // 來自網頁（content script）的安裝需使用者確認並套用多 IDE 安裝；設定頁指定的 IDE 直接安裝
+    const tabId = isExtensionPage(sender) ? null : sender.tab?.id ?? null;
+    handleInstallRequest(request.extensionId, request.ide, sender.url, tabId)
       .then(sendResponse)
       .catch(err => sendResponse({ success: false, error: err.message }));
     return true; // 保持 sendResponse 有效
   }
 
+  // 設定頁：列出與解除安裝擴充功能
+  if (request.action === 'listExtensions' && request.ide && isExtensionPage(sender)) {
+    listExtensionsViaHost(request.ide, request.refresh === true)
+      .then(extensions => sendResponse({ success: true, extensions }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.action === 'uninstallExtension' && request.ide && request.extensionId && isExtensionPage(sender)) {
+    uninstallViaHost(request.extensionId, request.ide)
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  // 網頁中的 MCP 安裝連結：開啟檢視視窗，回傳使用者確認後的連結
+  if (request.action === 'reviewMcpInstall' && request.url && request.protocol && !isExtensionPage(sender)) {
+    reviewMcpInstall(request.url, request.protocol, sender.tab?.id ?? null, sender.url)
+      .then(sendResponse)
+      .catch(err => sendResponse({ approved: false, error: err.message }));
+    return true;
+  }
+
+  // 網頁中的 mcp/by-name 連結：查詢 MCP 目錄後檢視並寫入，或回傳安裝說明要開啟的網址
+  if (request.action === 'installMcpByName' && request.name && request.protocol && !isExtensionPage(sender)) {
+    installMcpByName(request.name, request.protocol, sender.tab?.id ?? null, sender.url)
+      .then(sendResponse)
+      .catch(err => sendResponse({ found: false, repoUrl: getMcpSearchUrl(request.name), error: err.message }));
+    return true;
+  }
+
+  // 確認視窗：讀取顯示資訊與回傳使用者的選擇（只接受該請求對應的確認視窗）
+  const pendingConsent = pendingConsents.get(request.requestId);
+  if (request.action === 'getConsentDetails') {
+    sendResponse(pendingConsent && isExtensionPage(sender, pendingConsent.page) ? pendingConsent.details : null);
+    return;
+  }
+
+  if (request.action === 'resolveConsent' && pendingConsent && isExtensionPage(sender, pendingConsent.page)) {
+    const decision = Object.values(CONSENT_DECISIONS).includes(request.decision)
+      ? request.decision
+      : CONSENT_DECISIONS.CANCEL;
+    settleConsent(request.requestId, { decision, server: request.server });
+    return;
+  }
+
+  // popup 開啟時查詢最近一次安裝進度
+  if (request.action === 'getInstallProgress') {
+    sendResponse(installProgress);
+    return;
+  }
+
+  // 記錄 content script 回報的攔截（頁面 URL 一律取自來源分頁，不採用回報內容）
+  if (request.action === 'recordInterception' && request.entry) {
+    recordInterception({ ...request.entry, pageUrl: sender.tab?.url || sender.url });
+    return;
+  }
+
+  // 目標 IDE 缺少遠端開發擴充功能時提醒使用者（連結已照常開啟）
+  if (request.action === 'warnRemoteLink' && request.url && request.protocol) {
+    ideOptionsReady.then(() => {
+      const missing = getMissingRemoteSupport(request.url, request.protocol);
+      if (!missing) return;
+      const ideName = getIdeName(request.protocol);
+      showNotification(
+        chrome.i18n.getMessage('notificationRemoteUnsupportedTitle') || 'Remote Link May Not Open',
+        chrome.i18n.getMessage('notificationRemoteUnsupported', [ideName, missing.name]) ||
+          `${ideName} has no equivalent of the ${missing.name} extension this link needs.`,
+        true
+      );
+    });
+    return;
+  }
+
+  // 無法轉換的 MCP 安裝連結已取消導航，通知使用者原因（依連結重新計算，不採用訊息中的錯誤）
+  if (request.action === 'warnUnconvertibleLink' && request.url && request.protocol) {
+    ideOptionsReady.then(() => {
+      const server = parseMcpInstallUrl(request.url);
+      const error = server && validProtocols.has(request.protocol) && buildMcpInstallUrl(request.protocol, server).error;
+      if (error) {
+        notifyMcpNotSent(request.protocol, error);
+      }
+    });
+    return;
+  }
+
+  // 倉庫檔案頁面沒有對應的本機目錄時，提示到設定頁新增
+  if (request.action === 'warnUnmappedRepo' && request.repo) {
+    showNotification(
+      chrome.i18n.getMessage('notificationRepoUnmappedTitle') || 'No Local Checkout',
+      chrome.i18n.getMessage('notificationRepoUnmapped', [request.repo]) ||
+        `Add a local directory for ${request.repo} under Repository Mappings in the settings.`,
+      true
+    );
+    return;
+  }
+
   if (request.action === 'checkNativeHost') {
     checkNativeHost().then(available => {
       sendResponse({ available });
@@ -589,9 +1658,27 @@ chrome.runtime.onInstalled.addListener(async () => {
 // 監聽選單點擊
 chrome.contextMenus.onClicked.addListener(handleMenuClick);
 
+// 使用者直接關閉確認視窗視為取消
+chrome.windows.onRemoved.addListener(windowId => {
+  for (const [requestId, pending] of pendingConsents) {
+    if (pending.windowId === windowId) {
+      settleConsent(requestId, { decision: CONSENT_DECISIONS.CANCEL });
+    }
+  }
+});
+
 // 監聽設定變更（同步選單狀態）
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'sync' && changes[STORAGE_KEY]) {
+  if (areaName !== 'sync') return;
+
+  // 自訂 IDE 變更時重建選單
+  if (changes[CUSTOM_IDES_KEY]) {
+    ideOptionsReady = loadIdeOptions();
+    ideOptionsReady.then(createContextMenus);
+    return;
+  }
+
+  if (changes[STORAGE_KEY] || changes[LINK_TYPE_RULES_KEY] || changes[MULTI_INSTALL_ENABLED_KEY]) {
     updateMenuCheckState();
   }
 });
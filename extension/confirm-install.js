@@ -0,0 +1,86 @@
+/**
+ * IDE Link Interceptor - Install Confirmation Script
+ *
+ * 網頁觸發的擴充功能安裝在呼叫 Native Host 前，由 background.js 開啟此視窗請使用者確認。
+ * 視窗屬於擴充功能本身，網頁無法讀取或點擊；關閉視窗視為取消。
+ */
+
+(function () {
+  'use strict';
+
+  const requestId = new URLSearchParams(location.search).get('request');
+
+  function getMessage(key, fallback, substitutions) {
+    return chrome.i18n.getMessage(key, substitutions) || fallback;
+  }
+
+  /**
+   * 套用 data-i18n 屬性指定的語言訊息（無對應訊息時保留 HTML 中的預設文字）
+   */
+  function localizePage() {
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      const message = chrome.i18n.getMessage(el.dataset.i18n);
+      if (message) {
+        el.textContent = message;
+      }
+    });
+  }
+
+  /**
+   * 回傳使用者的選擇（background.js 收到後會關閉此視窗）
+   */
+  function resolve(decision) {
+    document.querySelectorAll('.confirm-actions button').forEach(button => {
+      button.disabled = true;
+    });
+    chrome.runtime.sendMessage({ action: 'resolveConsent', requestId, decision }).catch(() => {});
+  }
+
+  /**
+   * 顯示安裝資訊
+   */
+  function render(details) {
+    if (!details) {
+      document.getElementById('consent-expired').classList.remove('hidden');
+      document.querySelectorAll('.confirm-actions button').forEach(button => {
+        button.disabled = true;
+      });
+      return;
+    }
+
+    document.getElementById('consent-extension').textContent = details.extensionId;
+    document.getElementById('consent-publisher').textContent = details.publisher;
+    document.getElementById('consent-version').textContent =
+      details.version || getMessage('consentVersionLatest', 'Latest');
+    document.getElementById('consent-ide').textContent = details.ideNames.join(', ');
+    document.getElementById('consent-page').textContent = details.pageUrl || '—';
+
+    // 無法取得 http(s) 來源的頁面不能加入信任清單
+    const always = document.getElementById('consent-always');
+    if (details.origin) {
+      always.title = details.origin;
+    } else {
+      always.classList.add('hidden');
+    }
+  }
+
+  async function init() {
+    document.title = getMessage('consentTitle', 'Install extension?');
+    localizePage();
+
+    document.getElementById('consent-allow').addEventListener('click', () => resolve('allow'));
+    document.getElementById('consent-always').addEventListener('click', () => resolve('alwaysAllow'));
+    document.getElementById('consent-cancel').addEventListener('click', () => resolve('cancel'));
+
+    try {
+      render(await chrome.runtime.sendMessage({ action: 'getConsentDetails', requestId }));
+    } catch (error) {
+      console.error('[IDE Switcher] 讀取安裝資訊失敗:', error);
+      render(null);
+    }
+    // 預設焦點放在取消，避免誤按 Enter 直接安裝
+    document.getElementById('consent-cancel').focus();
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+})();
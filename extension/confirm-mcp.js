@@ -0,0 +1,187 @@
+/**
+ * IDE Link Interceptor - MCP Review Script
+ *
+ * 網頁中的 MCP 安裝連結轉交 IDE 前，由 background.js 開啟此視窗顯示解碼後的伺服器設定與風險。
+ * 使用者可編輯設定後送出，或取消；關閉視窗視為取消。
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    MCP_RISKS,
+    MCP_CONFIG_ERRORS,
+    describeMcpServer,
+    validateMcpServer,
+    assessMcpRisks
+  } = IDELinkMcpReview;
+
+  const requestId = new URLSearchParams(location.search).get('request');
+
+  // 風險說明的 i18n key 與預設文字
+  const RISK_LABELS = {
+    [MCP_RISKS.PIPE_TO_SHELL]: ['mcpRiskPipeToShell', 'Downloads a script and pipes it straight into a shell'],
+    [MCP_RISKS.SHELL_OPERATORS]: ['mcpRiskShellOperators', 'Command contains shell pipes, chaining or command substitution'],
+    [MCP_RISKS.SHELL_COMMAND]: ['mcpRiskShellCommand', 'Runs arbitrary commands through a shell interpreter'],
+    [MCP_RISKS.UNKNOWN_PACKAGE]: ['mcpRiskUnknownPackage', 'Downloads and runs a package that is not a known MCP server'],
+    [MCP_RISKS.INSECURE_URL]: ['mcpRiskInsecureUrl', 'Connects over plain HTTP to a remote host']
+  };
+
+  // 設定錯誤的 i18n key 與預設文字
+  const CONFIG_ERROR_LABELS = {
+    [MCP_CONFIG_ERRORS.NOT_OBJECT]: ['mcpConfigNotObject', 'The configuration must be a JSON object.'],
+    [MCP_CONFIG_ERRORS.MISSING_NAME]: ['mcpConfigMissingName', 'The configuration needs a "name".'],
+    [MCP_CONFIG_ERRORS.MISSING_TARGET]: ['mcpConfigMissingTarget', 'The configuration needs a "command" or a "url".'],
+    [MCP_CONFIG_ERRORS.INVALID_ARGS]: ['mcpConfigInvalidArgs', '"args" must be a list of strings.'],
+    [MCP_CONFIG_ERRORS.INVALID_ENV]: ['mcpConfigInvalidEnv', '"env" must map names to string values.']
+  };
+
+  // 目前要送出的設定（編輯區內容無效時為 null）
+  let currentServer = null;
+
+  function getMessage(key, fallback, substitutions) {
+    return chrome.i18n.getMessage(key, substitutions) || fallback;
+  }
+
+  /**
+   * 套用 data-i18n 屬性指定的語言訊息（無對應訊息時保留 HTML 中的預設文字）
+   */
+  function localizePage() {
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      const message = chrome.i18n.getMessage(el.dataset.i18n);
+      if (message) {
+        el.textContent = message;
+      }
+    });
+  }
+
+  function setButtonsDisabled(disabled) {
+    document.querySelectorAll('.confirm-actions button').forEach(button => {
+      button.disabled = disabled;
+    });
+  }
+
+  /**
+   * 回傳使用者的選擇（background.js 收到後會關閉此視窗）
+   */
+  function resolve(decision) {
+    setButtonsDisabled(true);
+    const message = { action: 'resolveConsent', requestId, decision };
+    if (decision === 'allow') {
+      message.server = currentServer;
+    }
+    chrome.runtime.sendMessage(message).catch(() => {});
+  }
+
+  /**
+   * 顯示伺服器摘要
+   */
+  function renderSummary(server) {
+    const summary = describeMcpServer(server);
+    const envText = Object.entries(summary.env).map(([key, value]) => `${key}=${value}`).join('\n');
+
+    document.getElementById('mcp-name').textContent = summary.name || '—';
+    document.getElementById('mcp-transport').textContent = summary.transport;
+    document.getElementById('mcp-command').textContent = summary.command || '—';
+    document.getElementById('mcp-args').textContent = summary.args.join(' ') || '—';
+    document.getElementById('mcp-env').textContent = envText || '—';
+    document.getElementById('mcp-url').textContent = summary.url || '—';
+  }
+
+  /**
+   * 顯示風險清單
+   */
+  function renderRisks(server) {
+    const listEl = document.getElementById('mcp-risk-list');
+    const risks = assessMcpRisks(server);
+    listEl.textContent = '';
+
+    if (risks.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'mcp-risk mcp-risk--none';
+      item.textContent = getMessage('mcpReviewNoRisks', 'No risky patterns found.');
+      listEl.appendChild(item);
+      return;
+    }
+
+    risks.forEach(({ risk, detail }) => {
+      const [messageKey, fallback] = RISK_LABELS[risk];
+      const item = document.createElement('li');
+      item.className = 'mcp-risk';
+      item.textContent = getMessage(messageKey, fallback);
+
+      const code = document.createElement('code');
+      code.textContent = detail;
+      item.appendChild(code);
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * 解析編輯區內容；無效時停用送出按鈕並顯示原因
+   */
+  function handleConfigInput() {
+    const errorEl = document.getElementById('mcp-config-error');
+    let server;
+    try {
+      server = JSON.parse(document.getElementById('mcp-config').value);
+    } catch {
+      server = undefined;
+    }
+
+    let error = null;
+    if (server === undefined) {
+      error = getMessage('mcpConfigInvalidJson', 'The configuration is not valid JSON.');
+    } else {
+      const invalid = validateMcpServer(server);
+      if (invalid) {
+        error = getMessage(...CONFIG_ERROR_LABELS[invalid]);
+      }
+    }
+
+    currentServer = error ? null : server;
+    errorEl.textContent = error || '';
+    document.getElementById('mcp-allow').disabled = Boolean(error);
+
+    if (!error) {
+      renderSummary(server);
+      renderRisks(server);
+    }
+  }
+
+  /**
+   * 顯示請求內容
+   */
+  function render(details) {
+    if (!details) {
+      document.getElementById('consent-expired').classList.remove('hidden');
+      setButtonsDisabled(true);
+      return;
+    }
+
+    document.getElementById('mcp-ide').textContent = details.ideName;
+    document.getElementById('mcp-page').textContent = details.pageUrl || '—';
+    document.getElementById('mcp-config').value = JSON.stringify(details.server, null, 2);
+    handleConfigInput();
+  }
+
+  async function init() {
+    document.title = getMessage('mcpReviewTitle', 'Review MCP server');
+    localizePage();
+
+    document.getElementById('mcp-allow').addEventListener('click', () => resolve('allow'));
+    document.getElementById('mcp-cancel').addEventListener('click', () => resolve('cancel'));
+    document.getElementById('mcp-config').addEventListener('input', handleConfigInput);
+
+    try {
+      render(await chrome.runtime.sendMessage({ action: 'getConsentDetails', requestId }));
+    } catch (error) {
+      console.error('[IDE Switcher] 讀取 MCP 設定失敗:', error);
+      render(null);
+    }
+    // 預設焦點放在取消，避免誤按 Enter 直接送出
+    document.getElementById('mcp-cancel').focus();
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+})();
@@ -12,362 +12,306 @@
 (function () {
   'use strict';
 
+  // 共用轉換邏輯由 url-conversion.js 提供（manifest 中先於本檔載入）
+  const {
+    isAuthCallbackUrl,
+    isVSCodeUrl,
+    isVSCodeDevRedirectUrl,
+    isMcpUrl,
+    extractMcpServerName,
+    isVsixUrl,
+    parseExtensionFromVsixUrl,
+    buildVsixInstallUrl,
+    buildExtensionUrl,
+    parseVSCodeExtensionId,
+    convertToTargetUrl,
+    convertMcpUrl,
+    convertVSCodeDevUrl,
+    getMissingRemoteSupport,
+    parseMcpInstallUrl,
+    buildMcpInstallUrl,
+    needsInterception,
+    classifyLink,
+    processUrl,
+    normalizeSiteRules,
+    normalizeLinkTypeRules,
+    resolveTargetProtocol,
+    getIdeOptions,
+    setCustomIdes,
+    setPathMappings,
+    normalizeRepoMappings,
+    buildRepoFileLink,
+    REPO_LINK_ERRORS,
+    VSCODE_EXTENSION_SCHEMES,
+    LINK_TYPES,
+    ROUTABLE_LINK_TYPES
+  } = IDELinkConversion;
+
+  // 攔截紀錄的結果代碼由 history.js 提供（manifest 中先於本檔載入）
+  const { OUTCOMES } = IDELinkHistory;
+
+  // MCP 設定格式由 mcp-translator.js 提供（manifest 中先於本檔載入）
+  const { getMcpFormat, usesMcpConfigFile } = IDELinkMcpTranslator;
+
   const STORAGE_KEY = 'selectedProtocol';
+  const SITE_RULES_KEY = 'siteRules';
+  const LINK_TYPE_RULES_KEY = 'linkTypeRules';
+  const PATH_MAPPINGS_KEY = 'pathMappings';
+  const REPO_MAPPINGS_KEY = 'repoMappings';
+  const ASK_MODE_KEY = 'askEveryTime';
+  const CUSTOM_IDES_KEY = 'customIdes';
+  const INTERCEPTION_KEY = 'interceptionEnabled';
   const DEFAULT_PROTOCOL = 'antigravity';
 
-  const SUPPORTED_PROTOCOLS = new Set([
-    'vscode',
-    'vscode-insiders',
-    'antigravity',
-    'cursor',
-    'windsurf'
-  ]);
-
-  // 支援攔截的 IDE 協議前綴（包含競爭 IDE）
-  const VSCODE_PROTOCOLS = [
-    'vscode:',
-    'vscode-insiders:',
-    'antigravity:',
-    'cursor:',
-    'windsurf:',
-    'vscodium:'
-  ];
-
-  // 支援攔截的 vscode.dev 重定向網址模式 (GitHub MCP 使用)
-  const VSCODE_DEV_REDIRECT_PATTERNS = [
-    'vscode.dev/redirect',
-    'insiders.vscode.dev/redirect'
-  ];
-
-  const VSCODE_EXTENSION_SCHEMES = new Set(['vscode', 'vscode-insiders']);
-
-  // MCP 伺服器名稱到 GitHub 倉庫的映射
-  const MCP_REPO_MAP = {
-    'huggingface': 'https://github.com/huggingface/hf-mcp-server',
-    'hf-mcp-server': 'https://github.com/huggingface/hf-mcp-server'
+  // interceptor.js (Main World) 請求顯示 IDE 選擇器時派送的事件名稱
+  const CHOOSER_EVENT = 'ide-switcher:choose-ide';
+
+  // interceptor.js 請求檢視 MCP 安裝設定時派送的事件名稱
+  const MCP_REVIEW_EVENT = 'ide-switcher:review-mcp';
+
+  // interceptor.js 完成 JS 導航轉換後派送的事件名稱（detail 為 JSON 字串）
+  const INTERCEPTED_EVENT = 'ide-switcher:intercepted';
+
+  // interceptor.js 因無法轉換而取消 JS 導航時派送的事件名稱（detail 為 JSON 字串）
+  const BLOCKED_EVENT = 'ide-switcher:blocked';
+
+  // interceptor.js 將檔案連結的 JS 導航交由本檔轉換並開啟時派送的事件名稱（detail 為 JSON 字串）
+  const FILE_LINK_EVENT = 'ide-switcher:open-file';
+
+  // 倉庫檔案頁面的「在 IDE 中開啟」按鈕
+  const REPO_FILE_BUTTON_ID = 'ide-switcher-repo-file';
+
+  // interceptor.js 可回報的觸發來源
+  const SCRIPT_TRIGGERS = new Set(['location.href', 'location.assign', 'location.replace', 'window.open']);
+
+  // 連結類型顯示名稱的 i18n key 與預設文字
+  const LINK_TYPE_LABELS = {
+    extension: ['linkTypeExtension', 'Extensions & VSIX'],
+    mcp: ['linkTypeMcp', 'MCP servers'],
+    file: ['linkTypeFile', 'Files'],
+    clone: ['linkTypeClone', 'Git clone']
   };
 
-  // 避免破壞 OAuth/登入流程（例如 GitHub Copilot / GitHub Auth 回呼）
-  // 典型回呼：vscode://vscode.github-authentication/did-authenticate?code=...&state=...
-  function isAuthCallbackUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    const match = url.match(/^([^:]+):\/\/([^/]+)\//) || url.match(/^([^:]+):([^/]+)\//);
-    const provider = (match?.[2] || '').toLowerCase();
-    return provider.includes('authentication');
-  }
+  // 以 mcp_config.json 設定 MCP 伺服器的 IDE：安裝說明中的名稱、MCP 商店位置與設定檔路徑
+  const MCP_INSTRUCTION_TARGETS = {
+    antigravity: {
+      name: 'Antigravity',
+      store: '點擊 "..." → "MCP Store"',
+      configPath: '~/.gemini/antigravity/mcp_config.json'
+    },
+    windsurf: {
+      name: 'Windsurf',
+      store: '在 Cascade 面板點擊 MCP 圖示 → "MCP Marketplace"',
+      configPath: '~/.codeium/windsurf/mcp_config.json'
+    }
+  };
+
+  // 自訂 IDE 與所有可選的 IDE（內建 + 自訂）
+  let customIdes = [];
+  let ideOptions = getIdeOptions();
+  let supportedProtocols = new Set(ideOptions.map(ide => ide.id));
+
+  // 全域預設的目標協議（無站台規則符合時使用）
+  let defaultProtocol = DEFAULT_PROTOCOL;
+
+  // 站台規則：[{ pattern: 'github.com/our-org/*', protocol: 'cursor' }, ...]
+  let siteRules = [];
+
+  // 連結類型規則：{ mcp: 'cursor', extension: 'vscode', file: 'windsurf', clone: 'antigravity' }
+  let linkTypeRules = {};
+
+  // 本機倉庫對應：[{ repo: 'github.com/org/repo', path: '/home/me/src/repo' }, ...]
+  let repoMappings = [];
+
+  // 倉庫檔案按鈕與上次判斷是否顯示時的頁面網址（SPA 換頁後重新判斷）
+  let repoFileButton = null;
+  let repoFilePageUrl = '';
+
+  // 「每次詢問」模式：無規則符合時由使用者於頁面內選擇 IDE
+  let askEveryTime = false;
+
+  // 是否啟用連結攔截（設定頁可停用，未設定時預設啟用）
+  let interceptionEnabled = true;
+
+  // 目前開啟中的 IDE 選擇器的關閉函式
+  let closeActiveChooser = null;
 
   /**
-   * 取得協議前綴
-   * Antigravity 使用 antigravity:// 格式（有雙斜線）
-   * 其他 IDE 使用 protocol: 格式（無雙斜線）
+   * 套用自訂 IDE 設定，更新可選的 IDE 與協議前綴格式
    */
-  function getProtocolPrefix() {
-    return targetProtocol === 'antigravity' ? `${targetProtocol}://` : `${targetProtocol}:`;
+  function applyCustomIdes(rawCustomIdes) {
+    customIdes = setCustomIdes(rawCustomIdes);
+    ideOptions = getIdeOptions(customIdes);
+    supportedProtocols = new Set(ideOptions.map(ide => ide.id));
   }
 
-  // 當前選擇的目標協議
-  let targetProtocol = DEFAULT_PROTOCOL;
-
   /**
    * 從 storage 載入用戶設定（含遷移邏輯）
    */
   async function loadSettings() {
     try {
-      const result = await chrome.storage.sync.get(STORAGE_KEY);
+      const result = await chrome.storage.sync.get([
+        STORAGE_KEY, SITE_RULES_KEY, LINK_TYPE_RULES_KEY, PATH_MAPPINGS_KEY, REPO_MAPPINGS_KEY, ASK_MODE_KEY, CUSTOM_IDES_KEY,
+        INTERCEPTION_KEY
+      ]);
+      applyCustomIdes(result[CUSTOM_IDES_KEY]);
+
       let protocol = result[STORAGE_KEY] || DEFAULT_PROTOCOL;
-      if (!SUPPORTED_PROTOCOLS.has(protocol)) {
+      if (!supportedProtocols.has(protocol)) {
         console.log(`[IDE Switcher] 修正協議: ${protocol} -> ${DEFAULT_PROTOCOL}`);
         await chrome.storage.sync.set({ [STORAGE_KEY]: DEFAULT_PROTOCOL });
         protocol = DEFAULT_PROTOCOL;
       }
 
-      targetProtocol = protocol;
-      console.log(`[IDE Switcher] 目標 IDE: ${targetProtocol}`);
+      defaultProtocol = protocol;
+      siteRules = normalizeSiteRules(result[SITE_RULES_KEY], supportedProtocols);
+      linkTypeRules = normalizeLinkTypeRules(result[LINK_TYPE_RULES_KEY], supportedProtocols);
+      // 檔案連結的路徑改寫規則只保存在 url-conversion.js（isolated world），不傳遞給頁面
+      setPathMappings(result[PATH_MAPPINGS_KEY]);
+      repoMappings = normalizeRepoMappings(result[REPO_MAPPINGS_KEY]);
+      askEveryTime = result[ASK_MODE_KEY] === true;
+      interceptionEnabled = result[INTERCEPTION_KEY] !== false;
+      console.log(`[IDE Switcher] 目標 IDE: ${getTargetProtocol()}`);
     } catch (error) {
       console.error('[IDE Switcher] 載入設定失敗:', error);
-      targetProtocol = DEFAULT_PROTOCOL;
+      defaultProtocol = DEFAULT_PROTOCOL;
+      siteRules = [];
+      linkTypeRules = {};
+      setPathMappings([]);
+      repoMappings = [];
+      askEveryTime = false;
+      interceptionEnabled = true;
+      applyCustomIdes([]);
     }
   }
 
   /**
-   * 更新攔截器狀態 (傳遞給 Main World 的 interceptor.js)
+   * 依目前頁面的站台規則與連結類型規則，解析目標協議與其來源
+   * 每次點擊時重新計算，以支援 SPA 內的路徑變化
+   * @param {string} [linkUrl] - 被點擊的連結，用於判斷連結類型
    */
-  function updateInterceptorState() {
-    document.documentElement.dataset.ideTargetProtocol = targetProtocol;
+  function resolveRoute(linkUrl) {
+    return resolveTargetProtocol(location.href, siteRules, defaultProtocol, { linkUrl, linkTypeRules });
   }
 
   /**
-   * 監聽設定變更
+   * 將攔截交由 background.js 寫入歷史紀錄（失敗不影響導航）
+   * @param {Object} entry - 攔截資訊，欄位見 history.js HISTORY_FIELDS（頁面 URL 由 background.js 依來源分頁填入）
    */
-  function listenForSettingsChanges() {
-    chrome.storage.onChanged.addListener((changes, areaName) => {
-      if (areaName === 'sync' && changes[STORAGE_KEY]) {
-        const nextProtocol = changes[STORAGE_KEY].newValue || DEFAULT_PROTOCOL;
-        targetProtocol = SUPPORTED_PROTOCOLS.has(nextProtocol) ? nextProtocol : DEFAULT_PROTOCOL;
-        console.log(`[IDE Switcher] 設定已更新，目標 IDE: ${targetProtocol}`);
-        // 更新 dataset 供 interceptor.js 讀取
-        updateInterceptorState();
-      }
-    });
+  function recordInterception(entry) {
+    chrome.runtime.sendMessage({
+      action: 'recordInterception',
+      entry
+    }).catch(() => {});
   }
 
   /**
-   * 檢查 URL 是否為 VS Code 協議
+   * 目標 IDE 缺少開啟遠端開發連結（SSH、Dev Containers、WSL）的擴充功能時，由 background.js 顯示通知
+   * 連結仍照常開啟
+   * @param {string} url - 轉換後的連結
+   * @param {string} protocol - 目標協議
+   * @returns {string} 寫入攔截紀錄的警告；不缺少時為空字串
    */
-  function isVSCodeUrl(url) {
-    if (!url) return false;
-    return VSCODE_PROTOCOLS.some(protocol => url.startsWith(protocol));
+  function warnMissingRemoteSupport(url, protocol) {
+    const missing = getMissingRemoteSupport(url, protocol);
+    if (!missing) return '';
+    console.warn(`[IDE Switcher] ${protocol} 沒有對應的 ${missing.name} 擴充功能: ${url}`);
+    chrome.runtime.sendMessage({ action: 'warnRemoteLink', url, protocol }).catch(() => {});
+    return `No ${missing.name} extension for ${protocol}`;
   }
 
   /**
-   * 檢查 URL 是否為 vscode.dev 重定向連結 (GitHub MCP 使用)
+   * 連結無法轉為目標 IDE 的格式時（例如 MCP 設定含目標 IDE 不支援的 inputs），由 background.js 通知使用者
+   * 連結不會開啟
+   * @param {string} url - 原始連結
+   * @param {string} protocol - 目標協議
+   * @returns {string} 寫入攔截紀錄的錯誤
    */
-  function isVSCodeDevRedirectUrl(url) {
-    if (!url) return false;
-    return VSCODE_DEV_REDIRECT_PATTERNS.some(pattern => url.includes(pattern));
+  function warnUnconvertibleLink(url, protocol) {
+    console.error(`[IDE Switcher] 無法轉換為 ${protocol} 的連結: ${url}`);
+    chrome.runtime.sendMessage({ action: 'warnUnconvertibleLink', url, protocol }).catch(() => {});
+    const server = parseMcpInstallUrl(url);
+    return (server && buildMcpInstallUrl(protocol, server).error) || 'Link cannot be converted';
   }
 
   /**
-    * 檢查 URL 是否為 MCP URL
-    * 支援兩種格式：
-    * 1. vscode:mcp/by-name/{name}
-    * 2. vscode:mcp/api.mcp.github.com/.../servers/{id}/{name}
-    */
-  function isMcpUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    return /^(vscode|vscode-insiders):mcp\//.test(url);
+   * 取得目標協議
+   * @param {string} [linkUrl] - 被點擊的連結，用於判斷連結類型
+   */
+  function getTargetProtocol(linkUrl) {
+    return resolveRoute(linkUrl).protocol;
   }
 
   /**
-    * 從 MCP URL 提取服務器名稱
-    * 支援兩種格式的提取：
-    * 1. vscode:mcp/by-name/huggingface → "huggingface"
-    * 2. vscode:mcp/api.mcp.github.com/.../servers/huggingface/hf-mcp-server → "hf-mcp-server"
-    * 
-    * @returns {string|null} 服務器名稱，如果格式不符則返回 null
-    */
-  function extractMcpServerName(url) {
-    if (!isMcpUrl(url)) return null;
-
-    try {
-      // 格式 1: vscode:mcp/by-name/{name}
-      const byNameMatch = url.match(/^(vscode|vscode-insiders):mcp\/by-name\/([^/?#]+)/);
-      if (byNameMatch) {
-        return byNameMatch[2];
-      }
-
-      // 格式 2: vscode:mcp/api.mcp.github.com/.../servers/{id}/{name}
-      const apiMatch = url.match(/^(vscode|vscode-insiders):mcp\/api\.mcp\.github\.com.*\/servers\/[^/]+\/([^/?#]+)/);
-      if (apiMatch) {
-        return apiMatch[2];
-      }
-
-      return null;
-    } catch {
-      return null;
-    }
+   * 更新攔截器狀態 (傳遞給 Main World 的 interceptor.js)
+   */
+  function updateInterceptorState() {
+    const dataset = document.documentElement.dataset;
+    dataset.ideTargetProtocol = defaultProtocol;
+    dataset.ideSiteRules = JSON.stringify(siteRules);
+    dataset.ideLinkTypeRules = JSON.stringify(linkTypeRules);
+    dataset.ideAskEveryTime = String(askEveryTime);
+    // 頁面可讀取 dataset：只傳遞決定協議前綴格式所需的欄位，不含 CLI 命令、名稱與圖示
+    dataset.ideCustomIdes = JSON.stringify(customIdes.map(ide => ({ id: ide.id, prefixStyle: ide.prefixStyle })));
+    dataset.ideInterceptionEnabled = String(interceptionEnabled);
   }
 
   /**
-    * 判斷是否為 VSIX 下載連結
-    */
-  function isVsixUrl(url) {
-    try {
-      const urlObj = new URL(url);
-      if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') return false;
-      const hostname = urlObj.hostname.toLowerCase();
-      const pathname = urlObj.pathname.toLowerCase();
-
-      if (pathname.endsWith('.vsix')) return true;
-
-      if (hostname === 'open-vsx.org' || hostname.endsWith('.open-vsx.org')) {
-        if (/^\/api\/[^/]+\/[^/]+\/[^/]+\/file/.test(pathname)) return true;
-      }
+   * 監聽設定變更
+   */
+  function listenForSettingsChanges() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync') return;
 
-      if (hostname.endsWith('.gallery.vsassets.io')) {
-        if (/^\/_apis\/public\/gallery\/publisher\/[^/]+\/extension\/[^/]+\/[^/]+\/assetbyname\//.test(pathname)) {
-          return true;
-        }
+      // 自訂 IDE 變更會影響所有規則的有效性，重新載入全部設定
+      if (changes[CUSTOM_IDES_KEY]) {
+        loadSettings().then(() => {
+          updateInterceptorState();
+          updateRepoFileButton();
+        });
+        return;
       }
 
-      if (hostname === 'marketplace.visualstudio.com') {
-        if (/^\/_apis\/public\/gallery\/publishers\/[^/]+\/vsextensions\/[^/]+\/[^/]+\/vspackage$/.test(pathname)) {
-          return true;
-        }
-      }
+      if (!changes[STORAGE_KEY] && !changes[SITE_RULES_KEY] && !changes[LINK_TYPE_RULES_KEY] &&
+        !changes[PATH_MAPPINGS_KEY] && !changes[REPO_MAPPINGS_KEY] && !changes[ASK_MODE_KEY] &&
+        !changes[INTERCEPTION_KEY]) return;
 
-      if (hostname === 'github.com') {
-        if (/^\/[^/]+\/[^/]+\/releases\/download\/[^/]+\/.+\.vsix$/.test(pathname)) {
-          return true;
-        }
+      if (changes[STORAGE_KEY]) {
+        const nextProtocol = changes[STORAGE_KEY].newValue || DEFAULT_PROTOCOL;
+        defaultProtocol = supportedProtocols.has(nextProtocol) ? nextProtocol : DEFAULT_PROTOCOL;
       }
-
-      return false;
-    } catch {
-      return false;
-    }
-  }
-
-  /**
-   * 從 VSIX URL 解析擴充套件資訊
-   */
-  function parseExtensionFromVsixUrl(url) {
-    try {
-      const urlObj = new URL(url);
-      const hostname = urlObj.hostname.toLowerCase();
-
-      if (hostname.endsWith('.gallery.vsassets.io')) {
-        const vsAssetsMatch = urlObj.pathname.match(
-          /^\/_apis\/public\/gallery\/publisher\/([^/]+)\/extension\/([^/]+)\/([^/]+)\/assetbyname\/.+$/
-        );
-        if (vsAssetsMatch) {
-          return { publisher: vsAssetsMatch[1], name: vsAssetsMatch[2], version: vsAssetsMatch[3] };
-        }
+      if (changes[SITE_RULES_KEY]) {
+        siteRules = normalizeSiteRules(changes[SITE_RULES_KEY].newValue, supportedProtocols);
       }
-
-      if (hostname === 'marketplace.visualstudio.com') {
-        const marketplaceMatch = urlObj.pathname.match(
-          /^\/_apis\/public\/gallery\/publishers\/([^/]+)\/vsextensions\/([^/]+)\/([^/]+)\/vspackage$/
-        );
-        if (marketplaceMatch) {
-          return { publisher: marketplaceMatch[1], name: marketplaceMatch[2], version: marketplaceMatch[3] };
-        }
+      if (changes[LINK_TYPE_RULES_KEY]) {
+        linkTypeRules = normalizeLinkTypeRules(changes[LINK_TYPE_RULES_KEY].newValue, supportedProtocols);
       }
-
-      const openVsxMatch = urlObj.pathname.match(/^\/api\/([^/]+)\/([^/]+)\/([^/]+)\/file(?:\/([^/]+))?$/);
-      if (openVsxMatch) {
-        return { publisher: openVsxMatch[1], name: openVsxMatch[2], version: openVsxMatch[3] };
+      if (changes[PATH_MAPPINGS_KEY]) {
+        setPathMappings(changes[PATH_MAPPINGS_KEY].newValue);
       }
-
-      const filename = urlObj.pathname.split('/').pop();
-      if (filename) {
-        const vsixMatch = filename.match(/^(.+)\.vsix$/i);
-        if (vsixMatch) {
-          const baseName = vsixMatch[1];
-          const lastDash = baseName.lastIndexOf('-');
-          const namePart = lastDash > 0 ? baseName.slice(0, lastDash) : baseName;
-          const version = lastDash > 0 ? baseName.slice(lastDash + 1) : null;
-          const dotIndex = namePart.indexOf('.');
-          if (dotIndex > 0) {
-            return {
-              publisher: namePart.slice(0, dotIndex),
-              name: namePart.slice(dotIndex + 1),
-              version: version || undefined
-            };
-          }
-        }
+      if (changes[REPO_MAPPINGS_KEY]) {
+        repoMappings = normalizeRepoMappings(changes[REPO_MAPPINGS_KEY].newValue);
       }
-
-      return null;
-    } catch {
-      return null;
-    }
-  }
-
-  /**
-   * 依照規範建立 VSIX 安裝協議 URL
-   */
-  function buildVsixInstallUrl(protocol, vsixUrl, extInfo) {
-    const params = new URLSearchParams({ url: vsixUrl });
-    if (extInfo?.publisher && extInfo?.name) {
-      params.set('name', `${extInfo.publisher}.${extInfo.name}`);
-    }
-    if (extInfo?.version) {
-      params.set('version', extInfo.version);
-    }
-    return `${protocol}://extension/install?${params.toString()}`;
-  }
-
-  function parseVSCodeExtensionId(url) {
-    const match = url.match(/^([^:]+):(\/\/)?extension\/([^?#]+)/);
-    if (!match) return null;
-    const scheme = match[1];
-    if (!VSCODE_EXTENSION_SCHEMES.has(scheme)) return null;
-    return match[3];
-  }
-
-  /**
-   * 將 vscode.dev 重定向連結轉換為目標 IDE 協議
-   * 
-   * 支援兩種格式：
-   * 格式 1: https://insiders.vscode.dev/redirect?url=vscode%3Amcp%2Finstall%3F...
-   *         (GitHub MCP Registry 使用此格式，url 參數包含完整 vscode: 連結)
-   * 格式 2: https://insiders.vscode.dev/redirect/mcp/install?name=github&config={...}
-   *         (路徑格式)
-   */
-  function convertVSCodeDevToProtocol(url) {
-    try {
-      const urlObj = new URL(url);
-
-      // 格式 1: 檢查是否有 url 參數（GitHub MCP Registry 使用）
-      const urlParam = urlObj.searchParams.get('url');
-      if (urlParam) {
-        // 解碼 url 參數，取得實際的 vscode: 連結
-        const decodedUrl = decodeURIComponent(urlParam);
-        console.log(`[IDE Switcher] 解碼的 vscode 連結: ${decodedUrl}`);
-
-        // OAuth/登入回呼不轉換，避免破壞 IDE 的認證流程
-        if (isAuthCallbackUrl(decodedUrl)) {
-          console.log('[IDE Switcher] 偵測到認證回呼連結，略過轉換');
-          return decodedUrl;
-        }
-
-        // 替換協議 (vscode: 或 vscode-insiders: → 目標協議)
-        for (const protocol of VSCODE_PROTOCOLS) {
-          if (decodedUrl.startsWith(protocol)) {
-            // 移除來源協議，取得路徑部分
-            const path = decodedUrl.slice(protocol.length);
-            return `${getProtocolPrefix()}${path}`;
-          }
-        }
-        // 如果已經是目標協議，直接返回
-        if (decodedUrl.startsWith(`${targetProtocol}:`) || decodedUrl.startsWith(`${targetProtocol}://`)) {
-          return decodedUrl;
-        }
-        return decodedUrl;
+      if (changes[ASK_MODE_KEY]) {
+        askEveryTime = changes[ASK_MODE_KEY].newValue === true;
       }
-
-      // 格式 2: 路徑格式 (/redirect/mcp/install?...)
-      const path = urlObj.pathname.replace('/redirect', '');
-      const normalizedPath = path.startsWith('/') ? path.slice(1) : path;
-      const queryString = urlObj.search;
-      // 所有路徑都使用統一的協議前綴
-      return `${getProtocolPrefix()}${normalizedPath}${queryString}`;
-    } catch (error) {
-      console.error('[IDE Switcher] 轉換 vscode.dev 連結失敗:', error);
-      return null;
-    }
-  }
-
-  /**
-   * 將 VS Code URL 轉換為目標協議 URL
-   */
-  function convertToTargetUrl(url) {
-    // OAuth/登入回呼不轉換，避免破壞 IDE 的認證流程
-    if (isAuthCallbackUrl(url)) {
-      return url;
-    }
-    // 已經是目標協議
-    if (url.startsWith(`${targetProtocol}:`) || url.startsWith(`${targetProtocol}://`)) {
-      return url;
-    }
-    // 替換來源協議為目標協議
-    for (const protocol of VSCODE_PROTOCOLS) {
-      if (url.startsWith(protocol)) {
-        // 移除來源協議，取得路徑部分
-        const path = url.slice(protocol.length);
-        // 根據目標協議格式重建 URL
-        return `${getProtocolPrefix()}${path}`;
+      if (changes[INTERCEPTION_KEY]) {
+        interceptionEnabled = changes[INTERCEPTION_KEY].newValue !== false;
       }
-    }
-    return url;
+      console.log(`[IDE Switcher] 設定已更新，目標 IDE: ${getTargetProtocol()}`);
+      // 更新 dataset 供 interceptor.js 讀取
+      updateInterceptorState();
+      // 按鈕上的 IDE 名稱與是否顯示可能改變
+      updateRepoFileButton();
+    });
   }
 
   /**
     * 建立並顯示 MCP 安裝說明模態框
     */
-  function createMcpInstructionModal(serverName, repoUrl) {
+  function createMcpInstructionModal(serverName, repoUrl, protocol) {
     const modalId = 'ide-switcher-mcp-modal';
+    const target = MCP_INSTRUCTION_TARGETS[getMcpFormat(protocol)] || MCP_INSTRUCTION_TARGETS.antigravity;
      
     // 檢查模態框是否已存在
     if (document.getElementById(modalId)) {
@@ -379,7 +323,7 @@
        <div id="${modalId}" class="ide-switcher-mcp-modal-overlay">
          <div class="ide-switcher-mcp-modal">
            <div class="ide-switcher-mcp-modal-header">
-             <h2>MCP 伺服器安裝指南 for Antigravity</h2>
+             <h2>MCP 伺服器安裝指南 for <span data-mcp-slot="ide-name"></span></h2>
              <button class="ide-switcher-mcp-modal-close" aria-label="關閉">
                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                  <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -389,23 +333,23 @@
            </div>
            <div class="ide-switcher-mcp-modal-content">
              <p class="ide-switcher-mcp-modal-intro">
-               Antigravity 不支援 MCP URL 協議處理程式。您已被重定向到 GitHub 倉庫。
+               <span data-mcp-slot="ide-name"></span> 不支援 MCP URL 協議處理程式。您已被重定向到 GitHub 倉庫。
              </p>
 
              <h3>安裝方法 1: MCP Store (推薦)</h3>
              <ol>
-               <li>開啟 Antigravity</li>
-               <li>點擊 "..." → "MCP Store"</li>
-               <li>搜尋 "<strong>${serverName}</strong>"</li>
+               <li>開啟 <span data-mcp-slot="ide-name"></span></li>
+               <li data-mcp-slot="store"></li>
+               <li>搜尋 "<strong data-mcp-slot="server-name"></strong>"</li>
                <li>點擊「安裝」</li>
              </ol>
 
              <h3>安裝方法 2: 手動設定</h3>
-             <p>編輯 <code>~/.gemini/antigravity/mcp_config.json</code> 並新增伺服器設定。</p>
-             <p>詳細的設定說明請參閱 <a href="${repoUrl}" target="_blank" class="ide-switcher-mcp-modal-link">GitHub 倉庫</a>。</p>
+             <p>編輯 <code data-mcp-slot="config-path"></code> 並新增伺服器設定。</p>
+             <p>詳細的設定說明請參閱 <a target="_blank" class="ide-switcher-mcp-modal-link">GitHub 倉庫</a>。</p>
 
              <div class="ide-switcher-mcp-modal-footer">
-               <a href="${repoUrl}" target="_blank" class="ide-switcher-mcp-modal-button">
+               <a target="_blank" class="ide-switcher-mcp-modal-button">
                  檢視 GitHub 倉庫
                </a>
                <label class="ide-switcher-mcp-modal-checkbox">
@@ -422,6 +366,17 @@
     const container = document.createElement('div');
     container.innerHTML = modalHTML;
     const modal = container.firstElementChild;
+
+    // 伺服器名稱與倉庫網址來自頁面，以 textContent 與屬性寫入，不經過 innerHTML 解析
+    modal.querySelectorAll('[data-mcp-slot="ide-name"]').forEach(el => {
+      el.textContent = target.name;
+    });
+    modal.querySelector('[data-mcp-slot="store"]').textContent = target.store;
+    modal.querySelector('[data-mcp-slot="server-name"]').textContent = serverName;
+    modal.querySelector('[data-mcp-slot="config-path"]').textContent = target.configPath;
+    modal.querySelectorAll('.ide-switcher-mcp-modal-link, .ide-switcher-mcp-modal-button').forEach(link => {
+      link.href = repoUrl;
+    });
      
     // 注入 CSS 樣式
     injectModalStyles();
@@ -452,10 +407,11 @@
 
   /**
     * 注入模態框 CSS 樣式
+    * @param {Document|ShadowRoot} [root] - 注入的位置（IDE 選擇器注入自己的 shadow root）
     */
-  function injectModalStyles() {
+  function injectModalStyles(root = document) {
     const styleId = 'ide-switcher-mcp-modal-styles';
-    if (document.getElementById(styleId)) {
+    if (root.getElementById(styleId)) {
       return; // 樣式已注入
     }
 
@@ -630,13 +586,13 @@
     const styleElement = document.createElement('style');
     styleElement.id = styleId;
     styleElement.textContent = styles;
-    document.head.appendChild(styleElement);
+    (root === document ? document.head : root).appendChild(styleElement);
   }
 
   /**
     * 顯示 MCP 安裝說明模態框
     */
-  async function showMcpInstructionModal(serverName, repoUrl) {
+  async function showMcpInstructionModal(serverName, repoUrl, protocol) {
     // 檢查用戶是否已設定不再顯示
     try {
       const result = await chrome.storage.sync.get('mcpInstructionModalDismissed');
@@ -651,7 +607,7 @@
     }
 
     // 建立並顯示模態框
-    const modal = createMcpInstructionModal(serverName, repoUrl);
+    const modal = createMcpInstructionModal(serverName, repoUrl, protocol);
     document.body.appendChild(modal);
 
     // 等待用戶關閉模態框時重定向
@@ -666,10 +622,647 @@
     }, 100);
   }
 
+  /**
+   * 更新選擇器中各 IDE 的協議註冊狀態
+   */
+  async function updateChooserStatus(chooser) {
+    let statuses = null;
+    try {
+      statuses = await chrome.runtime.sendMessage({ action: 'checkAllIDERegistrations' });
+    } catch (error) {
+      console.error('[IDE Switcher] 無法檢查 IDE 註冊狀態:', error);
+    }
+
+    chooser.querySelectorAll('.ide-switcher-chooser-option').forEach(option => {
+      const statusEl = option.querySelector('.ide-switcher-chooser-status');
+      const registered = statuses?.[option.dataset.protocol]?.registered;
+
+      statusEl.classList.remove('ide-switcher-chooser-status--checking');
+      if (registered === true) {
+        statusEl.classList.add('ide-switcher-chooser-status--registered');
+        statusEl.title = chrome.i18n.getMessage('statusRegistered') || 'Registered';
+      } else if (registered === false) {
+        statusEl.classList.add('ide-switcher-chooser-status--missing');
+        statusEl.title = chrome.i18n.getMessage('statusNotRegistered') || 'Not registered';
+      } else {
+        statusEl.classList.add('ide-switcher-chooser-status--unknown');
+        statusEl.title = 'Unknown';
+      }
+    });
+  }
+
+  /**
+   * 建立 IDE 選擇器
+   * @param {string} url - 被攔截的連結
+   * @param {Array<{id: string, name: string}>} ideOptions - IDE 清單
+   * @param {string|null} linkType - 連結類型（可記住時才顯示對應選項）
+   * @param {(choice: {protocol: string, rememberSite: boolean, rememberLinkType: boolean}|null) => void} onClose
+   */
+  function createIdeChooser(url, ideOptions, linkType, onClose) {
+    const overlay = document.createElement('div');
+    overlay.id = 'ide-switcher-chooser';
+    overlay.className = 'ide-switcher-chooser-overlay';
+    overlay.innerHTML = `
+       <div class="ide-switcher-chooser" role="dialog" aria-modal="true">
+         <div class="ide-switcher-chooser-header">
+           <h2 class="ide-switcher-chooser-title"></h2>
+           <button class="ide-switcher-chooser-close" type="button">
+             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+               <line x1="18" y1="6" x2="6" y2="18"></line>
+               <line x1="6" y1="6" x2="18" y2="18"></line>
+             </svg>
+           </button>
+         </div>
+         <p class="ide-switcher-chooser-url"></p>
+         <div class="ide-switcher-chooser-list"></div>
+         <div class="ide-switcher-chooser-remember"></div>
+       </div>
+     `;
+
+    const closeBtn = overlay.querySelector('.ide-switcher-chooser-close');
+    const listEl = overlay.querySelector('.ide-switcher-chooser-list');
+    const rememberEl = overlay.querySelector('.ide-switcher-chooser-remember');
+
+    overlay.querySelector('.ide-switcher-chooser-title').textContent =
+      chrome.i18n.getMessage('chooserTitle') || 'Open with';
+    closeBtn.setAttribute('aria-label', chrome.i18n.getMessage('chooserCancel') || 'Cancel');
+
+    const urlEl = overlay.querySelector('.ide-switcher-chooser-url');
+    urlEl.textContent = url;
+    urlEl.title = url;
+
+    // 記住選擇的核取方塊：只採用使用者實際操作（isTrusted）的勾選狀態，腳本觸發的變更會被還原
+    function createCheckbox(text) {
+      const label = document.createElement('label');
+      label.className = 'ide-switcher-mcp-modal-checkbox';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      const span = document.createElement('span');
+      span.textContent = text;
+      label.append(input, span);
+      rememberEl.appendChild(label);
+
+      const state = { checked: false };
+      input.addEventListener('change', (event) => {
+        if (event.isTrusted) {
+          state.checked = input.checked;
+        } else {
+          input.checked = state.checked;
+        }
+      });
+      return state;
+    }
+
+    const rememberSite = location.host
+      ? createCheckbox(chrome.i18n.getMessage('chooserRememberSite', [location.host]) || `Remember for ${location.host}`)
+      : null;
+
+    let rememberLinkType = null;
+    if (ROUTABLE_LINK_TYPES.includes(linkType)) {
+      const [messageKey, fallback] = LINK_TYPE_LABELS[linkType];
+      const typeName = chrome.i18n.getMessage(messageKey) || fallback;
+      rememberLinkType = createCheckbox(
+        chrome.i18n.getMessage('chooserRememberLinkType', [typeName]) || `Always use for ${typeName}`
+      );
+    }
+
+    function close(choice) {
+      document.removeEventListener('keydown', handleKeydown, true);
+      overlay.remove();
+      onClose(choice);
+    }
+
+    function handleKeydown(event) {
+      if (event.isTrusted && event.key === 'Escape') {
+        event.stopPropagation();
+        close(null);
+      }
+    }
+
+    ideOptions.forEach(ide => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'ide-switcher-chooser-option';
+      option.dataset.protocol = ide.id;
+
+      const status = document.createElement('span');
+      status.className = 'ide-switcher-chooser-status ide-switcher-chooser-status--checking';
+      status.title = chrome.i18n.getMessage('statusChecking') || 'Checking...';
+
+      const name = document.createElement('span');
+      name.className = 'ide-switcher-chooser-name';
+      name.textContent = ide.name;
+
+      option.append(status, name);
+
+      // 標示目前的全域預設 IDE
+      if (ide.id === defaultProtocol) {
+        const badge = document.createElement('span');
+        badge.className = 'ide-switcher-chooser-badge';
+        badge.textContent = chrome.i18n.getMessage('chooserDefaultBadge') || 'Default';
+        option.appendChild(badge);
+      }
+
+      // 只接受使用者實際的點擊，忽略頁面腳本呼叫的 click()
+      option.addEventListener('click', (event) => {
+        if (!event.isTrusted) return;
+        close({
+          protocol: ide.id,
+          rememberSite: Boolean(rememberSite?.checked),
+          rememberLinkType: Boolean(rememberLinkType?.checked)
+        });
+      });
+
+      listEl.appendChild(option);
+    });
+
+    closeBtn.addEventListener('click', (e) => {
+      if (e.isTrusted) close(null);
+    });
+    overlay.addEventListener('click', (e) => {
+      if (e.isTrusted && e.target === overlay) close(null);
+    });
+    document.addEventListener('keydown', handleKeydown, true);
+
+    return { overlay, close };
+  }
+
+  /**
+   * 注入 IDE 選擇器 CSS 樣式（沿用 MCP 模態框的遮罩與核取方塊樣式）
+   * @param {Document|ShadowRoot} root - 注入的位置
+   */
+  function injectChooserStyles(root) {
+    const styleId = 'ide-switcher-chooser-styles';
+    if (root.getElementById(styleId)) {
+      return; // 樣式已注入
+    }
+
+    const styles = `
+       .ide-switcher-chooser-overlay {
+         position: fixed;
+         top: 0;
+         left: 0;
+         right: 0;
+         bottom: 0;
+         background-color: rgba(0, 0, 0, 0.5);
+         display: flex;
+         align-items: center;
+         justify-content: center;
+         z-index: 2147483647;
+         font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+       }
+
+       .ide-switcher-chooser {
+         background-color: white;
+         border-radius: 8px;
+         box-shadow: 0 10px 40px rgba(0, 0, 0, 0.3);
+         max-width: 360px;
+         width: 90%;
+         padding: 16px;
+         color: #24292e;
+         box-sizing: border-box;
+       }
+
+       .ide-switcher-chooser-header {
+         display: flex;
+         justify-content: space-between;
+         align-items: center;
+       }
+
+       .ide-switcher-chooser-title {
+         margin: 0;
+         font-size: 16px;
+         font-weight: 600;
+         color: #24292e;
+       }
+
+       .ide-switcher-chooser-close {
+         background: none;
+         border: none;
+         cursor: pointer;
+         padding: 4px;
+         display: flex;
+         color: #6a737d;
+       }
+
+       .ide-switcher-chooser-close:hover {
+         color: #24292e;
+       }
+
+       .ide-switcher-chooser-url {
+         margin: 8px 0 12px 0;
+         font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace;
+         font-size: 12px;
+         color: #586069;
+         white-space: nowrap;
+         overflow: hidden;
+         text-overflow: ellipsis;
+       }
+
+       .ide-switcher-chooser-list {
+         display: flex;
+         flex-direction: column;
+         gap: 6px;
+       }
+
+       .ide-switcher-chooser-option {
+         display: flex;
+         align-items: center;
+         gap: 10px;
+         width: 100%;
+         padding: 10px 12px;
+         background-color: #f6f8fa;
+         border: 1px solid #e1e4e8;
+         border-radius: 6px;
+         font-size: 14px;
+         color: #24292e;
+         text-align: left;
+         cursor: pointer;
+         transition: background-color 0.2s, border-color 0.2s;
+       }
+
+       .ide-switcher-chooser-option:hover,
+       .ide-switcher-chooser-option:focus-visible {
+         background-color: #eef4fc;
+         border-color: #0366d6;
+         outline: none;
+       }
+
+       .ide-switcher-chooser-name {
+         flex: 1;
+       }
+
+       .ide-switcher-chooser-badge {
+         font-size: 11px;
+         color: #586069;
+       }
+
+       .ide-switcher-chooser-status {
+         width: 8px;
+         height: 8px;
+         border-radius: 50%;
+         flex-shrink: 0;
+         background-color: #d1d5da;
+       }
+
+       .ide-switcher-chooser-status--checking {
+         animation: ide-switcher-chooser-pulse 1s infinite;
+       }
+
+       .ide-switcher-chooser-status--registered {
+         background-color: #28a745;
+       }
+
+       .ide-switcher-chooser-status--missing {
+         background-color: #d73a49;
+       }
+
+       @keyframes ide-switcher-chooser-pulse {
+         50% { opacity: 0.3; }
+       }
+
+       .ide-switcher-chooser-remember {
+         display: flex;
+         flex-direction: column;
+         gap: 8px;
+         margin-top: 12px;
+       }
+
+       .ide-switcher-chooser-remember:empty {
+         display: none;
+       }
+     `;
+
+    const styleElement = document.createElement('style');
+    styleElement.id = styleId;
+    styleElement.textContent = styles;
+    root.appendChild(styleElement);
+  }
+
+  /**
+   * 將選擇器的選擇記住為站台規則或連結類型規則
+   */
+  async function rememberChoice(choice, linkType) {
+    const updates = {};
+    if (choice.rememberSite) {
+      updates[SITE_RULES_KEY] = [...siteRules, { pattern: location.host, protocol: choice.protocol }];
+    }
+    if (choice.rememberLinkType) {
+      updates[LINK_TYPE_RULES_KEY] = { ...linkTypeRules, [linkType]: choice.protocol };
+    }
+    if (Object.keys(updates).length === 0) return;
+
+    try {
+      await chrome.storage.sync.set(updates);
+      siteRules = updates[SITE_RULES_KEY] || siteRules;
+      linkTypeRules = updates[LINK_TYPE_RULES_KEY] || linkTypeRules;
+      console.log('[IDE Switcher] 已記住 IDE 選擇:', updates);
+    } catch (error) {
+      console.error('[IDE Switcher] 儲存 IDE 選擇失敗:', error);
+    }
+  }
+
+  /**
+   * 顯示 IDE 選擇器，回傳使用者選擇的協議（取消時為 null）
+   * @param {string} url - 被攔截的連結
+   * @param {string|null} linkType - 連結類型
+   * @returns {Promise<string|null>}
+   */
+  async function chooseTargetProtocol(url, linkType) {
+    // 同時只保留一個選擇器
+    if (closeActiveChooser) {
+      closeActiveChooser(null);
+    }
+
+    // 選擇器放在 closed shadow root 中，頁面腳本無法取得其中的按鈕與核取方塊
+    const host = document.createElement('div');
+    host.id = 'ide-switcher-chooser-host';
+    const shadow = host.attachShadow({ mode: 'closed' });
+    injectModalStyles(shadow);
+    injectChooserStyles(shadow);
+
+    const choice = await new Promise(resolve => {
+      const chooser = createIdeChooser(url, ideOptions, linkType, resolve);
+      closeActiveChooser = chooser.close;
+      shadow.appendChild(chooser.overlay);
+      (document.body || document.documentElement).appendChild(host);
+      chooser.overlay.querySelector('.ide-switcher-chooser-option')?.focus();
+      updateChooserStatus(chooser.overlay);
+    });
+
+    host.remove();
+    closeActiveChooser = null;
+    if (!choice) {
+      console.log(`[IDE Switcher] 已取消開啟: ${url}`);
+      return null;
+    }
+
+    await rememberChoice(choice, linkType);
+    console.log(`[IDE Switcher] 使用者選擇 IDE: ${choice.protocol}`);
+    return choice.protocol;
+  }
+
+  /**
+   * 處理 interceptor.js 攔下的 JS 導航（「每次詢問」模式）
+   * 事件可能由頁面偽造：依本檔的設定確認已啟用攔截與「每次詢問」，且沒有站台或連結類型規則符合
+   */
+  async function handleChooserRequest(event) {
+    const url = event.detail;
+    if (!interceptionEnabled || !askEveryTime) return;
+    if (typeof url !== 'string' || isAuthCallbackUrl(url) || !needsInterception(url)) return;
+
+    const route = resolveRoute(url);
+    if (route.source !== 'default') return;
+    const linkType = route.linkType;
+    const protocol = await chooseTargetProtocol(url, linkType);
+    const entry = { trigger: 'script', originalUrl: url, linkType: linkType || '', routeSource: 'chooser' };
+    if (!protocol) {
+      recordInterception({ ...entry, outcome: OUTCOMES.CANCELLED });
+      return;
+    }
+
+    const recordMcp = (outcome, convertedUrl = '', error = '') =>
+      recordInterception({ ...entry, convertedUrl, protocol, outcome, error });
+    if (parseMcpInstallUrl(url)) {
+      await openReviewedMcpLink(url, protocol, recordMcp);
+      return;
+    }
+    const serverName = usesMcpConfigFile(protocol) ? extractMcpServerName(url) : null;
+    if (serverName) {
+      await openMcpByName(serverName, protocol, recordMcp);
+      return;
+    }
+
+    const targetUrl = processUrl(url, protocol) || url;
+    console.log(`[IDE Switcher] 重定向至: ${targetUrl}`);
+    recordInterception({
+      ...entry,
+      convertedUrl: targetUrl,
+      protocol,
+      outcome: OUTCOMES.REDIRECTED,
+      error: warnMissingRemoteSupport(targetUrl, protocol)
+    });
+    window.location.href = targetUrl;
+  }
+
+  /**
+   * 處理 interceptor.js 攔下的 MCP 安裝連結（JS 導航）
+   */
+  async function handleMcpReviewRequest(event) {
+    const url = event.detail;
+    if (typeof url !== 'string' || !parseMcpInstallUrl(url)) return;
+
+    const route = resolveRoute(url);
+    await openReviewedMcpLink(url, route.protocol, (outcome, convertedUrl = '', error = '') => recordInterception({
+      trigger: 'script',
+      originalUrl: url,
+      convertedUrl,
+      linkType: route.linkType || '',
+      protocol: route.protocol,
+      routeSource: route.source,
+      outcome,
+      error
+    }));
+  }
+
+  /**
+   * 含設定內容的 MCP 安裝連結：由 background.js 開啟檢視視窗，使用者確認（可編輯設定）後才導向 IDE
+   * Antigravity、Windsurf 等沒有 MCP 安裝 deeplink 的 IDE 改由 Native Host 寫入 mcp_config.json
+   * 無法開啟檢視視窗時不轉交 IDE
+   * @param {string} url - 原始 MCP 安裝連結
+   * @param {string} protocol - 目標協議
+   * @param {(outcome: string, convertedUrl?: string, error?: string) => void} record - 記錄攔截結果
+   */
+  async function openReviewedMcpLink(url, protocol, record) {
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ action: 'reviewMcpInstall', url, protocol });
+    } catch (err) {
+      console.error('[IDE Switcher] 無法開啟 MCP 檢視視窗:', err);
+      record(OUTCOMES.CANCELLED, '', err.message);
+      return;
+    }
+
+    if (response && response.written) {
+      // Antigravity、Windsurf 等 IDE：已由 Native Host 寫入 mcp_config.json
+      console.log(`[IDE Switcher] 已寫入 MCP 設定: ${response.name}`);
+      record(response.alreadyExists ? OUTCOMES.ALREADY_INSTALLED : OUTCOMES.INSTALLED, response.name);
+    } else if (response && response.approved) {
+      console.log(`[IDE Switcher] 重定向至: ${response.url}${response.edited ? '（設定已編輯）' : ''}`);
+      record(OUTCOMES.REDIRECTED, response.url);
+      window.location.href = response.url;
+    } else if (response && response.cancelled) {
+      console.log('[IDE Switcher] 使用者取消 MCP 安裝');
+      record(OUTCOMES.CANCELLED);
+    } else {
+      console.error('[IDE Switcher] MCP 安裝失敗:', response?.error);
+      record(OUTCOMES.INSTALL_FAILED, '', response?.error || '');
+    }
+  }
+
+  /**
+   * mcp/by-name 連結（不含設定內容）：由 background.js 查詢 MCP 目錄
+   * 目錄項目有安裝設定時經檢視視窗確認後寫入 mcp_config.json；否則顯示安裝說明並前往倉庫（找不到時為 GitHub 搜尋）
+   * @param {string} serverName - 伺服器名稱
+   * @param {string} protocol - 目標協議
+   * @param {(outcome: string, convertedUrl?: string, error?: string) => void} record - 記錄攔截結果
+   */
+  async function openMcpByName(serverName, protocol, record) {
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ action: 'installMcpByName', name: serverName, protocol });
+    } catch (err) {
+      console.error('[IDE Switcher] 無法查詢 MCP 目錄:', err);
+      record(OUTCOMES.INSTALL_FAILED, '', err.message);
+      return;
+    }
+
+    if (response && response.written) {
+      console.log(`[IDE Switcher] 已寫入 MCP 設定: ${response.name}`);
+      record(response.alreadyExists ? OUTCOMES.ALREADY_INSTALLED : OUTCOMES.INSTALLED, response.name);
+    } else if (response && response.cancelled) {
+      console.log('[IDE Switcher] 使用者取消 MCP 安裝');
+      record(OUTCOMES.CANCELLED);
+    } else if (response && response.repoUrl) {
+      // 目錄中沒有安裝設定、找不到名稱，或無法寫入設定時改顯示安裝說明
+      console.log(`[IDE Switcher] MCP 伺服器${response.found ? '' : '不在目錄中'}，顯示安裝說明: ${response.repoUrl}`);
+      showMcpInstructionModal(serverName, response.repoUrl, protocol);
+      record(OUTCOMES.INSTRUCTIONS, response.repoUrl, response.error || '');
+    } else {
+      record(OUTCOMES.INSTALL_FAILED, '', response?.error || '');
+    }
+  }
+
+  /**
+   * 記錄 interceptor.js 已轉換的 JS 導航
+   * detail 來自頁面 Main World，可能由頁面偽造：依目前設定自行重新轉換，
+   * 結果與回報的 convertedUrl 一致才記錄，紀錄與遠端連結警告只使用自行計算的值
+   */
+  function handleInterceptedEvent(event) {
+    let detail;
+    try {
+      detail = JSON.parse(event.detail);
+    } catch {
+      return;
+    }
+    if (!detail || !SCRIPT_TRIGGERS.has(detail.trigger) || typeof detail.originalUrl !== 'string') return;
+    if (!needsInterception(detail.originalUrl)) return;
+
+    const route = resolveRoute(detail.originalUrl);
+    const convertedUrl = processUrl(detail.originalUrl, route.protocol);
+    if (!convertedUrl || convertedUrl === detail.originalUrl || convertedUrl !== detail.convertedUrl) return;
+
+    recordInterception({
+      trigger: detail.trigger,
+      originalUrl: detail.originalUrl,
+      convertedUrl,
+      linkType: route.linkType || '',
+      protocol: route.protocol,
+      routeSource: route.source,
+      outcome: OUTCOMES.REDIRECTED,
+      error: warnMissingRemoteSupport(convertedUrl, route.protocol)
+    });
+  }
+
+  /**
+   * 記錄 interceptor.js 因無法轉換而取消的 JS 導航並通知使用者
+   * detail 來自頁面 Main World，自行重新轉換確認無法轉換後才處理
+   */
+  function handleBlockedEvent(event) {
+    let detail;
+    try {
+      detail = JSON.parse(event.detail);
+    } catch {
+      return;
+    }
+    if (!detail || !SCRIPT_TRIGGERS.has(detail.trigger) || typeof detail.url !== 'string') return;
+    if (!needsInterception(detail.url)) return;
+
+    const route = resolveRoute(detail.url);
+    if (processUrl(detail.url, route.protocol) !== null) return;
+
+    recordInterception({
+      trigger: detail.trigger,
+      originalUrl: detail.url,
+      linkType: route.linkType || '',
+      protocol: route.protocol,
+      routeSource: route.source,
+      outcome: OUTCOMES.INSTALL_FAILED,
+      error: warnUnconvertibleLink(detail.url, route.protocol)
+    });
+  }
+
+  /**
+   * 轉換並開啟 interceptor.js 攔下的檔案連結 JS 導航
+   * 路徑改寫規則含本機目錄與使用者名稱，不傳遞給頁面，因此由本檔（isolated world）轉換後開啟
+   * detail 來自頁面 Main World，只接受檔案連結並自行計算轉換結果
+   */
+  function handleFileLinkEvent(event) {
+    let detail;
+    try {
+      detail = JSON.parse(event.detail);
+    } catch {
+      return;
+    }
+    if (!detail || !SCRIPT_TRIGGERS.has(detail.trigger) || typeof detail.url !== 'string') return;
+    if (!interceptionEnabled || !needsInterception(detail.url) || classifyLink(detail.url) !== LINK_TYPES.FILE) return;
+
+    const route = resolveRoute(detail.url);
+    const entry = {
+      trigger: detail.trigger,
+      originalUrl: detail.url,
+      linkType: route.linkType || '',
+      protocol: route.protocol,
+      routeSource: route.source
+    };
+    const convertedUrl = processUrl(detail.url, route.protocol);
+    if (convertedUrl === null) {
+      recordInterception({ ...entry, outcome: OUTCOMES.INSTALL_FAILED, error: warnUnconvertibleLink(detail.url, route.protocol) });
+      return;
+    }
+
+    console.log(`[IDE Switcher] 攔截 JS 導航: ${detail.url}`);
+    console.log(`[IDE Switcher] 重定向至: ${convertedUrl}`);
+    recordInterception({
+      ...entry,
+      convertedUrl,
+      outcome: convertedUrl === detail.url ? OUTCOMES.PASSTHROUGH : OUTCOMES.REDIRECTED,
+      error: warnMissingRemoteSupport(convertedUrl, route.protocol)
+    });
+    window.location.href = convertedUrl;
+  }
+
+  /**
+    * 判斷點擊的連結是否會被本擴充功能處理
+    */
+  function isInterceptableLink(href) {
+    return isVSCodeUrl(href) || isVSCodeDevRedirectUrl(href) || isVsixUrl(href);
+  }
+
+  /**
+    * 取消點擊的預設行為（由選擇器開啟時已事先取消，event 為 null）
+    */
+  function cancelClick(event) {
+    if (!event) return;
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  /**
+    * 不需轉換時放行原連結；點擊已被選擇器攔下時改為手動導向
+    */
+  function passThrough(href, event) {
+    if (!event) {
+      window.location.href = href;
+    }
+  }
+
   /**
     * 處理連結點擊事件
     */
   async function handleClick(event) {
+    if (!interceptionEnabled) return;
+
     const link = event.target.closest('a');
     if (!link) return;
 
@@ -678,6 +1271,52 @@
     // OAuth/登入回呼不攔截，避免 GitHub Copilot 登入失敗
     if (isAuthCallbackUrl(href)) return;
 
+    // 依站台規則與連結類型決定本次點擊的目標協議
+    const route = resolveRoute(href);
+
+    // 「每次詢問」模式：沒有規則符合時先攔下點擊，由使用者選擇 IDE
+    if (askEveryTime && route.source === 'default' && isInterceptableLink(href)) {
+      cancelClick(event);
+      const protocol = await chooseTargetProtocol(href, route.linkType);
+      if (protocol) {
+        await openLink(href, { ...route, protocol, source: 'chooser' }, null);
+      } else {
+        recordInterception({
+          trigger: 'click',
+          originalUrl: href,
+          linkType: route.linkType || '',
+          routeSource: 'chooser',
+          outcome: OUTCOMES.CANCELLED
+        });
+      }
+      return;
+    }
+
+    await openLink(href, route, event);
+  }
+
+  /**
+    * 依目標協議開啟連結
+    * @param {string} href - 原始連結
+    * @param {Object} route - resolveRoute 的結果（由選擇器開啟時 source 為 'chooser'）
+    * @param {MouseEvent|null} event - 原始點擊事件；由選擇器開啟時為 null
+    * @param {string} [trigger] - 攔截紀錄的觸發來源
+    */
+  async function openLink(href, route, event, trigger = 'click') {
+    const targetProtocol = route.protocol;
+
+    // 記錄本次點擊的攔截結果
+    const record = (outcome, convertedUrl = '', error = '') => recordInterception({
+      trigger,
+      originalUrl: href,
+      convertedUrl,
+      linkType: route.linkType || '',
+      protocol: targetProtocol,
+      routeSource: route.source,
+      outcome,
+      error
+    });
+
     // 處理 VS Code Marketplace 安裝連結 (vscode:extension/...)
     // 注意：所有 VS Code 系列 IDE 都支援 {protocol}:extension/{id} 格式開啟擴充頁面
     // 但不支援自動安裝，用戶需要在 IDE 內點擊「安裝」按鈕
@@ -685,11 +1324,12 @@
     if (extensionId) {
       // 如果目標協議就是原始協議，不需要轉換
       if (VSCODE_EXTENSION_SCHEMES.has(targetProtocol) && href.startsWith(`${targetProtocol}:`)) {
-        return; // 讓瀏覽器正常處理
+        passThrough(href, event); // 讓瀏覽器正常處理
+        record(OUTCOMES.PASSTHROUGH, href);
+        return;
       }
 
-      event.preventDefault();
-      event.stopPropagation();
+      cancelClick(event);
 
       console.log(`[IDE Switcher] 攔截擴充連結: ${href}`);
       console.log(`[IDE Switcher] 擴充功能 ID: ${extensionId}`);
@@ -698,45 +1338,66 @@
       try {
         const response = await chrome.runtime.sendMessage({
           action: 'installExtension',
-          extensionId: extensionId
+          extensionId: extensionId,
+          ide: targetProtocol
         });
         
-        if (response && response.success) {
+        if (response && response.success && response.alreadyInstalled) {
+          console.log(`[IDE Switcher] 擴充功能已安裝 (v${response.version || '?'})`);
+          record(OUTCOMES.ALREADY_INSTALLED, extensionId);
+        } else if (response && response.success) {
           console.log('[IDE Switcher] 擴充功能安裝成功');
+          record(OUTCOMES.INSTALLED, extensionId);
+        } else if (response && response.cancelled) {
+          console.log('[IDE Switcher] 使用者取消安裝');
+          record(OUTCOMES.CANCELLED, extensionId);
+        } else if (response && response.policyViolation) {
+          console.log('[IDE Switcher] 安裝政策拒絕安裝:', response.error);
+          record(OUTCOMES.BLOCKED, extensionId, response.error);
         } else if (response && response.error === 'Native Host not installed') {
           // Native Host 未安裝，回退到 protocol URL
           console.log('[IDE Switcher] Native Host 未安裝，嘗試使用 protocol URL');
-          const protocolUrl = targetProtocol === 'antigravity' 
-            ? `antigravity://${extensionId}` 
-            : `${getProtocolPrefix()}extension/${extensionId}`;
+          const protocolUrl = buildExtensionUrl(targetProtocol, extensionId);
           console.log(`[IDE Switcher] 重定向至: ${protocolUrl}`);
+          record(OUTCOMES.REDIRECTED, protocolUrl);
           window.location.href = protocolUrl;
         } else {
           console.error('[IDE Switcher] 安裝失敗:', response?.error);
+          record(OUTCOMES.INSTALL_FAILED, extensionId, response?.error || '');
         }
       } catch (err) {
         // 通訊失敗，回退到 protocol URL
         console.error('[IDE Switcher] 無法連接 background script:', err);
-        const protocolUrl = targetProtocol === 'antigravity' 
-          ? `antigravity://${extensionId}` 
-          : `${getProtocolPrefix()}extension/${extensionId}`;
+        const protocolUrl = buildExtensionUrl(targetProtocol, extensionId);
         console.log(`[IDE Switcher] 回退到 protocol URL: ${protocolUrl}`);
+        record(OUTCOMES.REDIRECTED, protocolUrl);
         window.location.href = protocolUrl;
       }
       return;
     }
 
+    // 含設定內容的 MCP 安裝連結（含 vscode.dev 重定向與 Cursor deeplink）：轉交 IDE 前先由使用者檢視
+    if (parseMcpInstallUrl(href)) {
+      cancelClick(event);
+      console.log(`[IDE Switcher] 攔截 MCP 安裝連結: ${href}`);
+      await openReviewedMcpLink(href, targetProtocol, record);
+      return;
+    }
+
     // 處理 vscode.dev 重定向連結 (GitHub MCP 使用)
     if (isVSCodeDevRedirectUrl(href)) {
-      const targetUrl = convertVSCodeDevToProtocol(href);
-      if (!targetUrl) return;
+      const targetUrl = convertVSCodeDevUrl(href, targetProtocol);
+      if (!targetUrl) {
+        passThrough(href, event);
+        return;
+      }
 
-      event.preventDefault();
-      event.stopPropagation();
+      cancelClick(event);
 
       console.log(`[IDE Switcher] 攔截 vscode.dev 連結: ${href}`);
       console.log(`[IDE Switcher] 重定向至: ${targetUrl}`);
 
+      record(OUTCOMES.REDIRECTED, targetUrl, warnMissingRemoteSupport(targetUrl, targetProtocol));
       window.location.href = targetUrl;
       return;
     }
@@ -746,46 +1407,46 @@
       const extInfo = parseExtensionFromVsixUrl(href);
       const protocolUrl = buildVsixInstallUrl(targetProtocol, href, extInfo);
 
-      event.preventDefault();
-      event.stopPropagation();
+      cancelClick(event);
 
       console.log(`[IDE Switcher] 攔截 VSIX 下載: ${href}`);
       console.log(`[IDE Switcher] 重定向至: ${protocolUrl}`);
 
+      record(OUTCOMES.REDIRECTED, protocolUrl);
       window.location.href = protocolUrl;
       return;
     }
 
     // 處理 MCP URL (GitHub MCP Registry 使用)
     if (isMcpUrl(href)) {
-      // 如果目標協議是 Antigravity，攔截並顯示安裝說明
-      if (targetProtocol === 'antigravity') {
+      // 目標 IDE 以 mcp_config.json 設定 MCP 伺服器（Antigravity、Windsurf）時，依 MCP 目錄寫入設定或顯示安裝說明
+      // （by-name 連結沒有設定內容；含設定內容的連結已在上方經檢視後寫入 mcp_config.json）
+      if (usesMcpConfigFile(targetProtocol)) {
         const serverName = extractMcpServerName(href);
         if (serverName) {
-          event.preventDefault();
-          event.stopPropagation();
+          cancelClick(event);
 
           console.log(`[IDE Switcher] 攔截 MCP URL: ${href}`);
           console.log(`[IDE Switcher] MCP 伺服器: ${serverName}`);
 
-          // 取得 GitHub 倉庫 URL
-          const repoUrl = MCP_REPO_MAP[serverName];
-          if (repoUrl) {
-            // 顯示模態框並重定向
-            showMcpInstructionModal(serverName, repoUrl);
-          }
+          await openMcpByName(serverName, targetProtocol, record);
           return;
         }
       } else {
         // 對於其他 IDE，轉換協議後正常處理
-        const mcpUrl = convertToTargetUrl(href);
+        const mcpUrl = convertMcpUrl(href, targetProtocol);
+        if (mcpUrl === null) {
+          cancelClick(event);
+          record(OUTCOMES.INSTALL_FAILED, '', warnUnconvertibleLink(href, targetProtocol));
+          return;
+        }
         if (mcpUrl !== href) {
-          event.preventDefault();
-          event.stopPropagation();
+          cancelClick(event);
 
           console.log(`[IDE Switcher] 攔截 MCP URL: ${href}`);
           console.log(`[IDE Switcher] 重定向至: ${mcpUrl}`);
 
+          record(OUTCOMES.REDIRECTED, mcpUrl);
           window.location.href = mcpUrl;
           return;
         }
@@ -795,26 +1456,150 @@
     // 處理標準 vscode:// 協議連結
     if (!isVSCodeUrl(href)) return;
 
-    const targetUrl = convertToTargetUrl(href);
+    const targetUrl = convertToTargetUrl(href, targetProtocol);
     if (targetUrl === href) {
       console.log(`[IDE Switcher] 保持原連結: ${href}`);
+      passThrough(href, event);
+      record(OUTCOMES.PASSTHROUGH, href);
       return;
     }
 
-    event.preventDefault();
-    event.stopPropagation();
+    cancelClick(event);
 
     console.log(`[IDE Switcher] 攔截連結: ${href}`);
     console.log(`[IDE Switcher] 重定向至: ${targetUrl}`);
 
+    record(OUTCOMES.REDIRECTED, targetUrl, warnMissingRemoteSupport(targetUrl, targetProtocol));
     window.location.href = targetUrl;
   }
 
+  /**
+   * 以本機倉庫對應開啟目前的倉庫檔案頁面（頁面按鈕與右鍵選單共用）
+   * 產生的 vscode://file 連結與網頁上的檔案連結走相同流程（站台與連結類型規則、「每次詢問」、路徑改寫）
+   * @param {string} trigger - 攔截紀錄的觸發來源（'button' 或 'contextMenu'）
+   */
+  async function openRepoFile(trigger) {
+    const { url, repo, error } = buildRepoFileLink(location.href, repoMappings);
+    if (error === REPO_LINK_ERRORS.UNMAPPED_REPO) {
+      // 由 background.js 顯示通知，提示到設定頁新增對應
+      console.warn(`[IDE Switcher] 倉庫沒有對應的本機目錄: ${repo}`);
+      chrome.runtime.sendMessage({ action: 'warnUnmappedRepo', repo }).catch(() => {});
+      return;
+    }
+    if (error) {
+      console.log(`[IDE Switcher] 不是倉庫檔案頁面: ${location.href}`);
+      return;
+    }
+
+    const route = resolveRoute(url);
+    if (askEveryTime && route.source === 'default') {
+      const protocol = await chooseTargetProtocol(url, route.linkType);
+      if (protocol) {
+        await openLink(url, { ...route, protocol, source: 'chooser' }, null, trigger);
+      } else {
+        recordInterception({
+          trigger,
+          originalUrl: url,
+          linkType: route.linkType || '',
+          routeSource: 'chooser',
+          outcome: OUTCOMES.CANCELLED
+        });
+      }
+      return;
+    }
+
+    await openLink(url, route, null, trigger);
+  }
+
+  /**
+   * 處理 background.js 轉交的右鍵選單動作
+   */
+  function handleRuntimeMessage(message) {
+    if (message?.action === 'openRepoFile' && window === window.top) {
+      openRepoFile('contextMenu');
+    }
+  }
+
+  /**
+   * 已對應本機目錄的倉庫檔案頁面（GitHub / GitLab 的 blob、blame）於右下角顯示「在 IDE 中開啟」按鈕
+   * 只在最上層頁面顯示；SPA 換頁後由 observeNewLinks 重新判斷
+   */
+  function updateRepoFileButton() {
+    if (window !== window.top || !document.body) return;
+    repoFilePageUrl = location.href;
+
+    const { url } = buildRepoFileLink(location.href, repoMappings);
+    if (!url) {
+      repoFileButton?.remove();
+      repoFileButton = null;
+      return;
+    }
+
+    // 頁面重繪可能移除按鈕，移除後重新建立
+    if (!repoFileButton?.isConnected) {
+      injectRepoFileButtonStyles();
+      repoFileButton = document.createElement('button');
+      repoFileButton.id = REPO_FILE_BUTTON_ID;
+      repoFileButton.type = 'button';
+      repoFileButton.addEventListener('click', () => openRepoFile('button'));
+      document.body.appendChild(repoFileButton);
+    }
+
+    // 「每次詢問」且沒有規則符合時，點擊後才選擇 IDE
+    const route = resolveRoute(url);
+    const ideName = askEveryTime && route.source === 'default'
+      ? 'IDE'
+      : ideOptions.find(ide => ide.id === route.protocol)?.name || route.protocol;
+    repoFileButton.textContent = chrome.i18n.getMessage('repoFileButton', [ideName]) || `Open in ${ideName}`;
+    repoFileButton.title = url;
+  }
+
+  /**
+   * 注入倉庫檔案按鈕的 CSS 樣式
+   */
+  function injectRepoFileButtonStyles() {
+    const styleId = 'ide-switcher-repo-file-styles';
+    if (document.getElementById(styleId)) {
+      return; // 樣式已注入
+    }
+
+    const styles = `
+       #${REPO_FILE_BUTTON_ID} {
+         position: fixed;
+         right: 24px;
+         bottom: 24px;
+         z-index: 2147483646;
+         padding: 8px 14px;
+         border: none;
+         border-radius: 6px;
+         background: #0066b8;
+         color: #fff;
+         font: 600 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+         box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+         cursor: pointer;
+       }
+
+       #${REPO_FILE_BUTTON_ID}:hover {
+         background: #005a9e;
+       }
+     `;
+
+    const styleElement = document.createElement('style');
+    styleElement.id = styleId;
+    styleElement.textContent = styles;
+    document.head.appendChild(styleElement);
+  }
+
   /**
    * 處理動態添加的連結
    */
   function observeNewLinks() {
     const observer = new MutationObserver((mutations) => {
+      // SPA 換頁（網址改變）或頁面重繪移除按鈕時，重新判斷倉庫檔案按鈕
+      if (location.href !== repoFilePageUrl || (repoFileButton && !repoFileButton.isConnected)) {
+        updateRepoFileButton();
+      }
+
       for (const mutation of mutations) {
         if (mutation.type === 'childList') {
           mutation.addedNodes.forEach((node) => {
@@ -837,6 +1622,8 @@
       childList: true,
       subtree: true
     });
+
+    updateRepoFileButton();
   }
 
   /**
@@ -850,6 +1637,24 @@
     // 監聯連結點擊（攔截標準 <a> 連結）
     document.addEventListener('click', handleClick, true);
 
+    // 監聽 interceptor.js 的 IDE 選擇器請求（「每次詢問」模式下的 JS 導航）
+    document.addEventListener(CHOOSER_EVENT, handleChooserRequest);
+
+    // 監聽 interceptor.js 的 MCP 安裝設定檢視請求
+    document.addEventListener(MCP_REVIEW_EVENT, handleMcpReviewRequest);
+
+    // 記錄 interceptor.js 已轉換的 JS 導航
+    document.addEventListener(INTERCEPTED_EVENT, handleInterceptedEvent);
+
+    // 記錄 interceptor.js 因無法轉換而取消的 JS 導航
+    document.addEventListener(BLOCKED_EVENT, handleBlockedEvent);
+
+    // 轉換並開啟 interceptor.js 交由本檔處理的檔案連結（套用路徑改寫規則）
+    document.addEventListener(FILE_LINK_EVENT, handleFileLinkEvent);
+
+    // 右鍵選單「在 IDE 中開啟此檔案」由 background.js 轉交
+    chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', observeNewLinks);
     } else {
@@ -0,0 +1,159 @@
+/**
+ * IDE Link Interceptor - Interception History
+ *
+ * 攔截紀錄的資料格式、保留上限與匯出邏輯：
+ * 1. background.js：唯一的寫入者，透過 importScripts 載入
+ * 2. content.js：回報攔截結果（經由 recordInterception 訊息交給 background.js）
+ * 3. options.js：顯示、重新開啟與匯出紀錄
+ * 4. tests/：透過 Node.js require 載入
+ *
+ * 紀錄存放於 chrome.storage.local（不同步到其他裝置），新紀錄在前。
+ * 依賴 url-conversion.js（IDELinkConversion）產生「改用其他 IDE 開啟」的 URL。
+ */
+
+/* global module, require */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./url-conversion.js'));
+  } else {
+    root.IDELinkHistory = factory(root.IDELinkConversion);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (conversion) {
+  'use strict';
+
+  const {
+    isVsixUrl,
+    parseExtensionFromVsixUrl,
+    buildVsixInstallUrl,
+    parseMcpInstallUrl,
+    processUrl
+  } = conversion;
+
+  const HISTORY_KEY = 'interceptionHistory';
+  const MAX_HISTORY_ENTRIES = 200;
+
+  // 單一欄位的最大長度（避免超長 data/查詢字串塞滿 storage）
+  const MAX_FIELD_LENGTH = 2048;
+
+  // 攔截結果
+  const OUTCOMES = Object.freeze({
+    REDIRECTED: 'redirected',              // 已轉換並導向目標 IDE
+    PASSTHROUGH: 'passthrough',            // 目標與原協議相同，保留原連結
+    INSTALLED: 'installed',                // 透過 Native Host 安裝擴充功能
+    ALREADY_INSTALLED: 'alreadyInstalled', // 目標 IDE 已安裝，未重新安裝
+    INSTALL_FAILED: 'installFailed',       // Native Host 安裝失敗
+    BLOCKED: 'blocked',                    // 安裝政策拒絕安裝
+    DOWNLOADED: 'downloaded',              // 下載 VSIX 由使用者手動安裝
+    INSTRUCTIONS: 'instructions',          // 顯示安裝說明（例如 Antigravity MCP）
+    CANCELLED: 'cancelled'                 // 使用者於 IDE 選擇器或確認視窗中取消
+  });
+
+  // 匯出與正規化使用的欄位（依序）
+  const HISTORY_FIELDS = [
+    'time',
+    'trigger',
+    'pageUrl',
+    'originalUrl',
+    'convertedUrl',
+    'linkType',
+    'protocol',
+    'routeSource',
+    'outcome',
+    'error'
+  ];
+
+  /**
+   * 正規化單筆紀錄：只保留已知欄位，字串欄位截斷至上限
+   * @param {Object} entry - 攔截資訊
+   * @param {number} [now] - 紀錄時間（預設為目前時間）
+   * @returns {Object|null} 缺少原始 URL 時回傳 null
+   */
+  function normalizeHistoryEntry(entry, now = Date.now()) {
+    if (!entry || typeof entry.originalUrl !== 'string' || !entry.originalUrl) return null;
+
+    const normalized = {
+      id: typeof entry.id === 'string' ? entry.id : `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      time: Number.isFinite(entry.time) ? entry.time : now
+    };
+    for (const field of HISTORY_FIELDS) {
+      if (field === 'time') continue;
+      const value = entry[field];
+      normalized[field] = typeof value === 'string' ? value.slice(0, MAX_FIELD_LENGTH) : '';
+    }
+    return normalized;
+  }
+
+  /**
+   * 將紀錄加到最前面，並依上限截斷
+   * @param {*} history - 既有紀錄（storage 原始值）
+   * @param {Object} entry - 已正規化的紀錄
+   * @param {number} [maxEntries]
+   * @returns {Array<Object>}
+   */
+  function appendHistoryEntry(history, entry, maxEntries = MAX_HISTORY_ENTRIES) {
+    const existing = Array.isArray(history) ? history : [];
+    if (!entry) return existing.slice(0, maxEntries);
+    return [entry, ...existing].slice(0, maxEntries);
+  }
+
+  /**
+   * 匯出為 JSON
+   */
+  function historyToJson(history) {
+    return JSON.stringify(Array.isArray(history) ? history : [], null, 2);
+  }
+
+  /**
+   * CSV 欄位跳脫；以 = + - @ 開頭的值加上單引號，避免試算表執行公式
+   */
+  function escapeCsvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * 匯出為 CSV（時間欄位使用 ISO 8601）
+   */
+  function historyToCsv(history) {
+    const rows = (Array.isArray(history) ? history : []).map(entry =>
+      HISTORY_FIELDS.map(field => {
+        if (field === 'time') {
+          return escapeCsvValue(Number.isFinite(entry.time) ? new Date(entry.time).toISOString() : '');
+        }
+        return escapeCsvValue(entry[field]);
+      }).join(',')
+    );
+    return [HISTORY_FIELDS.join(','), ...rows].join('\r\n');
+  }
+
+  /**
+   * 產生「改用其他 IDE 開啟」的 URL
+   * VSIX 下載連結轉為安裝 URL，其餘沿用一般轉換流程
+   * MCP 安裝連結必須經過審查視窗，不從紀錄重新開啟（返回 null）
+   * @param {string} originalUrl - 原始連結
+   * @param {string} protocol - 目標 IDE 協議
+   * @returns {string|null}
+   */
+  function buildRerouteUrl(originalUrl, protocol) {
+    if (parseMcpInstallUrl(originalUrl)) return null;
+    if (isVsixUrl(originalUrl)) {
+      return buildVsixInstallUrl(protocol, originalUrl, parseExtensionFromVsixUrl(originalUrl));
+    }
+    return processUrl(originalUrl, protocol) || originalUrl;
+  }
+
+  return Object.freeze({
+    HISTORY_KEY,
+    MAX_HISTORY_ENTRIES,
+    OUTCOMES,
+    HISTORY_FIELDS,
+    normalizeHistoryEntry,
+    appendHistoryEntry,
+    historyToJson,
+    historyToCsv,
+    buildRerouteUrl
+  });
+});
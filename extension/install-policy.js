@@ -0,0 +1,149 @@
+/**
+ * IDE Link Interceptor - Extension Install Policy
+ *
+ * 擴充功能安裝政策（允許的發行者、封鎖的擴充功能、僅限已驗證發行者）與信任網站的格式與判斷邏輯：
+ * 1. background.js：透過 Native Host 安裝前檢查，並隨安裝請求傳給 Native Host
+ * 2. settings.js / options.js：正規化與編輯政策
+ * 3. tests/：透過 Node.js require 載入
+ *
+ * native-host/ide-link-host.js 另有一份相同規則的實作，Native Host 端會再檢查一次。
+ */
+
+/* global module */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IDELinkInstallPolicy = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // 發行者名稱與擴充功能 ID（publisher.name）格式
+  const PUBLISHER_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+  const EXTENSION_ID_PATTERN = /^[a-z0-9][a-z0-9-]*\.[a-z0-9][a-z0-9._-]*$/i;
+
+  // 拒絕安裝的原因
+  const POLICY_VIOLATIONS = Object.freeze({
+    BLOCKED_EXTENSION: 'blockedExtension',        // 擴充功能在封鎖清單中
+    PUBLISHER_NOT_ALLOWED: 'publisherNotAllowed', // 發行者不在允許清單中
+    UNVERIFIED_PUBLISHER: 'unverifiedPublisher',  // 僅限已驗證發行者，但發行者不在清單中
+    UNKNOWN_PUBLISHER: 'unknownPublisher'         // 無法判斷發行者（例如無法解析檔名的 VSIX）
+  });
+
+  // 預設的已驗證發行者清單（使用者可在設定頁自行增減）
+  const DEFAULT_VERIFIED_PUBLISHERS = Object.freeze([
+    'microsoft',
+    'ms-python',
+    'ms-toolsai',
+    'ms-vscode',
+    'ms-vscode-remote',
+    'ms-azuretools',
+    'github',
+    'redhat',
+    'golang',
+    'rust-lang',
+    'vscjava',
+    'dbaeumer',
+    'esbenp'
+  ]);
+
+  const DEFAULT_INSTALL_POLICY = Object.freeze({
+    allowedPublishers: Object.freeze([]),
+    blockedExtensions: Object.freeze([]),
+    verifiedOnly: false,
+    verifiedPublishers: DEFAULT_VERIFIED_PUBLISHERS
+  });
+
+  /**
+   * 正規化名稱清單：轉小寫、去除重複並濾除格式不符的項目
+   */
+  function normalizeNameList(value, pattern) {
+    if (!Array.isArray(value)) return [];
+    const names = value
+      .filter(name => typeof name === 'string')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => pattern.test(name));
+    return [...new Set(names)];
+  }
+
+  /**
+   * 將 storage 讀出的原始值正規化為完整政策
+   * @param {*} raw - storage 原始值
+   * @returns {{allowedPublishers: string[], blockedExtensions: string[], verifiedOnly: boolean, verifiedPublishers: string[]}}
+   */
+  function normalizeInstallPolicy(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    return {
+      allowedPublishers: normalizeNameList(source.allowedPublishers, PUBLISHER_PATTERN),
+      blockedExtensions: normalizeNameList(source.blockedExtensions, EXTENSION_ID_PATTERN),
+      verifiedOnly: source.verifiedOnly === true,
+      // 未設定時使用預設清單；明確設為空陣列時保留空清單
+      verifiedPublishers: Array.isArray(source.verifiedPublishers)
+        ? normalizeNameList(source.verifiedPublishers, PUBLISHER_PATTERN)
+        : [...DEFAULT_VERIFIED_PUBLISHERS]
+    };
+  }
+
+  /**
+   * 判斷擴充功能是否允許安裝
+   * @param {string|null} extensionId - publisher.name（可含 @version）；無法判斷時傳入 null
+   * @param {Object} policy - normalizeInstallPolicy 的結果
+   * @returns {{allowed: true}|{allowed: false, reason: string, publisher: string|null, extensionId: string|null}}
+   */
+  function evaluateInstallPolicy(extensionId, policy) {
+    const id = typeof extensionId === 'string' ? extensionId.split('@')[0].toLowerCase() : '';
+    const publisher = EXTENSION_ID_PATTERN.test(id) ? id.slice(0, id.indexOf('.')) : null;
+    const deny = reason => ({ allowed: false, reason, publisher, extensionId: publisher ? id : null });
+
+    if (!publisher) {
+      // 沒有任何發行者限制時，未知發行者仍可安裝
+      return policy.allowedPublishers.length > 0 || policy.verifiedOnly
+        ? deny(POLICY_VIOLATIONS.UNKNOWN_PUBLISHER)
+        : { allowed: true };
+    }
+    if (policy.blockedExtensions.includes(id)) {
+      return deny(POLICY_VIOLATIONS.BLOCKED_EXTENSION);
+    }
+    if (policy.allowedPublishers.length > 0 && !policy.allowedPublishers.includes(publisher)) {
+      return deny(POLICY_VIOLATIONS.PUBLISHER_NOT_ALLOWED);
+    }
+    if (policy.verifiedOnly && !policy.verifiedPublishers.includes(publisher)) {
+      return deny(POLICY_VIOLATIONS.UNVERIFIED_PUBLISHER);
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * 取得頁面來源（scheme://host[:port]），僅支援 http(s)
+   * @returns {string|null}
+   */
+  function getSiteOrigin(url) {
+    try {
+      const { protocol, origin } = new URL(url);
+      return protocol === 'http:' || protocol === 'https:' ? origin : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 正規化信任網站清單（安裝確認視窗的「一律允許此網站」）：只保留 http(s) 來源，去除重複
+   * @param {*} value - storage 原始值
+   * @returns {string[]}
+   */
+  function normalizeTrustedSites(value) {
+    if (!Array.isArray(value)) return [];
+    return [...new Set(value.map(getSiteOrigin).filter(Boolean))];
+  }
+
+  return Object.freeze({
+    POLICY_VIOLATIONS,
+    DEFAULT_VERIFIED_PUBLISHERS,
+    DEFAULT_INSTALL_POLICY,
+    normalizeInstallPolicy,
+    evaluateInstallPolicy,
+    getSiteOrigin,
+    normalizeTrustedSites
+  });
+});
@@ -5,263 +5,129 @@
  * 1. window.location 的變更
  * 2. window.open 調用
  * 
- * 設定值由 content.js (Isolated World) 透過 HTML dataset 傳遞
+ * 設定值（攔截開關、預設協議、站台規則、連結類型規則、路徑改寫規則、自訂 IDE 與「每次詢問」模式）由 content.js (Isolated World) 透過 HTML dataset 傳遞
+ * 「每次詢問」模式下，導航會被攔下並透過 DOM 事件交由 content.js 顯示 IDE 選擇器
+ * 含設定內容的 MCP 安裝連結同樣交由 content.js，經使用者檢視後才轉交 IDE
+ * 完成轉換的導航同樣透過 DOM 事件回報給 content.js 寫入攔截紀錄；無法轉換的導航會被取消並回報
  */
 
 (function () {
   'use strict';
 
-  const VSCODE_PROTOCOLS = [
-    'vscode:',
-    'vscode-insiders:',
-    'antigravity:',
-    'cursor:',
-    'windsurf:',
-    'vscodium:'
-  ];
-  const VSCODE_DEV_PATTERNS = ['vscode.dev/redirect', 'insiders.vscode.dev/redirect'];
-
-  // MCP 安裝 URL 模式
-  const MCP_PATTERNS = [
-    'vscode:mcp/install',
-    'vscode-insiders:mcp/install',
-    'cursor://anysphere.cursor-deeplink/mcp/install',  // Cursor 官方 deeplink 格式
-    'cursor://-deeplink/mcp/install',  // 舊格式相容
-    'vscode:mcp/by-name',
-    'vscode-insiders:mcp/by-name'
-  ];
-
-  // 避免破壞 OAuth/登入流程（例如 GitHub Copilot / GitHub Auth 回呼）
-  function isAuthCallbackUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    const match = url.match(/^([^:]+):\/\/([^/]+)\//) || url.match(/^([^:]+):([^/]+)\//);
-    const provider = (match?.[2] || '').toLowerCase();
-    return provider.includes('authentication');
-  }
-
-  // 從 dataset 讀取目標協議，預設為 antigravity
-  function getTargetProtocol() {
-    return document.documentElement.dataset.ideTargetProtocol || 'antigravity';
-  }
-
-  function getMcpProtocolPrefix() {
-    const targetProtocol = getTargetProtocol();
-    return targetProtocol === 'antigravity' ? `${targetProtocol}://` : `${targetProtocol}:`;
-  }
-
-  /**
-   * 取得協議前綴
-   * Antigravity 使用 antigravity:// 格式（有雙斜線）
-   * 其他 IDE 使用 protocol: 格式（無雙斜線）
-   */
-  function getProtocolPrefix() {
-    const targetProtocol = getTargetProtocol();
-    return targetProtocol === 'antigravity' ? `${targetProtocol}://` : `${targetProtocol}:`;
-  }
-
-  // 檢查是否為 VS Code 協議 URL
-  function isVSCodeUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    return VSCODE_PROTOCOLS.some(protocol => url.startsWith(protocol));
+  // 共用轉換邏輯由 url-conversion.js 提供（manifest 中先於本檔載入，其依賴的 mcp-translator.js 又更早載入）
+  // 取得參照後自頁面全域移除，避免暴露給頁面腳本
+  const {
+    isAuthCallbackUrl,
+    needsInterception,
+    classifyLink,
+    parseMcpInstallUrl,
+    processUrl: convertUrl,
+    resolveTargetProtocol,
+    setCustomIdes,
+    LINK_TYPES
+  } = window.IDELinkConversion;
+  delete window.IDELinkConversion;
+  delete window.IDELinkMcpTranslator;
+
+  // 請求 content.js 顯示 IDE 選擇器的事件名稱
+  const CHOOSER_EVENT = 'ide-switcher:choose-ide';
+
+  // 請求 content.js 檢視 MCP 安裝設定的事件名稱
+  const MCP_REVIEW_EVENT = 'ide-switcher:review-mcp';
+
+  // 回報已轉換導航的事件名稱（detail 為 JSON 字串，跨 World 傳遞）
+  const INTERCEPTED_EVENT = 'ide-switcher:intercepted';
+
+  // 回報無法轉換而取消的導航的事件名稱（detail 為 JSON 字串）
+  const BLOCKED_EVENT = 'ide-switcher:blocked';
+
+  // 請求 content.js 轉換並開啟檔案連結的事件名稱（detail 為 JSON 字串）
+  const FILE_LINK_EVENT = 'ide-switcher:open-file';
+
+  // 從 dataset 讀取 JSON 設定（由 content.js 序列化寫入）
+  function readDatasetJson(key, fallback) {
+    try {
+      return JSON.parse(document.documentElement.dataset[key] || 'null') || fallback;
+    } catch {
+      return fallback;
+    }
   }
 
-  // 檢查是否為 vscode.dev 重定向連結
-  function isVSCodeDevUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    return VSCODE_DEV_PATTERNS.some(pattern => url.includes(pattern));
+  // 從 dataset 讀取目標協議並套用站台規則與連結類型規則，預設為 antigravity
+  function resolveRoute(url) {
+    // 自訂 IDE 決定目標協議的前綴格式，轉換前先套用
+    setCustomIdes(readDatasetJson('ideCustomIdes', []));
+    const defaultProtocol = document.documentElement.dataset.ideTargetProtocol || 'antigravity';
+    return resolveTargetProtocol(location.href, readDatasetJson('ideSiteRules', []), defaultProtocol, {
+      linkUrl: url,
+      linkTypeRules: readDatasetJson('ideLinkTypeRules', {})
+    });
   }
 
-  // 檢查是否為 MCP 安裝 URL
-  function isMCPUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    return MCP_PATTERNS.some(pattern => url.includes(pattern));
+  function getTargetProtocol(url) {
+    return resolveRoute(url).protocol;
   }
 
-  // 轉換 MCP 安裝 URL (支援多種 IDE 格式)
-  function convertMCPUrl(url) {
-    const targetProtocol = getTargetProtocol();
-
-    // 如果目標是 Cursor，需要轉換成 Cursor deeplink 格式
-    // cursor://anysphere.cursor-deeplink/mcp/install?name=$NAME&config=$BASE64_CONFIG
-    if (targetProtocol === 'cursor') {
-      return convertToCursorMCPUrl(url);
-    }
-
-    // 處理 Cursor 專屬格式轉換為其他 IDE
-    if (url.includes('cursor://anysphere.cursor-deeplink/mcp/install') || 
-        url.includes('cursor://-deeplink/mcp/install')) {
-      try {
-        const urlPart = url.includes('anysphere.cursor-deeplink') 
-          ? url.split('cursor://anysphere.cursor-deeplink/mcp/install')[1]
-          : url.split('cursor://-deeplink/mcp/install')[1];
-        const params = new URLSearchParams(urlPart.startsWith('?') ? urlPart.slice(1) : urlPart);
-        const name = params.get('name');
-        const configBase64 = params.get('config');
-
-        if (configBase64) {
-          // 解碼 base64 配置
-          const configJson = atob(configBase64);
-          const config = JSON.parse(configJson);
-          
-          // 建立標準 MCP 配置
-          const mcpConfig = name ? { name, ...config } : config;
-          const encodedConfig = encodeURIComponent(JSON.stringify(mcpConfig));
-          
-          return `${getMcpProtocolPrefix()}mcp/install?${encodedConfig}`;
-        }
-      } catch (e) {
-        console.error('[IDE Switcher] Cursor MCP URL 轉換失敗:', e);
-      }
-    }
-
-    // 處理 VS Code 格式: vscode:mcp/install?{encoded_json} 或 vscode:mcp/by-name/...
-    for (const protocol of VSCODE_PROTOCOLS) {
-      if (url.startsWith(protocol + 'mcp/install') || url.startsWith(protocol + 'mcp/by-name')) {
-        return url.replace(protocol, getMcpProtocolPrefix());
-      }
-    }
-
-    return url;
+  // 設定頁可停用攔截（未設定時預設啟用）
+  function isInterceptionEnabled() {
+    return document.documentElement.dataset.ideInterceptionEnabled !== 'false';
   }
 
-  // 轉換為 Cursor MCP deeplink 格式
-  function convertToCursorMCPUrl(url) {
-    try {
-      // 從 VS Code 格式解析 MCP 配置
-      // vscode:mcp/install?{url_encoded_json}
-      let mcpConfig = null;
-      let configJson = null;
-
-      // 嘗試解析 URL 編碼的 JSON 配置
-      for (const protocol of VSCODE_PROTOCOLS) {
-        if (url.startsWith(protocol + 'mcp/install?')) {
-          const queryPart = url.split('?')[1];
-          if (queryPart) {
-            configJson = decodeURIComponent(queryPart);
-            mcpConfig = JSON.parse(configJson);
-            break;
-          }
-        }
-      }
-
-      if (mcpConfig) {
-        const name = mcpConfig.name || 'mcp-server';
-        // 移除 name 屬性後編碼為 base64
-        // eslint-disable-next-line no-unused-vars
-        const { name: _removed, ...configWithoutName } = mcpConfig;
-        const configBase64 = btoa(JSON.stringify(configWithoutName));
-        
-        return `cursor://anysphere.cursor-deeplink/mcp/install?name=${encodeURIComponent(name)}&config=${configBase64}`;
-      }
-    } catch (e) {
-      console.error('[IDE Switcher] 轉換至 Cursor MCP 格式失敗:', e);
-    }
-
-    // 回退：直接替換協議前綴
-    for (const protocol of VSCODE_PROTOCOLS) {
-      if (url.startsWith(protocol + 'mcp/')) {
-        return url.replace(protocol, 'cursor:');
-      }
-    }
+  // 「每次詢問」模式且無規則符合時，請求 content.js 顯示 IDE 選擇器
+  // 回傳 true 表示原導航應取消
+  function requestChooser(url) {
+    if (document.documentElement.dataset.ideAskEveryTime !== 'true') return false;
+    if (isAuthCallbackUrl(url) || resolveRoute(url).source !== 'default') return false;
 
-    return url;
+    console.log('[IDE Switcher] 開啟 IDE 選擇器: ' + url);
+    document.dispatchEvent(new CustomEvent(CHOOSER_EVENT, { detail: url }));
+    return true;
   }
 
-  // 轉換 VS Code 協議 URL
-  function convertVSCodeUrl(url) {
-    const targetProtocol = getTargetProtocol();
-    // 已經是目標協議
-    if (url.startsWith(targetProtocol + ':') || url.startsWith(targetProtocol + '://')) return url;
-    if (isAuthCallbackUrl(url)) return url;
+  // 含設定內容的 MCP 安裝連結交由 content.js 開啟檢視視窗
+  // 回傳 true 表示原導航應取消
+  function requestMcpReview(url) {
+    if (!parseMcpInstallUrl(url)) return false;
 
-    for (const protocol of VSCODE_PROTOCOLS) {
-      if (url.startsWith(protocol)) {
-        // 移除來源協議，取得路徑部分
-        const path = url.slice(protocol.length);
-        // 根據目標協議格式重建 URL
-        return getProtocolPrefix() + path;
-      }
-    }
-    return url;
+    console.log('[IDE Switcher] 檢視 MCP 安裝設定: ' + url);
+    document.dispatchEvent(new CustomEvent(MCP_REVIEW_EVENT, { detail: url }));
+    return true;
   }
 
-  // 解碼多層 URL 編碼
-  function decodeMultiLayerUrl(encodedUrl) {
-    let decoded = encodedUrl;
-    let prev = '';
-    // 持續解碼直到不再變化（最多 5 層防止無限迴圈）
-    for (let i = 0; i < 5 && decoded !== prev; i++) {
-      prev = decoded;
-      try {
-        decoded = decodeURIComponent(decoded);
-      } catch {
-        break; // 解碼失敗則停止
-      }
-    }
-    return decoded;
-  }
-
-  // 轉換 vscode.dev 重定向連結 (支援兩種格式及多層編碼)
-  function convertVSCodeDevUrl(url) {
-    try {
-      const urlObj = new URL(url);
-
-      // 格式 1: url 參數 (GitHub MCP Registry 使用)
-      const urlParam = urlObj.searchParams.get('url');
-      if (urlParam) {
-        // 使用多層解碼處理雙重或多重編碼的 URL
-        const decodedUrl = decodeMultiLayerUrl(urlParam);
-        if (isAuthCallbackUrl(decodedUrl)) return decodedUrl;
-
-        // 檢查是否為 MCP URL 並進行轉換
-        if (isMCPUrl(decodedUrl)) {
-          return convertMCPUrl(decodedUrl);
-        }
-
-        for (const protocol of VSCODE_PROTOCOLS) {
-          if (decodedUrl.startsWith(protocol)) {
-            // 移除來源協議，取得路徑部分
-            const path = decodedUrl.slice(protocol.length);
-            return getProtocolPrefix() + path;
-          }
-        }
-        const targetProtocol = getTargetProtocol();
-        if (decodedUrl.startsWith(targetProtocol + ':') || decodedUrl.startsWith(targetProtocol + '://')) {
-          return decodedUrl;
-        }
-        return decodedUrl;
-      }
+  // 檔案連結需套用路徑改寫規則（含本機目錄，不傳遞給頁面），交由 content.js 轉換並開啟
+  // 回傳 true 表示原導航應取消
+  function requestFileLinkOpen(trigger, url) {
+    if (classifyLink(url) !== LINK_TYPES.FILE) return false;
 
-      // 格式 2: 路徑格式
-      const path = urlObj.pathname.replace('/redirect', '');
-      const normalizedPath = path.startsWith('/') ? path.slice(1) : path;
-      const queryString = urlObj.search;
-      // 使用統一的協議前綴
-      return getProtocolPrefix() + normalizedPath + queryString;
-    } catch (e) {
-      console.error('[IDE Switcher] 轉換失敗:', e);
-      return null;
-    }
+    console.log('[IDE Switcher] 交由 content.js 開啟檔案連結: ' + url);
+    document.dispatchEvent(new CustomEvent(FILE_LINK_EVENT, { detail: JSON.stringify({ trigger, url }) }));
+    return true;
   }
 
   // 統一處理 URL 轉換
   function processUrl(url) {
-    if (isAuthCallbackUrl(url)) return url;
-    if (isVSCodeDevUrl(url)) {
-      return convertVSCodeDevUrl(url);
-    }
-    if (isMCPUrl(url)) {
-      return convertMCPUrl(url);
-    }
-    if (isVSCodeUrl(url)) {
-      return convertVSCodeUrl(url);
-    }
-    return url;
+    return convertUrl(url, getTargetProtocol(url));
+  }
+
+  // 回報已轉換的導航，由 content.js 記錄到攔截紀錄
+  function reportInterception(trigger, originalUrl, convertedUrl) {
+    const route = resolveRoute(originalUrl);
+    document.dispatchEvent(new CustomEvent(INTERCEPTED_EVENT, {
+      detail: JSON.stringify({
+        trigger,
+        originalUrl,
+        convertedUrl,
+        linkType: route.linkType || '',
+        protocol: route.protocol,
+        routeSource: route.source
+      })
+    }));
   }
 
-  // 檢查是否需要處理
-  function needsInterception(url) {
-    return isVSCodeUrl(url) || isVSCodeDevUrl(url) || isMCPUrl(url);
+  // 連結無法轉為目標 IDE 的格式（例如 MCP 設定含目標 IDE 不支援的欄位）：取消導航，由 content.js 通知使用者
+  function reportBlocked(trigger, url) {
+    console.warn('[IDE Switcher] 無法轉換，已取消導航: ' + url);
+    document.dispatchEvent(new CustomEvent(BLOCKED_EVENT, { detail: JSON.stringify({ trigger, url }) }));
   }
 
   // 攔截 window.location.href 設定
@@ -272,11 +138,17 @@
     Object.defineProperty(window.location, 'href', {
       get: originalDescriptor.get,
       set: function (value) {
-        if (needsInterception(value)) {
+        if (isInterceptionEnabled() && needsInterception(value)) {
+          if (requestChooser(value) || requestMcpReview(value) || requestFileLinkOpen('location.href', value)) return;
           const newUrl = processUrl(value);
-          if (newUrl && newUrl !== value) {
+          if (newUrl === null) {
+            reportBlocked('location.href', value);
+            return;
+          }
+          if (newUrl !== value) {
             console.log('[IDE Switcher] 攔截 JS 導航: ' + value);
             console.log('[IDE Switcher] 重定向至: ' + newUrl);
+            reportInterception('location.href', value, newUrl);
             value = newUrl;
           }
         }
@@ -289,11 +161,17 @@
   // 攔截 window.location.assign (透過 Location.prototype)
   const originalAssign = Location.prototype.assign;
   Location.prototype.assign = function (url) {
-    if (needsInterception(url)) {
+    if (isInterceptionEnabled() && needsInterception(url)) {
+      if (requestChooser(url) || requestMcpReview(url) || requestFileLinkOpen('location.assign', url)) return;
       const newUrl = processUrl(url);
-      if (newUrl && newUrl !== url) {
+      if (newUrl === null) {
+        reportBlocked('location.assign', url);
+        return;
+      }
+      if (newUrl !== url) {
         console.log('[IDE Switcher] 攔截 assign: ' + url);
         console.log('[IDE Switcher] 重定向至: ' + newUrl);
+        reportInterception('location.assign', url, newUrl);
         url = newUrl;
       }
     }
@@ -303,11 +181,17 @@
   // 攔截 window.location.replace (透過 Location.prototype)
   const originalReplace = Location.prototype.replace;
   Location.prototype.replace = function (url) {
-    if (needsInterception(url)) {
+    if (isInterceptionEnabled() && needsInterception(url)) {
+      if (requestChooser(url) || requestMcpReview(url) || requestFileLinkOpen('location.replace', url)) return;
       const newUrl = processUrl(url);
-      if (newUrl && newUrl !== url) {
+      if (newUrl === null) {
+        reportBlocked('location.replace', url);
+        return;
+      }
+      if (newUrl !== url) {
         console.log('[IDE Switcher] 攔截 replace: ' + url);
         console.log('[IDE Switcher] 重定向至: ' + newUrl);
+        reportInterception('location.replace', url, newUrl);
         url = newUrl;
       }
     }
@@ -317,11 +201,17 @@
   // 攔截 window.open
   const originalOpen = window.open;
   window.open = function (url, ...args) {
-    if (needsInterception(url)) {
+    if (isInterceptionEnabled() && needsInterception(url)) {
+      if (requestChooser(url) || requestMcpReview(url) || requestFileLinkOpen('window.open', url)) return null;
       const newUrl = processUrl(url);
-      if (newUrl && newUrl !== url) {
+      if (newUrl === null) {
+        reportBlocked('window.open', url);
+        return null;
+      }
+      if (newUrl !== url) {
         console.log('[IDE Switcher] 攔截 window.open: ' + url);
         console.log('[IDE Switcher] 重定向至: ' + newUrl);
+        reportInterception('window.open', url, newUrl);
         url = newUrl;
       }
     }
@@ -0,0 +1,288 @@
+/**
+ * IDE Link Interceptor - MCP Catalog
+ *
+ * MCP 伺服器目錄（名稱 → 倉庫、安裝設定與傳輸方式），供 mcp/by-name 連結查詢：
+ * 1. background.js：合併內建目錄與使用者自訂項目，解析 by-name 連結
+ * 2. options.js：顯示、匯入與移除使用者自訂項目
+ * 3. tests/：透過 Node.js require 載入
+ *
+ * 內建目錄隨擴充功能版本更新；使用者自訂項目存放於 chrome.storage.local，同名時優先於內建項目。
+ *
+ * 依賴 mcp-translator.js（IDELinkMcpTranslator）驗證安裝設定與讀取各 IDE 的 MCP 設定檔。
+ */
+
+/* global module, require */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./mcp-translator.js'));
+  } else {
+    root.IDELinkMcpCatalog = factory(root.IDELinkMcpTranslator);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (mcpTranslator) {
+  'use strict';
+
+  const { MCP_FORMATS, translateMcpServer } = mcpTranslator;
+
+  const MCP_CATALOG_KEY = 'mcpCatalog';
+
+  // 目錄項目名稱與別名格式（與 by-name 連結中的名稱相同，可含 registry 的 namespace/）
+  const CATALOG_NAME_PATTERN = /^[\w@.-][\w@./-]{0,127}$/;
+  const CATALOG_TRANSPORTS = new Set(['stdio', 'http', 'sse']);
+
+  // 找不到名稱時改以 GitHub 搜尋
+  const MCP_SEARCH_URL = 'https://github.com/search?type=repositories&q=';
+
+  // 內建目錄；config 為 null 的項目只能顯示安裝說明（例如需要使用者指定參數）
+  const BUNDLED_MCP_CATALOG = deepFreeze([
+    {
+      name: 'huggingface',
+      aliases: ['hf-mcp-server'],
+      repo: 'https://github.com/huggingface/hf-mcp-server',
+      transport: 'http',
+      config: { type: 'http', url: 'https://huggingface.co/mcp' }
+    },
+    {
+      name: 'github',
+      aliases: ['github-mcp-server'],
+      repo: 'https://github.com/github/github-mcp-server',
+      transport: 'http',
+      config: { type: 'http', url: 'https://api.githubcopilot.com/mcp/' }
+    },
+    {
+      name: 'playwright',
+      aliases: ['playwright-mcp'],
+      repo: 'https://github.com/microsoft/playwright-mcp',
+      transport: 'stdio',
+      config: { command: 'npx', args: ['@playwright/mcp@latest'] }
+    },
+    {
+      name: 'context7',
+      aliases: ['context7-mcp'],
+      repo: 'https://github.com/upstash/context7',
+      transport: 'stdio',
+      config: { command: 'npx', args: ['-y', '@upstash/context7-mcp'] }
+    },
+    {
+      name: 'chrome-devtools',
+      aliases: ['chrome-devtools-mcp'],
+      repo: 'https://github.com/ChromeDevTools/chrome-devtools-mcp',
+      transport: 'stdio',
+      config: { command: 'npx', args: ['-y', 'chrome-devtools-mcp@latest'] }
+    },
+    {
+      name: 'fetch',
+      aliases: ['mcp-server-fetch'],
+      repo: 'https://github.com/modelcontextprotocol/servers',
+      transport: 'stdio',
+      config: { command: 'uvx', args: ['mcp-server-fetch'] }
+    },
+    {
+      name: 'memory',
+      aliases: ['server-memory'],
+      repo: 'https://github.com/modelcontextprotocol/servers',
+      transport: 'stdio',
+      config: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-memory'] }
+    },
+    {
+      name: 'sequential-thinking',
+      aliases: ['server-sequential-thinking'],
+      repo: 'https://github.com/modelcontextprotocol/servers',
+      transport: 'stdio',
+      config: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-sequential-thinking'] }
+    },
+    {
+      name: 'filesystem',
+      aliases: ['server-filesystem'],
+      repo: 'https://github.com/modelcontextprotocol/servers',
+      transport: 'stdio',
+      config: null
+    },
+    {
+      name: 'sentry',
+      aliases: ['sentry-mcp'],
+      repo: 'https://github.com/getsentry/sentry-mcp',
+      transport: 'http',
+      config: { type: 'http', url: 'https://mcp.sentry.dev/mcp' }
+    },
+    {
+      name: 'notion',
+      aliases: ['notion-mcp-server'],
+      repo: 'https://github.com/makenotion/notion-mcp-server',
+      transport: 'http',
+      config: { type: 'http', url: 'https://mcp.notion.com/mcp' }
+    }
+  ]);
+
+  function deepFreeze(value) {
+    if (value && typeof value === 'object') {
+      Object.values(value).forEach(deepFreeze);
+      Object.freeze(value);
+    }
+    return value;
+  }
+
+  /**
+   * 比對用的名稱：解碼、去除空白並轉小寫
+   */
+  function toLookupKey(name) {
+    if (typeof name !== 'string') return '';
+    let decoded = name;
+    try {
+      decoded = decodeURIComponent(name);
+    } catch {
+      // 保留原始名稱
+    }
+    return decoded.trim().toLowerCase();
+  }
+
+  /**
+   * 以指定格式讀取安裝設定，轉為 VS Code 格式（不含 name）；無效時返回 null
+   * @returns {{config: Object, transport: string}|null}
+   */
+  function readCatalogConfig(raw, format, name) {
+    const { server, config, error } = translateMcpServer(raw, format, MCP_FORMATS.VSCODE, name);
+    if (error) return null;
+    // eslint-disable-next-line no-unused-vars
+    const { name: _name, ...rest } = config;
+    return { config: rest, transport: server.transport };
+  }
+
+  /**
+   * 正規化單一目錄項目；需有倉庫網址或安裝設定
+   * @param {*} raw - storage 或匯入檔的原始值
+   * @returns {{name: string, aliases: string[], repo: string, transport: string, config: Object|null}|null}
+   */
+  function normalizeCatalogEntry(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!CATALOG_NAME_PATTERN.test(name)) return null;
+
+    const repo = typeof raw.repo === 'string' && /^https:\/\//i.test(raw.repo.trim()) ? raw.repo.trim() : '';
+    const translated = raw.config ? readCatalogConfig(raw.config, MCP_FORMATS.VSCODE, name) : null;
+    if (!repo && !translated) return null;
+
+    const aliases = Array.isArray(raw.aliases)
+      ? [...new Set(raw.aliases
+        .filter(alias => typeof alias === 'string')
+        .map(alias => alias.trim())
+        .filter(alias => CATALOG_NAME_PATTERN.test(alias) && alias.toLowerCase() !== name.toLowerCase()))]
+      : [];
+
+    // 有安裝設定時由設定決定實際的傳輸方式
+    const transport = translated ? translated.transport : CATALOG_TRANSPORTS.has(raw.transport) ? raw.transport : '';
+
+    return { name, aliases, repo, transport, config: translated ? translated.config : null };
+  }
+
+  /**
+   * 正規化目錄清單：濾除無效項目，同名（不分大小寫）時保留後出現者
+   * @param {*} value - storage 原始值
+   * @returns {Array<Object>}
+   */
+  function normalizeMcpCatalog(value) {
+    if (!Array.isArray(value)) return [];
+    const entries = new Map();
+    value.map(normalizeCatalogEntry).filter(Boolean).forEach(entry => {
+      const key = entry.name.toLowerCase();
+      entries.delete(key);
+      entries.set(key, entry);
+    });
+    return [...entries.values()];
+  }
+
+  /**
+   * 解析匯入的 JSON 文字
+   * 支援目錄項目陣列、{ entries: [...] }，以及 IDE 的 MCP 設定檔（{ mcpServers: {...} } 或 VS Code 的 { servers: {...} }）
+   * @param {string} text - JSON 文字
+   * @returns {{entries: Array<Object>, skipped: number}}
+   * @throws {SyntaxError} JSON 格式錯誤
+   */
+  function parseMcpCatalogImport(text) {
+    const data = JSON.parse(text);
+    let raw = [];
+
+    if (Array.isArray(data)) {
+      raw = data;
+    } else if (data && typeof data === 'object') {
+      const servers = data.mcpServers || data.servers;
+      if (Array.isArray(data.entries)) {
+        raw = data.entries;
+      } else if (servers && typeof servers === 'object' && !Array.isArray(servers)) {
+        // VS Code 的 servers 使用 VS Code 格式；mcpServers 中有 serverUrl 者為 Windsurf / Antigravity 格式，其餘同 Cursor
+        raw = Object.entries(servers).map(([name, config]) => {
+          let format = MCP_FORMATS.CURSOR;
+          if (!data.mcpServers) {
+            format = MCP_FORMATS.VSCODE;
+          } else if (config && config.serverUrl !== undefined) {
+            format = MCP_FORMATS.WINDSURF;
+          }
+          const translated = readCatalogConfig(config, format, name);
+          return { name, config: translated ? translated.config : null };
+        });
+      }
+    }
+
+    const entries = normalizeMcpCatalog(raw);
+    return { entries, skipped: raw.length - entries.length };
+  }
+
+  /**
+   * 將匯入的項目合併進使用者目錄（同名者以匯入的取代）
+   */
+  function mergeMcpCatalog(existing, imported) {
+    return normalizeMcpCatalog([...normalizeMcpCatalog(existing), ...normalizeMcpCatalog(imported)]);
+  }
+
+  function matchesEntry(entry, key) {
+    return entry.name.toLowerCase() === key || entry.aliases.some(alias => alias.toLowerCase() === key);
+  }
+
+  /**
+   * 依名稱或別名查詢目錄（不分大小寫），使用者項目優先於內建項目
+   * 找不到時改以 registry 名稱的最後一段（namespace/name 中的 name）再查一次
+   * @param {string} name - by-name 連結中的伺服器名稱
+   * @param {Array<Object>} [userCatalog] - 使用者自訂項目（已正規化）
+   * @returns {Object|null} 目錄項目
+   */
+  function resolveMcpCatalogEntry(name, userCatalog = []) {
+    const key = toLookupKey(name);
+    if (!key) return null;
+
+    const catalog = [...userCatalog, ...BUNDLED_MCP_CATALOG];
+    const keys = key.includes('/') ? [key, key.split('/').pop()] : [key];
+    for (const candidate of keys) {
+      const entry = catalog.find(item => matchesEntry(item, candidate));
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * 將目錄項目轉為 parseMcpInstallUrl 格式的伺服器設定（沒有安裝設定時返回 null）
+   */
+  function catalogEntryToServer(entry) {
+    if (!entry || !entry.config) return null;
+    return JSON.parse(JSON.stringify({ name: entry.name, ...entry.config }));
+  }
+
+  /**
+   * 目錄中找不到名稱時的搜尋網址
+   */
+  function getMcpSearchUrl(name) {
+    const key = toLookupKey(name).split('/').pop() || 'mcp';
+    return `${MCP_SEARCH_URL}${encodeURIComponent(`${key} mcp server`)}`;
+  }
+
+  return Object.freeze({
+    MCP_CATALOG_KEY,
+    BUNDLED_MCP_CATALOG,
+    normalizeCatalogEntry,
+    normalizeMcpCatalog,
+    parseMcpCatalogImport,
+    mergeMcpCatalog,
+    resolveMcpCatalogEntry,
+    catalogEntryToServer,
+    getMcpSearchUrl
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * IDE Link Interceptor - MCP Install Review
+ *
+ * MCP 安裝連結轉交 IDE 前的檢視邏輯（伺服器摘要、設定驗證與風險判斷）：
+ * 1. confirm-mcp.js：在確認視窗中顯示摘要與風險，並即時檢查使用者編輯的設定
+ * 2. background.js：再次驗證確認視窗傳回的設定
+ * 3. tests/：透過 Node.js require 載入
+ */
+
+/* global module */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IDELinkMcpReview = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // MCP 伺服器的傳輸方式
+  const MCP_TRANSPORTS = Object.freeze({
+    STDIO: 'stdio',
+    HTTP: 'http',
+    SSE: 'sse'
+  });
+
+  // 設定內容的風險類型
+  const MCP_RISKS = Object.freeze({
+    PIPE_TO_SHELL: 'pipeToShell',       // 下載後直接交給 shell 執行（curl | sh）
+    SHELL_OPERATORS: 'shellOperators',  // 命令含管線、串接或命令替換
+    SHELL_COMMAND: 'shellCommand',      // 以 shell 直譯器執行任意命令
+    UNKNOWN_PACKAGE: 'unknownPackage',  // npx / uvx 等執行的套件不在已知清單中
+    INSECURE_URL: 'insecureUrl'         // 非本機的 http:// 網址
+  });
+
+  // 設定無法使用的原因
+  const MCP_CONFIG_ERRORS = Object.freeze({
+    NOT_OBJECT: 'notObject',
+    MISSING_NAME: 'missingName',
+    MISSING_TARGET: 'missingTarget', // 沒有 command 也沒有 url
+    INVALID_ARGS: 'invalidArgs',     // args 不是字串陣列
+    INVALID_ENV: 'invalidEnv'        // env 不是字串物件
+  });
+
+  // 常見的 MCP 伺服器套件（npm 與 PyPI）；@scope/ 結尾表示整個 scope
+  const KNOWN_MCP_PACKAGES = Object.freeze([
+    '@modelcontextprotocol/',
+    '@playwright/mcp',
+    '@upstash/context7-mcp',
+    '@sentry/mcp-server',
+    '@notionhq/notion-mcp-server',
+    '@stripe/mcp',
+    '@supabase/mcp-server-supabase',
+    '@azure/mcp',
+    'chrome-devtools-mcp',
+    'mcp-server-fetch',
+    'mcp-server-git',
+    'mcp-server-time',
+    'mcp-server-sqlite'
+  ]);
+
+  // 下載並執行套件的命令
+  const PACKAGE_RUNNERS = new Set(['npx', 'pnpx', 'bunx', 'uvx']);
+
+  // shell 直譯器
+  const SHELL_INTERPRETERS = new Set(['sh', 'bash', 'zsh', 'dash', 'fish', 'cmd', 'powershell', 'pwsh']);
+
+  const PIPE_TO_SHELL_PATTERN =
+    /\b(curl|wget|iwr|irm|invoke-webrequest|invoke-restmethod)\b[^|]*\|\s*(sudo\s+)?(sh|bash|zsh|dash|python3?|node|iex|invoke-expression|pwsh|powershell)\b/i;
+  const SHELL_OPERATOR_PATTERN = /\||&&|;|`|\$\(/;
+  const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+  /**
+   * 取得命令名稱（去除路徑與 Windows 副檔名）
+   */
+  function getCommandName(command) {
+    return command.split(/[\\/]/).pop().toLowerCase().replace(/\.(cmd|exe|bat)$/, '');
+  }
+
+  /**
+   * 從 npx / uvx 等命令的參數取得要執行的套件名稱（去除版本）
+   */
+  function findRunnerPackage(args) {
+    let spec = null;
+    for (let i = 0; i < args.length && spec === null; i++) {
+      const arg = args[i];
+      const inline = arg.match(/^--(?:package|from)=(.+)$/);
+      if (/^(-p|--package|--from)$/.test(arg)) {
+        spec = args[i + 1] || '';
+      } else if (inline) {
+        spec = inline[1];
+      } else if (!arg.startsWith('-')) {
+        spec = arg;
+      }
+    }
+    if (!spec) return null;
+    // npm: name@version / @scope/name@version；PyPI: name==version、name[extra]
+    return spec.replace(/(?!^)@.*$/, '').split(/[=<>~![]/)[0].toLowerCase();
+  }
+
+  function isKnownPackage(name) {
+    return KNOWN_MCP_PACKAGES.some(known => known.endsWith('/') ? name.startsWith(known) : name === known);
+  }
+
+  function isInsecureUrl(value) {
+    if (typeof value !== 'string' || !/^http:\/\//i.test(value)) return false;
+    try {
+      const { hostname } = new URL(value);
+      return !LOOPBACK_HOSTS.has(hostname) && !hostname.startsWith('127.');
+    } catch {
+      return true;
+    }
+  }
+
+  /**
+   * 整理伺服器設定的摘要（未指定 type 時依 command / url 推斷傳輸方式）
+   * @param {Object} server - parseMcpInstallUrl 格式的伺服器設定
+   * @returns {{name: string, transport: string, command: string, args: string[], env: Object<string, string>, url: string}}
+   */
+  function describeMcpServer(server) {
+    const command = typeof server.command === 'string' ? server.command : '';
+    const url = typeof server.url === 'string' ? server.url : '';
+    let transport = Object.values(MCP_TRANSPORTS).includes(server.type) ? server.type : null;
+    if (!transport) {
+      transport = command || !url ? MCP_TRANSPORTS.STDIO : MCP_TRANSPORTS.HTTP;
+    }
+    return {
+      name: typeof server.name === 'string' ? server.name : '',
+      transport,
+      command,
+      args: Array.isArray(server.args) ? server.args.map(String) : [],
+      env: server.env && typeof server.env === 'object' ? { ...server.env } : {},
+      url
+    };
+  }
+
+  /**
+   * 驗證使用者編輯後的伺服器設定
+   * @returns {string|null} MCP_CONFIG_ERRORS 之一；可使用時返回 null
+   */
+  function validateMcpServer(server) {
+    if (!server || typeof server !== 'object' || Array.isArray(server)) return MCP_CONFIG_ERRORS.NOT_OBJECT;
+    if (typeof server.name !== 'string' || !server.name.trim()) return MCP_CONFIG_ERRORS.MISSING_NAME;
+    if (!(typeof server.command === 'string' && server.command.trim()) &&
+      !(typeof server.url === 'string' && server.url.trim())) {
+      return MCP_CONFIG_ERRORS.MISSING_TARGET;
+    }
+    if (server.args !== undefined && !(Array.isArray(server.args) && server.args.every(arg => typeof arg === 'string'))) {
+      return MCP_CONFIG_ERRORS.INVALID_ARGS;
+    }
+    if (server.env !== undefined && !(server.env && typeof server.env === 'object' && !Array.isArray(server.env) &&
+      Object.values(server.env).every(value => typeof value === 'string'))) {
+      return MCP_CONFIG_ERRORS.INVALID_ENV;
+    }
+    return null;
+  }
+
+  /**
+   * 找出設定內容中的風險
+   * @param {Object} server - parseMcpInstallUrl 格式的伺服器設定
+   * @returns {Array<{risk: string, detail: string}>}
+   */
+  function assessMcpRisks(server) {
+    const { command, args, url } = describeMcpServer(server);
+    const risks = [];
+    const commandLine = [command, ...args].join(' ').trim();
+
+    if (PIPE_TO_SHELL_PATTERN.test(commandLine)) {
+      risks.push({ risk: MCP_RISKS.PIPE_TO_SHELL, detail: commandLine });
+    } else if ([command, ...args].some(part => SHELL_OPERATOR_PATTERN.test(part))) {
+      risks.push({ risk: MCP_RISKS.SHELL_OPERATORS, detail: commandLine });
+    }
+
+    const commandName = command ? getCommandName(command) : '';
+    if (SHELL_INTERPRETERS.has(commandName)) {
+      risks.push({ risk: MCP_RISKS.SHELL_COMMAND, detail: commandName });
+    }
+
+    if (PACKAGE_RUNNERS.has(commandName)) {
+      const pkg = findRunnerPackage(args);
+      if (!pkg || !isKnownPackage(pkg)) {
+        risks.push({ risk: MCP_RISKS.UNKNOWN_PACKAGE, detail: pkg || commandName });
+      }
+    }
+
+    [url, ...args].filter(isInsecureUrl).forEach(insecure => {
+      risks.push({ risk: MCP_RISKS.INSECURE_URL, detail: insecure });
+    });
+
+    return risks;
+  }
+
+  return Object.freeze({
+    MCP_TRANSPORTS,
+    MCP_RISKS,
+    MCP_CONFIG_ERRORS,
+    KNOWN_MCP_PACKAGES,
+    describeMcpServer,
+    validateMcpServer,
+    assessMcpRisks
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * IDE Link Interceptor - MCP Config Translator
+ *
+ * 在各 IDE 的 MCP 伺服器設定格式之間轉換，中間經過正規化的伺服器模型：
+ * 1. url-conversion.js：MCP 安裝連結在 VS Code（mcp/install）與 Cursor deeplink 之間轉換
+ * 2. mcp-catalog.js：匯入 IDE 的 MCP 設定檔
+ * 3. background.js：寫入 mcp_config.json 前轉為目標 IDE 的格式，再交給 Native Host 合併
+ * 4. tests/：透過 Node.js require 載入
+ *
+ * 支援的格式：
+ * - vscode：{ name, type: 'stdio'|'http'|'sse', command, args, env, url, headers, inputs }
+ * - cursor：{ type, command, args, env, url, headers }（名稱另外以 deeplink 的 name 參數傳遞）
+ * - windsurf / antigravity：mcp_config.json 的 mcpServers 項目，遠端伺服器以 serverUrl 表示
+ * 只轉換上列欄位；stdio 為預設傳輸方式，寫出時不加 type。
+ */
+
+/* global module */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IDELinkMcpTranslator = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // 設定格式
+  const MCP_FORMATS = Object.freeze({
+    VSCODE: 'vscode',
+    CURSOR: 'cursor',
+    WINDSURF: 'windsurf',
+    ANTIGRAVITY: 'antigravity'
+  });
+
+  // 無法讀取或寫出設定的原因
+  const MCP_TRANSLATION_ERRORS = Object.freeze({
+    UNSUPPORTED_FORMAT: 'unsupportedFormat',
+    NOT_OBJECT: 'notObject',
+    MISSING_NAME: 'missingName',
+    MISSING_TARGET: 'missingTarget',          // 沒有 command 也沒有 url
+    INVALID_TYPE: 'invalidType',              // type 不是 stdio / http / sse
+    INVALID_URL: 'invalidUrl',                // 遠端伺服器網址不是 http(s)
+    INVALID_ARGS: 'invalidArgs',              // args 不是字串陣列
+    INVALID_ENV: 'invalidEnv',                // env 不是字串物件
+    INVALID_HEADERS: 'invalidHeaders',        // headers 不是字串物件
+    INVALID_INPUTS: 'invalidInputs',          // inputs 格式錯誤，或引用了未宣告的 ${input:id}
+    UNSUPPORTED_INPUTS: 'unsupportedInputs'   // 目標格式不支援 VS Code 的 inputs
+  });
+
+  const TRANSPORTS = new Set(['stdio', 'http', 'sse']);
+  const INPUT_TYPES = new Set(['promptString', 'pickString']);
+  const INPUT_REFERENCE_PATTERN = /\$\{input:([^}]+)\}/g;
+
+  // 各格式的遠端伺服器網址欄位
+  const URL_KEYS = Object.freeze({
+    [MCP_FORMATS.VSCODE]: 'url',
+    [MCP_FORMATS.CURSOR]: 'url',
+    [MCP_FORMATS.WINDSURF]: 'serverUrl',
+    [MCP_FORMATS.ANTIGRAVITY]: 'serverUrl'
+  });
+
+  // 沒有 MCP 安裝 deeplink、以 mcp_config.json 設定 MCP 伺服器的格式
+  const CONFIG_FILE_FORMATS = new Set([MCP_FORMATS.WINDSURF, MCP_FORMATS.ANTIGRAVITY]);
+
+  // 沒有專屬格式的協議（VS Code、Insiders 與自訂分支）一律使用 VS Code 格式
+  const PROTOCOL_FORMATS = Object.freeze({
+    cursor: MCP_FORMATS.CURSOR,
+    windsurf: MCP_FORMATS.WINDSURF,
+    antigravity: MCP_FORMATS.ANTIGRAVITY
+  });
+
+  function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function isStringMap(value) {
+    return isPlainObject(value) && Object.values(value).every(item => typeof item === 'string');
+  }
+
+  function isHttpUrl(value) {
+    if (typeof value !== 'string') return false;
+    try {
+      const { protocol } = new URL(value.trim());
+      return protocol === 'http:' || protocol === 'https:';
+    } catch {
+      return false;
+    }
+  }
+
+  function isValidInput(input) {
+    return isPlainObject(input) && typeof input.id === 'string' && input.id.trim() !== '' && INPUT_TYPES.has(input.type);
+  }
+
+  function fail(error) {
+    return { server: null, error };
+  }
+
+  /**
+   * 取得協議使用的設定格式
+   */
+  function getMcpFormat(protocol) {
+    return PROTOCOL_FORMATS[protocol] || MCP_FORMATS.VSCODE;
+  }
+
+  /**
+   * 協議是否以 mcp_config.json 設定 MCP 伺服器（沒有安裝 deeplink，需由 Native Host 寫入設定檔）
+   */
+  function usesMcpConfigFile(protocol) {
+    return CONFIG_FILE_FORMATS.has(getMcpFormat(protocol));
+  }
+
+  /**
+   * 讀取指定格式的伺服器設定並轉為正規化模型
+   * @param {*} raw - 設定物件
+   * @param {string} format - MCP_FORMATS 之一
+   * @param {string} [name] - 設定檔以鍵名、Cursor deeplink 以參數傳遞的名稱（優先於設定中的 name）
+   * @returns {{server: {name: string, transport: string, command: string, args: string[], env: Object<string, string>,
+   *   url: string, headers: Object<string, string>, inputs: Object[]}|null, error: string|null}}
+   */
+  function readMcpServer(raw, format, name) {
+    if (!URL_KEYS[format]) return fail(MCP_TRANSLATION_ERRORS.UNSUPPORTED_FORMAT);
+    if (!isPlainObject(raw)) return fail(MCP_TRANSLATION_ERRORS.NOT_OBJECT);
+
+    const serverName = [name, raw.name].find(value => typeof value === 'string' && value.trim());
+    if (!serverName) return fail(MCP_TRANSLATION_ERRORS.MISSING_NAME);
+
+    // Windsurf / Antigravity 也接受 url
+    const url = raw[URL_KEYS[format]] ?? raw.url;
+    const hasCommand = typeof raw.command === 'string' && raw.command.trim() !== '';
+    if (raw.type !== undefined && !TRANSPORTS.has(raw.type)) return fail(MCP_TRANSLATION_ERRORS.INVALID_TYPE);
+
+    let transport = raw.type;
+    if (!transport) {
+      if (hasCommand) {
+        transport = 'stdio';
+      } else if (url !== undefined) {
+        transport = 'http';
+      } else {
+        return fail(MCP_TRANSLATION_ERRORS.MISSING_TARGET);
+      }
+    }
+
+    const server = {
+      name: serverName.trim(),
+      transport,
+      command: '',
+      args: [],
+      env: {},
+      url: '',
+      headers: {},
+      inputs: []
+    };
+
+    if (transport === 'stdio') {
+      if (!hasCommand) return fail(MCP_TRANSLATION_ERRORS.MISSING_TARGET);
+      if (raw.args !== undefined && !(Array.isArray(raw.args) && raw.args.every(arg => typeof arg === 'string'))) {
+        return fail(MCP_TRANSLATION_ERRORS.INVALID_ARGS);
+      }
+      if (raw.env !== undefined && !isStringMap(raw.env)) return fail(MCP_TRANSLATION_ERRORS.INVALID_ENV);
+      server.command = raw.command;
+      server.args = raw.args ? [...raw.args] : [];
+      server.env = raw.env ? { ...raw.env } : {};
+    } else {
+      if (url === undefined) return fail(MCP_TRANSLATION_ERRORS.MISSING_TARGET);
+      if (!isHttpUrl(url)) return fail(MCP_TRANSLATION_ERRORS.INVALID_URL);
+      if (raw.headers !== undefined && !isStringMap(raw.headers)) return fail(MCP_TRANSLATION_ERRORS.INVALID_HEADERS);
+      server.url = url.trim();
+      server.headers = raw.headers ? { ...raw.headers } : {};
+    }
+
+    if (raw.inputs !== undefined) {
+      if (!Array.isArray(raw.inputs) || !raw.inputs.every(isValidInput)) return fail(MCP_TRANSLATION_ERRORS.INVALID_INPUTS);
+      server.inputs = raw.inputs.map(input => ({ ...input }));
+    }
+
+    return { server, error: null };
+  }
+
+  /**
+   * 找出設定中引用的 ${input:id}
+   */
+  function findInputReferences(server) {
+    const values = [server.command, ...server.args, ...Object.values(server.env), server.url, ...Object.values(server.headers)];
+    const ids = new Set();
+    values.forEach(value => {
+      for (const match of value.matchAll(INPUT_REFERENCE_PATTERN)) {
+        ids.add(match[1]);
+      }
+    });
+    return [...ids];
+  }
+
+  /**
+   * 將正規化模型寫出為指定格式的設定
+   * vscode 格式包含 name；其他格式的名稱由呼叫端另外處理（deeplink 參數或 mcpServers 的鍵）
+   * @param {Object} server - readMcpServer 回傳的模型
+   * @param {string} format - MCP_FORMATS 之一
+   * @returns {{config: Object|null, error: string|null}}
+   */
+  function writeMcpServer(server, format) {
+    if (!URL_KEYS[format]) return { config: null, error: MCP_TRANSLATION_ERRORS.UNSUPPORTED_FORMAT };
+
+    const declared = new Set(server.inputs.map(input => input.id));
+    const referenced = findInputReferences(server);
+    if (format !== MCP_FORMATS.VSCODE && (server.inputs.length > 0 || referenced.length > 0)) {
+      return { config: null, error: MCP_TRANSLATION_ERRORS.UNSUPPORTED_INPUTS };
+    }
+    if (referenced.some(id => !declared.has(id))) {
+      return { config: null, error: MCP_TRANSLATION_ERRORS.INVALID_INPUTS };
+    }
+
+    const config = {};
+    if (format === MCP_FORMATS.VSCODE) {
+      config.name = server.name;
+    }
+    // Windsurf / Antigravity 由 serverUrl 判斷遠端伺服器，不使用 type
+    if (server.transport !== 'stdio' && (format === MCP_FORMATS.VSCODE || format === MCP_FORMATS.CURSOR)) {
+      config.type = server.transport;
+    }
+
+    if (server.transport === 'stdio') {
+      config.command = server.command;
+      if (server.args.length > 0) config.args = [...server.args];
+      if (Object.keys(server.env).length > 0) config.env = { ...server.env };
+    } else {
+      config[URL_KEYS[format]] = server.url;
+      if (Object.keys(server.headers).length > 0) config.headers = { ...server.headers };
+    }
+
+    if (server.inputs.length > 0) {
+      config.inputs = server.inputs.map(input => ({ ...input }));
+    }
+    return { config, error: null };
+  }
+
+  /**
+   * 將設定從一種格式轉為另一種格式
+   * @returns {{server: Object|null, config: Object|null, error: string|null}} server 為中間的正規化模型
+   */
+  function translateMcpServer(raw, fromFormat, toFormat, name) {
+    const { server, error } = readMcpServer(raw, fromFormat, name);
+    if (error) return { server: null, config: null, error };
+    return { server, ...writeMcpServer(server, toFormat) };
+  }
+
+  return Object.freeze({
+    MCP_FORMATS,
+    MCP_TRANSLATION_ERRORS,
+    getMcpFormat,
+    usesMcpConfigFile,
+    readMcpServer,
+    writeMcpServer,
+    translateMcpServer
+  });
+});
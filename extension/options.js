@@ -0,0 +1,1147 @@
+/**
+ * IDE Link Interceptor - Options Page Script
+ *
+ * 管理 chrome.storage.sync 中的所有設定（鍵名與預設值見 settings.js / docs/settings-schema.md）
+ * 並顯示 Native Host 與各 IDE 協議註冊狀態，以及 chrome.storage.local 中的攔截紀錄（見 history.js）
+ * 與使用者自訂的 MCP 目錄項目（見 mcp-catalog.js）
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    getIdeOptions,
+    normalizeCustomIdes,
+    setCustomIdes,
+    setPathMappings,
+    normalizeRepoUrl,
+    parseExtensionSpec,
+    ROUTABLE_LINK_TYPES
+  } = IDELinkConversion;
+
+  const { SETTINGS_KEYS, normalizeSettings } = IDELinkSettings;
+
+  const {
+    HISTORY_KEY,
+    OUTCOMES,
+    historyToJson,
+    historyToCsv,
+    buildRerouteUrl
+  } = IDELinkHistory;
+
+  const { MCP_CATALOG_KEY, normalizeMcpCatalog, parseMcpCatalogImport, mergeMcpCatalog } = IDELinkMcpCatalog;
+
+  // 連結類型顯示名稱的 i18n key 與預設文字
+  const LINK_TYPE_LABELS = {
+    extension: ['linkTypeExtension', 'Extensions & VSIX'],
+    mcp: ['linkTypeMcp', 'MCP servers'],
+    file: ['linkTypeFile', 'Files'],
+    clone: ['linkTypeClone', 'Git clone']
+  };
+
+  // 目前設定（正規化後）
+  let settings = normalizeSettings({});
+
+  // 最近一次檢查的協議註冊狀態
+  let registrationStatus = {};
+
+  // 攔截紀錄（新紀錄在前）
+  let history = [];
+
+  // 使用者自訂的 MCP 目錄項目
+  let mcpCatalog = [];
+
+  // 攔截結果顯示名稱的 i18n key 與預設文字
+  const OUTCOME_LABELS = {
+    [OUTCOMES.REDIRECTED]: ['historyOutcomeRedirected', 'Redirected'],
+    [OUTCOMES.PASSTHROUGH]: ['historyOutcomePassthrough', 'Kept original'],
+    [OUTCOMES.INSTALLED]: ['historyOutcomeInstalled', 'Installed'],
+    [OUTCOMES.ALREADY_INSTALLED]: ['historyOutcomeAlreadyInstalled', 'Already installed'],
+    [OUTCOMES.INSTALL_FAILED]: ['historyOutcomeInstallFailed', 'Install failed'],
+    [OUTCOMES.BLOCKED]: ['historyOutcomeBlocked', 'Blocked by policy'],
+    [OUTCOMES.DOWNLOADED]: ['historyOutcomeDownloaded', 'Downloaded VSIX'],
+    [OUTCOMES.INSTRUCTIONS]: ['historyOutcomeInstructions', 'Showed instructions'],
+    [OUTCOMES.CANCELLED]: ['historyOutcomeCancelled', 'Cancelled']
+  };
+
+  function getMessage(key, fallback, substitutions) {
+    return chrome.i18n.getMessage(key, substitutions) || fallback;
+  }
+
+  /**
+   * 套用 data-i18n 屬性指定的語言訊息（無對應訊息時保留 HTML 中的預設文字）
+   */
+  function localizePage() {
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      const message = chrome.i18n.getMessage(el.dataset.i18n);
+      if (message) {
+        el.textContent = message;
+      }
+    });
+
+    const placeholders = {
+      'site-rule-pattern': ['siteRulePatternPlaceholder', 'github.com/org/*'],
+      'path-mapping-from': ['optionsPathMappingFromPlaceholder', 'From (/builds/org/repo)'],
+      'path-mapping-to': ['optionsPathMappingToPlaceholder', 'To (/home/me/src/repo)'],
+      'repo-mapping-repo': ['optionsRepoMappingRepoPlaceholder', 'Repository (https://github.com/org/repo)'],
+      'repo-mapping-path': ['optionsRepoMappingPathPlaceholder', 'Local checkout (/home/me/src/repo)'],
+      'custom-ide-scheme': ['customIdeSchemePlaceholder', 'Scheme (vscodium)'],
+      'custom-ide-name': ['customIdeNamePlaceholder', 'Name'],
+      'custom-ide-command': ['customIdeCommandPlaceholder', 'CLI (codium)'],
+      'custom-ide-icon': ['customIdeIconPlaceholder', 'Icon (emoji / URL)'],
+      'extension-install-id': ['optionsExtensionsInstallPlaceholder', 'publisher.name@1.2.3']
+    };
+    for (const [id, [messageKey, fallback]] of Object.entries(placeholders)) {
+      document.getElementById(id).placeholder = getMessage(messageKey, fallback);
+    }
+  }
+
+  /**
+   * 顯示儲存結果
+   */
+  function showSaveStatus(message, isError = false) {
+    const statusEl = document.getElementById('save-status');
+    statusEl.textContent = message;
+    statusEl.classList.toggle('options-save-status--error', isError);
+  }
+
+  /**
+   * 寫入設定；畫面由 storage.onChanged 重新繪製
+   */
+  async function saveSettings(values) {
+    try {
+      await chrome.storage.sync.set(values);
+      showSaveStatus(getMessage('optionsSaved', 'Saved'));
+      return true;
+    } catch (error) {
+      console.error('儲存設定失敗:', error);
+      showSaveStatus(getMessage('optionsSaveFailed', 'Failed to save settings', [error.message]), true);
+      return false;
+    }
+  }
+
+  /**
+   * 取得目前可選的 IDE（內建 + 自訂）
+   */
+  function getCurrentIdeOptions() {
+    return getIdeOptions(settings[SETTINGS_KEYS.CUSTOM_IDES]);
+  }
+
+  /**
+   * 建立 IDE 下拉選單選項
+   */
+  function fillProtocolSelect(select, selectedProtocol) {
+    select.textContent = '';
+    getCurrentIdeOptions().forEach(ide => {
+      const option = document.createElement('option');
+      option.value = ide.id;
+      option.textContent = ide.name;
+      option.selected = ide.id === selectedProtocol;
+      select.appendChild(option);
+    });
+  }
+
+  function createRemoveButton(title, onClick) {
+    const remove = document.createElement('button');
+    remove.className = 'site-rule-remove';
+    remove.type = 'button';
+    remove.textContent = '×';
+    remove.title = title;
+    remove.addEventListener('click', onClick);
+    return remove;
+  }
+
+  function renderEmpty(listEl, text) {
+    const empty = document.createElement('li');
+    empty.className = 'site-rule-empty';
+    empty.textContent = text;
+    listEl.appendChild(empty);
+  }
+
+  /**
+   * 繪製一般設定
+   */
+  function renderGeneral() {
+    document.getElementById('interception-enabled').checked = settings[SETTINGS_KEYS.INTERCEPTION_ENABLED];
+    document.getElementById('ask-every-time').checked = settings[SETTINGS_KEYS.ASK_EVERY_TIME];
+    document.getElementById('mcp-modal-enabled').checked = !settings[SETTINGS_KEYS.MCP_MODAL_DISMISSED];
+    fillProtocolSelect(document.getElementById('default-ide'), settings[SETTINGS_KEYS.SELECTED_PROTOCOL]);
+  }
+
+  /**
+   * 繪製站台規則清單（可調整順序，第一條符合者生效）
+   */
+  function renderSiteRules() {
+    const listEl = document.getElementById('site-rule-list');
+    const rules = settings[SETTINGS_KEYS.SITE_RULES];
+    listEl.textContent = '';
+
+    if (rules.length === 0) {
+      renderEmpty(listEl, getMessage('siteRulesEmpty', 'No site rules. All sites use the selected IDE.'));
+    }
+
+    const saveRules = nextRules => saveSettings({ [SETTINGS_KEYS.SITE_RULES]: nextRules });
+
+    // 交換相鄰兩條規則的順序
+    const moveRule = (index, offset) => {
+      const nextRules = [...rules];
+      [nextRules[index], nextRules[index + offset]] = [nextRules[index + offset], nextRules[index]];
+      saveRules(nextRules);
+    };
+
+    rules.forEach((rule, index) => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+
+      const pattern = document.createElement('span');
+      pattern.className = 'site-rule-pattern';
+      pattern.textContent = rule.pattern;
+      pattern.title = rule.pattern;
+
+      const select = document.createElement('select');
+      select.className = 'site-rule-select';
+      fillProtocolSelect(select, rule.protocol);
+      select.addEventListener('change', () => {
+        saveRules(rules.map((r, i) => (i === index ? { ...r, protocol: select.value } : r)));
+      });
+
+      const up = document.createElement('button');
+      up.className = 'site-rule-move';
+      up.type = 'button';
+      up.textContent = '↑';
+      up.title = getMessage('optionsMoveUp', 'Move up');
+      up.disabled = index === 0;
+      up.addEventListener('click', () => moveRule(index, -1));
+
+      const down = document.createElement('button');
+      down.className = 'site-rule-move';
+      down.type = 'button';
+      down.textContent = '↓';
+      down.title = getMessage('optionsMoveDown', 'Move down');
+      down.disabled = index === rules.length - 1;
+      down.addEventListener('click', () => moveRule(index, 1));
+
+      const remove = createRemoveButton(getMessage('siteRuleRemove', 'Remove rule'), () => {
+        saveRules(rules.filter((_, i) => i !== index));
+      });
+
+      item.append(pattern, select, up, down, remove);
+      listEl.appendChild(item);
+    });
+
+    const protocolSelect = document.getElementById('site-rule-protocol');
+    fillProtocolSelect(protocolSelect, protocolSelect.value || settings[SETTINGS_KEYS.SELECTED_PROTOCOL]);
+  }
+
+  /**
+   * 繪製連結類型規則清單
+   */
+  function renderLinkTypeRules() {
+    const listEl = document.getElementById('link-type-list');
+    const linkTypeRules = settings[SETTINGS_KEYS.LINK_TYPE_RULES];
+    listEl.textContent = '';
+
+    ROUTABLE_LINK_TYPES.forEach(type => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+
+      const label = document.createElement('span');
+      label.className = 'link-type-label';
+      const [messageKey, fallback] = LINK_TYPE_LABELS[type];
+      label.textContent = getMessage(messageKey, fallback);
+
+      const select = document.createElement('select');
+      select.className = 'site-rule-select';
+      fillProtocolSelect(select, linkTypeRules[type]);
+
+      // 第一個選項：使用預設 IDE
+      const useDefault = document.createElement('option');
+      useDefault.value = '';
+      useDefault.textContent = getMessage('linkTypeUseDefault', 'Default');
+      useDefault.selected = !linkTypeRules[type];
+      select.insertBefore(useDefault, select.firstChild);
+
+      select.addEventListener('change', () => {
+        const nextRules = { ...linkTypeRules };
+        if (select.value) {
+          nextRules[type] = select.value;
+        } else {
+          delete nextRules[type];
+        }
+        saveSettings({ [SETTINGS_KEYS.LINK_TYPE_RULES]: nextRules });
+      });
+
+      item.append(label, select);
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * 繪製路徑改寫規則清單（可調整順序，第一條符合者生效）
+   */
+  function renderPathMappings() {
+    const listEl = document.getElementById('path-mapping-list');
+    const mappings = settings[SETTINGS_KEYS.PATH_MAPPINGS];
+    listEl.textContent = '';
+
+    if (mappings.length === 0) {
+      renderEmpty(listEl, getMessage('optionsPathMappingsEmpty', 'No path mappings. File links open with their original path.'));
+    }
+
+    const saveMappings = nextMappings => saveSettings({ [SETTINGS_KEYS.PATH_MAPPINGS]: nextMappings });
+
+    // 交換相鄰兩條規則的順序
+    const moveMapping = (index, offset) => {
+      const nextMappings = [...mappings];
+      [nextMappings[index], nextMappings[index + offset]] = [nextMappings[index + offset], nextMappings[index]];
+      saveMappings(nextMappings);
+    };
+
+    mappings.forEach((mapping, index) => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+
+      const text = `${mapping.from} → ${mapping.to}`;
+      const label = document.createElement('span');
+      label.className = 'site-rule-pattern';
+      label.textContent = text;
+      label.title = text;
+
+      const up = document.createElement('button');
+      up.className = 'site-rule-move';
+      up.type = 'button';
+      up.textContent = '↑';
+      up.title = getMessage('optionsMoveUp', 'Move up');
+      up.disabled = index === 0;
+      up.addEventListener('click', () => moveMapping(index, -1));
+
+      const down = document.createElement('button');
+      down.className = 'site-rule-move';
+      down.type = 'button';
+      down.textContent = '↓';
+      down.title = getMessage('optionsMoveDown', 'Move down');
+      down.disabled = index === mappings.length - 1;
+      down.addEventListener('click', () => moveMapping(index, 1));
+
+      const remove = createRemoveButton(getMessage('optionsPathMappingRemove', 'Remove mapping'), () => {
+        saveMappings(mappings.filter((_, i) => i !== index));
+      });
+
+      item.append(label, up, down, remove);
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * 繪製本機倉庫對應清單
+   */
+  function renderRepoMappings() {
+    const listEl = document.getElementById('repo-mapping-list');
+    const mappings = settings[SETTINGS_KEYS.REPO_MAPPINGS];
+    listEl.textContent = '';
+
+    if (mappings.length === 0) {
+      renderEmpty(listEl, getMessage('optionsRepoMappingsEmpty',
+        'No repository mappings. Repository file pages cannot be opened in an IDE.'));
+    }
+
+    mappings.forEach(mapping => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+
+      const text = `${mapping.repo} → ${mapping.path}`;
+      const label = document.createElement('span');
+      label.className = 'site-rule-pattern';
+      label.textContent = text;
+      label.title = text;
+
+      const remove = createRemoveButton(getMessage('optionsRepoMappingRemove', 'Remove mapping'), () => {
+        saveSettings({ [SETTINGS_KEYS.REPO_MAPPINGS]: mappings.filter(other => other !== mapping) });
+      });
+
+      item.append(label, remove);
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * 儲存自訂 IDE（移除 normalize 加上的 custom 旗標，只儲存使用者設定的欄位）
+   */
+  function saveCustomIdes(customIdes) {
+    const stored = customIdes.map(({ id, name, prefixStyle, command, icon }) => ({ id, name, prefixStyle, command, icon }));
+    return saveSettings({ [SETTINGS_KEYS.CUSTOM_IDES]: stored });
+  }
+
+  /**
+   * 繪製自訂 IDE 清單
+   */
+  function renderCustomIdes() {
+    const listEl = document.getElementById('custom-ide-list');
+    const customIdes = settings[SETTINGS_KEYS.CUSTOM_IDES];
+    listEl.textContent = '';
+
+    if (customIdes.length === 0) {
+      renderEmpty(listEl, getMessage('customIdesEmpty', 'No custom IDEs.'));
+    }
+
+    customIdes.forEach(ide => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+
+      const name = document.createElement('span');
+      name.className = 'site-rule-pattern';
+      name.textContent = ide.icon && !/^(https:|data:image\/)/i.test(ide.icon) ? `${ide.icon} ${ide.name}` : ide.name;
+
+      const scheme = document.createElement('span');
+      scheme.className = 'custom-ide-scheme';
+      scheme.textContent = ide.prefixStyle === 'slashes' ? `${ide.id}://` : `${ide.id}:`;
+
+      const command = document.createElement('span');
+      command.className = 'custom-ide-scheme';
+      command.textContent = ide.command;
+
+      const remove = createRemoveButton(getMessage('customIdeRemove', 'Remove IDE'), () => {
+        saveCustomIdes(customIdes.filter(other => other.id !== ide.id));
+      });
+
+      item.append(name, scheme, command, remove);
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * 繪製多 IDE 安裝的目標清單（全部不勾選時使用所有已註冊的 IDE）
+   */
+  function renderMultiInstall() {
+    const listEl = document.getElementById('multi-install-ide-list');
+    const chosen = settings[SETTINGS_KEYS.MULTI_INSTALL_IDES];
+    document.getElementById('multi-install-enabled').checked = settings[SETTINGS_KEYS.MULTI_INSTALL_ENABLED];
+    listEl.textContent = '';
+
+    getCurrentIdeOptions().forEach(ide => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+
+      const label = document.createElement('label');
+      label.className = 'ask-mode';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = chosen.includes(ide.id);
+      checkbox.addEventListener('change', () => {
+        const nextIdes = checkbox.checked
+          ? [...chosen, ide.id]
+          : chosen.filter(id => id !== ide.id);
+        saveSettings({ [SETTINGS_KEYS.MULTI_INSTALL_IDES]: nextIdes });
+      });
+
+      const name = document.createElement('span');
+      name.textContent = ide.name;
+
+      label.append(checkbox, name);
+      item.appendChild(label);
+      listEl.appendChild(item);
+    });
+  }
+
+  // 安裝政策的清單欄位（textarea id -> installPolicy 欄位）
+  const POLICY_LIST_FIELDS = {
+    'policy-allowed-publishers': 'allowedPublishers',
+    'policy-blocked-extensions': 'blockedExtensions',
+    'policy-verified-publishers': 'verifiedPublishers'
+  };
+
+  /**
+   * 繪製安裝政策（清單每行一個名稱）
+   */
+  function renderInstallPolicy() {
+    const policy = settings[SETTINGS_KEYS.INSTALL_POLICY];
+    document.getElementById('policy-verified-only').checked = policy.verifiedOnly;
+    for (const [id, field] of Object.entries(POLICY_LIST_FIELDS)) {
+      document.getElementById(id).value = policy[field].join('\n');
+    }
+  }
+
+  /**
+   * 儲存安裝政策的部分欄位（格式不符的名稱於下次讀取時濾除）
+   */
+  function saveInstallPolicy(changes) {
+    return saveSettings({
+      [SETTINGS_KEYS.INSTALL_POLICY]: { ...settings[SETTINGS_KEYS.INSTALL_POLICY], ...changes }
+    });
+  }
+
+  /**
+   * 繪製信任的網站（安裝確認視窗中選擇「一律允許此網站」的來源）
+   */
+  function renderTrustedSites() {
+    const listEl = document.getElementById('trusted-site-list');
+    const trustedSites = settings[SETTINGS_KEYS.TRUSTED_INSTALL_SITES];
+    listEl.textContent = '';
+
+    if (trustedSites.length === 0) {
+      renderEmpty(listEl, getMessage('optionsTrustedSitesEmpty', 'No trusted sites. Every page-triggered install asks first.'));
+    }
+
+    trustedSites.forEach(origin => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+
+      const pattern = document.createElement('span');
+      pattern.className = 'site-rule-pattern';
+      pattern.textContent = origin;
+      pattern.title = origin;
+
+      const remove = createRemoveButton(getMessage('optionsTrustedSiteRemove', 'Revoke'), () => {
+        saveSettings({ [SETTINGS_KEYS.TRUSTED_INSTALL_SITES]: trustedSites.filter(other => other !== origin) });
+      });
+
+      item.append(pattern, remove);
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * 繪製使用者自訂的 MCP 目錄項目
+   */
+  function renderMcpCatalog() {
+    const listEl = document.getElementById('mcp-catalog-list');
+    listEl.textContent = '';
+
+    if (mcpCatalog.length === 0) {
+      renderEmpty(listEl, getMessage('optionsMcpCatalogEmpty', 'No custom entries. Only the bundled catalog is used.'));
+    }
+
+    mcpCatalog.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+
+      const name = document.createElement('span');
+      name.className = 'site-rule-pattern';
+      name.textContent = entry.name;
+      name.title = [entry.name, ...entry.aliases].join(', ');
+
+      const transport = document.createElement('span');
+      transport.className = 'custom-ide-scheme';
+      transport.textContent = entry.config ? entry.transport : getMessage('optionsMcpCatalogRepoOnly', 'repo only');
+
+      const target = document.createElement('span');
+      target.className = 'custom-ide-scheme';
+      target.textContent = entry.config?.command || entry.config?.url || entry.repo;
+      target.title = entry.repo;
+
+      const remove = createRemoveButton(getMessage('optionsMcpCatalogRemove', 'Remove entry'), () => {
+        saveMcpCatalog(mcpCatalog.filter(other => other !== entry));
+      });
+
+      item.append(name, transport, target, remove);
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * 寫入 MCP 目錄項目；畫面由 storage.onChanged 重新繪製
+   */
+  async function saveMcpCatalog(entries) {
+    try {
+      await chrome.storage.local.set({ [MCP_CATALOG_KEY]: entries });
+      showSaveStatus(getMessage('optionsSaved', 'Saved'));
+      return true;
+    } catch (error) {
+      console.error('儲存 MCP 目錄失敗:', error);
+      showSaveStatus(getMessage('optionsSaveFailed', 'Failed to save settings', [error.message]), true);
+      return false;
+    }
+  }
+
+  /**
+   * 匯入 MCP 目錄項目（同名者取代現有項目）
+   */
+  async function importMcpCatalog() {
+    const inputEl = document.getElementById('mcp-catalog-import');
+    const errorEl = document.getElementById('mcp-catalog-error');
+
+    let imported;
+    try {
+      imported = parseMcpCatalogImport(inputEl.value);
+    } catch {
+      errorEl.textContent = getMessage('optionsMcpCatalogInvalidJson', 'Not valid JSON.');
+      return;
+    }
+    if (imported.entries.length === 0) {
+      errorEl.textContent = getMessage('optionsMcpCatalogNoEntries', 'No usable entries found. Each entry needs a name and an https repo or an install config.');
+      return;
+    }
+
+    errorEl.textContent = '';
+    if (await saveMcpCatalog(mergeMcpCatalog(mcpCatalog, imported.entries))) {
+      inputEl.value = '';
+      showSaveStatus(getMessage(
+        'optionsMcpCatalogImported',
+        `Imported ${imported.entries.length} entries, skipped ${imported.skipped}`,
+        [String(imported.entries.length), String(imported.skipped)]
+      ));
+    }
+  }
+
+  /**
+   * 繪製 Native Host 與各 IDE 註冊狀態
+   */
+  function renderIdeStatus(hostAvailable) {
+    const hostEl = document.getElementById('native-host-status');
+    const listEl = document.getElementById('ide-status-list');
+
+    if (hostAvailable === null) {
+      hostEl.textContent = getMessage('statusChecking', 'Checking...');
+    } else if (hostAvailable) {
+      hostEl.textContent = getMessage('optionsNativeHostConnected', 'Native host connected');
+    } else {
+      hostEl.textContent = getMessage('optionsNativeHostMissing', 'Native host not installed. Run native-host/install.ps1.');
+    }
+    hostEl.classList.toggle('rule-match--rule', hostAvailable === true);
+
+    listEl.textContent = '';
+    getCurrentIdeOptions().forEach(ide => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+
+      const name = document.createElement('span');
+      name.className = 'link-type-label';
+      name.textContent = ide.name;
+
+      const registered = registrationStatus[ide.id]?.registered;
+      const status = document.createElement('span');
+      status.className = 'ide-status-label';
+      if (registered === true) {
+        status.classList.add('ide-status-label--registered');
+        status.textContent = getMessage('statusRegistered', 'Registered');
+        status.title = registrationStatus[ide.id].execPath || '';
+      } else if (registered === false) {
+        status.classList.add('ide-status-label--missing');
+        status.textContent = getMessage('statusNotRegistered', 'Not registered');
+      } else {
+        status.textContent = hostAvailable === null ? getMessage('statusChecking', 'Checking...') : 'Unknown';
+      }
+
+      item.append(name, status);
+
+      // 未註冊時提供註冊按鈕
+      if (registered === false) {
+        const register = document.createElement('button');
+        register.className = 'options-button';
+        register.type = 'button';
+        register.textContent = getMessage('fixRegistration', 'Fix Registration');
+        register.addEventListener('click', () => registerIde(ide.id, register));
+        item.appendChild(register);
+      }
+
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * 重新檢查 Native Host 與各 IDE 協議註冊狀態
+   */
+  async function refreshIdeStatus() {
+    registrationStatus = {};
+    renderIdeStatus(null);
+
+    let hostAvailable = false;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'checkNativeHost' });
+      hostAvailable = Boolean(response?.available);
+      if (hostAvailable) {
+        const statuses = await chrome.runtime.sendMessage({ action: 'checkAllIDERegistrations' });
+        if (statuses && !statuses.error) {
+          registrationStatus = statuses;
+        }
+      }
+    } catch (error) {
+      console.error('檢查 Native Host 狀態失敗:', error);
+    }
+    renderIdeStatus(hostAvailable);
+  }
+
+  /**
+   * 請求 Native Host 註冊 IDE 協議
+   */
+  async function registerIde(protocol, button) {
+    button.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'registerProtocol', protocol });
+      if (response?.success) {
+        showSaveStatus(getMessage('fixSuccess', 'Registration successful'));
+      } else {
+        showSaveStatus(response?.error || getMessage('fixFailed', 'Registration failed'), true);
+      }
+    } catch (error) {
+      showSaveStatus(error.message, true);
+    }
+    refreshIdeStatus();
+  }
+
+  /**
+   * 繪製 IDE 已安裝的擴充功能
+   * @param {string} ide - IDE 協議
+   * @param {Array<{id: string, version: string|null}>} extensions
+   */
+  function renderInstalledExtensions(ide, extensions) {
+    const listEl = document.getElementById('extension-list');
+    listEl.textContent = '';
+
+    if (extensions.length === 0) {
+      renderEmpty(listEl, getMessage('optionsExtensionsEmpty', 'No extensions installed.'));
+    }
+
+    extensions.forEach(ext => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+
+      const name = document.createElement('span');
+      name.className = 'site-rule-pattern';
+      name.textContent = ext.id;
+      name.title = ext.id;
+
+      const version = document.createElement('span');
+      version.className = 'custom-ide-scheme';
+      version.textContent = ext.version ? `v${ext.version}` : '';
+
+      const uninstall = document.createElement('button');
+      uninstall.className = 'options-button';
+      uninstall.type = 'button';
+      uninstall.textContent = getMessage('optionsExtensionsUninstall', 'Uninstall');
+      uninstall.addEventListener('click', () => uninstallExtension(ide, ext.id, uninstall));
+
+      item.append(name, version, uninstall);
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * 透過 Native Host 載入所選 IDE 已安裝的擴充功能
+   * @param {boolean} [refresh] - 忽略 background 的快取
+   */
+  async function loadInstalledExtensions(refresh = false) {
+    const ide = document.getElementById('extensions-ide').value;
+    const listEl = document.getElementById('extension-list');
+    listEl.textContent = '';
+    renderEmpty(listEl, getMessage('statusChecking', 'Checking...'));
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'listExtensions', ide, refresh });
+      if (!response?.success) {
+        throw new Error(response?.error || getMessage('optionsNativeHostMissing', 'Native host not installed.'));
+      }
+      renderInstalledExtensions(ide, response.extensions);
+    } catch (error) {
+      listEl.textContent = '';
+      renderEmpty(listEl, error.message);
+    }
+  }
+
+  /**
+   * 解除安裝擴充功能後重新載入清單
+   */
+  async function uninstallExtension(ide, extensionId, button) {
+    button.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'uninstallExtension', ide, extensionId });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Unknown error');
+      }
+      showSaveStatus(getMessage('optionsExtensionsUninstalled', `Uninstalled ${extensionId}`, [extensionId]));
+    } catch (error) {
+      showSaveStatus(error.message, true);
+    }
+    loadInstalledExtensions();
+  }
+
+  /**
+   * 處理安裝指定擴充功能（可用 publisher.name@version 固定版本）
+   */
+  async function handleInstallExtension(event) {
+    event.preventDefault();
+
+    const input = document.getElementById('extension-install-id');
+    const extensionSpec = input.value.trim();
+    if (!parseExtensionSpec(extensionSpec)) {
+      showSaveStatus(getMessage('optionsExtensionsInvalidId', 'Use publisher.name or publisher.name@version.'), true);
+      return;
+    }
+
+    const ide = document.getElementById('extensions-ide').value;
+    const button = event.target.querySelector('button');
+    button.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'installExtension', extensionId: extensionSpec, ide });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Unknown error');
+      }
+      input.value = '';
+      showSaveStatus(response.alreadyInstalled
+        ? getMessage('notificationAlreadyInstalledTitle', 'Already Installed')
+        : getMessage('optionsExtensionsInstalled', `Installed ${extensionSpec}`, [extensionSpec]));
+    } catch (error) {
+      showSaveStatus(error.message, true);
+    }
+    button.disabled = false;
+    loadInstalledExtensions();
+  }
+
+  /**
+   * 改用指定 IDE 重新開啟紀錄中的原始連結，並記錄為新的攔截
+   */
+  function reopenHistoryEntry(entry, protocol) {
+    const url = buildRerouteUrl(entry.originalUrl, protocol);
+    if (!url) {
+      showSaveStatus(getMessage('historyReopenMcpBlocked', 'MCP install links must be reviewed; open them from the original page'), true);
+      return;
+    }
+    chrome.runtime.sendMessage({
+      action: 'recordInterception',
+      entry: {
+        trigger: 'history',
+        originalUrl: entry.originalUrl,
+        convertedUrl: url,
+        linkType: entry.linkType,
+        protocol,
+        routeSource: 'history',
+        outcome: OUTCOMES.REDIRECTED
+      }
+    }).catch(() => {});
+    window.location.href = url;
+  }
+
+  /**
+   * 複製原始連結
+   */
+  async function copyOriginalUrl(entry) {
+    try {
+      await navigator.clipboard.writeText(entry.originalUrl);
+      showSaveStatus(getMessage('historyCopied', 'Link copied'));
+    } catch (error) {
+      showSaveStatus(error.message, true);
+    }
+  }
+
+  /**
+   * 繪製攔截紀錄
+   */
+  function renderHistory() {
+    const listEl = document.getElementById('history-list');
+    listEl.textContent = '';
+
+    if (history.length === 0) {
+      renderEmpty(listEl, getMessage('historyEmpty', 'No intercepted links yet.'));
+    }
+
+    history.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item history-item';
+
+      const meta = document.createElement('span');
+      meta.className = 'history-meta';
+      const [messageKey, fallback] = OUTCOME_LABELS[entry.outcome] || ['', entry.outcome];
+      const ideName = getCurrentIdeOptions().find(ide => ide.id === entry.protocol)?.name || entry.protocol;
+      meta.textContent = [
+        new Date(entry.time).toLocaleString(),
+        getMessage(messageKey, fallback),
+        ideName,
+        entry.trigger
+      ].filter(Boolean).join(' · ');
+      meta.title = entry.pageUrl;
+
+      const original = document.createElement('span');
+      original.className = 'site-rule-pattern';
+      original.textContent = entry.originalUrl;
+      original.title = entry.error || entry.convertedUrl || entry.originalUrl;
+
+      const actions = document.createElement('div');
+      actions.className = 'options-actions';
+
+      const select = document.createElement('select');
+      select.className = 'site-rule-select';
+      fillProtocolSelect(select, entry.protocol);
+
+      const reopen = document.createElement('button');
+      reopen.className = 'options-button';
+      reopen.type = 'button';
+      reopen.textContent = getMessage('historyReopen', 'Re-open');
+      if (!buildRerouteUrl(entry.originalUrl, entry.protocol)) {
+        reopen.disabled = true;
+        reopen.title = getMessage('historyReopenMcpBlocked', 'MCP install links must be reviewed; open them from the original page');
+      }
+      reopen.addEventListener('click', () => reopenHistoryEntry(entry, select.value));
+
+      const copy = document.createElement('button');
+      copy.className = 'options-button';
+      copy.type = 'button';
+      copy.textContent = getMessage('historyCopy', 'Copy link');
+      copy.addEventListener('click', () => copyOriginalUrl(entry));
+
+      actions.append(select, reopen, copy);
+      item.append(meta, original, actions);
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * 以檔案下載匯出攔截紀錄
+   */
+  function exportHistory(format) {
+    const content = format === 'csv' ? historyToCsv(history) : historyToJson(history);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    const url = URL.createObjectURL(new Blob([content], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ide-link-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  async function clearHistory() {
+    try {
+      await chrome.storage.local.remove(HISTORY_KEY);
+    } catch (error) {
+      showSaveStatus(error.message, true);
+    }
+  }
+
+  /**
+   * 從 storage 載入攔截紀錄並重新繪製
+   */
+  async function loadHistory() {
+    try {
+      const result = await chrome.storage.local.get(HISTORY_KEY);
+      history = Array.isArray(result[HISTORY_KEY]) ? result[HISTORY_KEY] : [];
+    } catch (error) {
+      console.error('讀取攔截紀錄失敗:', error);
+      history = [];
+    }
+    renderHistory();
+  }
+
+  async function loadMcpCatalog() {
+    try {
+      const result = await chrome.storage.local.get(MCP_CATALOG_KEY);
+      mcpCatalog = normalizeMcpCatalog(result[MCP_CATALOG_KEY]);
+    } catch (error) {
+      console.error('讀取 MCP 目錄失敗:', error);
+      mcpCatalog = [];
+    }
+    renderMcpCatalog();
+  }
+
+  function renderAll() {
+    renderGeneral();
+    renderSiteRules();
+    renderLinkTypeRules();
+    renderPathMappings();
+    renderRepoMappings();
+    renderCustomIdes();
+    renderMultiInstall();
+    renderInstallPolicy();
+    renderTrustedSites();
+    renderHistory();
+
+    const extensionsIde = document.getElementById('extensions-ide');
+    fillProtocolSelect(extensionsIde, extensionsIde.value || settings[SETTINGS_KEYS.SELECTED_PROTOCOL]);
+  }
+
+  /**
+   * 從 storage 載入全部設定並重新繪製
+   */
+  async function loadSettings() {
+    try {
+      settings = normalizeSettings(await chrome.storage.sync.get(null));
+    } catch (error) {
+      console.error('讀取設定失敗:', error);
+      settings = normalizeSettings({});
+    }
+    // 自訂 IDE 決定重新開啟時的協議前綴格式，路徑改寫規則決定檔案連結的路徑
+    setCustomIdes(settings[SETTINGS_KEYS.CUSTOM_IDES]);
+    setPathMappings(settings[SETTINGS_KEYS.PATH_MAPPINGS]);
+    renderAll();
+  }
+
+  /**
+   * 處理新增站台規則
+   */
+  function handleAddRule(event) {
+    event.preventDefault();
+
+    const patternInput = document.getElementById('site-rule-pattern');
+    const pattern = patternInput.value.trim();
+    if (!pattern) {
+      patternInput.focus();
+      return;
+    }
+
+    const protocol = document.getElementById('site-rule-protocol').value;
+    saveSettings({ [SETTINGS_KEYS.SITE_RULES]: [...settings[SETTINGS_KEYS.SITE_RULES], { pattern, protocol }] })
+      .then(saved => {
+        if (saved) patternInput.value = '';
+      });
+  }
+
+  /**
+   * 處理新增路徑改寫規則
+   */
+  function handleAddPathMapping(event) {
+    event.preventDefault();
+
+    const fromInput = document.getElementById('path-mapping-from');
+    const toInput = document.getElementById('path-mapping-to');
+    const mapping = { from: fromInput.value.trim(), to: toInput.value.trim() };
+    if (!mapping.from || !mapping.to) {
+      (mapping.from ? toInput : fromInput).focus();
+      return;
+    }
+
+    saveSettings({ [SETTINGS_KEYS.PATH_MAPPINGS]: [...settings[SETTINGS_KEYS.PATH_MAPPINGS], mapping] })
+      .then(saved => {
+        if (saved) event.target.reset();
+      });
+  }
+
+  /**
+   * 處理新增本機倉庫對應（同一倉庫已有對應時取代舊的目錄）
+   */
+  function handleAddRepoMapping(event) {
+    event.preventDefault();
+
+    const errorEl = document.getElementById('repo-mapping-error');
+    const repoInput = document.getElementById('repo-mapping-repo');
+    const pathInput = document.getElementById('repo-mapping-path');
+    const repo = normalizeRepoUrl(repoInput.value);
+    const path = pathInput.value.trim();
+    if (!repo) {
+      errorEl.textContent = repoInput.value.trim()
+        ? getMessage('optionsRepoMappingInvalidRepo',
+          'Enter a repository URL such as https://github.com/org/repo or git@gitlab.com:group/repo.git.')
+        : '';
+      repoInput.focus();
+      return;
+    }
+    if (!path) {
+      pathInput.focus();
+      return;
+    }
+
+    errorEl.textContent = '';
+    saveSettings({ [SETTINGS_KEYS.REPO_MAPPINGS]: [...settings[SETTINGS_KEYS.REPO_MAPPINGS], { repo, path }] })
+      .then(saved => {
+        if (saved) event.target.reset();
+      });
+  }
+
+  /**
+   * 處理新增自訂 IDE
+   */
+  async function handleAddCustomIde(event) {
+    event.preventDefault();
+
+    const errorEl = document.getElementById('custom-ide-error');
+    const schemeInput = document.getElementById('custom-ide-scheme');
+    const customIdes = settings[SETTINGS_KEYS.CUSTOM_IDES];
+    const candidate = {
+      id: schemeInput.value.trim().toLowerCase().replace(/:\/*$/, ''),
+      name: document.getElementById('custom-ide-name').value,
+      prefixStyle: document.getElementById('custom-ide-prefix').value,
+      command: document.getElementById('custom-ide-command').value,
+      icon: document.getElementById('custom-ide-icon').value
+    };
+
+    // 與內建 IDE 或既有自訂 IDE 衝突、scheme 不合法時，normalize 會濾除新項目
+    const nextCustomIdes = normalizeCustomIdes([...customIdes, candidate]);
+    if (nextCustomIdes.length === customIdes.length) {
+      errorEl.textContent = getMessage('customIdeInvalidScheme', 'Invalid or duplicate scheme (letters, digits, + . -).');
+      schemeInput.focus();
+      return;
+    }
+
+    if (candidate.command.trim() && !nextCustomIdes[nextCustomIdes.length - 1].command) {
+      errorEl.textContent = getMessage('customIdeInvalidCommand',
+        'CLI command must be a command name or a path without spaces.');
+      document.getElementById('custom-ide-command').focus();
+      return;
+    }
+
+    errorEl.textContent = '';
+    if (await saveCustomIdes(nextCustomIdes)) {
+      event.target.reset();
+    }
+  }
+
+  /**
+   * 綁定一般設定與表單事件
+   */
+  function bindEvents() {
+    document.getElementById('interception-enabled').addEventListener('change', event => {
+      saveSettings({ [SETTINGS_KEYS.INTERCEPTION_ENABLED]: event.target.checked });
+    });
+    document.getElementById('ask-every-time').addEventListener('change', event => {
+      saveSettings({ [SETTINGS_KEYS.ASK_EVERY_TIME]: event.target.checked });
+    });
+    document.getElementById('multi-install-enabled').addEventListener('change', event => {
+      saveSettings({ [SETTINGS_KEYS.MULTI_INSTALL_ENABLED]: event.target.checked });
+    });
+    document.getElementById('policy-verified-only').addEventListener('change', event => {
+      saveInstallPolicy({ verifiedOnly: event.target.checked });
+    });
+    for (const [id, field] of Object.entries(POLICY_LIST_FIELDS)) {
+      document.getElementById(id).addEventListener('change', event => {
+        saveInstallPolicy({ [field]: event.target.value.split(/[\s,]+/).filter(Boolean) });
+      });
+    }
+    document.getElementById('mcp-modal-enabled').addEventListener('change', event => {
+      saveSettings({ [SETTINGS_KEYS.MCP_MODAL_DISMISSED]: !event.target.checked });
+    });
+    document.getElementById('default-ide').addEventListener('change', event => {
+      saveSettings({ [SETTINGS_KEYS.SELECTED_PROTOCOL]: event.target.value });
+    });
+    document.getElementById('site-rule-form').addEventListener('submit', handleAddRule);
+    document.getElementById('path-mapping-form').addEventListener('submit', handleAddPathMapping);
+    document.getElementById('repo-mapping-form').addEventListener('submit', handleAddRepoMapping);
+    document.getElementById('custom-ide-form').addEventListener('submit', handleAddCustomIde);
+    document.getElementById('extension-install-form').addEventListener('submit', handleInstallExtension);
+    document.getElementById('refresh-status').addEventListener('click', refreshIdeStatus);
+    document.getElementById('extensions-ide').addEventListener('change', () => loadInstalledExtensions());
+    document.getElementById('extensions-refresh').addEventListener('click', () => loadInstalledExtensions(true));
+    document.getElementById('mcp-catalog-import-button').addEventListener('click', importMcpCatalog);
+    document.getElementById('history-export-json').addEventListener('click', () => exportHistory('json'));
+    document.getElementById('history-export-csv').addEventListener('click', () => exportHistory('csv'));
+    document.getElementById('history-clear').addEventListener('click', clearHistory);
+
+    // 其他頁面（popup、右鍵選單、頁面內選擇器）變更設定時同步畫面
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local') {
+        if (changes[HISTORY_KEY]) loadHistory();
+        if (changes[MCP_CATALOG_KEY]) loadMcpCatalog();
+        return;
+      }
+      if (areaName !== 'sync') return;
+      loadSettings();
+      if (changes[SETTINGS_KEYS.CUSTOM_IDES]) {
+        refreshIdeStatus();
+      }
+    });
+  }
+
+  /**
+   * 初始化
+   */
+  async function init() {
+    document.title = getMessage('optionsTitle', 'Settings');
+    localizePage();
+    bindEvents();
+    await loadSettings();
+    loadHistory();
+    loadMcpCatalog();
+    refreshIdeStatus();
+    loadInstalledExtensions();
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+})();
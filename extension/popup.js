@@ -8,20 +8,44 @@
 (function () {
   'use strict';
 
+  const {
+    normalizeSiteRules,
+    normalizeLinkTypeRules,
+    resolveTargetProtocol,
+    getIdeOptions,
+    normalizeCustomIdes,
+    ROUTABLE_LINK_TYPES
+  } = IDELinkConversion;
+
   const STORAGE_KEY = 'selectedProtocol';
+  const SITE_RULES_KEY = 'siteRules';
+  const LINK_TYPE_RULES_KEY = 'linkTypeRules';
+  const ASK_MODE_KEY = 'askEveryTime';
+  const CUSTOM_IDES_KEY = 'customIdes';
+
+  // 連結類型顯示名稱的 i18n key 與預設文字
+  const LINK_TYPE_LABELS = {
+    extension: ['linkTypeExtension', 'Extensions & VSIX'],
+    mcp: ['linkTypeMcp', 'MCP servers'],
+    file: ['linkTypeFile', 'Files'],
+    clone: ['linkTypeClone', 'Git clone']
+  };
   const DEFAULT_PROTOCOL = 'antigravity';
 
-  const SUPPORTED_PROTOCOLS = new Set([
-    'vscode',
-    'vscode-insiders',
-    'antigravity',
-    'cursor',
-    'windsurf'
-  ]);
+  // 自訂 IDE 與所有可選的協議（內建 + 自訂）
+  let customIdes = [];
+  let supportedProtocols = new Set(getIdeOptions().map(ide => ide.id));
 
   // 協議註冊狀態快取
   let registrationStatus = {};
 
+  // 站台規則與目前分頁 URL
+  let siteRules = [];
+  let activeTabUrl = null;
+
+  // 連結類型規則
+  let linkTypeRules = {};
+
   /**
    * 取得目前選擇的協議
    */
@@ -29,7 +53,7 @@
     try {
       const result = await chrome.storage.sync.get(STORAGE_KEY);
       const protocol = result[STORAGE_KEY] || DEFAULT_PROTOCOL;
-      if (!SUPPORTED_PROTOCOLS.has(protocol)) {
+      if (!supportedProtocols.has(protocol)) {
         await chrome.storage.sync.set({ [STORAGE_KEY]: DEFAULT_PROTOCOL });
         return DEFAULT_PROTOCOL;
       }
@@ -113,7 +137,7 @@
    */
   async function checkAllIDEStatus() {
     // 先標記所有為檢測中
-    SUPPORTED_PROTOCOLS.forEach(protocol => {
+    supportedProtocols.forEach(protocol => {
       updateIDEStatusIndicator(protocol, 'checking');
     });
 
@@ -133,13 +157,13 @@
         updateFixSection();
       } else {
         // Native Host 不可用
-        SUPPORTED_PROTOCOLS.forEach(protocol => {
+        supportedProtocols.forEach(protocol => {
           updateIDEStatusIndicator(protocol, null);
         });
       }
     } catch (error) {
       console.error('檢查 IDE 狀態失敗:', error);
-      SUPPORTED_PROTOCOLS.forEach(protocol => {
+      supportedProtocols.forEach(protocol => {
         updateIDEStatusIndicator(protocol, null);
       });
     }
@@ -237,12 +261,552 @@
 
       // 更新 UI
       updateUI(protocol);
+      updateRuleMatch(protocol);
 
       // 更新修復區塊
       updateFixSection();
     }
   }
 
+  /**
+   * 取得 IDE 顯示名稱（取自 popup 中的選項按鈕）
+   */
+  function getIDEName(protocol) {
+    const nameEl = document.querySelector(`.ide-option[data-protocol="${protocol}"] .ide-name`);
+    return nameEl ? nameEl.textContent : protocol;
+  }
+
+  /**
+   * 取得目前分頁的 URL
+   */
+  async function getActiveTabUrl() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      return tab?.url || null;
+    } catch (error) {
+      console.error('讀取目前分頁失敗:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 讀取站台規則
+   */
+  async function getSiteRules() {
+    try {
+      const result = await chrome.storage.sync.get(SITE_RULES_KEY);
+      return normalizeSiteRules(result[SITE_RULES_KEY], supportedProtocols);
+    } catch (error) {
+      console.error('讀取站台規則失敗:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 儲存站台規則並重新繪製
+   */
+  async function saveSiteRules(rules) {
+    try {
+      await chrome.storage.sync.set({ [SITE_RULES_KEY]: rules });
+      siteRules = rules;
+      renderSiteRules(await getSelectedProtocol());
+      return true;
+    } catch (error) {
+      console.error('儲存站台規則失敗:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 建立 IDE 下拉選單選項
+   */
+  function fillProtocolSelect(select, selectedProtocol) {
+    select.textContent = '';
+    supportedProtocols.forEach(protocol => {
+      const option = document.createElement('option');
+      option.value = protocol;
+      option.textContent = getIDEName(protocol);
+      option.selected = protocol === selectedProtocol;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * 顯示目前分頁符合哪條規則
+   */
+  function updateRuleMatch(defaultProtocol) {
+    const matchEl = document.getElementById('rule-match');
+    if (!matchEl) return;
+
+    const { protocol, rule, index } = resolveTargetProtocol(activeTabUrl, siteRules, defaultProtocol);
+    const ideName = getIDEName(protocol);
+
+    if (rule) {
+      matchEl.textContent = chrome.i18n.getMessage('siteRuleMatched', [ideName, rule.pattern]) ||
+        `This site → ${ideName} (rule: ${rule.pattern})`;
+      matchEl.classList.add('rule-match--rule');
+    } else {
+      matchEl.textContent = chrome.i18n.getMessage('siteRuleDefault', [ideName]) ||
+        `This site → ${ideName} (default)`;
+      matchEl.classList.remove('rule-match--rule');
+    }
+
+    document.querySelectorAll('.site-rule-item').forEach(item => {
+      item.classList.toggle('matched', Number(item.dataset.index) === index);
+    });
+  }
+
+  /**
+   * 繪製站台規則清單
+   */
+  function renderSiteRules(defaultProtocol) {
+    const listEl = document.getElementById('site-rule-list');
+    if (!listEl) return;
+
+    listEl.textContent = '';
+
+    if (siteRules.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'site-rule-empty';
+      empty.textContent = chrome.i18n.getMessage('siteRulesEmpty') || 'No site rules. All sites use the selected IDE.';
+      listEl.appendChild(empty);
+    }
+
+    siteRules.forEach((rule, index) => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+      item.dataset.index = String(index);
+
+      const pattern = document.createElement('span');
+      pattern.className = 'site-rule-pattern';
+      pattern.textContent = rule.pattern;
+      pattern.title = rule.pattern;
+
+      const select = document.createElement('select');
+      select.className = 'site-rule-select';
+      fillProtocolSelect(select, rule.protocol);
+      select.addEventListener('change', () => {
+        const nextRules = siteRules.map((r, i) => (i === index ? { ...r, protocol: select.value } : r));
+        saveSiteRules(nextRules);
+      });
+
+      const remove = document.createElement('button');
+      remove.className = 'site-rule-remove';
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = chrome.i18n.getMessage('siteRuleRemove') || 'Remove rule';
+      remove.addEventListener('click', () => {
+        saveSiteRules(siteRules.filter((_, i) => i !== index));
+      });
+
+      item.append(pattern, select, remove);
+      listEl.appendChild(item);
+    });
+
+    updateRuleMatch(defaultProtocol);
+  }
+
+  /**
+   * 處理新增站台規則
+   */
+  async function handleAddRule(event) {
+    event.preventDefault();
+
+    const patternInput = document.getElementById('site-rule-pattern');
+    const protocolSelect = document.getElementById('site-rule-protocol');
+    const pattern = patternInput.value.trim();
+
+    if (!pattern) {
+      patternInput.focus();
+      return;
+    }
+
+    const saved = await saveSiteRules([...siteRules, { pattern, protocol: protocolSelect.value }]);
+    if (saved) {
+      patternInput.value = '';
+    }
+  }
+
+  /**
+   * 初始化站台規則區塊
+   */
+  async function initSiteRules(defaultProtocol) {
+    const titleEl = document.getElementById('site-rules-title');
+    if (titleEl) {
+      titleEl.textContent = chrome.i18n.getMessage('siteRulesTitle') || 'Site Rules';
+    }
+
+    [activeTabUrl, siteRules] = await Promise.all([getActiveTabUrl(), getSiteRules()]);
+
+    const patternInput = document.getElementById('site-rule-pattern');
+    const protocolSelect = document.getElementById('site-rule-protocol');
+    const form = document.getElementById('site-rule-form');
+    if (!patternInput || !protocolSelect || !form) return;
+
+    patternInput.placeholder = chrome.i18n.getMessage('siteRulePatternPlaceholder') || 'github.com/org/*';
+    // 預填目前網站的主機名稱，方便快速建立規則
+    try {
+      const tabUrl = new URL(activeTabUrl);
+      if (tabUrl.protocol === 'http:' || tabUrl.protocol === 'https:') {
+        patternInput.value = tabUrl.host;
+      }
+    } catch {
+      // 非一般網頁（例如 chrome://），不預填
+    }
+
+    fillProtocolSelect(protocolSelect, defaultProtocol);
+    form.addEventListener('submit', handleAddRule);
+
+    renderSiteRules(defaultProtocol);
+  }
+
+  /**
+   * 繪製連結類型規則清單
+   */
+  function renderLinkTypeRules() {
+    const listEl = document.getElementById('link-type-list');
+    if (!listEl) return;
+
+    listEl.textContent = '';
+
+    ROUTABLE_LINK_TYPES.forEach(type => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+
+      const label = document.createElement('span');
+      label.className = 'link-type-label';
+      const [messageKey, fallback] = LINK_TYPE_LABELS[type];
+      label.textContent = chrome.i18n.getMessage(messageKey) || fallback;
+
+      const select = document.createElement('select');
+      select.className = 'site-rule-select';
+      fillProtocolSelect(select, linkTypeRules[type]);
+
+      // 第一個選項：使用預設 IDE
+      const useDefault = document.createElement('option');
+      useDefault.value = '';
+      useDefault.textContent = chrome.i18n.getMessage('linkTypeUseDefault') || 'Default';
+      useDefault.selected = !linkTypeRules[type];
+      select.insertBefore(useDefault, select.firstChild);
+
+      select.addEventListener('change', async () => {
+        const nextRules = { ...linkTypeRules };
+        if (select.value) {
+          nextRules[type] = select.value;
+        } else {
+          delete nextRules[type];
+        }
+        try {
+          await chrome.storage.sync.set({ [LINK_TYPE_RULES_KEY]: nextRules });
+          linkTypeRules = nextRules;
+        } catch (error) {
+          console.error('儲存連結類型規則失敗:', error);
+        }
+      });
+
+      item.append(label, select);
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * 初始化連結類型規則區塊
+   */
+  async function initLinkTypeRules() {
+    const titleEl = document.getElementById('link-types-title');
+    if (titleEl) {
+      titleEl.textContent = chrome.i18n.getMessage('linkTypesTitle') || 'Link Types';
+    }
+
+    try {
+      const result = await chrome.storage.sync.get(LINK_TYPE_RULES_KEY);
+      linkTypeRules = normalizeLinkTypeRules(result[LINK_TYPE_RULES_KEY], supportedProtocols);
+    } catch (error) {
+      console.error('讀取連結類型規則失敗:', error);
+      linkTypeRules = {};
+    }
+
+    renderLinkTypeRules();
+  }
+
+  /**
+   * 初始化「每次詢問」模式開關
+   */
+  async function initAskMode() {
+    const toggle = document.getElementById('ask-mode-toggle');
+    const labelEl = document.getElementById('ask-mode-label');
+    if (!toggle) return;
+
+    if (labelEl) {
+      labelEl.textContent = chrome.i18n.getMessage('askModeLabel') || 'Ask every time';
+      labelEl.title = chrome.i18n.getMessage('askModeHint') || '';
+    }
+
+    try {
+      const result = await chrome.storage.sync.get(ASK_MODE_KEY);
+      toggle.checked = result[ASK_MODE_KEY] === true;
+    } catch (error) {
+      console.error('讀取每次詢問設定失敗:', error);
+    }
+
+    toggle.addEventListener('change', async () => {
+      try {
+        await chrome.storage.sync.set({ [ASK_MODE_KEY]: toggle.checked });
+      } catch (error) {
+        console.error('儲存每次詢問設定失敗:', error);
+        toggle.checked = !toggle.checked;
+      }
+    });
+  }
+
+  /**
+   * 顯示 Native Host 安裝進度（background.js 廣播的最新狀態）
+   */
+  function renderInstallProgress(progress) {
+    const progressEl = document.getElementById('install-progress');
+    if (!progressEl || !progress) return;
+
+    const target = `${progress.label} → ${progress.ideName}`;
+    if (progress.done) {
+      progressEl.textContent = progress.line || target;
+    } else {
+      const running = chrome.i18n.getMessage('installProgressRunning', [target]) || `Installing ${target}…`;
+      progressEl.textContent = progress.line ? `${running}\n${progress.line}` : running;
+    }
+    progressEl.classList.remove('hidden');
+    progressEl.classList.toggle('rule-match--rule', progress.done && progress.success);
+    progressEl.classList.toggle('install-progress--error', progress.done && !progress.success);
+  }
+
+  /**
+   * 初始化安裝進度：載入最近一次安裝並監聽後續更新
+   */
+  async function initInstallProgress() {
+    chrome.runtime.onMessage.addListener(message => {
+      if (message.action === 'installProgress') {
+        renderInstallProgress(message.progress);
+      }
+    });
+
+    try {
+      renderInstallProgress(await chrome.runtime.sendMessage({ action: 'getInstallProgress' }));
+    } catch (error) {
+      console.error('讀取安裝進度失敗:', error);
+    }
+  }
+
+  /**
+   * 套用自訂 IDE 設定
+   */
+  function applyCustomIdes(rawCustomIdes) {
+    customIdes = normalizeCustomIdes(rawCustomIdes);
+    supportedProtocols = new Set(getIdeOptions(customIdes).map(ide => ide.id));
+  }
+
+  /**
+   * 建立自訂 IDE 圖示：圖片 URL 使用 <img>，其餘視為文字圖示
+   */
+  function createCustomIdeIcon(ide) {
+    const iconEl = document.createElement('span');
+    iconEl.className = 'ide-icon';
+
+    if (/^(https:|data:image\/)/i.test(ide.icon)) {
+      const img = document.createElement('img');
+      img.src = ide.icon;
+      img.alt = '';
+      iconEl.appendChild(img);
+    } else {
+      const text = document.createElement('span');
+      text.className = 'ide-icon-text';
+      text.textContent = ide.icon || Array.from(ide.name)[0].toUpperCase();
+      iconEl.appendChild(text);
+    }
+    return iconEl;
+  }
+
+  /**
+   * 在 IDE 清單中繪製自訂 IDE 選項按鈕
+   */
+  function renderCustomIdeOptions() {
+    const listEl = document.querySelector('.ide-list');
+    if (!listEl) return;
+
+    listEl.querySelectorAll('.ide-option--custom').forEach(el => el.remove());
+    const checkIcon = listEl.querySelector('.check-icon');
+
+    customIdes.forEach(ide => {
+      const option = document.createElement('button');
+      option.className = 'ide-option ide-option--custom';
+      option.dataset.protocol = ide.id;
+      option.title = ide.command ? `${ide.id} · ${ide.command}` : ide.id;
+
+      const info = document.createElement('span');
+      info.className = 'ide-info';
+      const name = document.createElement('span');
+      name.className = 'ide-name';
+      name.textContent = ide.name;
+      info.appendChild(name);
+
+      option.append(createCustomIdeIcon(ide), info);
+      if (checkIcon) {
+        option.appendChild(checkIcon.cloneNode(true));
+      }
+      option.addEventListener('click', handleOptionClick);
+      listEl.appendChild(option);
+    });
+  }
+
+  /**
+   * 繪製自訂 IDE 管理清單
+   */
+  function renderCustomIdeList() {
+    const listEl = document.getElementById('custom-ide-list');
+    if (!listEl) return;
+
+    listEl.textContent = '';
+
+    if (customIdes.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'site-rule-empty';
+      empty.textContent = chrome.i18n.getMessage('customIdesEmpty') || 'No custom IDEs.';
+      listEl.appendChild(empty);
+    }
+
+    customIdes.forEach(ide => {
+      const item = document.createElement('li');
+      item.className = 'site-rule-item';
+
+      const name = document.createElement('span');
+      name.className = 'site-rule-pattern';
+      name.textContent = ide.name;
+
+      const scheme = document.createElement('span');
+      scheme.className = 'custom-ide-scheme';
+      scheme.textContent = ide.prefixStyle === 'slashes' ? `${ide.id}://` : `${ide.id}:`;
+
+      const remove = document.createElement('button');
+      remove.className = 'site-rule-remove';
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = chrome.i18n.getMessage('customIdeRemove') || 'Remove IDE';
+      remove.addEventListener('click', () => {
+        saveCustomIdes(customIdes.filter(other => other.id !== ide.id));
+      });
+
+      item.append(name, scheme, remove);
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * 儲存自訂 IDE，並重新繪製所有使用 IDE 清單的區塊
+   */
+  async function saveCustomIdes(nextCustomIdes) {
+    try {
+      // 移除 normalize 加上的 custom 旗標，只儲存使用者設定的欄位
+      const stored = nextCustomIdes.map(({ id, name, prefixStyle, command, icon }) => ({ id, name, prefixStyle, command, icon }));
+      await chrome.storage.sync.set({ [CUSTOM_IDES_KEY]: stored });
+    } catch (error) {
+      console.error('儲存自訂 IDE 失敗:', error);
+      return false;
+    }
+
+    applyCustomIdes(nextCustomIdes);
+    renderCustomIdeOptions();
+    renderCustomIdeList();
+
+    const currentProtocol = await getSelectedProtocol();
+    updateUI(currentProtocol);
+    siteRules = normalizeSiteRules(siteRules, supportedProtocols);
+    linkTypeRules = normalizeLinkTypeRules(linkTypeRules, supportedProtocols);
+    const protocolSelect = document.getElementById('site-rule-protocol');
+    if (protocolSelect) {
+      fillProtocolSelect(protocolSelect, protocolSelect.value || currentProtocol);
+    }
+    renderSiteRules(currentProtocol);
+    renderLinkTypeRules();
+    checkAllIDEStatus();
+    return true;
+  }
+
+  /**
+   * 處理新增自訂 IDE
+   */
+  async function handleAddCustomIde(event) {
+    event.preventDefault();
+
+    const errorEl = document.getElementById('custom-ide-error');
+    const schemeInput = document.getElementById('custom-ide-scheme');
+    const candidate = {
+      id: schemeInput.value.trim().toLowerCase().replace(/:\/*$/, ''),
+      name: document.getElementById('custom-ide-name').value,
+      prefixStyle: document.getElementById('custom-ide-prefix').value,
+      command: document.getElementById('custom-ide-command').value,
+      icon: document.getElementById('custom-ide-icon').value
+    };
+
+    // 與內建 IDE 或既有自訂 IDE 衝突、scheme 不合法時，normalize 會濾除新項目
+    const nextCustomIdes = normalizeCustomIdes([...customIdes, candidate]);
+    if (nextCustomIdes.length === customIdes.length) {
+      errorEl.textContent = chrome.i18n.getMessage('customIdeInvalidScheme') ||
+        'Invalid or duplicate scheme (letters, digits, + . -).';
+      schemeInput.focus();
+      return;
+    }
+
+    const added = nextCustomIdes[nextCustomIdes.length - 1];
+    if (candidate.command.trim() && !added.command) {
+      errorEl.textContent = chrome.i18n.getMessage('customIdeInvalidCommand') ||
+        'CLI command must be a command name or a path without spaces.';
+      document.getElementById('custom-ide-command').focus();
+      return;
+    }
+
+    errorEl.textContent = '';
+    if (await saveCustomIdes(nextCustomIdes)) {
+      event.target.reset();
+    }
+  }
+
+  /**
+   * 初始化自訂 IDE 區塊
+   */
+  async function initCustomIdes() {
+    const titleEl = document.getElementById('custom-ides-title');
+    if (titleEl) {
+      titleEl.textContent = chrome.i18n.getMessage('customIdesTitle') || 'Custom IDEs';
+    }
+
+    const placeholders = {
+      'custom-ide-scheme': ['customIdeSchemePlaceholder', 'Scheme (vscodium)'],
+      'custom-ide-name': ['customIdeNamePlaceholder', 'Name'],
+      'custom-ide-command': ['customIdeCommandPlaceholder', 'CLI (codium)'],
+      'custom-ide-icon': ['customIdeIconPlaceholder', 'Icon (emoji / URL)']
+    };
+    for (const [id, [messageKey, fallback]] of Object.entries(placeholders)) {
+      const input = document.getElementById(id);
+      if (input) {
+        input.placeholder = chrome.i18n.getMessage(messageKey) || fallback;
+      }
+    }
+
+    try {
+      const result = await chrome.storage.sync.get(CUSTOM_IDES_KEY);
+      applyCustomIdes(result[CUSTOM_IDES_KEY]);
+    } catch (error) {
+      console.error('讀取自訂 IDE 失敗:', error);
+      applyCustomIdes([]);
+    }
+
+    renderCustomIdeOptions();
+    renderCustomIdeList();
+
+    const form = document.getElementById('custom-ide-form');
+    if (form) {
+      form.addEventListener('submit', handleAddCustomIde);
+    }
+  }
+
   /**
    * 設定警告訊息語言
    */
@@ -260,22 +824,38 @@
     // 設定語言訊息
     setWarningMessage();
 
+    // 先載入自訂 IDE，避免已選擇的自訂 IDE 被視為無效協議
+    await initCustomIdes();
+
     // 取得目前設定
     const currentProtocol = await getSelectedProtocol();
     updateUI(currentProtocol);
 
     // 綁定點擊事件
-    const options = document.querySelectorAll('.ide-option');
+    const options = document.querySelectorAll('.ide-option:not(.ide-option--custom)');
     options.forEach(option => {
       option.addEventListener('click', handleOptionClick);
     });
 
+    // 開啟完整設定頁
+    const optionsBtn = document.getElementById('open-options');
+    if (optionsBtn) {
+      optionsBtn.textContent = chrome.i18n.getMessage('openOptions') || 'All settings…';
+      optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    }
+
     // 綁定修復按鈕
     const fixBtn = document.getElementById('fix-btn');
     if (fixBtn) {
       fixBtn.addEventListener('click', handleFixClick);
     }
 
+    // 載入每次詢問模式、站台規則與連結類型規則
+    initAskMode();
+    initSiteRules(currentProtocol);
+    initLinkTypeRules();
+    initInstallProgress();
+
     // 檢查所有 IDE 註冊狀態
     checkAllIDEStatus();
   }
@@ -0,0 +1,116 @@
+/**
+ * IDE Link Interceptor - Settings Schema
+ *
+ * chrome.storage.sync 中所有設定的鍵名、預設值與正規化邏輯（完整說明見 docs/settings-schema.md）：
+ * 1. options.js：設定頁讀寫全部設定
+ * 2. tests/：透過 Node.js require 載入
+ *
+ * 依賴 url-conversion.js（IDELinkConversion）提供的規則與自訂 IDE 正規化函式，
+ * 以及 install-policy.js（IDELinkInstallPolicy）提供的安裝政策正規化。
+ */
+
+/* global module, require */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./url-conversion.js'), require('./install-policy.js'));
+  } else {
+    root.IDELinkSettings = factory(root.IDELinkConversion, root.IDELinkInstallPolicy);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (conversion, installPolicy) {
+  'use strict';
+
+  const {
+    normalizeSiteRules,
+    normalizeLinkTypeRules,
+    normalizePathMappings,
+    normalizeRepoMappings,
+    normalizeCustomIdes,
+    getIdeOptions
+  } = conversion;
+
+  const { DEFAULT_INSTALL_POLICY, normalizeInstallPolicy, normalizeTrustedSites } = installPolicy;
+
+  // chrome.storage.sync 鍵名
+  const SETTINGS_KEYS = Object.freeze({
+    SELECTED_PROTOCOL: 'selectedProtocol',
+    SITE_RULES: 'siteRules',
+    LINK_TYPE_RULES: 'linkTypeRules',
+    PATH_MAPPINGS: 'pathMappings',
+    REPO_MAPPINGS: 'repoMappings',
+    CUSTOM_IDES: 'customIdes',
+    ASK_EVERY_TIME: 'askEveryTime',
+    INTERCEPTION_ENABLED: 'interceptionEnabled',
+    MCP_MODAL_DISMISSED: 'mcpInstructionModalDismissed',
+    MULTI_INSTALL_ENABLED: 'multiInstallEnabled',
+    MULTI_INSTALL_IDES: 'multiInstallIdes',
+    INSTALL_POLICY: 'installPolicy',
+    TRUSTED_INSTALL_SITES: 'trustedInstallSites'
+  });
+
+  // 各設定的預設值（storage 中沒有該鍵時使用）
+  const DEFAULT_SETTINGS = Object.freeze({
+    [SETTINGS_KEYS.SELECTED_PROTOCOL]: 'antigravity',
+    [SETTINGS_KEYS.SITE_RULES]: Object.freeze([]),
+    [SETTINGS_KEYS.LINK_TYPE_RULES]: Object.freeze({}),
+    [SETTINGS_KEYS.PATH_MAPPINGS]: Object.freeze([]),
+    [SETTINGS_KEYS.REPO_MAPPINGS]: Object.freeze([]),
+    [SETTINGS_KEYS.CUSTOM_IDES]: Object.freeze([]),
+    [SETTINGS_KEYS.ASK_EVERY_TIME]: false,
+    [SETTINGS_KEYS.INTERCEPTION_ENABLED]: true,
+    [SETTINGS_KEYS.MCP_MODAL_DISMISSED]: false,
+    [SETTINGS_KEYS.MULTI_INSTALL_ENABLED]: false,
+    [SETTINGS_KEYS.MULTI_INSTALL_IDES]: Object.freeze([]),
+    [SETTINGS_KEYS.INSTALL_POLICY]: DEFAULT_INSTALL_POLICY,
+    [SETTINGS_KEYS.TRUSTED_INSTALL_SITES]: Object.freeze([])
+  });
+
+  /**
+   * 正規化多 IDE 安裝的目標清單：只保留存在的 IDE，去除重複
+   * @param {*} value - storage 原始值
+   * @param {Set<string>} validProtocols
+   * @returns {string[]}
+   */
+  function normalizeMultiInstallIdes(value, validProtocols) {
+    if (!Array.isArray(value)) return [];
+    return [...new Set(value)].filter(protocol => validProtocols.has(protocol));
+  }
+
+  /**
+   * 將 storage 讀出的原始值正規化為完整設定
+   * 自訂 IDE 先行正規化，其餘規則依「內建 + 自訂」IDE 驗證協議
+   * @param {Object} [raw] - chrome.storage.sync.get 的結果
+   * @returns {Object} 含所有 SETTINGS_KEYS 的設定物件
+   */
+  function normalizeSettings(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const customIdes = normalizeCustomIdes(source[SETTINGS_KEYS.CUSTOM_IDES]);
+    const validProtocols = new Set(getIdeOptions(customIdes).map(ide => ide.id));
+
+    const selectedProtocol = validProtocols.has(source[SETTINGS_KEYS.SELECTED_PROTOCOL])
+      ? source[SETTINGS_KEYS.SELECTED_PROTOCOL]
+      : DEFAULT_SETTINGS[SETTINGS_KEYS.SELECTED_PROTOCOL];
+
+    return {
+      [SETTINGS_KEYS.SELECTED_PROTOCOL]: selectedProtocol,
+      [SETTINGS_KEYS.SITE_RULES]: normalizeSiteRules(source[SETTINGS_KEYS.SITE_RULES], validProtocols),
+      [SETTINGS_KEYS.LINK_TYPE_RULES]: normalizeLinkTypeRules(source[SETTINGS_KEYS.LINK_TYPE_RULES], validProtocols),
+      [SETTINGS_KEYS.PATH_MAPPINGS]: normalizePathMappings(source[SETTINGS_KEYS.PATH_MAPPINGS]),
+      [SETTINGS_KEYS.REPO_MAPPINGS]: normalizeRepoMappings(source[SETTINGS_KEYS.REPO_MAPPINGS]),
+      [SETTINGS_KEYS.CUSTOM_IDES]: customIdes,
+      [SETTINGS_KEYS.ASK_EVERY_TIME]: source[SETTINGS_KEYS.ASK_EVERY_TIME] === true,
+      // 未設定時預設啟用，只有明確設為 false 才停用
+      [SETTINGS_KEYS.INTERCEPTION_ENABLED]: source[SETTINGS_KEYS.INTERCEPTION_ENABLED] !== false,
+      [SETTINGS_KEYS.MCP_MODAL_DISMISSED]: source[SETTINGS_KEYS.MCP_MODAL_DISMISSED] === true,
+      [SETTINGS_KEYS.MULTI_INSTALL_ENABLED]: source[SETTINGS_KEYS.MULTI_INSTALL_ENABLED] === true,
+      [SETTINGS_KEYS.MULTI_INSTALL_IDES]: normalizeMultiInstallIdes(source[SETTINGS_KEYS.MULTI_INSTALL_IDES], validProtocols),
+      [SETTINGS_KEYS.INSTALL_POLICY]: normalizeInstallPolicy(source[SETTINGS_KEYS.INSTALL_POLICY]),
+      [SETTINGS_KEYS.TRUSTED_INSTALL_SITES]: normalizeTrustedSites(source[SETTINGS_KEYS.TRUSTED_INSTALL_SITES])
+    };
+  }
+
+  return Object.freeze({
+    SETTINGS_KEYS,
+    DEFAULT_SETTINGS,
+    normalizeSettings
+  });
+});
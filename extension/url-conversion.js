@@ -0,0 +1,1109 @@
+/**
+ * IDE Link Interceptor - URL Conversion Engine
+ *
+ * 所有執行環境共用的 URL 轉換邏輯：
+ * 1. content.js (Isolated World) / interceptor.js (Main World)：由 manifest 先行載入
+ * 2. background.js (Service Worker)：透過 importScripts 載入
+ * 3. tests/：透過 Node.js require 載入
+ *
+ * 目標協議一律由參數傳入；模組狀態只有自訂 IDE 的前綴格式（由 setCustomIdes 設定）
+ * 與檔案連結的路徑改寫規則（由 setPathMappings 設定），各執行環境載入設定後需自行呼叫。
+ *
+ * 依賴 mcp-translator.js（IDELinkMcpTranslator）轉換 MCP 安裝連結中的設定，需先於本檔載入。
+ */
+
+/* global module, require */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./mcp-translator.js'));
+  } else {
+    root.IDELinkConversion = factory(root.IDELinkMcpTranslator);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (mcpTranslator) {
+  'use strict';
+
+  const { MCP_FORMATS, getMcpFormat, translateMcpServer } = mcpTranslator;
+
+  // 支援攔截的 IDE 協議前綴（包含競爭 IDE）
+  const VSCODE_PROTOCOLS = [
+    'vscode:',
+    'vscode-insiders:',
+    'antigravity:',
+    'cursor:',
+    'windsurf:',
+    'vscodium:'
+  ];
+
+  // 支援攔截的 vscode.dev 重定向網址模式 (GitHub MCP 使用)
+  const VSCODE_DEV_REDIRECT_PATTERNS = [
+    'vscode.dev/redirect',
+    'insiders.vscode.dev/redirect'
+  ];
+
+  const VSCODE_EXTENSION_SCHEMES = new Set(['vscode', 'vscode-insiders']);
+
+  // MCP 安裝 deeplink 模式（含 Cursor 專屬格式）
+  const MCP_DEEPLINK_PATTERNS = [
+    'vscode:mcp/install',
+    'vscode-insiders:mcp/install',
+    'cursor://anysphere.cursor-deeplink/mcp/install',  // Cursor 官方 deeplink 格式
+    'cursor://-deeplink/mcp/install',  // 舊格式相容
+    'vscode:mcp/by-name',
+    'vscode-insiders:mcp/by-name'
+  ];
+
+  // 攔截連結的類型（用於依類型決定目標 IDE）
+  const LINK_TYPES = Object.freeze({
+    EXTENSION: 'extension',  // vscode:extension/{id} 與 VSIX 下載連結
+    MCP: 'mcp',              // MCP 安裝連結（VS Code / Cursor 格式）
+    FILE: 'file',            // vscode://file/{path}
+    CLONE: 'clone',          // vscode://vscode.git/clone?url=...
+    OTHER: 'other'
+  });
+
+  // 可設定目標 IDE 的連結類型
+  const ROUTABLE_LINK_TYPES = [
+    LINK_TYPES.EXTENSION,
+    LINK_TYPES.MCP,
+    LINK_TYPES.FILE,
+    LINK_TYPES.CLONE
+  ];
+
+  // 協議前綴格式：colon 為 {scheme}:path，slashes 為 {scheme}://path
+  const PREFIX_STYLES = Object.freeze({
+    COLON: 'colon',
+    SLASHES: 'slashes'
+  });
+
+  // 內建 IDE 目標（scheme、顯示名稱、前綴格式與 CLI 命令）
+  const BUILTIN_IDES = Object.freeze([
+    { id: 'vscode', name: 'VS Code', desc: 'Official stable', prefixStyle: PREFIX_STYLES.COLON, command: 'code' },
+    { id: 'vscode-insiders', name: 'VS Code Insiders', desc: 'Preview release', prefixStyle: PREFIX_STYLES.COLON, command: 'code-insiders' },
+    { id: 'antigravity', name: 'Antigravity', desc: 'Antigravity IDE', prefixStyle: PREFIX_STYLES.SLASHES, command: 'antigravity' },
+    { id: 'cursor', name: 'Cursor', desc: 'AI-first IDE', prefixStyle: PREFIX_STYLES.COLON, command: 'cursor' },
+    { id: 'windsurf', name: 'Windsurf', desc: 'Codeium IDE', prefixStyle: PREFIX_STYLES.COLON, command: 'windsurf' }
+  ].map(ide => Object.freeze(ide)));
+
+  // 自訂 IDE 不可使用的 scheme（瀏覽器與系統協議）
+  const RESERVED_SCHEMES = new Set([
+    'http', 'https', 'file', 'ftp', 'data', 'blob', 'javascript', 'about',
+    'chrome', 'chrome-extension', 'edge', 'mailto', 'tel', 'ws', 'wss'
+  ]);
+
+  const CUSTOM_SCHEME_PATTERN = /^[a-z][a-z0-9+.-]{1,31}$/;
+
+  // CLI 命令僅允許命令名稱或不含空白的路徑（Native Host 以 shell 執行）
+  const CUSTOM_COMMAND_PATTERN = /^[\w.\-\\/:]{1,260}$/;
+
+  // 遠端開發擴充功能：各 IDE 中處理同一種遠端連線的擴充功能 ID（即 URI handler 的 authority）
+  // null 表示該 IDE 沒有對應的擴充功能；未列出的 IDE（VS Code Insiders 與自訂 IDE）沿用 VS Code 的擴充功能
+  const REMOTE_EXTENSIONS = Object.freeze({
+    ssh: Object.freeze({
+      name: 'Remote - SSH',
+      ides: Object.freeze({
+        vscode: 'ms-vscode-remote.remote-ssh',
+        cursor: 'anysphere.remote-ssh',
+        windsurf: 'codeium.windsurf-remote-openssh',
+        antigravity: null
+      })
+    }),
+    containers: Object.freeze({
+      name: 'Dev Containers',
+      ides: Object.freeze({
+        vscode: 'ms-vscode-remote.remote-containers',
+        cursor: 'anysphere.remote-containers',
+        windsurf: 'codeium.windsurf-dev-containers',
+        antigravity: null
+      })
+    }),
+    wsl: Object.freeze({
+      name: 'WSL',
+      ides: Object.freeze({
+        vscode: 'ms-vscode-remote.remote-wsl',
+        cursor: 'anysphere.remote-wsl',
+        windsurf: null,
+        antigravity: null
+      })
+    })
+  });
+
+  // vscode-remote 連結（{scheme}://vscode-remote/{type}+{target}/...）的遠端類型對應的遠端開發擴充功能
+  const REMOTE_TYPES = Object.freeze({
+    'ssh-remote': 'ssh',
+    'dev-container': 'containers',
+    'attached-container': 'containers',
+    'wsl': 'wsl'
+  });
+
+  // {scheme}:[//]{authority}{rest}
+  const AUTHORITY_LINK_PATTERN = /^([a-z][a-z0-9+.-]*:(?:\/\/)?)([^/?#]+)(.*)$/i;
+
+  // 檔案連結：{scheme}:[//]file/{path}[:line[:column]][?query|#fragment]
+  const FILE_LINK_PATTERN = /^([a-z][a-z0-9+.-]*:(?:\/\/)?file\/)([^?#]*)(.*)$/i;
+  const LINE_COLUMN_PATTERN = /(?::\d+){1,2}$/;
+
+  // 程式碼代管網站的檔案頁面（路徑部分）：
+  // GitHub /{owner}/{repo}/(blob|blame)/{ref}/{path}、GitLab /{group...}/{repo}/-/(blob|blame)/{ref}/{path}
+  const GITHUB_FILE_PATH_PATTERN = /^\/([^/]+\/[^/]+)\/(?:blob|blame)\/([^/]+)\/(.+)$/;
+  const GITLAB_FILE_PATH_PATTERN = /^\/(.+?)\/-\/(?:blob|blame)\/([^/]+)\/(.+)$/;
+
+  // 檔案頁面的行號錨點：GitHub #L10、#L10-L20、#L10C5-L20C8；GitLab #L10-20
+  const LINE_ANCHOR_PATTERN = /^#L(\d+)(?:C\d+)?(?:-L?\d+(?:C\d+)?)?$/i;
+
+  // 倉庫網址：https://host/owner/repo(.git)、ssh://git@host:port/owner/repo.git、git@host:owner/repo.git 或 host/owner/repo
+  const REPO_URL_PATTERN = /^(?:[a-z][a-z0-9+.-]*:\/\/)?(?:[^@/]+@)?([^/:@]+)(?::\d+)?[/:]((?:[^/]+\/)+[^/]+?)(?:\.git)?\/*$/i;
+
+  // 無法由檔案頁面產生本機檔案連結的原因
+  const REPO_LINK_ERRORS = Object.freeze({
+    NOT_REPO_FILE: 'notRepoFile',   // 不是 GitHub / GitLab 的檔案頁面
+    UNMAPPED_REPO: 'unmappedRepo'   // 倉庫沒有對應的本機目錄
+  });
+
+  // 使用 {scheme}:// 前綴的協議（內建 IDE 加上 setCustomIdes 設定的自訂 IDE）
+  let slashPrefixProtocols = new Set(
+    BUILTIN_IDES.filter(ide => ide.prefixStyle === PREFIX_STYLES.SLASHES).map(ide => ide.id)
+  );
+
+  // 檔案連結的路徑改寫規則（由 setPathMappings 設定）
+  let pathMappings = [];
+
+  // 避免破壞 OAuth/登入流程（例如 GitHub Copilot / GitHub Auth 回呼）
+  // 典型回呼：vscode://vscode.github-authentication/did-authenticate?code=...&state=...
+  function isAuthCallbackUrl(url) {
+    if (!url || typeof url !== 'string') return false;
+    const match = url.match(/^([^:]+):\/\/([^/]+)\//) || url.match(/^([^:]+):([^/]+)\//);
+    const provider = (match?.[2] || '').toLowerCase();
+    return provider.includes('authentication');
+  }
+
+  /**
+   * 取得協議前綴
+   * Antigravity 與設定為 slashes 的自訂 IDE 使用 {protocol}:// 格式（有雙斜線）
+   * 其他 IDE 使用 protocol: 格式（無雙斜線）
+   */
+  function getProtocolPrefix(protocol) {
+    return slashPrefixProtocols.has(protocol) ? `${protocol}://` : `${protocol}:`;
+  }
+
+  /**
+   * 正規化自訂 IDE 圖示：https / data:image URL，或最多兩個字元的文字
+   */
+  function normalizeIdeIcon(icon) {
+    if (typeof icon !== 'string') return '';
+    const trimmed = icon.trim();
+    if (/^(https:\/\/|data:image\/)/i.test(trimmed)) return trimmed;
+    return Array.from(trimmed).slice(0, 2).join('');
+  }
+
+  /**
+   * 過濾無效的自訂 IDE（scheme 不合法、與內建或保留 scheme 衝突、重複）
+   * @param {*} ides - 從 storage 讀取的原始值
+   * @returns {Array<{id: string, name: string, desc: string, prefixStyle: string, command: string, icon: string, custom: true}>}
+   */
+  function normalizeCustomIdes(ides) {
+    if (!Array.isArray(ides)) return [];
+    const seen = new Set(BUILTIN_IDES.map(ide => ide.id));
+    const normalized = [];
+    for (const ide of ides) {
+      const id = typeof ide?.id === 'string' ? ide.id.trim().toLowerCase() : '';
+      if (!CUSTOM_SCHEME_PATTERN.test(id) || RESERVED_SCHEMES.has(id) || seen.has(id)) continue;
+      seen.add(id);
+
+      const name = typeof ide.name === 'string' ? ide.name.trim() : '';
+      const command = typeof ide.command === 'string' ? ide.command.trim() : '';
+      normalized.push({
+        id,
+        name: name || id,
+        desc: typeof ide.desc === 'string' ? ide.desc.trim() : '',
+        prefixStyle: ide.prefixStyle === PREFIX_STYLES.SLASHES ? PREFIX_STYLES.SLASHES : PREFIX_STYLES.COLON,
+        command: CUSTOM_COMMAND_PATTERN.test(command) ? command : '',
+        icon: normalizeIdeIcon(ide.icon),
+        custom: true
+      });
+    }
+    return normalized;
+  }
+
+  /**
+   * 取得所有可選的 IDE（內建在前，自訂在後）
+   * @param {*} [customIdes] - 自訂 IDE 設定
+   */
+  function getIdeOptions(customIdes) {
+    return [...BUILTIN_IDES, ...normalizeCustomIdes(customIdes)];
+  }
+
+  /**
+   * 套用自訂 IDE 設定，更新協議前綴格式
+   * @param {*} customIdes - 自訂 IDE 設定
+   * @returns {Array} 正規化後的自訂 IDE
+   */
+  function setCustomIdes(customIdes) {
+    const normalized = normalizeCustomIdes(customIdes);
+    slashPrefixProtocols = new Set(
+      getIdeOptions(normalized)
+        .filter(ide => ide.prefixStyle === PREFIX_STYLES.SLASHES)
+        .map(ide => ide.id)
+    );
+    return normalized;
+  }
+
+  /**
+   * 過濾無效的路徑改寫規則（缺少來源或目標前綴）
+   * @param {*} mappings - 從 storage 讀取的原始值
+   * @returns {Array<{from: string, to: string}>}
+   */
+  function normalizePathMappings(mappings) {
+    if (!Array.isArray(mappings)) return [];
+    return mappings
+      .filter(mapping => typeof mapping?.from === 'string' && mapping.from.trim() &&
+        typeof mapping.to === 'string' && mapping.to.trim())
+      .map(mapping => ({ from: mapping.from.trim(), to: mapping.to.trim() }));
+  }
+
+  /**
+   * 套用路徑改寫規則
+   * @param {*} mappings - 路徑改寫規則
+   * @returns {Array} 正規化後的規則
+   */
+  function setPathMappings(mappings) {
+    pathMappings = normalizePathMappings(mappings);
+    return pathMappings;
+  }
+
+  /**
+   * 統一以 / 分隔並去除結尾的 /（根目錄 / 成為空字串）
+   */
+  function toComparablePath(path) {
+    return path.replace(/\\/g, '/').replace(/\/+$/, '');
+  }
+
+  /**
+   * 依路徑改寫規則改寫檔案路徑，第一條前綴符合者生效，只在路徑段落邊界比對
+   * 分隔符號一律轉為 /；Windows 路徑（磁碟代號或 \\wsl$\Ubuntu 等 UNC 路徑）比對時不分大小寫
+   * @param {string} path - 檔案路徑（不含行號與欄號）
+   * @param {Array<{from: string, to: string}>} [mappings] - 預設使用 setPathMappings 設定的規則
+   * @returns {string} 改寫後的路徑；沒有規則符合時返回原路徑
+   */
+  function remapFilePath(path, mappings = pathMappings) {
+    if (!path || typeof path !== 'string') return path;
+    // vscode://file//C:/... 的磁碟代號前多一個 /
+    const normalizedPath = path.replace(/\\/g, '/').replace(/^\/(?=[a-z]:)/i, '');
+
+    for (const { from, to } of normalizePathMappings(mappings)) {
+      const prefix = toComparablePath(from);
+      const head = normalizedPath.slice(0, prefix.length);
+      const rest = normalizedPath.slice(prefix.length);
+      const isWindowsPrefix = /^([a-z]:|\/\/)/i.test(prefix);
+      const matches = isWindowsPrefix ? head.toLowerCase() === prefix.toLowerCase() : head === prefix;
+      if (matches && (rest === '' || rest.startsWith('/'))) {
+        return `${toComparablePath(to)}${rest}` || '/';
+      }
+    }
+    return path;
+  }
+
+  /**
+   * 改寫檔案連結（{scheme}:[//]file/{path}）中的路徑，保留行號、欄號與查詢字串
+   * 非檔案連結或沒有規則符合時返回原 URL
+   * @param {string} url
+   * @param {Array<{from: string, to: string}>} [mappings] - 預設使用 setPathMappings 設定的規則
+   * @returns {string}
+   */
+  function remapFileUrl(url, mappings = pathMappings) {
+    const match = typeof url === 'string' ? url.match(FILE_LINK_PATTERN) : null;
+    if (!match) return url;
+
+    const [, prefix, encodedPath, suffix] = match;
+    let path = encodedPath;
+    try {
+      path = decodeURIComponent(encodedPath);
+    } catch {
+      // 保留原始路徑
+    }
+    const position = path.match(LINE_COLUMN_PATTERN)?.[0] || '';
+    const filePath = path.slice(0, path.length - position.length);
+    const remapped = remapFilePath(filePath, mappings);
+    if (remapped === filePath) return url;
+    return `${prefix}${encodeURI(remapped).replace(/[?#]/g, encodeURIComponent)}${position}${suffix}`;
+  }
+
+  /**
+   * 將倉庫網址正規化為比對用的鍵（host/owner/repo，小寫，不含協議、帳號、連接埠與 .git）
+   * 貼上的網址含 /tree/、/blob/ 或 GitLab 的 /-/ 頁面路徑時只保留倉庫部分
+   * @param {*} url - 倉庫網址
+   * @returns {string} 無法辨識時返回空字串
+   */
+  function normalizeRepoUrl(url) {
+    if (typeof url !== 'string') return '';
+    const trimmed = url.trim().replace(/[?#].*$/, '');
+    const match = trimmed.match(REPO_URL_PATTERN);
+    if (!match) return '';
+    const repoPath = match[2].replace(/\/(?:-\/.*|(?:tree|blob|blame)\/.*)$/, '');
+    return repoPath.includes('/') ? `${match[1]}/${repoPath}`.toLowerCase() : '';
+  }
+
+  /**
+   * 過濾無效的本機倉庫對應（無法辨識的倉庫網址或缺少本機目錄）；同一倉庫保留後出現者
+   * @param {*} mappings - 從 storage 讀取的原始值
+   * @returns {Array<{repo: string, path: string}>} repo 為 normalizeRepoUrl 的結果
+   */
+  function normalizeRepoMappings(mappings) {
+    if (!Array.isArray(mappings)) return [];
+    const normalized = new Map();
+    mappings.forEach(mapping => {
+      const repo = normalizeRepoUrl(mapping?.repo);
+      const path = typeof mapping?.path === 'string' ? mapping.path.trim() : '';
+      if (!repo || !path) return;
+      normalized.delete(repo);
+      normalized.set(repo, { repo, path });
+    });
+    return [...normalized.values()];
+  }
+
+  /**
+   * 解析 GitHub / GitLab 的檔案頁面（blob 或 blame），branch 名稱含 / 時無法與檔案路徑區分，視為 ref 只有一段
+   * @param {string} pageUrl
+   * @returns {{repo: string, ref: string, path: string, line: number}|null} line 為選取範圍的第一行，沒有時為 0
+   */
+  function parseRepoFileUrl(pageUrl) {
+    let parsed;
+    try {
+      parsed = new URL(pageUrl);
+    } catch {
+      return null;
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+
+    const match = parsed.pathname.match(GITLAB_FILE_PATH_PATTERN) || parsed.pathname.match(GITHUB_FILE_PATH_PATTERN);
+    if (!match) return null;
+
+    let path;
+    try {
+      path = decodeURIComponent(match[3]);
+    } catch {
+      return null;
+    }
+    const line = parsed.hash.match(LINE_ANCHOR_PATTERN)?.[1];
+
+    return {
+      repo: normalizeRepoUrl(`${parsed.hostname}/${match[1]}`),
+      ref: match[2],
+      path: path.replace(/\/+$/, ''),
+      line: line ? Number(line) : 0
+    };
+  }
+
+  /**
+   * 依本機倉庫對應，將檔案頁面轉為 vscode://file/{本機路徑}[:行號] 連結
+   * 產生的連結與網頁上的檔案連結相同，開啟前再經 convertToTargetUrl 轉為目標協議並套用路徑改寫規則
+   * @param {string} pageUrl - 檔案頁面
+   * @param {Array<{repo: string, path: string}>} mappings - 本機倉庫對應
+   * @returns {{url: string|null, repo: string, error: string|null}} error 為 REPO_LINK_ERRORS 之一
+   */
+  function buildRepoFileLink(pageUrl, mappings) {
+    const file = parseRepoFileUrl(pageUrl);
+    if (!file || !file.repo) return { url: null, repo: '', error: REPO_LINK_ERRORS.NOT_REPO_FILE };
+
+    const mapping = normalizeRepoMappings(mappings).find(item => item.repo === file.repo);
+    if (!mapping) return { url: null, repo: file.repo, error: REPO_LINK_ERRORS.UNMAPPED_REPO };
+
+    // POSIX 與 UNC 路徑本身以 / 開頭；Windows 磁碟代號前補上 /
+    const localPath = `${toComparablePath(mapping.path)}/${file.path}`;
+    const encodedPath = encodeURI(localPath).replace(/[?#]/g, encodeURIComponent);
+    const position = file.line ? `:${file.line}` : '';
+    const url = `vscode://file${localPath.startsWith('/') ? '' : '/'}${encodedPath}${position}`;
+    return { url, repo: file.repo, error: null };
+  }
+
+  /**
+   * 取得目標 IDE 中處理指定遠端連線的擴充功能 ID
+   * @param {string} remote - REMOTE_EXTENSIONS 的鍵（ssh、containers、wsl）
+   * @param {string} protocol - 目標協議
+   * @returns {string|null} 沒有對應的擴充功能時返回 null
+   */
+  function getRemoteExtensionId(remote, protocol) {
+    const { ides } = REMOTE_EXTENSIONS[remote];
+    return Object.prototype.hasOwnProperty.call(ides, protocol) ? ides[protocol] : ides.vscode;
+  }
+
+  /**
+   * 解析遠端開發連結
+   * 1. 擴充功能 URI handler：vscode://ms-vscode-remote.remote-containers/cloneInVolume?url=...（任一 IDE 的擴充功能 ID 皆可）
+   * 2. vscode-remote：vscode://vscode-remote/ssh-remote+host/path（authority 為 IDE 內建，需由遠端擴充功能解析）
+   * @returns {{remote: string, authority: string|null}|null} authority 為擴充功能 ID，vscode-remote 連結為 null
+   */
+  function parseRemoteLink(url) {
+    const match = typeof url === 'string' ? url.match(AUTHORITY_LINK_PATTERN) : null;
+    if (!match) return null;
+
+    const authority = match[2].toLowerCase();
+    if (authority === 'vscode-remote') {
+      const remoteType = match[3].match(/^\/([^+/?#]+)\+/)?.[1].toLowerCase();
+      return REMOTE_TYPES[remoteType] ? { remote: REMOTE_TYPES[remoteType], authority: null } : null;
+    }
+
+    const remote = Object.keys(REMOTE_EXTENSIONS)
+      .find(key => Object.values(REMOTE_EXTENSIONS[key].ides).includes(authority));
+    return remote ? { remote, authority } : null;
+  }
+
+  /**
+   * 將遠端開發擴充功能的 URI handler authority 改為目標 IDE 的對應擴充功能
+   * 目標 IDE 沒有對應的擴充功能時保留原 authority（由 getMissingRemoteSupport 回報）
+   */
+  function remapRemoteAuthority(url, targetProtocol) {
+    const link = parseRemoteLink(url);
+    if (!link?.authority) return url;
+    const extensionId = getRemoteExtensionId(link.remote, targetProtocol);
+    if (!extensionId) return url;
+    const [, prefix, , rest] = url.match(AUTHORITY_LINK_PATTERN);
+    return `${prefix}${extensionId}${rest}`;
+  }
+
+  /**
+   * 檢查目標 IDE 是否缺少開啟遠端開發連結所需的擴充功能
+   * @returns {{remote: string, name: string}|null} 缺少時返回遠端類型與擴充功能名稱
+   */
+  function getMissingRemoteSupport(url, targetProtocol) {
+    const link = parseRemoteLink(url);
+    if (!link || getRemoteExtensionId(link.remote, targetProtocol)) return null;
+    return { remote: link.remote, name: REMOTE_EXTENSIONS[link.remote].name };
+  }
+
+  /**
+   * 檢查 URL 是否為 VS Code 系列協議
+   */
+  function isVSCodeUrl(url) {
+    if (!url || typeof url !== 'string') return false;
+    return VSCODE_PROTOCOLS.some(protocol => url.startsWith(protocol));
+  }
+
+  /**
+   * 檢查 URL 是否為 vscode.dev 重定向連結 (GitHub MCP 使用)
+   */
+  function isVSCodeDevRedirectUrl(url) {
+    if (!url || typeof url !== 'string') return false;
+    return VSCODE_DEV_REDIRECT_PATTERNS.some(pattern => url.includes(pattern));
+  }
+
+  /**
+   * 檢查 URL 是否為 GitHub MCP Registry 使用的 MCP URL
+   * 支援兩種格式：
+   * 1. vscode:mcp/by-name/{name}
+   * 2. vscode:mcp/api.mcp.github.com/.../servers/{id}/{name}
+   */
+  function isMcpUrl(url) {
+    if (!url || typeof url !== 'string') return false;
+    return /^(vscode|vscode-insiders):mcp\//.test(url);
+  }
+
+  /**
+   * 檢查 URL 是否為 MCP 安裝 deeplink（VS Code 或 Cursor 格式）
+   */
+  function isMcpDeeplink(url) {
+    if (!url || typeof url !== 'string') return false;
+    return MCP_DEEPLINK_PATTERNS.some(pattern => url.includes(pattern));
+  }
+
+  /**
+   * 從 MCP URL 提取服務器名稱
+   * 1. vscode:mcp/by-name/huggingface → "huggingface"
+   * 2. vscode:mcp/api.mcp.github.com/.../servers/huggingface/hf-mcp-server → "hf-mcp-server"
+   *
+   * @returns {string|null} 服務器名稱，如果格式不符則返回 null
+   */
+  function extractMcpServerName(url) {
+    if (!isMcpUrl(url)) return null;
+
+    const byNameMatch = url.match(/^(vscode|vscode-insiders):mcp\/by-name\/([^/?#]+)/);
+    if (byNameMatch) {
+      return byNameMatch[2];
+    }
+
+    const apiMatch = url.match(/^(vscode|vscode-insiders):mcp\/api\.mcp\.github\.com.*\/servers\/[^/]+\/([^/?#]+)/);
+    if (apiMatch) {
+      return apiMatch[2];
+    }
+
+    return null;
+  }
+
+  /**
+   * 判斷是否為 VSIX 下載連結 (Open VSX / Marketplace / GitHub Releases / *.vsix)
+   */
+  function isVsixUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') return false;
+      const hostname = urlObj.hostname.toLowerCase();
+      const pathname = urlObj.pathname.toLowerCase();
+
+      if (pathname.endsWith('.vsix')) return true;
+
+      if (hostname === 'open-vsx.org' || hostname.endsWith('.open-vsx.org')) {
+        if (/^\/api\/[^/]+\/[^/]+\/[^/]+\/file/.test(pathname)) return true;
+      }
+
+      if (hostname.endsWith('.gallery.vsassets.io')) {
+        if (/^\/_apis\/public\/gallery\/publisher\/[^/]+\/extension\/[^/]+\/[^/]+\/assetbyname\//.test(pathname)) {
+          return true;
+        }
+      }
+
+      if (hostname === 'marketplace.visualstudio.com') {
+        if (/^\/_apis\/public\/gallery\/publishers\/[^/]+\/vsextensions\/[^/]+\/[^/]+\/vspackage$/.test(pathname)) {
+          return true;
+        }
+      }
+
+      if (hostname === 'github.com') {
+        if (/^\/[^/]+\/[^/]+\/releases\/download\/[^/]+\/.+\.vsix$/.test(pathname)) {
+          return true;
+        }
+      }
+
+      return false;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 從 VSIX URL 解析擴充套件資訊
+   * 支援 Marketplace 資產、Marketplace API、Open VSX 與 {publisher}.{name}-{version}.vsix 檔名
+   *
+   * @returns {{publisher: string, name: string, version?: string}|null}
+   */
+  function parseExtensionFromVsixUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      const hostname = urlObj.hostname.toLowerCase();
+
+      // Visual Studio Marketplace 資產 (gallery.vsassets.io)
+      if (hostname.endsWith('.gallery.vsassets.io')) {
+        const vsAssetsMatch = urlObj.pathname.match(
+          /^\/_apis\/public\/gallery\/publisher\/([^/]+)\/extension\/([^/]+)\/([^/]+)\/assetbyname\/.+$/
+        );
+        if (vsAssetsMatch) {
+          return { publisher: vsAssetsMatch[1], name: vsAssetsMatch[2], version: vsAssetsMatch[3] };
+        }
+      }
+
+      // Visual Studio Marketplace API
+      if (hostname === 'marketplace.visualstudio.com') {
+        const marketplaceMatch = urlObj.pathname.match(
+          /^\/_apis\/public\/gallery\/publishers\/([^/]+)\/vsextensions\/([^/]+)\/([^/]+)\/vspackage$/
+        );
+        if (marketplaceMatch) {
+          return { publisher: marketplaceMatch[1], name: marketplaceMatch[2], version: marketplaceMatch[3] };
+        }
+      }
+
+      // Open VSX 格式: /api/{namespace}/{name}/{version}/file/{filename}.vsix
+      const openVsxMatch = urlObj.pathname.match(/^\/api\/([^/]+)\/([^/]+)\/([^/]+)\/file(?:\/([^/]+))?$/);
+      if (openVsxMatch) {
+        return { publisher: openVsxMatch[1], name: openVsxMatch[2], version: openVsxMatch[3] };
+      }
+
+      // 嘗試從檔案名解析: {publisher}.{name}-{version}.vsix
+      const filename = urlObj.pathname.split('/').pop();
+      if (filename) {
+        const vsixMatch = filename.match(/^(.+)\.vsix$/i);
+        if (vsixMatch) {
+          const baseName = vsixMatch[1];
+          const lastDash = baseName.lastIndexOf('-');
+          const namePart = lastDash > 0 ? baseName.slice(0, lastDash) : baseName;
+          const version = lastDash > 0 ? baseName.slice(lastDash + 1) : null;
+          const dotIndex = namePart.indexOf('.');
+          if (dotIndex > 0) {
+            return {
+              publisher: namePart.slice(0, dotIndex),
+              name: namePart.slice(dotIndex + 1),
+              version: version || undefined
+            };
+          }
+        }
+      }
+
+      return null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 依照規範建立 VSIX 安裝協議 URL
+   * 格式: {protocol}://extension/install?url={VSIX_URL}&name={publisher}.{name}&version={version}
+   */
+  function buildVsixInstallUrl(protocol, vsixUrl, extInfo) {
+    const params = new URLSearchParams({ url: vsixUrl });
+    if (extInfo?.publisher && extInfo?.name) {
+      params.set('name', `${extInfo.publisher}.${extInfo.name}`);
+    }
+    if (extInfo?.version) {
+      params.set('version', extInfo.version);
+    }
+    return `${protocol}://extension/install?${params.toString()}`;
+  }
+
+  /**
+   * 建立擴充頁面 URL
+   * Antigravity: antigravity://{publisher}.{name}（擴充 ID 直接作為 authority）
+   * 其他 IDE: {protocol}:extension/{publisher}.{name}
+   */
+  function buildExtensionUrl(protocol, extensionId) {
+    if (protocol === 'antigravity') {
+      return `antigravity://${extensionId}`;
+    }
+    return `${getProtocolPrefix(protocol)}extension/${extensionId}`;
+  }
+
+  /**
+   * 從 vscode:extension/{id} 連結取得擴充功能 ID
+   * @returns {string|null}
+   */
+  function parseVSCodeExtensionId(url) {
+    if (!url || typeof url !== 'string') return null;
+    const match = url.match(/^([^:]+):(\/\/)?extension\/([^?#]+)/);
+    if (!match) return null;
+    if (!VSCODE_EXTENSION_SCHEMES.has(match[1])) return null;
+    return match[3];
+  }
+
+  // 擴充功能 ID（publisher.name）與可固定安裝的版本號（排除 "latest" 等別名）
+  const EXTENSION_ID_PATTERN = /^[a-z0-9][a-z0-9-]*\.[a-z0-9][a-z0-9._-]*$/i;
+  const EXTENSION_VERSION_PATTERN = /^\d+(?:\.\d+){1,3}(?:[-+][0-9a-z.-]+)?$/i;
+
+  /**
+   * 組合 CLI 安裝用的擴充功能規格，版本已知時為 publisher.name@version
+   * @param {{publisher: string, name: string, version?: string}} extInfo - parseExtensionFromVsixUrl 的結果
+   * @returns {string}
+   */
+  function formatExtensionSpec(extInfo) {
+    const id = `${extInfo.publisher}.${extInfo.name}`;
+    return extInfo.version && EXTENSION_VERSION_PATTERN.test(extInfo.version)
+      ? `${id}@${extInfo.version}`
+      : id;
+  }
+
+  /**
+   * 解析 publisher.name 或 publisher.name@version
+   * @returns {{id: string, version: string|null}|null} 格式不符時回傳 null
+   */
+  function parseExtensionSpec(spec) {
+    if (!spec || typeof spec !== 'string') return null;
+    const [id, version, ...rest] = spec.trim().split('@');
+    if (rest.length > 0 || !EXTENSION_ID_PATTERN.test(id)) return null;
+    if (version !== undefined && !EXTENSION_VERSION_PATTERN.test(version)) return null;
+    return { id, version: version || null };
+  }
+
+  /**
+   * 將來源協議替換為目標協議
+   * 來源已帶 authority (scheme://host/...) 時保留原本的雙斜線，避免產生 antigravity:////host
+   */
+  function replaceProtocol(url, targetProtocol) {
+    for (const protocol of VSCODE_PROTOCOLS) {
+      if (url.startsWith(protocol)) {
+        const path = url.slice(protocol.length);
+        if (path.startsWith('//')) {
+          return `${targetProtocol}:${path}`;
+        }
+        return `${getProtocolPrefix(targetProtocol)}${path}`;
+      }
+    }
+    return url;
+  }
+
+  /**
+   * 將 VS Code 系列協議 URL 轉換為目標協議 URL
+   * 遠端開發連結另改為目標 IDE 的遠端擴充功能，檔案連結另依路徑改寫規則改寫路徑
+   */
+  function convertToTargetUrl(url, targetProtocol) {
+    // OAuth/登入回呼不轉換，避免破壞 IDE 的認證流程
+    if (isAuthCallbackUrl(url)) return url;
+    // 已經是目標協議時只改寫 authority 與路徑
+    const converted = url.startsWith(`${targetProtocol}:`) ? url : replaceProtocol(url, targetProtocol);
+    return remapFileUrl(remapRemoteAuthority(converted, targetProtocol));
+  }
+
+  /**
+   * 轉換 MCP 連結
+   * 含設定內容的安裝連結經 mcp-translator.js 轉為目標 IDE 的格式（VS Code mcp/install 或 Cursor deeplink），
+   * 設定無法以目標格式表示時返回 null（原因見 buildMcpInstallUrl）；mcp/by-name 等連結只替換協議前綴
+   * @returns {string|null}
+   */
+  function convertMcpUrl(url, targetProtocol) {
+    const server = parseMcpInstallUrl(url);
+    if (server) {
+      return buildMcpInstallUrl(targetProtocol, server).url;
+    }
+
+    for (const protocol of VSCODE_PROTOCOLS) {
+      if (url.startsWith(protocol + 'mcp/')) {
+        return url.replace(protocol, getProtocolPrefix(targetProtocol));
+      }
+    }
+
+    return url;
+  }
+
+  /**
+   * 以 UTF-8 編碼 JSON 為 base64（Cursor deeplink 的 config 參數）
+   */
+  function encodeBase64Json(value) {
+    const bytes = new TextEncoder().encode(JSON.stringify(value));
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  /**
+   * 解碼 base64 或純 JSON 字串（vscode.dev 路徑格式的 config 參數為 JSON）
+   */
+  function decodeConfigParam(value) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      // URLSearchParams 會把未編碼的 + 轉成空白
+      const bytes = Uint8Array.from(atob(value.replace(/ /g, '+')), char => char.charCodeAt(0));
+      return JSON.parse(new TextDecoder().decode(bytes));
+    }
+  }
+
+  /**
+   * 解析含設定內容的 MCP 安裝連結，回傳伺服器設定（name 併入設定物件）
+   * 支援 {protocol}:mcp/install?{json}、Cursor deeplink（name + base64 config）與 vscode.dev 重定向
+   * mcp/by-name 等不含設定內容的連結返回 null
+   * @returns {Object|null} 例如 { name: 'github', command: 'npx', args: [...] }
+   */
+  function parseMcpInstallUrl(url) {
+    if (!url || typeof url !== 'string') return null;
+
+    try {
+      let params = null;
+
+      if (isVSCodeDevRedirectUrl(url)) {
+        const urlObj = new URL(url);
+        const urlParam = urlObj.searchParams.get('url');
+        if (urlParam) return parseMcpInstallUrl(decodeMultiLayerUrl(urlParam));
+        if (!/^\/redirect\/mcp\/install\/?$/.test(urlObj.pathname)) return null;
+        params = urlObj.searchParams;
+      } else {
+        const cursorPrefix = ['cursor://anysphere.cursor-deeplink/mcp/install', 'cursor://-deeplink/mcp/install']
+          .find(prefix => url.startsWith(prefix));
+        if (cursorPrefix) {
+          params = new URLSearchParams(url.slice(cursorPrefix.length).replace(/^\?/, ''));
+        }
+      }
+
+      let server = null;
+      if (params) {
+        const config = params.get('config');
+        if (!config) return null;
+        const name = params.get('name');
+        server = { ...decodeConfigParam(config), ...(name ? { name } : {}) };
+      } else {
+        const protocol = VSCODE_PROTOCOLS.find(prefix => url.startsWith(prefix));
+        const match = protocol && url.slice(protocol.length).match(/^(?:\/\/)?mcp\/install\?(.+)$/);
+        if (!match) return null;
+        try {
+          server = JSON.parse(decodeURIComponent(match[1]));
+        } catch {
+          // 多層解碼後的 vscode.dev 連結已是純 JSON
+          server = JSON.parse(match[1]);
+        }
+      }
+
+      if (!server || typeof server !== 'object' || Array.isArray(server)) return null;
+      const { name, ...config } = server;
+      return { name: typeof name === 'string' && name ? name : 'mcp-server', ...config };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 依目標協議建立 MCP 安裝連結
+   * Cursor 使用 deeplink（name + base64 config），其他 IDE 使用 {prefix}mcp/install?{encoded_json}（VS Code 格式）
+   * @param {string} targetProtocol
+   * @param {Object} server - parseMcpInstallUrl 格式的伺服器設定
+   * @returns {{url: string|null, error: string|null}} 設定無效或無法以目標格式表示時 error 為 MCP_TRANSLATION_ERRORS 之一
+   */
+  function buildMcpInstallUrl(targetProtocol, server) {
+    const format = getMcpFormat(targetProtocol) === MCP_FORMATS.CURSOR ? MCP_FORMATS.CURSOR : MCP_FORMATS.VSCODE;
+    const translated = translateMcpServer(server, MCP_FORMATS.VSCODE, format);
+    if (translated.error) {
+      return { url: null, error: translated.error };
+    }
+    if (format === MCP_FORMATS.CURSOR) {
+      const name = encodeURIComponent(translated.server.name);
+      return { url: `cursor://anysphere.cursor-deeplink/mcp/install?name=${name}&config=${encodeBase64Json(translated.config)}`, error: null };
+    }
+    return { url: `${getProtocolPrefix(targetProtocol)}mcp/install?${encodeURIComponent(JSON.stringify(translated.config))}`, error: null };
+  }
+
+  /**
+   * 解碼多層 URL 編碼（最多 5 層防止無限迴圈）
+   */
+  function decodeMultiLayerUrl(encodedUrl) {
+    let decoded = encodedUrl;
+    let prev = '';
+    for (let i = 0; i < 5 && decoded !== prev; i++) {
+      prev = decoded;
+      try {
+        decoded = decodeURIComponent(decoded);
+      } catch {
+        break;
+      }
+    }
+    return decoded;
+  }
+
+  /**
+   * 將 vscode.dev 重定向連結轉換為目標 IDE 協議
+   *
+   * 格式 1: https://insiders.vscode.dev/redirect?url=vscode%3Amcp%2Finstall%3F...
+   *         (GitHub MCP Registry 使用此格式，url 參數包含完整 vscode: 連結，可能多層編碼)
+   * 格式 2: https://insiders.vscode.dev/redirect/mcp/install?name=github&config={...}
+   *         (路徑格式)
+   *
+   * @returns {string|null} 轉換後的 URL，解析失敗時返回 null
+   */
+  function convertVSCodeDevUrl(url, targetProtocol) {
+    try {
+      const urlObj = new URL(url);
+
+      // 格式 1: url 參數
+      const urlParam = urlObj.searchParams.get('url');
+      if (urlParam) {
+        const decodedUrl = decodeMultiLayerUrl(urlParam);
+        if (isAuthCallbackUrl(decodedUrl)) return decodedUrl;
+
+        if (isMcpDeeplink(decodedUrl)) {
+          return convertMcpUrl(decodedUrl, targetProtocol);
+        }
+        return convertToTargetUrl(decodedUrl, targetProtocol);
+      }
+
+      // 格式 2: 路徑格式 (/redirect/mcp/install?...)
+      const path = urlObj.pathname.replace('/redirect', '');
+      const normalizedPath = path.startsWith('/') ? path.slice(1) : path;
+      return `${getProtocolPrefix(targetProtocol)}${normalizedPath}${urlObj.search}`;
+    } catch (e) {
+      console.error('[IDE Switcher] 轉換 vscode.dev 連結失敗:', e);
+      return null;
+    }
+  }
+
+  /**
+   * 依協議後的路徑判斷連結類型
+   * 例如: extension/{id}、mcp/install?...、file/C:/...、vscode.git/clone?url=...
+   */
+  function classifyLinkPath(path) {
+    const normalizedPath = path.replace(/^\/+/, '');
+    if (/^extension\//i.test(normalizedPath)) return LINK_TYPES.EXTENSION;
+    // mcp/... 或 Cursor 的 anysphere.cursor-deeplink/mcp/...
+    if (/^([^/?#]+\/)?mcp\//i.test(normalizedPath)) return LINK_TYPES.MCP;
+    if (/^file\//i.test(normalizedPath)) return LINK_TYPES.FILE;
+    if (/^[^/?#]+\/clone([?#/]|$)/i.test(normalizedPath)) return LINK_TYPES.CLONE;
+    return LINK_TYPES.OTHER;
+  }
+
+  /**
+   * 判斷攔截連結的類型
+   * @returns {string|null} LINK_TYPES 之一；非 IDE 相關連結返回 null
+   */
+  function classifyLink(url) {
+    if (!url || typeof url !== 'string') return null;
+
+    if (isVSCodeDevRedirectUrl(url)) {
+      try {
+        const urlObj = new URL(url);
+        const urlParam = urlObj.searchParams.get('url');
+        if (urlParam) {
+          return classifyLink(decodeMultiLayerUrl(urlParam)) || LINK_TYPES.OTHER;
+        }
+        return classifyLinkPath(urlObj.pathname.replace('/redirect', ''));
+      } catch {
+        return LINK_TYPES.OTHER;
+      }
+    }
+
+    if (isVsixUrl(url)) return LINK_TYPES.EXTENSION;
+
+    for (const protocol of VSCODE_PROTOCOLS) {
+      if (url.startsWith(protocol)) {
+        return classifyLinkPath(url.slice(protocol.length));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 檢查 URL 是否需要攔截處理
+   */
+  function needsInterception(url) {
+    return isVSCodeUrl(url) || isVSCodeDevRedirectUrl(url) || isMcpDeeplink(url);
+  }
+
+  /**
+   * 統一處理 URL 轉換（vscode.dev 重定向 → MCP deeplink → 一般協議）
+   */
+  function processUrl(url, targetProtocol) {
+    if (isAuthCallbackUrl(url)) return url;
+    if (isVSCodeDevRedirectUrl(url)) {
+      return convertVSCodeDevUrl(url, targetProtocol);
+    }
+    if (isMcpDeeplink(url)) {
+      return convertMcpUrl(url, targetProtocol);
+    }
+    if (isVSCodeUrl(url)) {
+      return convertToTargetUrl(url, targetProtocol);
+    }
+    return url;
+  }
+
+  /**
+   * 將萬用字元樣式 (*) 轉換為正規表示式
+   */
+  function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`, 'i');
+  }
+
+  /**
+   * 檢查頁面 URL 是否符合站台樣式
+   * 樣式格式: {host}[/{path}]，host 與 path 皆可使用 * 萬用字元，可省略 http(s):// 前綴
+   * 例如: github.com/our-org/*、*.gitlab.internal、localhost:3000
+   */
+  function matchesSitePattern(pattern, pageUrl) {
+    if (!pattern || typeof pattern !== 'string' || !pageUrl) return false;
+    try {
+      const urlObj = new URL(pageUrl);
+      const normalized = pattern.trim().replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+      const slashIndex = normalized.indexOf('/');
+      const hostPattern = slashIndex >= 0 ? normalized.slice(0, slashIndex) : normalized;
+      const pathPattern = slashIndex >= 0 ? normalized.slice(slashIndex) : null;
+      if (!hostPattern) return false;
+
+      const host = hostPattern.includes(':') ? urlObj.host : urlObj.hostname;
+      if (!globToRegExp(hostPattern).test(host)) return false;
+      if (pathPattern === null) return true;
+      return globToRegExp(pathPattern).test(urlObj.pathname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 過濾無效的站台規則（缺少樣式或協議不受支援）
+   * @param {*} rules - 從 storage 讀取的原始值
+   * @param {Set<string>} validProtocols - 可用的目標協議
+   * @returns {Array<{pattern: string, protocol: string}>}
+   */
+  function normalizeSiteRules(rules, validProtocols) {
+    if (!Array.isArray(rules)) return [];
+    return rules
+      .filter(rule => rule && typeof rule.pattern === 'string' && rule.pattern.trim() &&
+        validProtocols.has(rule.protocol))
+      .map(rule => ({ pattern: rule.pattern.trim(), protocol: rule.protocol }));
+  }
+
+  /**
+   * 過濾無效的連結類型規則（未知類型或協議不受支援）
+   * @param {*} rules - 從 storage 讀取的原始值
+   * @param {Set<string>} validProtocols - 可用的目標協議
+   * @returns {Object<string, string>} 連結類型 → 協議
+   */
+  function normalizeLinkTypeRules(rules, validProtocols) {
+    const normalized = {};
+    if (!rules || typeof rules !== 'object') return normalized;
+    for (const type of ROUTABLE_LINK_TYPES) {
+      if (validProtocols.has(rules[type])) {
+        normalized[type] = rules[type];
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * 決定目標協議
+   * 優先順序：站台規則（依序比對，第一條符合者生效）→ 連結類型規則 → 預設協議
+   * @param {string} pageUrl - 連結所在頁面的 URL
+   * @param {Array<{pattern: string, protocol: string}>} rules - 站台規則
+   * @param {string} defaultProtocol - 無規則符合時使用的協議
+   * @param {{linkUrl?: string, linkTypeRules?: Object<string, string>}} [options]
+   * @returns {{protocol: string, source: 'site'|'linkType'|'default', rule: object|null, index: number, linkType: string|null}}
+   */
+  function resolveTargetProtocol(pageUrl, rules, defaultProtocol, options = {}) {
+    const linkType = options.linkUrl ? classifyLink(options.linkUrl) : null;
+
+    if (Array.isArray(rules)) {
+      for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        if (rule?.protocol && matchesSitePattern(rule.pattern, pageUrl)) {
+          return { protocol: rule.protocol, source: 'site', rule, index: i, linkType };
+        }
+      }
+    }
+
+    const typeProtocol = linkType && options.linkTypeRules?.[linkType];
+    if (typeProtocol) {
+      return { protocol: typeProtocol, source: 'linkType', rule: null, index: -1, linkType };
+    }
+
+    return { protocol: defaultProtocol, source: 'default', rule: null, index: -1, linkType };
+  }
+
+  return Object.freeze({
+    VSCODE_PROTOCOLS,
+    VSCODE_EXTENSION_SCHEMES,
+    LINK_TYPES,
+    ROUTABLE_LINK_TYPES,
+    PREFIX_STYLES,
+    BUILTIN_IDES,
+    REMOTE_EXTENSIONS,
+    isAuthCallbackUrl,
+    getProtocolPrefix,
+    normalizeCustomIdes,
+    getIdeOptions,
+    setCustomIdes,
+    normalizePathMappings,
+    setPathMappings,
+    remapFilePath,
+    remapFileUrl,
+    REPO_LINK_ERRORS,
+    normalizeRepoUrl,
+    normalizeRepoMappings,
+    parseRepoFileUrl,
+    buildRepoFileLink,
+    getRemoteExtensionId,
+    parseRemoteLink,
+    remapRemoteAuthority,
+    getMissingRemoteSupport,
+    isVSCodeUrl,
+    isVSCodeDevRedirectUrl,
+    isMcpUrl,
+    isMcpDeeplink,
+    extractMcpServerName,
+    isVsixUrl,
+    parseExtensionFromVsixUrl,
+    buildVsixInstallUrl,
+    buildExtensionUrl,
+    parseVSCodeExtensionId,
+    formatExtensionSpec,
+    parseExtensionSpec,
+    convertToTargetUrl,
+    convertMcpUrl,
+    parseMcpInstallUrl,
+    buildMcpInstallUrl,
+    decodeMultiLayerUrl,
+    convertVSCodeDevUrl,
+    needsInterception,
+    processUrl,
+    matchesSitePattern,
+    classifyLink,
+    normalizeSiteRules,
+    normalizeLinkTypeRules,
+    resolveTargetProtocol
+  });
+});
@@ -3,30 +3,105 @@
  * IDE Link Interceptor - Native Messaging Host
  * 
  * This script receives messages from the browser extension via Native Messaging
- * and executes IDE CLI commands to install extensions.
+ * and executes IDE CLI commands to install, list and uninstall extensions.
  * 
  * Native Messaging Protocol:
  * - Input: 4 bytes (uint32 LE) length + JSON string
  * - Output: 4 bytes (uint32 LE) length + JSON string
+ *
+ * The host stays alive for the lifetime of the port (chrome.runtime.connectNative)
+ * and handles requests concurrently:
+ * - Request:  { id, action, ... }
+ * - Progress: { id, type: 'progress', ... }   (zero or more, long operations only)
+ * - Response: { id, type: 'response', success, ... }
+ * - Batch:    { id, action: 'batch', requests: [...] } -> { id, type: 'response', success, results: [...] }
+ * Messages without an id (chrome.runtime.sendNativeMessage) get a plain response.
+ * When the browser closes stdin, the host exits after in-flight requests finish.
+ *
+ * Install requests (install, installVsix) are checked against the install policy
+ * sent by the extension and the optional install-policy.json next to this script;
+ * both must allow the extension.
+ *
+ * addMcpServer merges an MCP server into the IDE's mcp_config.json (IDEs without
+ * an MCP install deeplink: Antigravity and Windsurf). The extension sends the entry
+ * already translated to the mcp_config.json format; the host only validates and merges it.
+ * The previous file is backed up first.
  */
 
 const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {
+  IDE_COMMANDS,
   checkProtocolRegistration,
   registerProtocol,
   autoRegisterProtocol,
-  findIDEPath
+  findIDEInstallation,
+  findIDECommand
 } = require('./protocol-helper');
 
-// IDE 命令對應
-const IDE_COMMANDS = {
-  'vscode': 'code',
-  'vscode-insiders': 'code-insiders',
-  'antigravity': 'antigravity',
-  'cursor': 'cursor',
-  'windsurf': 'windsurf',
+// 自訂 IDE 的 CLI 命令：僅允許命令名稱或不含空白的路徑（命令以 shell 執行）
+const CUSTOM_COMMAND_PATTERN = /^[\w.\-\\/:]{1,260}$/;
+
+// 協議名稱格式（會帶入 Registry 路徑，需先驗證）
+const PROTOCOL_PATTERN = /^[a-z][a-z0-9+.-]{1,31}$/;
+
+// 擴充功能 ID 格式 publisher.name（會帶入 shell 命令，需先驗證）
+const EXTENSION_ID_PATTERN = /^[a-z0-9][a-z0-9-]*\.[a-z0-9][a-z0-9._-]*$/i;
+
+// 固定版本的版本號格式（安裝時可使用 publisher.name@version）
+const EXTENSION_VERSION_PATTERN = /^\d+(?:\.\d+){1,3}(?:[-+][0-9a-z.-]+)?$/i;
+
+// 發行者名稱格式（安裝政策使用）
+const PUBLISHER_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+
+// 本機安裝政策檔（選用，與擴充功能設定頁的 installPolicy 格式相同）
+const POLICY_FILE = path.join(__dirname, 'install-policy.json');
+
+// 以 mcp_config.json 設定 MCP 伺服器的 IDE（file：設定檔路徑）
+const MCP_CONFIGS = {
+  antigravity: {
+    file: path.join(os.homedir(), '.gemini', 'antigravity', 'mcp_config.json')
+  },
+  windsurf: {
+    file: path.join(os.homedir(), '.codeium', 'windsurf', 'mcp_config.json')
+  }
 };
 
+// mcp_config.json 項目允許的欄位（本機伺服器：command/args/env；遠端伺服器：serverUrl/headers）
+const MCP_ENTRY_KEYS = new Set(['command', 'args', 'env', 'serverUrl', 'headers']);
+
+// MCP 伺服器名稱格式（作為 mcpServers 的鍵）
+const MCP_SERVER_NAME_PATTERN = /^[\w@.-][\w@. -]{0,63}$/;
+
+// 單一批次請求的最大數量
+const MAX_BATCH_SIZE = 32;
+
+// 處理中的請求數與 stdin 是否已關閉（用於乾淨結束）
+let pendingRequests = 0;
+let stdinEnded = false;
+
+// 依序寫入 mcp_config.json，避免並行請求互相覆蓋
+let mcpConfigQueue = Promise.resolve();
+
+/**
+ * 取得 IDE 的 CLI 命令
+ * 內建 IDE 使用 IDE_COMMANDS；命令不在 PATH 上時改用偵測到的安裝路徑（Snap、Flatpak、AppImage 等）
+ * 自訂 IDE 使用擴充功能傳入的命令
+ */
+async function resolveCommand(ide, customCommand) {
+  if (IDE_COMMANDS[ide]) {
+    const command = await findIDECommand(ide);
+    // 偵測到的完整路徑可能含空白（命令以 shell 執行），無法安全加上引號時沿用固定命令
+    return command === IDE_COMMANDS[ide] ? command : quoteShellArg(command) || IDE_COMMANDS[ide];
+  }
+  if (typeof customCommand === 'string' && CUSTOM_COMMAND_PATTERN.test(customCommand)) {
+    return customCommand;
+  }
+  return null;
+}
+
 /**
  * 發送 Native Messaging 回應
  */
@@ -36,24 +111,65 @@ function sendMessage(message) {
   const header = Buffer.alloc(4);
   header.writeUInt32LE(buffer.length, 0);
 
-  process.stdout.write(header);
-  process.stdout.write(buffer);
+  // 標頭與內容一次寫入，避免並行回應交錯
+  process.stdout.write(Buffer.concat([header, buffer]));
 }
 
 /**
- * 執行 IDE 安裝命令
+ * 判斷 CLI 輸出行所屬的安裝階段
+ * 例: "Installing extensions..." / "Extension 'ms-python.python' v2024.2.1 was successfully installed."
+ * @param {string} line
+ * @returns {'downloading'|'dependencies'|'installing'|'installed'|'output'}
  */
-function installExtension(ide, extensionId) {
-  return new Promise((resolve, reject) => {
-    const command = IDE_COMMANDS[ide];
+function getInstallStage(line) {
+  if (/successfully installed|is already installed/i.test(line)) return 'installed';
+  if (/download/i.test(line)) return 'downloading';
+  if (/dependenc|extension pack/i.test(line)) return 'dependencies';
+  if (/install/i.test(line)) return 'installing';
+  return 'output';
+}
 
-    if (!command) {
-      reject(new Error(`Unknown IDE: ${ide}`));
-      return;
-    }
+/**
+ * 從 CLI 輸出取出已安裝的版本
+ * @param {string} output - 完整 stdout
+ * @param {string} extensionId
+ * @returns {{version: string|null, alreadyInstalled: boolean}}
+ */
+function parseInstallResult(output, extensionId) {
+  const escapedId = extensionId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`Extension '${escapedId}'(?: v(\\S+?))? (was successfully installed|is already installed)`, 'i');
+  const match = output.match(pattern);
+  return {
+    version: match?.[1] || null,
+    alreadyInstalled: /already installed/i.test(match?.[2] || '')
+  };
+}
 
-    const args = ['--install-extension', extensionId];
+/**
+ * 為 shell 參數加上引號（命令以 shell 執行，檔案路徑可能含空白或特殊字元）
+ * Windows cmd 無法安全跳脫 " 與 %，含這些字元的路徑回傳 null
+ * @param {string} value
+ * @returns {string|null}
+ */
+function quoteShellArg(value) {
+  if (process.platform === 'win32') {
+    return /["%]/.test(value) ? null : `"${value}"`;
+  }
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
 
+/**
+ * 執行 IDE CLI 並逐行轉發輸出
+ * @param {string[]} args - CLI 參數（以 shell 執行，含使用者資料的參數需先 quoteShellArg）
+ * @param {Function} [onOutput] - 每收到一行 CLI 輸出時呼叫 (line, stream)
+ */
+async function runIdeCli(ide, customCommand, args, onOutput = () => {}) {
+  const command = await resolveCommand(ide, customCommand);
+  if (!command) {
+    throw new Error(`Unknown IDE: ${ide}`);
+  }
+
+  return new Promise((resolve, reject) => {
     const child = spawn(command, args, {
       shell: true,
       windowsHide: true,
@@ -62,16 +178,29 @@ function installExtension(ide, extensionId) {
 
     let stdout = '';
     let stderr = '';
+    const partialLines = { stdout: '', stderr: '' };
+
+    // 逐行轉發輸出（保留未完整的最後一行待下次資料）
+    const forwardLines = (stream, text) => {
+      const lines = (partialLines[stream] + text).split(/\r?\n/);
+      partialLines[stream] = lines.pop();
+      lines.filter(line => line.trim()).forEach(line => onOutput(line.trim(), stream));
+    };
 
     child.stdout.on('data', (data) => {
       stdout += data.toString();
+      forwardLines('stdout', data.toString());
     });
 
     child.stderr.on('data', (data) => {
       stderr += data.toString();
+      forwardLines('stderr', data.toString());
     });
 
     child.on('close', (code) => {
+      clearTimeout(timeout);
+      forwardLines('stdout', '\n');
+      forwardLines('stderr', '\n');
       if (code === 0) {
         resolve({ stdout, stderr });
       } else {
@@ -84,17 +213,281 @@ function installExtension(ide, extensionId) {
     });
 
     // 60 秒超時
-    setTimeout(() => {
+    const timeout = setTimeout(() => {
       child.kill();
-      reject(new Error('Installation timed out'));
+      reject(new Error('Command timed out'));
     }, 60000);
   });
 }
 
+/**
+ * 拆解 publisher.name 或 publisher.name@version
+ * @returns {{id: string, version: string|null}|null} 格式不符時回傳 null
+ */
+function parseExtensionSpec(spec) {
+  if (typeof spec !== 'string') return null;
+  const [id, version, ...rest] = spec.split('@');
+  if (rest.length > 0 || !EXTENSION_ID_PATTERN.test(id)) return null;
+  if (version !== undefined && !EXTENSION_VERSION_PATTERN.test(version)) return null;
+  return { id, version: version || null };
+}
+
+/**
+ * 正規化政策中的名稱清單（轉小寫、濾除格式不符的項目）
+ */
+function normalizePolicyList(value, pattern) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(name => typeof name === 'string')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => pattern.test(name));
+}
+
+/**
+ * 讀取本機安裝政策檔；不存在時回傳 null，格式錯誤時拋出錯誤（拒絕安裝）
+ */
+function loadLocalPolicy() {
+  let content;
+  try {
+    content = fs.readFileSync(POLICY_FILE, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid ${path.basename(POLICY_FILE)}: ${err.message}`);
+  }
+}
+
+/**
+ * 依單一政策檢查擴充功能（規則同 extension/install-policy.js）
+ * 政策檔未列出 verifiedPublishers 時視為空清單
+ * @returns {{reason: string, error: string}|null} 允許時回傳 null
+ */
+function evaluatePolicy(extensionId, label, raw) {
+  const allowedPublishers = normalizePolicyList(raw.allowedPublishers, PUBLISHER_PATTERN);
+  const blockedExtensions = normalizePolicyList(raw.blockedExtensions, EXTENSION_ID_PATTERN);
+  const verifiedPublishers = normalizePolicyList(raw.verifiedPublishers, PUBLISHER_PATTERN);
+  const verifiedOnly = raw.verifiedOnly === true;
+
+  const id = extensionId ? extensionId.toLowerCase() : null;
+  const publisher = id ? id.slice(0, id.indexOf('.')) : null;
+
+  if (!publisher) {
+    return allowedPublishers.length > 0 || verifiedOnly
+      ? { reason: 'unknownPublisher', error: `Cannot determine the publisher of ${label}; the install policy only allows known publishers` }
+      : null;
+  }
+  if (blockedExtensions.includes(id)) {
+    return { reason: 'blockedExtension', error: `Extension ${id} is blocked by the install policy` };
+  }
+  if (allowedPublishers.length > 0 && !allowedPublishers.includes(publisher)) {
+    return { reason: 'publisherNotAllowed', error: `Publisher ${publisher} is not in the allowed publishers list` };
+  }
+  if (verifiedOnly && !verifiedPublishers.includes(publisher)) {
+    return { reason: 'unverifiedPublisher', error: `Publisher ${publisher} is not in the verified publishers list` };
+  }
+  return null;
+}
+
+/**
+ * 依擴充功能傳來的政策與本機政策檔檢查安裝，兩者都允許才可安裝
+ * @param {string|null} extensionId - publisher.name；無法判斷時為 null
+ * @param {string} label - 錯誤訊息使用的名稱
+ * @param {Object} [requestPolicy] - 請求中的 policy
+ * @returns {{reason: string, error: string}|null}
+ */
+function checkInstallPolicy(extensionId, label, requestPolicy) {
+  let localPolicy;
+  try {
+    localPolicy = loadLocalPolicy();
+  } catch (err) {
+    return { reason: 'invalidPolicy', error: err.message };
+  }
+
+  for (const policy of [requestPolicy, localPolicy]) {
+    if (!policy || typeof policy !== 'object') continue;
+    const violation = evaluatePolicy(extensionId, label, policy);
+    if (violation) return violation;
+  }
+  return null;
+}
+
+/**
+ * 從 VSIX 檔名（publisher.name-version.vsix）取得擴充功能 ID
+ * @returns {string|null}
+ */
+function parseVsixExtensionId(fileName) {
+  const baseName = fileName.replace(/\.vsix$/i, '').replace(/-\d+\.\d+\.\d+[\w.-]*$/, '');
+  return EXTENSION_ID_PATTERN.test(baseName) ? baseName : null;
+}
+
+/**
+ * 執行 IDE 安裝命令
+ * 指定版本時加上 --force，才能取代已安裝的其他版本
+ * @param {Function} [onOutput] - 每收到一行 CLI 輸出時呼叫 (line, stream)
+ */
+function installExtension(ide, extensionSpec, customCommand, onOutput) {
+  const args = ['--install-extension', extensionSpec];
+  if (extensionSpec.includes('@')) {
+    args.push('--force');
+  }
+  return runIdeCli(ide, customCommand, args, onOutput);
+}
+
+/**
+ * 解析 --list-extensions --show-versions 的輸出（每行 publisher.name@version）
+ * @param {string} output
+ * @returns {Array<{id: string, version: string|null}>}
+ */
+function parseExtensionList(output) {
+  return output.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => EXTENSION_ID_PATTERN.test(line.split('@')[0]))
+    .map(line => {
+      const [id, version] = line.split('@');
+      return { id, version: version || null };
+    });
+}
+
+/**
+ * 列出 IDE 已安裝的擴充功能
+ */
+async function listExtensions(ide, customCommand) {
+  const result = await runIdeCli(ide, customCommand, ['--list-extensions', '--show-versions']);
+  return parseExtensionList(result.stdout);
+}
+
+/**
+ * 解除安裝擴充功能
+ */
+function uninstallExtension(ide, extensionId, customCommand) {
+  return runIdeCli(ide, customCommand, ['--uninstall-extension', extensionId]);
+}
+
+/**
+ * 驗證並安裝本機 VSIX 檔案（瀏覽器下載完成後傳入的完整路徑）
+ * @param {Function} [onOutput] - 每收到一行 CLI 輸出時呼叫 (line, stream)
+ */
+async function installVsixFile(ide, vsixPath, customCommand, onOutput) {
+  if (!path.isAbsolute(vsixPath) || !/\.vsix$/i.test(vsixPath)) {
+    throw new Error(`Invalid VSIX path: ${vsixPath}`);
+  }
+
+  const stat = await fs.promises.stat(vsixPath).catch(() => null);
+  if (!stat || !stat.isFile()) {
+    throw new Error(`VSIX file not found: ${vsixPath}`);
+  }
+
+  const quotedPath = quoteShellArg(vsixPath);
+  if (!quotedPath) {
+    throw new Error(`Unsupported characters in VSIX path: ${vsixPath}`);
+  }
+  return runIdeCli(ide, customCommand, ['--install-extension', quotedPath], onOutput);
+}
+
+/**
+ * 是否為字串對字串的物件（env、headers）
+ */
+function isStringMap(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(item => typeof item === 'string');
+}
+
+/**
+ * 驗證擴充功能傳入的 mcp_config.json 項目（已由擴充功能的 mcp-translator.js 轉換）
+ * 只接受 command/args/env 或 serverUrl/headers，其餘欄位一律拒絕
+ * @returns {boolean}
+ */
+function isValidMcpConfigEntry(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return false;
+  if (!Object.keys(entry).every(key => MCP_ENTRY_KEYS.has(key))) return false;
+  if (entry.env !== undefined && !isStringMap(entry.env)) return false;
+
+  if (typeof entry.command === 'string' && entry.command.trim()) {
+    return entry.serverUrl === undefined && entry.headers === undefined &&
+      (entry.args === undefined || (Array.isArray(entry.args) && entry.args.every(arg => typeof arg === 'string')));
+  }
+  return entry.command === undefined && entry.args === undefined &&
+    typeof entry.serverUrl === 'string' && /^https?:\/\//i.test(entry.serverUrl) &&
+    (entry.headers === undefined || isStringMap(entry.headers));
+}
+
+/**
+ * 讀取 mcp_config.json（不存在時視為空設定；格式錯誤時不覆寫，直接回報）
+ */
+async function readMcpConfig(file) {
+  let content;
+  try {
+    content = await fs.promises.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { mcpServers: {} };
+    throw err;
+  }
+
+  let config;
+  try {
+    config = content.trim() ? JSON.parse(content) : {};
+  } catch (err) {
+    throw new Error(`Invalid ${path.basename(file)}: ${err.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid ${path.basename(file)}: expected a JSON object`);
+  }
+  if (config.mcpServers === undefined) {
+    config.mcpServers = {};
+  } else if (!config.mcpServers || typeof config.mcpServers !== 'object' || Array.isArray(config.mcpServers)) {
+    throw new Error(`Invalid ${path.basename(file)}: "mcpServers" must be an object`);
+  }
+  return config;
+}
+
+/**
+ * 將 MCP 伺服器合併寫入 IDE 的 mcp_config.json
+ * 同名且設定相同時不寫入；同名但設定不同時改用 name-2、name-3 等名稱
+ * 寫入前將原檔備份為 mcp_config.json.<時間>.bak，並先寫入暫存檔再取代
+ * @returns {Promise<{name: string, renamed: boolean, alreadyExists: boolean, path: string, backupPath: string|null}>}
+ */
+async function addMcpServer(ide, name, entry) {
+  const { file } = MCP_CONFIGS[ide];
+  const config = await readMcpConfig(file);
+  const servers = config.mcpServers;
+
+  if (servers[name] && JSON.stringify(servers[name]) === JSON.stringify(entry)) {
+    return { name, renamed: false, alreadyExists: true, path: file, backupPath: null };
+  }
+
+  let finalName = name;
+  for (let suffix = 2; servers[finalName]; suffix++) {
+    finalName = `${name}-${suffix}`;
+  }
+  servers[finalName] = entry;
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+  let backupPath = null;
+  const exists = await fs.promises.stat(file).then(() => true, () => false);
+  if (exists) {
+    const timestamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    backupPath = `${file}.${timestamp}.bak`;
+    await fs.promises.copyFile(file, backupPath);
+  }
+
+  const tempPath = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(config, null, 2) + '\n', 'utf8');
+  await fs.promises.rename(tempPath, file);
+
+  return { name: finalName, renamed: finalName !== name, alreadyExists: false, path: file, backupPath };
+}
+
 /**
  * 處理訊息
+ * @param {Object} message - 請求內容
+ * @param {Function} reportProgress - 回報進度（僅長時間操作使用）
  */
-async function handleMessage(message) {
+async function handleMessage(message, reportProgress) {
   if (!message || typeof message !== 'object') {
     return { success: false, error: 'Invalid message format' };
   }
@@ -109,15 +502,71 @@ async function handleMessage(message) {
     if (!extensionId) {
       return { success: false, error: 'Missing extensionId' };
     }
+    // 可指定版本：publisher.name@version
+    const spec = parseExtensionSpec(extensionId);
+    if (!spec) {
+      return { success: false, error: `Invalid extensionId: ${extensionId}` };
+    }
     if (!ide) {
       return { success: false, error: 'Missing ide' };
     }
 
+    const violation = checkInstallPolicy(spec.id, extensionId, message.policy);
+    if (violation) {
+      return { success: false, error: violation.error, policyViolation: violation.reason };
+    }
+
     try {
-      const result = await installExtension(ide, extensionId);
+      reportProgress({ stage: 'starting', line: `${extensionId} → ${ide}` });
+      const result = await installExtension(ide, extensionId, message.command, (line, stream) => {
+        reportProgress({ stage: getInstallStage(line), line, stream });
+      });
+      const parsed = parseInstallResult(result.stdout, spec.id);
+      const version = parsed.version || spec.version;
+      const { alreadyInstalled } = parsed;
       return {
         success: true,
         message: `Extension ${extensionId} installed successfully`,
+        version,
+        alreadyInstalled,
+        output: result.stdout
+      };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  // 列出已安裝的擴充功能
+  if (action === 'listExtensions') {
+    if (!ide) {
+      return { success: false, error: 'Missing ide' };
+    }
+
+    try {
+      const extensions = await listExtensions(ide, message.command);
+      return { success: true, extensions };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  // 解除安裝擴充功能
+  if (action === 'uninstall') {
+    if (!extensionId) {
+      return { success: false, error: 'Missing extensionId' };
+    }
+    if (!EXTENSION_ID_PATTERN.test(extensionId)) {
+      return { success: false, error: `Invalid extensionId: ${extensionId}` };
+    }
+    if (!ide) {
+      return { success: false, error: 'Missing ide' };
+    }
+
+    try {
+      const result = await uninstallExtension(ide, extensionId, message.command);
+      return {
+        success: true,
+        message: `Extension ${extensionId} uninstalled successfully`,
         output: result.stdout
       };
     } catch (err) {
@@ -125,12 +574,74 @@ async function handleMessage(message) {
     }
   }
 
+  // 安裝已下載的 VSIX 檔案
+  if (action === 'installVsix') {
+    const vsixPath = message.vsixPath;
+    if (typeof vsixPath !== 'string' || !vsixPath) {
+      return { success: false, error: 'Missing vsixPath' };
+    }
+    if (!ide) {
+      return { success: false, error: 'Missing ide' };
+    }
+
+    const fileName = path.basename(vsixPath);
+    const violation = checkInstallPolicy(parseVsixExtensionId(fileName), fileName, message.policy);
+    if (violation) {
+      return { success: false, error: violation.error, policyViolation: violation.reason };
+    }
+
+    try {
+      reportProgress({ stage: 'starting', line: `${fileName} → ${ide}` });
+      const result = await installVsixFile(ide, vsixPath, message.command, (line, stream) => {
+        reportProgress({ stage: getInstallStage(line), line, stream });
+      });
+      const { alreadyInstalled } = parseInstallResult(result.stdout, fileName);
+      // VSIX 檔名通常為 <name>-<version>.vsix
+      const version = fileName.match(/-(\d+\.\d+\.\d+[\w.-]*)\.vsix$/i)?.[1] || null;
+      return {
+        success: true,
+        message: `${fileName} installed successfully`,
+        version,
+        alreadyInstalled,
+        output: result.stdout
+      };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  // 將 MCP 伺服器寫入 IDE 的 mcp_config.json
+  if (action === 'addMcpServer') {
+    if (!Object.prototype.hasOwnProperty.call(MCP_CONFIGS, ide)) {
+      return { success: false, error: `MCP config file is not supported for ${ide}` };
+    }
+    const name = typeof message.name === 'string' ? message.name.trim() : '';
+    if (!MCP_SERVER_NAME_PATTERN.test(name)) {
+      return { success: false, error: `Invalid MCP server name: ${name}` };
+    }
+    const entry = message.config;
+    if (!isValidMcpConfigEntry(entry)) {
+      return { success: false, error: 'Invalid MCP server config' };
+    }
+
+    const write = mcpConfigQueue.then(() => addMcpServer(ide, name, entry));
+    mcpConfigQueue = write.catch(() => {});
+    try {
+      return { success: true, ...await write };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
   // 檢查協議是否已註冊
   if (action === 'checkProtocol') {
     const protocol = message.protocol || ide;
     if (!protocol) {
       return { success: false, error: 'Missing protocol' };
     }
+    if (!PROTOCOL_PATTERN.test(protocol)) {
+      return { success: false, error: `Invalid protocol: ${protocol}` };
+    }
 
     try {
       const result = await checkProtocolRegistration(protocol);
@@ -148,6 +659,9 @@ async function handleMessage(message) {
     if (!protocol) {
       return { success: false, error: 'Missing protocol' };
     }
+    if (!PROTOCOL_PATTERN.test(protocol)) {
+      return { success: false, error: `Invalid protocol: ${protocol}` };
+    }
 
     try {
       // 如果有指定 execPath，直接註冊
@@ -172,8 +686,14 @@ async function handleMessage(message) {
     }
 
     try {
-      const path = await findIDEPath(protocol);
-      return { success: true, path: path, found: !!path };
+      const installation = await findIDEInstallation(protocol);
+      return {
+        success: true,
+        path: installation?.execPath || null,
+        cliPath: installation?.cliPath || null,
+        source: installation?.source || null,
+        found: !!installation
+      };
     } catch (err) {
       return { success: false, error: err.message };
     }
@@ -182,6 +702,58 @@ async function handleMessage(message) {
   return { success: false, error: `Unknown action: ${action}` };
 }
 
+/**
+ * 並行處理批次請求，結果依請求順序回傳
+ */
+async function handleBatch(message, reportProgress) {
+  const requests = message.requests;
+  if (!Array.isArray(requests) || requests.length === 0) {
+    return { success: false, error: 'Missing requests' };
+  }
+  if (requests.length > MAX_BATCH_SIZE) {
+    return { success: false, error: `Too many requests in batch (max ${MAX_BATCH_SIZE})` };
+  }
+
+  const results = await Promise.all(requests.map(request =>
+    handleMessage(request, reportProgress).catch(err => ({ success: false, error: err.message }))
+  ));
+  return { success: true, results };
+}
+
+/**
+ * stdin 已關閉且沒有處理中的請求時結束程式
+ */
+function exitIfIdle() {
+  if (stdinEnded && pendingRequests === 0) {
+    process.exit(0);
+  }
+}
+
+/**
+ * 處理單一請求並回應（帶 id 的請求會附上 id 與訊息類型）
+ */
+async function handleRequest(message) {
+  const id = message && typeof message === 'object' ? message.id : undefined;
+  const hasId = id !== undefined;
+  const reportProgress = hasId
+    ? (progress) => sendMessage({ ...progress, id, type: 'progress' })
+    : () => {};
+
+  pendingRequests++;
+  let response;
+  try {
+    response = message?.action === 'batch'
+      ? await handleBatch(message, reportProgress)
+      : await handleMessage(message, reportProgress);
+  } catch (err) {
+    response = { success: false, error: err.message };
+  }
+  pendingRequests--;
+
+  sendMessage(hasId ? { ...response, id, type: 'response' } : response);
+  exitIfIdle();
+}
+
 /**
  * 主程式 - 讀取 Native Messaging 格式的輸入
  */
@@ -216,29 +788,23 @@ function main() {
       inputBuffer = inputBuffer.slice(messageLength);
       messageLength = null;
 
+      let message;
       try {
-        const message = JSON.parse(messageData.toString('utf8'));
-
-        handleMessage(message)
-          .then(response => {
-            sendMessage(response);
-            process.exit(0);
-          })
-          .catch(err => {
-            sendMessage({ success: false, error: err.message });
-            process.exit(1);
-          });
+        message = JSON.parse(messageData.toString('utf8'));
       } catch (err) {
         sendMessage({ success: false, error: `Parse error: ${err.message}` });
-        process.exit(1);
+        continue;
       }
 
-      return; // 只處理一個訊息
+      // 不等待完成，讓多個請求並行處理
+      handleRequest(message);
     }
   });
 
+  // 瀏覽器關閉連線：等處理中的請求完成後結束
   process.stdin.on('end', () => {
-    process.exit(0);
+    stdinEnded = true;
+    exitIfIdle();
   });
 
   process.stdin.on('error', (err) => {
@@ -1,13 +1,30 @@
 /**
  * IDE Link Interceptor - Protocol Registration Helper
  * 
- * 此模組負責檢測與註冊 Windows IDE 協議 (URL Scheme)
- * 目前僅支援 Windows 平台
+ * 此模組負責檢測與註冊 IDE 協議 (URL Scheme)，依平台選擇後端：
+ * - Windows：HKCU\Software\Classes Registry（透過 PowerShell）
+ * - Linux：XDG .desktop 檔案（MimeType=x-scheme-handler/<protocol>，透過 xdg-mime）
  */
 
-const { exec, spawn } = require('child_process');
+const { exec, execFile, spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
+const IS_LINUX = process.platform === 'linux';
+
+// 本工具建立的 .desktop 檔名前綴，避免覆寫 IDE 套件自帶的檔案
+const DESKTOP_FILE_PREFIX = 'ide-link-';
+
+// IDE 的 CLI 命令（ide-link-host.js 安裝擴充功能時也使用此對照表）
+const IDE_COMMANDS = {
+    'vscode': 'code',
+    'vscode-insiders': 'code-insiders',
+    'antigravity': 'antigravity',
+    'cursor': 'cursor',
+    'windsurf': 'windsurf'
+};
+
 // IDE 預設安裝路徑對照表 (Windows)
 const DEFAULT_IDE_PATHS = {
     'vscode': [
@@ -33,6 +50,56 @@ const DEFAULT_IDE_PATHS = {
     ]
 };
 
+// IDE 安裝位置對照表 (Linux)
+// - executables：deb/rpm 套件 (/usr/share) 與 /opt 下的 tarball 安裝的 GUI 執行檔
+// - snap：Snap 套件名稱（/snap/bin/<name>）
+// - flatpak：Flatpak 應用程式 ID（exports/bin/<id>）
+// - appImage：~/Applications 中 AppImage 檔名前綴（不分大小寫）
+const LINUX_IDE_PATHS = {
+    'vscode': {
+        executables: [
+            '/usr/share/code/code',
+            '/opt/visual-studio-code/code',
+            '/opt/VSCode-linux-x64/code',
+            '/opt/VSCode-linux-arm64/code'
+        ],
+        snap: 'code',
+        flatpak: 'com.visualstudio.code'
+    },
+    'vscode-insiders': {
+        executables: [
+            '/usr/share/code-insiders/code-insiders',
+            '/opt/visual-studio-code-insiders/code-insiders',
+            '/opt/VSCode-linux-x64-insiders/code-insiders'
+        ],
+        snap: 'code-insiders'
+    },
+    'antigravity': {
+        executables: [
+            '/usr/share/antigravity/antigravity',
+            '/opt/antigravity/antigravity',
+            '/opt/Antigravity/antigravity'
+        ],
+        appImage: 'antigravity'
+    },
+    'cursor': {
+        executables: [
+            '/usr/share/cursor/cursor',
+            '/opt/cursor/cursor',
+            '/opt/Cursor/cursor'
+        ],
+        appImage: 'cursor'
+    },
+    'windsurf': {
+        executables: [
+            '/usr/share/windsurf/windsurf',
+            '/opt/windsurf/windsurf',
+            '/opt/Windsurf/windsurf'
+        ],
+        appImage: 'windsurf'
+    }
+};
+
 /**
  * 檢查檔案是否存在
  * @param {string} filePath 
@@ -40,7 +107,6 @@ const DEFAULT_IDE_PATHS = {
  */
 function fileExists(filePath) {
     return new Promise((resolve) => {
-        const fs = require('fs');
         fs.access(filePath, fs.constants.F_OK, (err) => {
             resolve(!err);
         });
@@ -48,22 +114,181 @@ function fileExists(filePath) {
 }
 
 /**
- * 尋找 IDE 的實際安裝路徑
- * @param {string} protocol 
+ * 檢查檔案是否存在且可執行
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+function isExecutable(filePath) {
+    return new Promise((resolve) => {
+        fs.access(filePath, fs.constants.X_OK, (err) => {
+            resolve(!err);
+        });
+    });
+}
+
+/**
+ * 依 PATH 尋找命令（等同 which）
+ * @param {string} command
  * @returns {Promise<string|null>}
  */
-async function findIDEPath(protocol) {
+async function which(command) {
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    for (const dir of dirs) {
+        const candidate = path.join(dir, command);
+        if (await isExecutable(candidate)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * 在 ~/Applications 中尋找 AppImage（檔名以 prefix 開頭）
+ * @param {string} prefix
+ * @returns {Promise<string|null>}
+ */
+async function findAppImage(prefix) {
+    const dir = path.join(os.homedir(), 'Applications');
+    let names;
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch {
+        return null;
+    }
+
+    const match = names
+        .filter(name => name.toLowerCase().startsWith(prefix) && name.toLowerCase().endsWith('.appimage'))
+        .sort()
+        .pop(); // 檔名通常帶版本號，取排序最後一個
+    return match ? path.join(dir, match) : null;
+}
+
+/**
+ * 由 PATH 上的 CLI 推回 GUI 執行檔
+ * deb/rpm 與 tarball 的 CLI 位於 <安裝目錄>/bin/<cli>，GUI 執行檔為 <安裝目錄>/<cli>
+ * @param {string} cliPath
+ * @returns {Promise<string|null>}
+ */
+async function findExecutableFromCli(cliPath) {
+    try {
+        const realPath = await fs.promises.realpath(cliPath);
+        if (path.basename(path.dirname(realPath)) !== 'bin') return null;
+
+        const candidate = path.join(path.dirname(path.dirname(realPath)), path.basename(realPath));
+        return await isExecutable(candidate) ? candidate : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 在 Linux 上尋找 IDE 安裝（套件、Snap、Flatpak、AppImage、/opt tarball 與 PATH 上的 CLI）
+ * @param {string} protocol
+ * @returns {Promise<{execPath: string, cliPath: string|null, source: string}|null>}
+ */
+async function findLinuxInstallation(protocol) {
+    const entry = LINUX_IDE_PATHS[protocol];
+    const command = IDE_COMMANDS[protocol];
+    if (!entry && !command) return null;
+
+    const cliPath = command ? await which(command) : null;
+
+    for (const p of entry?.executables || []) {
+        if (await isExecutable(p)) {
+            return { execPath: p, cliPath, source: p.startsWith('/opt/') ? 'tarball' : 'package' };
+        }
+    }
+
+    // Snap 與 Flatpak 的啟動腳本同時可作為 GUI 與 CLI 使用
+    if (entry?.snap) {
+        const snapPath = path.join('/snap/bin', entry.snap);
+        if (await isExecutable(snapPath)) {
+            return { execPath: snapPath, cliPath: cliPath || snapPath, source: 'snap' };
+        }
+    }
+
+    if (entry?.flatpak) {
+        const exportDirs = [
+            path.join(os.homedir(), '.local/share/flatpak/exports/bin'),
+            '/var/lib/flatpak/exports/bin'
+        ];
+        for (const dir of exportDirs) {
+            const flatpakPath = path.join(dir, entry.flatpak);
+            if (await isExecutable(flatpakPath)) {
+                return { execPath: flatpakPath, cliPath: cliPath || flatpakPath, source: 'flatpak' };
+            }
+        }
+    }
+
+    if (entry?.appImage) {
+        const appImagePath = await findAppImage(entry.appImage);
+        if (appImagePath) {
+            return { execPath: appImagePath, cliPath: cliPath || appImagePath, source: 'appimage' };
+        }
+    }
+
+    // 其他位置的安裝：由 CLI 推回 GUI 執行檔，找不到時 CLI 本身也接受 --open-url
+    if (cliPath) {
+        return { execPath: await findExecutableFromCli(cliPath) || cliPath, cliPath, source: 'path' };
+    }
+    return null;
+}
+
+/**
+ * 在 Windows 上尋找 IDE 安裝（CLI 位於安裝目錄下的 bin\<cli>.cmd）
+ * @param {string} protocol
+ * @returns {Promise<{execPath: string, cliPath: string|null, source: string}|null>}
+ */
+async function findWindowsInstallation(protocol) {
     const paths = DEFAULT_IDE_PATHS[protocol];
     if (!paths) return null;
 
     for (const p of paths) {
         if (await fileExists(p)) {
-            return p;
+            const cliCandidate = path.win32.join(path.win32.dirname(p), 'bin', `${IDE_COMMANDS[protocol]}.cmd`);
+            const cliPath = await fileExists(cliCandidate) ? cliCandidate : null;
+            return { execPath: p, cliPath, source: 'installer' };
         }
     }
     return null;
 }
 
+/**
+ * 尋找 IDE 安裝，回傳 GUI 執行檔（用於協議註冊）與 CLI 路徑（用於安裝擴充功能）
+ * @param {string} protocol
+ * @returns {Promise<{execPath: string, cliPath: string|null, source: string}|null>}
+ */
+async function findIDEInstallation(protocol) {
+    return IS_LINUX
+        ? findLinuxInstallation(protocol)
+        : findWindowsInstallation(protocol);
+}
+
+/**
+ * 取得安裝擴充功能使用的 CLI
+ * PATH 上有固定命令時直接使用，否則改用偵測到的安裝（Snap、Flatpak、AppImage、/opt 等）的 CLI 路徑
+ * @param {string} protocol
+ * @returns {Promise<string|null>} 命令名稱或完整路徑；非內建 IDE 時返回 null
+ */
+async function findIDECommand(protocol) {
+    const command = IDE_COMMANDS[protocol];
+    if (!command) return null;
+    if (await which(command)) return command;
+
+    const installation = await findIDEInstallation(protocol);
+    return installation?.cliPath || command;
+}
+
+/**
+ * 尋找 IDE 的實際安裝路徑
+ * @param {string} protocol 
+ * @returns {Promise<string|null>}
+ */
+async function findIDEPath(protocol) {
+    const installation = await findIDEInstallation(protocol);
+    return installation ? installation.execPath : null;
+}
+
 /**
  * 透過 PowerShell 讀取 Registry 值
  * @param {string} keyPath 
@@ -139,11 +364,11 @@ function writeRegistry(keyPath, value) {
 }
 
 /**
- * 檢查協議是否已在系統中註冊
+ * 檢查協議是否已在 Windows Registry 中註冊
  * @param {string} protocol - IDE 協議名稱 (如 'vscode', 'cursor')
  * @returns {Promise<{registered: boolean, execPath?: string, error?: string}>}
  */
-async function checkProtocolRegistration(protocol) {
+async function checkRegistryRegistration(protocol) {
     try {
         // 依序檢查 HKCU 和 HKCR
         const registryPaths = [
@@ -179,13 +404,8 @@ async function checkProtocolRegistration(protocol) {
  * @param {string} execPath - IDE 執行檔完整路徑
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-async function registerProtocol(protocol, execPath) {
+async function registerRegistryProtocol(protocol, execPath) {
     try {
-        // 驗證 execPath 存在
-        if (!await fileExists(execPath)) {
-            return { success: false, error: `Executable not found: ${execPath}` };
-        }
-
         const basePath = `HKCU:\\Software\\Classes\\${protocol}`;
 
         // 1. 設定協議描述
@@ -215,6 +435,205 @@ async function registerProtocol(protocol, execPath) {
     }
 }
 
+/**
+ * 執行外部命令（參數不經過 shell）
+ * @param {string} file
+ * @param {string[]} args
+ * @returns {Promise<{success: boolean, stdout: string, error?: string}>}
+ */
+function runCommand(file, args) {
+    return new Promise((resolve) => {
+        execFile(file, args, { timeout: 10000 }, (error, stdout, stderr) => {
+            if (error) {
+                resolve({ success: false, stdout: '', error: (stderr || error.message).trim() });
+            } else {
+                resolve({ success: true, stdout: stdout.trim() });
+            }
+        });
+    });
+}
+
+/**
+ * 取得 XDG applications 目錄（使用者目錄優先）
+ * @returns {string[]}
+ */
+function getXdgApplicationDirs() {
+    const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+    const dataDirs = (process.env.XDG_DATA_DIRS || '/usr/local/share:/usr/share').split(':').filter(Boolean);
+    return [dataHome, ...dataDirs].map(dir => path.join(dir, 'applications'));
+}
+
+/**
+ * 依 desktop file ID 尋找 .desktop 檔案
+ * @param {string} desktopId - 如 'code-url-handler.desktop'
+ * @returns {Promise<string|null>}
+ */
+async function findDesktopFile(desktopId) {
+    for (const dir of getXdgApplicationDirs()) {
+        const filePath = path.join(dir, desktopId);
+        if (await fileExists(filePath)) {
+            return filePath;
+        }
+    }
+    return null;
+}
+
+/**
+ * 還原 .desktop 字串值的一般跳脫序列（\s、\n、\t、\r、\\），其餘序列保留給 Exec 的引號規則
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeDesktopString(value) {
+    const escapes = { s: ' ', n: '\n', t: '\t', r: '\r', '\\': '\\' };
+    return value.replace(/\\([snrt\\])/g, (_, ch) => escapes[ch]);
+}
+
+/**
+ * 從 .desktop 內容的 [Desktop Entry] 區段取出 Exec 的執行檔路徑
+ * 格式通常是: /usr/share/code/code --open-url %U 或 "/opt/My IDE/ide" %U
+ * 依規範先還原字串跳脫，再處理引號內的跳脫，最後將 %% 還原為 %
+ * @param {string} content
+ * @returns {string|null}
+ */
+function parseDesktopExecPath(content) {
+    let inEntry = false;
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line.startsWith('[')) {
+            inEntry = line === '[Desktop Entry]';
+            continue;
+        }
+        if (!inEntry || !line.startsWith('Exec=')) continue;
+
+        const exec = unescapeDesktopString(line.slice('Exec='.length).trim());
+        const quoted = exec.match(/^"((?:[^"\\]|\\.)*)"/);
+        if (quoted) {
+            return quoted[1].replace(/\\(.)/g, '$1').replace(/%%/g, '%');
+        }
+        const match = exec.match(/^(\S+)/);
+        return match ? match[1].replace(/%%/g, '%') : null;
+    }
+    return null;
+}
+
+/**
+ * 依 Desktop Entry 規範為 Exec 參數加上引號
+ * 引號內的 "、`、$、\ 以反斜線跳脫；字串值的跳脫規則先於引號規則套用，反斜線需再加倍；% 寫成 %%
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteDesktopExecArg(value) {
+    const quoted = `"${value.replace(/(["`$\\])/g, '\\$1')}"`;
+    return quoted.replace(/\\/g, '\\\\').replace(/%/g, '%%');
+}
+
+/**
+ * 產生 x-scheme-handler .desktop 檔案內容
+ * @param {string} protocol - IDE 協議名稱
+ * @param {string} execPath - IDE 執行檔完整路徑
+ * @returns {string}
+ */
+function buildDesktopEntry(protocol, execPath) {
+    return [
+        '[Desktop Entry]',
+        'Type=Application',
+        `Name=${protocol} URL Handler`,
+        `Exec=${quoteDesktopExecArg(execPath)} --open-url %U`,
+        'NoDisplay=true',
+        `MimeType=x-scheme-handler/${protocol};`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * 檢查協議是否已透過 xdg-mime 指定預設處理程式
+ * @param {string} protocol - IDE 協議名稱
+ * @returns {Promise<{registered: boolean, execPath?: string, desktopFile?: string, error?: string}>}
+ */
+async function checkXdgRegistration(protocol) {
+    const query = await runCommand('xdg-mime', ['query', 'default', `x-scheme-handler/${protocol}`]);
+    if (!query.success) {
+        return { registered: false, error: `xdg-mime failed: ${query.error}` };
+    }
+    if (!query.stdout) {
+        return { registered: false };
+    }
+
+    const desktopFile = await findDesktopFile(query.stdout);
+    if (!desktopFile) {
+        // 已指定處理程式，但找不到對應的 .desktop 檔案（通常是 IDE 已移除）
+        return { registered: false, desktopFile: query.stdout };
+    }
+
+    const content = await fs.promises.readFile(desktopFile, 'utf8');
+    return {
+        registered: true,
+        execPath: parseDesktopExecPath(content),
+        desktopFile
+    };
+}
+
+/**
+ * 建立 x-scheme-handler .desktop 檔案並設為預設處理程式（寫入使用者目錄，不需 root）
+ * @param {string} protocol - IDE 協議名稱
+ * @param {string} execPath - IDE 執行檔完整路徑
+ * @returns {Promise<{success: boolean, desktopFile?: string, error?: string}>}
+ */
+async function registerXdgProtocol(protocol, execPath) {
+    const applicationsDir = getXdgApplicationDirs()[0];
+    const desktopId = `${DESKTOP_FILE_PREFIX}${protocol}-handler.desktop`;
+    const desktopFile = path.join(applicationsDir, desktopId);
+
+    await fs.promises.mkdir(applicationsDir, { recursive: true });
+    await fs.promises.writeFile(desktopFile, buildDesktopEntry(protocol, execPath), 'utf8');
+
+    const result = await runCommand('xdg-mime', ['default', desktopId, `x-scheme-handler/${protocol}`]);
+    if (!result.success) {
+        return { success: false, error: `Failed to set default handler: ${result.error}` };
+    }
+
+    // 更新 MIME 快取；部分發行版未安裝 desktop-file-utils，失敗時不影響註冊結果
+    await runCommand('update-desktop-database', [applicationsDir]);
+
+    return { success: true, desktopFile };
+}
+
+/**
+ * 檢查協議是否已在系統中註冊
+ * @param {string} protocol - IDE 協議名稱 (如 'vscode', 'cursor')
+ * @returns {Promise<{registered: boolean, execPath?: string, error?: string}>}
+ */
+async function checkProtocolRegistration(protocol) {
+    try {
+        return IS_LINUX
+            ? await checkXdgRegistration(protocol)
+            : await checkRegistryRegistration(protocol);
+    } catch (error) {
+        return { registered: false, error: error.message };
+    }
+}
+
+/**
+ * 註冊協議到系統（Windows：HKCU Registry；Linux：使用者的 XDG applications 目錄）
+ * @param {string} protocol - IDE 協議名稱
+ * @param {string} execPath - IDE 執行檔完整路徑
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function registerProtocol(protocol, execPath) {
+    // 驗證 execPath 存在
+    if (!await fileExists(execPath)) {
+        return { success: false, error: `Executable not found: ${execPath}` };
+    }
+
+    try {
+        return IS_LINUX
+            ? await registerXdgProtocol(protocol, execPath)
+            : await registerRegistryProtocol(protocol, execPath);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * 自動偵測並註冊協議
  * @param {string} protocol 
@@ -246,17 +665,24 @@ async function autoRegisterProtocol(protocol) {
 }
 
 /**
- * 取得所有支援的 IDE 預設路徑
+ * 取得目前平台所有支援的 IDE 預設路徑
  * @returns {object}
  */
 function getDefaultIDEPaths() {
-    return DEFAULT_IDE_PATHS;
+    return IS_LINUX ? LINUX_IDE_PATHS : DEFAULT_IDE_PATHS;
 }
 
 module.exports = {
+    IDE_COMMANDS,
     checkProtocolRegistration,
     registerProtocol,
     autoRegisterProtocol,
     findIDEPath,
-    getDefaultIDEPaths
+    findIDEInstallation,
+    findIDECommand,
+    getDefaultIDEPaths,
+    findLinuxInstallation,
+    parseDesktopExecPath,
+    quoteDesktopExecArg,
+    buildDesktopEntry
 };
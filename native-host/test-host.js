@@ -61,6 +61,46 @@ function sendNativeMessage(message) {
   });
 }
 
+/**
+ * 在同一個連線中送出多個訊息（模擬 chrome.runtime.connectNative），回傳所有輸出訊息
+ */
+function sendNativeMessages(messages) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('node', [hostPath], {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    let outputBuffer = Buffer.alloc(0);
+
+    child.stdout.on('data', (chunk) => {
+      outputBuffer = Buffer.concat([outputBuffer, chunk]);
+    });
+
+    child.on('close', () => {
+      const responses = [];
+      while (outputBuffer.length >= 4) {
+        const length = outputBuffer.readUInt32LE(0);
+        responses.push(JSON.parse(outputBuffer.slice(4, 4 + length).toString('utf8')));
+        outputBuffer = outputBuffer.slice(4 + length);
+      }
+      resolve(responses);
+    });
+
+    child.on('error', (err) => {
+      reject(err);
+    });
+
+    for (const message of messages) {
+      const msgBuffer = Buffer.from(JSON.stringify(message), 'utf8');
+      const header = Buffer.alloc(4);
+      header.writeUInt32LE(msgBuffer.length, 0);
+      child.stdin.write(header);
+      child.stdin.write(msgBuffer);
+    }
+    child.stdin.end();
+  });
+}
+
 async function runTests() {
   console.log('=== Testing Native Host ===\n');
 
@@ -97,6 +137,130 @@ async function runTests() {
     console.log('❌ FAIL\n');
   }
 
+  // Test 4: Persistent connection with request IDs and batch
+  console.log('Test 4: Multiple requests on one connection');
+  try {
+    const responses = await sendNativeMessages([
+      { id: 1, action: 'ping' },
+      { id: 2, action: 'unknown' },
+      { id: 3, action: 'batch', requests: [{ action: 'ping' }, { action: 'unknown' }] }
+    ]);
+    console.log('Result:', JSON.stringify(responses));
+    const byId = Object.fromEntries(responses.map(r => [r.id, r]));
+    const passed = responses.length === 3 &&
+      byId[1]?.success === true &&
+      byId[2]?.success === false &&
+      byId[3]?.results?.length === 2 &&
+      byId[3].results[0].success === true &&
+      byId[3].results[1].success === false;
+    console.log(passed ? '✅ PASS\n' : '❌ FAIL\n');
+  } catch (err) {
+    console.error('Error:', err.message);
+    console.log('❌ FAIL\n');
+  }
+
+  // Test 5: Extension IDs are validated before reaching the shell
+  console.log('Test 5: Uninstall with invalid extensionId');
+  try {
+    const result = await sendNativeMessage({ action: 'uninstall', ide: 'vscode', extensionId: 'a.b;echo' });
+    console.log('Result:', result);
+    console.log(!result.success ? '✅ PASS (expected error)\n' : '❌ FAIL\n');
+  } catch (err) {
+    console.error('Error:', err.message);
+    console.log('❌ FAIL\n');
+  }
+
+  // Test 6: Pinned versions are validated as well
+  console.log('Test 6: Install with invalid pinned version');
+  try {
+    const result = await sendNativeMessage({ action: 'install', ide: 'vscode', extensionId: 'a.b@1.0.0;echo' });
+    console.log('Result:', result);
+    console.log(!result.success ? '✅ PASS (expected error)\n' : '❌ FAIL\n');
+  } catch (err) {
+    console.error('Error:', err.message);
+    console.log('❌ FAIL\n');
+  }
+
+  // Test 7: The install policy is enforced by the host
+  console.log('Test 7: Install blocked by policy');
+  try {
+    const result = await sendNativeMessage({
+      action: 'install',
+      ide: 'vscode',
+      extensionId: 'acme.tool',
+      policy: { blockedExtensions: ['acme.tool'] }
+    });
+    console.log('Result:', result);
+    console.log(result.policyViolation === 'blockedExtension' ? '✅ PASS (expected error)\n' : '❌ FAIL\n');
+  } catch (err) {
+    console.error('Error:', err.message);
+    console.log('❌ FAIL\n');
+  }
+
+  // Test 8: MCP server configs are validated before touching mcp_config.json
+  console.log('Test 8: Add MCP server with invalid name');
+  try {
+    const result = await sendNativeMessage({
+      action: 'addMcpServer',
+      ide: 'antigravity',
+      name: 'x"; rm -rf ~',
+      config: { command: 'node' }
+    });
+    console.log('Result:', result);
+    console.log(!result.success ? '✅ PASS (expected error)\n' : '❌ FAIL\n');
+  } catch (err) {
+    console.error('Error:', err.message);
+    console.log('❌ FAIL\n');
+  }
+
+  // Test 9: IDEs with an MCP install deeplink have no mcp_config.json to write
+  console.log('Test 9: Add MCP server to an IDE without mcp_config.json');
+  try {
+    const result = await sendNativeMessage({
+      action: 'addMcpServer',
+      ide: 'cursor',
+      name: 'fetch',
+      config: { command: 'uvx', args: ['mcp-server-fetch'] }
+    });
+    console.log('Result:', result);
+    console.log(!result.success ? '✅ PASS (expected error)\n' : '❌ FAIL\n');
+  } catch (err) {
+    console.error('Error:', err.message);
+    console.log('❌ FAIL\n');
+  }
+
+  // Test 10: Inherited object keys are not treated as IDEs with an mcp_config.json
+  console.log('Test 10: Add MCP server with an inherited property name as the IDE');
+  try {
+    const result = await sendNativeMessage({
+      action: 'addMcpServer',
+      ide: 'constructor',
+      name: 'fetch',
+      config: { command: 'uvx', args: ['mcp-server-fetch'] }
+    });
+    console.log('Result:', result);
+    console.log(!result.success && /not supported/.test(result.error) ? '✅ PASS (expected error)\n' : '❌ FAIL\n');
+  } catch (err) {
+    console.error('Error:', err.message);
+    console.log('❌ FAIL\n');
+  }
+
+  // Test 11: The host only merges entries already translated to the mcp_config.json format
+  console.log('Test 11: Add MCP server with an untranslated VS Code config');
+  try {
+    const result = await sendNativeMessage({
+      action: 'addMcpServer',
+      ide: 'antigravity',
+      name: 'remote',
+      config: { type: 'http', url: 'https://example.com/mcp' }
+    });
+    console.log('Result:', result);
+    console.log(!result.success && /Invalid MCP server config/.test(result.error) ? '✅ PASS (expected error)\n' : '❌ FAIL\n');
+  } catch (err) {
+    console.error('Error:', err.message);
+    console.log('❌ FAIL\n');
+  }
+
   console.log('=== Tests Complete ===');
 }
 
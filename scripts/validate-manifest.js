@@ -108,6 +108,17 @@ try {
     }
   }
 
+  // Validate options page
+  if (manifest.options_ui && manifest.options_ui.page) {
+    const optionsPath = path.join(extensionDir, manifest.options_ui.page);
+    if (!fs.existsSync(optionsPath)) {
+      console.error(`❌ Options page not found: ${manifest.options_ui.page}`);
+      isValid = false;
+    } else {
+      console.log(`✓ Options page: ${manifest.options_ui.page}`);
+    }
+  }
+
   if (isValid) {
     console.log('\n✅ Manifest validation passed!');
     process.exit(0);
@@ -0,0 +1,184 @@
+/**
+ * 攔截紀錄測試腳本
+ *
+ * 測試 extension/history.js 的紀錄正規化、保留上限、匯出與重新開啟 URL
+ *
+ * 執行方式: node tests/history.test.js
+ */
+
+const {
+    MAX_HISTORY_ENTRIES,
+    OUTCOMES,
+    HISTORY_FIELDS,
+    normalizeHistoryEntry,
+    appendHistoryEntry,
+    historyToJson,
+    historyToCsv,
+    buildRerouteUrl
+} = require('../extension/history.js');
+
+// ========== 測試案例 ==========
+
+function runTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, actual, expected) {
+        const status = actual === expected ? '✅ PASS' : '❌ FAIL';
+        tests.push({ name, status, actual, expected });
+
+        if (actual === expected) {
+            passed++;
+        } else {
+            failed++;
+            console.error(`\n❌ FAIL: ${name}`);
+            console.error('  Expected:', expected);
+            console.error('  Actual:  ', actual);
+        }
+    }
+
+    // ========== 測試 1: 紀錄正規化 ==========
+    console.log('\n📝 測試 1: 紀錄正規化\n');
+
+    const entry = normalizeHistoryEntry({
+        trigger: 'click',
+        pageUrl: 'https://marketplace.visualstudio.com/items?itemName=ms-python.python',
+        originalUrl: 'vscode:extension/ms-python.python',
+        convertedUrl: 'cursor:extension/ms-python.python',
+        linkType: 'extension',
+        protocol: 'cursor',
+        routeSource: 'default',
+        outcome: OUTCOMES.REDIRECTED,
+        unknown: 'dropped'
+    }, 1700000000000);
+
+    test(
+        '1.1 缺少原始 URL 時不記錄',
+        normalizeHistoryEntry({ outcome: OUTCOMES.REDIRECTED }),
+        null
+    );
+
+    test(
+        '1.2 使用傳入的紀錄時間',
+        entry.time,
+        1700000000000
+    );
+
+    test(
+        '1.3 只保留已知欄位',
+        Object.keys(entry).sort().join(','),
+        ['id', ...HISTORY_FIELDS].sort().join(',')
+    );
+
+    test(
+        '1.4 未提供的欄位為空字串',
+        entry.error,
+        ''
+    );
+
+    test(
+        '1.5 超長欄位被截斷',
+        normalizeHistoryEntry({ originalUrl: 'vscode:' + 'a'.repeat(5000) }).originalUrl.length,
+        2048
+    );
+
+    // ========== 測試 2: 保留上限 ==========
+    console.log('\n📚 測試 2: 保留上限\n');
+
+    const first = normalizeHistoryEntry({ originalUrl: 'vscode:first' });
+    const second = normalizeHistoryEntry({ originalUrl: 'vscode:second' });
+    const appended = appendHistoryEntry(appendHistoryEntry(undefined, first), second);
+
+    test(
+        '2.1 新紀錄在前',
+        appended[0].originalUrl,
+        'vscode:second'
+    );
+
+    test(
+        '2.2 無效的既有紀錄視為空陣列',
+        appendHistoryEntry('invalid', first).length,
+        1
+    );
+
+    const full = Array.from({ length: MAX_HISTORY_ENTRIES }, () => first);
+    test(
+        '2.3 超過上限時移除最舊紀錄',
+        appendHistoryEntry(full, second).length,
+        MAX_HISTORY_ENTRIES
+    );
+
+    // ========== 測試 3: 匯出 ==========
+    console.log('\n📤 測試 3: 匯出\n');
+
+    test(
+        '3.1 JSON 匯出可還原',
+        JSON.parse(historyToJson([entry]))[0].convertedUrl,
+        'cursor:extension/ms-python.python'
+    );
+
+    const csvLines = historyToCsv([entry]).split('\r\n');
+    test(
+        '3.2 CSV 標題列依欄位順序',
+        csvLines[0],
+        HISTORY_FIELDS.join(',')
+    );
+
+    test(
+        '3.3 CSV 時間使用 ISO 8601',
+        csvLines[1].split(',')[0],
+        '2023-11-14T22:13:20.000Z'
+    );
+
+    const csvInjection = historyToCsv([normalizeHistoryEntry({ originalUrl: '=HYPERLINK("x")' })]);
+    test(
+        '3.4 CSV 跳脫引號並避免公式執行',
+        csvInjection.includes('"\'=HYPERLINK(""x"")"'),
+        true
+    );
+
+    // ========== 測試 4: 重新開啟 URL ==========
+    console.log('\n🔁 測試 4: 重新開啟 URL\n');
+
+    test(
+        '4.1 vscode:// 連結改用其他 IDE',
+        buildRerouteUrl('vscode://file/home/user/project', 'cursor'),
+        'cursor://file/home/user/project'
+    );
+
+    test(
+        '4.2 擴充連結改用 Antigravity',
+        buildRerouteUrl('vscode:extension/ms-python.python', 'antigravity'),
+        'antigravity://extension/ms-python.python'
+    );
+
+    test(
+        '4.3 非 IDE 連結保持原樣',
+        buildRerouteUrl('https://example.com/', 'cursor'),
+        'https://example.com/'
+    );
+
+    test(
+        '4.4 MCP 安裝連結不從紀錄重新開啟',
+        buildRerouteUrl('vscode:mcp/install?' + encodeURIComponent(JSON.stringify({ name: 'demo', command: 'npx' })), 'cursor'),
+        null
+    );
+
+    // ========== 測試結果統計 ==========
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 測試結果統計');
+    console.log('='.repeat(60));
+    console.log(`✅ 通過: ${passed}/${tests.length}`);
+    console.log(`❌ 失敗: ${failed}/${tests.length}`);
+
+    if (failed === 0) {
+        console.log('\n🎉 所有測試通過！攔截紀錄格式正確。\n');
+    } else {
+        console.log('\n⚠️ 有測試失敗，請檢查上面的錯誤訊息。\n');
+        process.exit(1);
+    }
+}
+
+// 執行測試
+runTests();
@@ -0,0 +1,187 @@
+/**
+ * 擴充功能安裝政策測試腳本
+ *
+ * 測試 extension/install-policy.js 的政策正規化與允許／封鎖判斷
+ *
+ * 執行方式: node tests/install-policy.test.js
+ */
+
+const {
+    POLICY_VIOLATIONS,
+    DEFAULT_VERIFIED_PUBLISHERS,
+    normalizeInstallPolicy,
+    evaluateInstallPolicy,
+    getSiteOrigin,
+    normalizeTrustedSites
+} = require('../extension/install-policy.js');
+
+// ========== 測試案例 ==========
+
+function runTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, actual, expected) {
+        const status = actual === expected ? '✅ PASS' : '❌ FAIL';
+        tests.push({ name, status, actual, expected });
+
+        if (actual === expected) {
+            passed++;
+        } else {
+            failed++;
+            console.error(`\n❌ FAIL: ${name}`);
+            console.error('  Expected:', expected);
+            console.error('  Actual:  ', actual);
+        }
+    }
+
+    // ========== 測試 1: 政策正規化 ==========
+    console.log('\n🧹 測試 1: 政策正規化\n');
+
+    const defaults = normalizeInstallPolicy(undefined);
+
+    test(
+        '1.1 預設不限制發行者',
+        defaults.allowedPublishers.length + defaults.blockedExtensions.length,
+        0
+    );
+
+    test(
+        '1.2 預設不限於已驗證發行者',
+        defaults.verifiedOnly,
+        false
+    );
+
+    test(
+        '1.3 未設定時使用預設的已驗證發行者清單',
+        defaults.verifiedPublishers.join(','),
+        DEFAULT_VERIFIED_PUBLISHERS.join(',')
+    );
+
+    const policy = normalizeInstallPolicy({
+        allowedPublishers: ['MS-Python', 'ms-python', 'bad publisher', 42],
+        blockedExtensions: ['Evil.Miner', 'not-an-id'],
+        verifiedOnly: 'yes',
+        verifiedPublishers: []
+    });
+
+    test(
+        '1.4 發行者轉小寫、去除重複並濾除無效項目',
+        policy.allowedPublishers.join(','),
+        'ms-python'
+    );
+
+    test(
+        '1.5 封鎖清單只保留 publisher.name',
+        policy.blockedExtensions.join(','),
+        'evil.miner'
+    );
+
+    test(
+        '1.6 布林設定只接受 true',
+        policy.verifiedOnly,
+        false
+    );
+
+    test(
+        '1.7 明確設為空陣列時保留空的已驗證清單',
+        policy.verifiedPublishers.length,
+        0
+    );
+
+    // ========== 測試 2: 允許與封鎖 ==========
+    console.log('\n🛡️ 測試 2: 允許與封鎖\n');
+
+    test(
+        '2.1 沒有限制時允許安裝',
+        evaluateInstallPolicy('acme.tool', defaults).allowed,
+        true
+    );
+
+    const blocked = normalizeInstallPolicy({ blockedExtensions: ['acme.tool'] });
+
+    test(
+        '2.2 封鎖清單中的擴充功能（不分大小寫、忽略版本）',
+        evaluateInstallPolicy('ACME.Tool@1.0.0', blocked).reason,
+        POLICY_VIOLATIONS.BLOCKED_EXTENSION
+    );
+
+    const allowlist = normalizeInstallPolicy({ allowedPublishers: ['ms-python'] });
+
+    test(
+        '2.3 允許清單中的發行者',
+        evaluateInstallPolicy('ms-python.python', allowlist).allowed,
+        true
+    );
+
+    test(
+        '2.4 不在允許清單中的發行者',
+        evaluateInstallPolicy('acme.tool', allowlist).reason,
+        POLICY_VIOLATIONS.PUBLISHER_NOT_ALLOWED
+    );
+
+    const verifiedOnly = normalizeInstallPolicy({ verifiedOnly: true });
+
+    test(
+        '2.5 僅限已驗證發行者時允許預設清單中的發行者',
+        evaluateInstallPolicy('esbenp.prettier-vscode', verifiedOnly).allowed,
+        true
+    );
+
+    test(
+        '2.6 僅限已驗證發行者時拒絕其他發行者',
+        evaluateInstallPolicy('acme.tool', verifiedOnly).publisher,
+        'acme'
+    );
+
+    test(
+        '2.7 有發行者限制時拒絕無法判斷發行者的安裝',
+        evaluateInstallPolicy(null, verifiedOnly).reason,
+        POLICY_VIOLATIONS.UNKNOWN_PUBLISHER
+    );
+
+    test(
+        '2.8 沒有發行者限制時允許無法判斷發行者的安裝',
+        evaluateInstallPolicy(null, blocked).allowed,
+        true
+    );
+
+    // ========== 測試 3: 信任網站 ==========
+    console.log('\n🤝 測試 3: 信任網站\n');
+
+    test(
+        '3.1 取得頁面來源（含連接埠）',
+        getSiteOrigin('https://marketplace.visualstudio.com:8443/items?itemName=acme.tool'),
+        'https://marketplace.visualstudio.com:8443'
+    );
+
+    test(
+        '3.2 非 http(s) 頁面沒有來源',
+        getSiteOrigin('file:///tmp/index.html'),
+        null
+    );
+
+    test(
+        '3.3 信任網站清單正規化為來源並去除重複',
+        normalizeTrustedSites(['https://open-vsx.org/extension/acme/tool', 'https://open-vsx.org', 'javascript:alert(1)', 42]).join(','),
+        'https://open-vsx.org'
+    );
+
+    // ========== 測試結果統計 ==========
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 測試結果統計');
+    console.log('='.repeat(60));
+    console.log(`✅ 通過: ${passed}/${tests.length}`);
+    console.log(`❌ 失敗: ${failed}/${tests.length}`);
+
+    if (failed === 0) {
+        console.log('\n🎉 所有測試通過！安裝政策判斷正確。\n');
+    } else {
+        console.log('\n⚠️ 有測試失敗，請檢查上面的錯誤訊息。\n');
+        process.exit(1);
+    }
+}
+
+// 執行測試
+runTests();
@@ -0,0 +1,221 @@
+/**
+ * MCP 目錄測試腳本
+ *
+ * 測試 extension/mcp-catalog.js 的目錄正規化、匯入與名稱查詢
+ *
+ * 執行方式: node tests/mcp-catalog.test.js
+ */
+
+const {
+    BUNDLED_MCP_CATALOG,
+    normalizeCatalogEntry,
+    normalizeMcpCatalog,
+    parseMcpCatalogImport,
+    mergeMcpCatalog,
+    resolveMcpCatalogEntry,
+    catalogEntryToServer,
+    getMcpSearchUrl
+} = require('../extension/mcp-catalog.js');
+
+// ========== 測試案例 ==========
+
+function runTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, actual, expected) {
+        const status = actual === expected ? '✅ PASS' : '❌ FAIL';
+        tests.push({ name, status, actual, expected });
+
+        if (actual === expected) {
+            passed++;
+        } else {
+            failed++;
+            console.error(`\n❌ FAIL: ${name}`);
+            console.error('  Expected:', expected);
+            console.error('  Actual:  ', actual);
+        }
+    }
+
+    const userEntry = {
+        name: 'acme',
+        aliases: ['acme-mcp'],
+        repo: 'https://github.com/acme/acme-mcp',
+        config: { command: 'npx', args: ['-y', '@acme/mcp'] }
+    };
+
+    // ========== 測試 1: 內建目錄 ==========
+    console.log('\n📝 測試 1: 內建目錄\n');
+
+    test(
+        '1.1 內建項目皆通過正規化',
+        BUNDLED_MCP_CATALOG.every(entry => JSON.stringify(normalizeCatalogEntry(entry)) === JSON.stringify(entry)),
+        true
+    );
+
+    test(
+        '1.2 內建目錄不可修改',
+        Object.isFrozen(BUNDLED_MCP_CATALOG[0].config),
+        true
+    );
+
+    // ========== 測試 2: 項目正規化 ==========
+    console.log('\n📝 測試 2: 項目正規化\n');
+
+    test(
+        '2.1 依設定推斷傳輸方式',
+        normalizeCatalogEntry(userEntry).transport,
+        'stdio'
+    );
+
+    test(
+        '2.2 只有倉庫網址的項目保留',
+        JSON.stringify(normalizeCatalogEntry({ name: 'docs', repo: 'https://github.com/acme/docs-mcp' })),
+        JSON.stringify({ name: 'docs', aliases: [], repo: 'https://github.com/acme/docs-mcp', transport: '', config: null })
+    );
+
+    test(
+        '2.3 沒有倉庫網址也沒有設定時無效',
+        normalizeCatalogEntry({ name: 'empty' }),
+        null
+    );
+
+    test(
+        '2.4 非 https 倉庫網址被忽略',
+        normalizeCatalogEntry({ name: 'a', repo: 'javascript:alert(1)' }),
+        null
+    );
+
+    test(
+        '2.5 args 不是字串陣列時設定無效',
+        normalizeCatalogEntry({ name: 'a', config: { command: 'npx', args: [1] } }),
+        null
+    );
+
+    test(
+        '2.6 設定只保留已知欄位',
+        JSON.stringify(normalizeCatalogEntry({ name: 'a', config: { url: 'https://example.com/mcp', disabled: true } }).config),
+        JSON.stringify({ type: 'http', url: 'https://example.com/mcp' })
+    );
+
+    test(
+        '2.7 同名項目保留後出現者',
+        normalizeMcpCatalog([userEntry, { ...userEntry, name: 'ACME', repo: 'https://example.com/acme' }])
+            .map(entry => entry.repo).join(','),
+        'https://example.com/acme'
+    );
+
+    // ========== 測試 3: 匯入 ==========
+    console.log('\n📝 測試 3: 匯入\n');
+
+    test(
+        '3.1 匯入目錄項目陣列',
+        parseMcpCatalogImport(JSON.stringify([userEntry, { name: 'bad name!' }])).entries.length,
+        1
+    );
+
+    test(
+        '3.2 匯入陣列時計算略過的項目',
+        parseMcpCatalogImport(JSON.stringify([userEntry, { name: 'bad name!' }])).skipped,
+        1
+    );
+
+    test(
+        '3.3 匯入 mcpServers 設定檔並把 serverUrl 轉為 url',
+        JSON.stringify(parseMcpCatalogImport(JSON.stringify({
+            mcpServers: { remote: { serverUrl: 'https://example.com/mcp' } }
+        })).entries[0].config),
+        JSON.stringify({ type: 'http', url: 'https://example.com/mcp' })
+    );
+
+    test(
+        '3.4 匯入 VS Code 的 servers 設定檔',
+        parseMcpCatalogImport(JSON.stringify({
+            servers: { local: { type: 'stdio', command: 'node', args: ['server.js'] } }
+        })).entries[0].transport,
+        'stdio'
+    );
+
+    let threw = false;
+    try {
+        parseMcpCatalogImport('{ not json');
+    } catch {
+        threw = true;
+    }
+    test('3.5 JSON 格式錯誤時拋出錯誤', threw, true);
+
+    test(
+        '3.6 合併時以匯入的同名項目取代',
+        mergeMcpCatalog([userEntry], [{ name: 'acme', repo: 'https://example.com/new' }])[0].repo,
+        'https://example.com/new'
+    );
+
+    // ========== 測試 4: 名稱查詢 ==========
+    console.log('\n📝 測試 4: 名稱查詢\n');
+
+    test(
+        '4.1 以別名查詢內建項目',
+        resolveMcpCatalogEntry('hf-mcp-server').name,
+        'huggingface'
+    );
+
+    test(
+        '4.2 查詢不分大小寫並解碼',
+        resolveMcpCatalogEntry('Play%77right').name,
+        'playwright'
+    );
+
+    test(
+        '4.3 使用者項目優先於內建項目',
+        resolveMcpCatalogEntry('github', normalizeMcpCatalog([{ name: 'github', repo: 'https://example.com/fork' }])).repo,
+        'https://example.com/fork'
+    );
+
+    test(
+        '4.4 registry 名稱以最後一段查詢',
+        resolveMcpCatalogEntry('io.github.upstash/context7').name,
+        'context7'
+    );
+
+    test(
+        '4.5 找不到名稱時返回 null',
+        resolveMcpCatalogEntry('no-such-server'),
+        null
+    );
+
+    test(
+        '4.6 轉為伺服器設定',
+        JSON.stringify(catalogEntryToServer(resolveMcpCatalogEntry('fetch'))),
+        JSON.stringify({ name: 'fetch', command: 'uvx', args: ['mcp-server-fetch'] })
+    );
+
+    test(
+        '4.7 沒有安裝設定的項目無法轉為伺服器設定',
+        catalogEntryToServer(resolveMcpCatalogEntry('filesystem')),
+        null
+    );
+
+    test(
+        '4.8 找不到名稱時的搜尋網址',
+        getMcpSearchUrl('io.github.acme/Widget'),
+        'https://github.com/search?type=repositories&q=widget%20mcp%20server'
+    );
+
+    // ========== 測試結果統計 ==========
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 測試結果統計');
+    console.log('='.repeat(60));
+    console.log(`✅ 通過: ${passed}/${tests.length}`);
+    console.log(`❌ 失敗: ${failed}/${tests.length}`);
+
+    if (failed === 0) {
+        console.log('\n🎉 所有測試通過！MCP 目錄查詢正確。\n');
+    } else {
+        console.log('\n⚠️ 有測試失敗，請檢查上面的錯誤訊息。\n');
+        process.exit(1);
+    }
+}
+
+// 執行測試
+runTests();
@@ -0,0 +1,195 @@
+/**
+ * MCP 設定轉換測試腳本
+ *
+ * 測試 extension/mcp-translator.js 在 VS Code、Cursor、Windsurf 與 Antigravity 設定格式之間的轉換與驗證
+ *
+ * 執行方式: node tests/mcp-translator.test.js
+ */
+
+const {
+    MCP_FORMATS,
+    MCP_TRANSLATION_ERRORS,
+    getMcpFormat,
+    usesMcpConfigFile,
+    readMcpServer,
+    writeMcpServer,
+    translateMcpServer
+} = require('../extension/mcp-translator.js');
+
+// ========== 測試案例 ==========
+
+function runTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, actual, expected) {
+        const status = actual === expected ? '✅ PASS' : '❌ FAIL';
+        tests.push({ name, status, actual, expected });
+
+        if (actual === expected) {
+            passed++;
+        } else {
+            failed++;
+            console.error(`\n❌ FAIL: ${name}`);
+            console.error('  Expected:', expected);
+            console.error('  Actual:  ', actual);
+        }
+    }
+
+    const configOf = (raw, from, to, name) => JSON.stringify(translateMcpServer(raw, from, to, name).config);
+    const errorOf = (raw, from = MCP_FORMATS.VSCODE, name) => readMcpServer(raw, from, name).error;
+
+    const stdioServer = { name: 'fetch', command: 'uvx', args: ['mcp-server-fetch'], env: { LOG: 'debug' } };
+    const remoteServer = { name: 'github', type: 'http', url: 'https://api.githubcopilot.com/mcp/', headers: { 'X-Org': 'acme' } };
+
+    // ========== 測試 1: 讀取 ==========
+    console.log('\n📝 測試 1: 讀取\n');
+
+    test(
+        '1.1 有 command 時推斷為 stdio',
+        readMcpServer(stdioServer, MCP_FORMATS.VSCODE).server.transport,
+        'stdio'
+    );
+
+    test(
+        '1.2 只有 url 時推斷為 http',
+        readMcpServer({ url: 'https://example.com/mcp' }, MCP_FORMATS.CURSOR, 'remote').server.transport,
+        'http'
+    );
+
+    test(
+        '1.3 Windsurf 的 serverUrl 讀為 url',
+        readMcpServer({ serverUrl: 'https://example.com/mcp' }, MCP_FORMATS.WINDSURF, 'remote').server.url,
+        'https://example.com/mcp'
+    );
+
+    test(
+        '1.4 參數傳入的名稱優先於設定中的 name',
+        readMcpServer(stdioServer, MCP_FORMATS.CURSOR, 'renamed').server.name,
+        'renamed'
+    );
+
+    test('1.5 缺少名稱', errorOf({ command: 'node' }), MCP_TRANSLATION_ERRORS.MISSING_NAME);
+    test('1.6 缺少 command 與 url', errorOf({ name: 'a' }), MCP_TRANSLATION_ERRORS.MISSING_TARGET);
+    test('1.7 type 為 stdio 但沒有 command', errorOf({ name: 'a', type: 'stdio', url: 'https://example.com' }),
+        MCP_TRANSLATION_ERRORS.MISSING_TARGET);
+    test('1.8 未知的 type', errorOf({ name: 'a', type: 'websocket', url: 'wss://example.com' }), MCP_TRANSLATION_ERRORS.INVALID_TYPE);
+    test('1.9 非 http(s) 網址', errorOf({ name: 'a', url: 'file:///etc/passwd' }), MCP_TRANSLATION_ERRORS.INVALID_URL);
+    test('1.10 args 不是字串陣列', errorOf({ name: 'a', command: 'node', args: 'x.js' }), MCP_TRANSLATION_ERRORS.INVALID_ARGS);
+    test('1.11 env 值不是字串', errorOf({ name: 'a', command: 'node', env: { PORT: 80 } }), MCP_TRANSLATION_ERRORS.INVALID_ENV);
+    test('1.12 headers 不是物件', errorOf({ name: 'a', url: 'https://example.com', headers: ['x'] }),
+        MCP_TRANSLATION_ERRORS.INVALID_HEADERS);
+    test('1.13 inputs 格式錯誤', errorOf({ name: 'a', command: 'node', inputs: [{ id: 'token' }] }),
+        MCP_TRANSLATION_ERRORS.INVALID_INPUTS);
+    test('1.14 不是物件', errorOf('npx server'), MCP_TRANSLATION_ERRORS.NOT_OBJECT);
+    test('1.15 未知的格式', errorOf(stdioServer, 'zed'), MCP_TRANSLATION_ERRORS.UNSUPPORTED_FORMAT);
+
+    // ========== 測試 2: 寫出 ==========
+    console.log('\n📝 測試 2: 寫出\n');
+
+    test(
+        '2.1 VS Code stdio 不寫出 type',
+        configOf(stdioServer, MCP_FORMATS.VSCODE, MCP_FORMATS.VSCODE),
+        JSON.stringify(stdioServer)
+    );
+
+    test(
+        '2.2 Cursor 不含 name，遠端伺服器保留 type',
+        configOf(remoteServer, MCP_FORMATS.VSCODE, MCP_FORMATS.CURSOR),
+        JSON.stringify({ type: 'http', url: 'https://api.githubcopilot.com/mcp/', headers: { 'X-Org': 'acme' } })
+    );
+
+    test(
+        '2.3 Antigravity 以 serverUrl 表示遠端伺服器',
+        configOf(remoteServer, MCP_FORMATS.VSCODE, MCP_FORMATS.ANTIGRAVITY),
+        JSON.stringify({ serverUrl: 'https://api.githubcopilot.com/mcp/', headers: { 'X-Org': 'acme' } })
+    );
+
+    test(
+        '2.4 Windsurf stdio 設定',
+        configOf(stdioServer, MCP_FORMATS.VSCODE, MCP_FORMATS.WINDSURF),
+        JSON.stringify({ command: 'uvx', args: ['mcp-server-fetch'], env: { LOG: 'debug' } })
+    );
+
+    test(
+        '2.5 Windsurf 轉回 VS Code',
+        configOf({ serverUrl: 'https://example.com/sse', type: 'sse' }, MCP_FORMATS.WINDSURF, MCP_FORMATS.VSCODE, 'events'),
+        JSON.stringify({ name: 'events', type: 'sse', url: 'https://example.com/sse' })
+    );
+
+    test(
+        '2.6 stdio 設定不帶出 headers',
+        configOf({ ...stdioServer, headers: { 'X-Org': 'acme' } }, MCP_FORMATS.VSCODE, MCP_FORMATS.CURSOR),
+        JSON.stringify({ command: 'uvx', args: ['mcp-server-fetch'], env: { LOG: 'debug' } })
+    );
+
+    // ========== 測試 3: inputs ==========
+    console.log('\n📝 測試 3: inputs\n');
+
+    const inputServer = {
+        ...stdioServer,
+        env: { API_KEY: '${input:api-key}' },
+        inputs: [{ type: 'promptString', id: 'api-key', password: true }]
+    };
+
+    test(
+        '3.1 VS Code 保留 inputs',
+        translateMcpServer(inputServer, MCP_FORMATS.VSCODE, MCP_FORMATS.VSCODE).config.inputs[0].id,
+        'api-key'
+    );
+
+    test(
+        '3.2 Cursor 不支援 inputs',
+        translateMcpServer(inputServer, MCP_FORMATS.VSCODE, MCP_FORMATS.CURSOR).error,
+        MCP_TRANSLATION_ERRORS.UNSUPPORTED_INPUTS
+    );
+
+    test(
+        '3.3 只引用 ${input:} 也視為不支援',
+        translateMcpServer({ ...inputServer, inputs: undefined }, MCP_FORMATS.VSCODE, MCP_FORMATS.ANTIGRAVITY).error,
+        MCP_TRANSLATION_ERRORS.UNSUPPORTED_INPUTS
+    );
+
+    test(
+        '3.4 引用未宣告的 input',
+        translateMcpServer({ ...inputServer, inputs: [] }, MCP_FORMATS.VSCODE, MCP_FORMATS.VSCODE).error,
+        MCP_TRANSLATION_ERRORS.INVALID_INPUTS
+    );
+
+    test(
+        '3.5 writeMcpServer 不修改模型',
+        (() => {
+            const { server } = readMcpServer(inputServer, MCP_FORMATS.VSCODE);
+            writeMcpServer(server, MCP_FORMATS.VSCODE).config.inputs.push({});
+            return server.inputs.length;
+        })(),
+        1
+    );
+
+    // ========== 測試 4: 協議對應的格式 ==========
+    console.log('\n📝 測試 4: 協議對應的格式\n');
+
+    test('4.1 Cursor', getMcpFormat('cursor'), MCP_FORMATS.CURSOR);
+    test('4.2 Antigravity', getMcpFormat('antigravity'), MCP_FORMATS.ANTIGRAVITY);
+    test('4.3 自訂 IDE 使用 VS Code 格式', getMcpFormat('vscodium'), MCP_FORMATS.VSCODE);
+    test('4.4 Windsurf 以 mcp_config.json 設定', usesMcpConfigFile('windsurf'), true);
+    test('4.5 Cursor 使用安裝 deeplink', usesMcpConfigFile('cursor'), false);
+
+    // ========== 測試結果統計 ==========
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 測試結果統計');
+    console.log('='.repeat(60));
+    console.log(`✅ 通過: ${passed}/${tests.length}`);
+    console.log(`❌ 失敗: ${failed}/${tests.length}`);
+
+    if (failed === 0) {
+        console.log('\n🎉 所有測試通過！MCP 設定轉換正確。\n');
+    } else {
+        console.log('\n⚠️ 有測試失敗，請檢查上面的錯誤訊息。\n');
+        process.exit(1);
+    }
+}
+
+// 執行測試
+runTests();
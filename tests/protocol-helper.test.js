@@ -0,0 +1,318 @@
+/**
+ * Linux 協議註冊測試腳本
+ *
+ * 測試 native-host/protocol-helper.js 的 .desktop 檔案 Exec 引號與解析，
+ * 以及 Linux 上依序尋找 IDE 安裝與安裝擴充功能使用的 CLI（以替身取代 fs 與 PATH，不讀取真實檔案系統）
+ *
+ * 執行方式: node tests/protocol-helper.test.js
+ */
+
+const fs = require('fs');
+
+const {
+    findIDECommand,
+    findLinuxInstallation,
+    parseDesktopExecPath,
+    quoteDesktopExecArg,
+    buildDesktopEntry
+} = require('../native-host/protocol-helper.js');
+
+/**
+ * 以替身取代 protocol-helper.js 使用的 fs 函式；PATH 與 HOME 一併固定
+ * @param {Object} files
+ * @param {string[]} [files.executables] - 存在且可執行的路徑
+ * @param {string[]} [files.appImages] - ~/Applications 中的檔名
+ * @param {Object<string, string>} [files.realpaths] - 符號連結對應的實際路徑
+ * @returns {Function} 還原原本的 fs 函式與環境變數
+ */
+function stubFileSystem({ executables = [], appImages = null, realpaths = {} }) {
+    const original = {
+        access: fs.access,
+        readdir: fs.promises.readdir,
+        realpath: fs.promises.realpath,
+        PATH: process.env.PATH,
+        HOME: process.env.HOME
+    };
+    const existing = new Set(executables);
+
+    fs.access = (filePath, mode, callback) => {
+        callback(existing.has(filePath) ? null : new Error(`ENOENT: ${filePath}`));
+    };
+    fs.promises.readdir = async (dir) => {
+        if (dir !== '/home/me/Applications' || !appImages) throw new Error(`ENOENT: ${dir}`);
+        return appImages;
+    };
+    fs.promises.realpath = async (filePath) => realpaths[filePath] || filePath;
+    process.env.PATH = '/usr/local/bin:/usr/bin';
+    process.env.HOME = '/home/me';
+
+    return () => {
+        fs.access = original.access;
+        fs.promises.readdir = original.readdir;
+        fs.promises.realpath = original.realpath;
+        process.env.PATH = original.PATH;
+        process.env.HOME = original.HOME;
+    };
+}
+
+/**
+ * 在替身檔案系統中執行 findLinuxInstallation，結果轉為字串方便比對
+ */
+async function findWith(protocol, files) {
+    const restore = stubFileSystem(files);
+    try {
+        return JSON.stringify(await findLinuxInstallation(protocol));
+    } finally {
+        restore();
+    }
+}
+
+/**
+ * 在替身檔案系統中執行 findIDECommand
+ */
+async function commandWith(protocol, files) {
+    const restore = stubFileSystem(files);
+    try {
+        return await findIDECommand(protocol);
+    } finally {
+        restore();
+    }
+}
+
+// ========== 測試案例 ==========
+
+async function runTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, actual, expected) {
+        const status = actual === expected ? '✅ PASS' : '❌ FAIL';
+        tests.push({ name, status, actual, expected });
+
+        if (actual === expected) {
+            passed++;
+        } else {
+            failed++;
+            console.error(`\n❌ FAIL: ${name}`);
+            console.error('  Expected:', expected);
+            console.error('  Actual:  ', actual);
+        }
+    }
+
+    // ========== 測試 1: Exec 參數引號 ==========
+    console.log('\n🔤 測試 1: Exec 參數引號\n');
+
+    test(
+        '1.1 一般路徑只加上引號',
+        quoteDesktopExecArg('/opt/My IDE/ide'),
+        '"/opt/My IDE/ide"'
+    );
+
+    test(
+        '1.2 引號內的 "、`、$ 以反斜線跳脫，並依字串跳脫規則加倍',
+        quoteDesktopExecArg('/opt/a"b`c$d/ide'),
+        '"/opt/a\\\\"b\\\\`c\\\\$d/ide"'
+    );
+
+    test(
+        '1.3 反斜線寫成四個反斜線',
+        quoteDesktopExecArg('/opt/a\\b/ide'),
+        '"/opt/a\\\\\\\\b/ide"'
+    );
+
+    test(
+        '1.4 % 寫成 %%，不被當成欄位代碼',
+        quoteDesktopExecArg('/opt/100%U/ide'),
+        '"/opt/100%%U/ide"'
+    );
+
+    // ========== 測試 2: 解析 Exec 路徑 ==========
+    console.log('\n🔍 測試 2: 解析 Exec 路徑\n');
+
+    test(
+        '2.1 未加引號的執行檔',
+        parseDesktopExecPath('[Desktop Entry]\nName=Code\nExec=/usr/share/code/code --open-url %U\n'),
+        '/usr/share/code/code'
+    );
+
+    test(
+        '2.2 只讀取 [Desktop Entry] 區段',
+        parseDesktopExecPath('[Desktop Action new-window]\nExec=/wrong --new-window\n[Desktop Entry]\r\nExec="/opt/My IDE/ide" %U\r\n'),
+        '/opt/My IDE/ide'
+    );
+
+    test(
+        '2.3 沒有 Exec 時返回 null',
+        parseDesktopExecPath('[Desktop Entry]\nName=Code\n'),
+        null
+    );
+
+    const trickyPath = '/opt/100% "IDE"/a\\b`$x/ide';
+    test(
+        '2.4 引號與解析互為反向',
+        parseDesktopExecPath(`[Desktop Entry]\nExec=${quoteDesktopExecArg(trickyPath)} --open-url %U\n`),
+        trickyPath
+    );
+
+    // ========== 測試 3: .desktop 檔案內容 ==========
+    console.log('\n📄 測試 3: .desktop 檔案內容\n');
+
+    const entry = buildDesktopEntry('cursor', '/home/me/Applications/Cursor 1.0%.AppImage');
+
+    test(
+        '3.1 產生 x-scheme-handler .desktop 檔案',
+        entry,
+        [
+            '[Desktop Entry]',
+            'Type=Application',
+            'Name=cursor URL Handler',
+            'Exec="/home/me/Applications/Cursor 1.0%%.AppImage" --open-url %U',
+            'NoDisplay=true',
+            'MimeType=x-scheme-handler/cursor;',
+            ''
+        ].join('\n')
+    );
+
+    test(
+        '3.2 產生的檔案可解析回執行檔路徑',
+        parseDesktopExecPath(entry),
+        '/home/me/Applications/Cursor 1.0%.AppImage'
+    );
+
+    // ========== 測試 4: Linux 安裝偵測順序 ==========
+    console.log('\n🐧 測試 4: Linux 安裝偵測順序\n');
+
+    test(
+        '4.1 套件安裝優先於 Snap，CLI 取自 PATH',
+        await findWith('vscode', { executables: ['/usr/share/code/code', '/snap/bin/code', '/usr/bin/code'] }),
+        JSON.stringify({ execPath: '/usr/share/code/code', cliPath: '/usr/bin/code', source: 'package' })
+    );
+
+    test(
+        '4.2 /opt 下的 tarball 安裝',
+        await findWith('vscode', { executables: ['/opt/visual-studio-code/code', '/snap/bin/code'] }),
+        JSON.stringify({ execPath: '/opt/visual-studio-code/code', cliPath: null, source: 'tarball' })
+    );
+
+    test(
+        '4.3 Snap 優先於 Flatpak，啟動腳本兼作 CLI',
+        await findWith('vscode', {
+            executables: ['/snap/bin/code', '/var/lib/flatpak/exports/bin/com.visualstudio.code']
+        }),
+        JSON.stringify({ execPath: '/snap/bin/code', cliPath: '/snap/bin/code', source: 'snap' })
+    );
+
+    test(
+        '4.4 Flatpak 使用者安裝優先於系統安裝',
+        await findWith('vscode', {
+            executables: [
+                '/var/lib/flatpak/exports/bin/com.visualstudio.code',
+                '/home/me/.local/share/flatpak/exports/bin/com.visualstudio.code'
+            ]
+        }),
+        JSON.stringify({
+            execPath: '/home/me/.local/share/flatpak/exports/bin/com.visualstudio.code',
+            cliPath: '/home/me/.local/share/flatpak/exports/bin/com.visualstudio.code',
+            source: 'flatpak'
+        })
+    );
+
+    test(
+        '4.5 AppImage 不分大小寫比對前綴，取排序最後的版本',
+        await findWith('cursor', { appImages: ['Cursor-0.9.AppImage', 'cursor-1.2.AppImage', 'cursor-notes.txt'] }),
+        JSON.stringify({
+            execPath: '/home/me/Applications/cursor-1.2.AppImage',
+            cliPath: '/home/me/Applications/cursor-1.2.AppImage',
+            source: 'appimage'
+        })
+    );
+
+    test(
+        '4.6 已知位置優先於 AppImage',
+        await findWith('cursor', { executables: ['/opt/cursor/cursor'], appImages: ['cursor-1.2.AppImage'] }),
+        JSON.stringify({ execPath: '/opt/cursor/cursor', cliPath: null, source: 'tarball' })
+    );
+
+    test(
+        '4.7 其他位置：由 PATH 上的 CLI 推回 GUI 執行檔',
+        await findWith('windsurf', {
+            executables: ['/usr/local/bin/windsurf', '/home/me/tools/windsurf/windsurf'],
+            realpaths: { '/usr/local/bin/windsurf': '/home/me/tools/windsurf/bin/windsurf' }
+        }),
+        JSON.stringify({ execPath: '/home/me/tools/windsurf/windsurf', cliPath: '/usr/local/bin/windsurf', source: 'path' })
+    );
+
+    test(
+        '4.8 CLI 不在 bin 目錄下時直接使用 CLI',
+        await findWith('windsurf', { executables: ['/usr/bin/windsurf'] }),
+        JSON.stringify({ execPath: '/usr/bin/windsurf', cliPath: '/usr/bin/windsurf', source: 'path' })
+    );
+
+    test(
+        '4.9 找不到安裝時返回 null',
+        await findWith('antigravity', { appImages: [] }),
+        'null'
+    );
+
+    test(
+        '4.10 未知協議返回 null',
+        await findWith('unknown-ide', { executables: ['/usr/bin/unknown-ide'] }),
+        'null'
+    );
+
+    // ========== 測試 5: 安裝擴充功能使用的 CLI ==========
+    console.log('\n⌨️ 測試 5: 安裝擴充功能使用的 CLI\n');
+
+    if (process.platform === 'linux') {
+        test(
+            '5.1 固定命令在 PATH 上時直接使用',
+            await commandWith('vscode', { executables: ['/usr/bin/code', '/snap/bin/code'] }),
+            'code'
+        );
+
+        test(
+            '5.2 命令不在 PATH 上時改用 Snap 的啟動腳本',
+            await commandWith('vscode', { executables: ['/snap/bin/code'] }),
+            '/snap/bin/code'
+        );
+
+        test(
+            '5.3 命令不在 PATH 上時改用 AppImage',
+            await commandWith('cursor', { appImages: ['Cursor-1.2.AppImage'] }),
+            '/home/me/Applications/Cursor-1.2.AppImage'
+        );
+
+        test(
+            '5.4 找不到任何 CLI 時沿用固定命令',
+            await commandWith('windsurf', { executables: ['/opt/windsurf/windsurf'] }),
+            'windsurf'
+        );
+    }
+
+    test(
+        '5.5 非內建 IDE 返回 null',
+        await commandWith('unknown-ide', { executables: ['/usr/bin/unknown-ide'] }),
+        null
+    );
+
+    // ========== 測試結果統計 ==========
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 測試結果統計');
+    console.log('='.repeat(60));
+    console.log(`✅ 通過: ${passed}/${tests.length}`);
+    console.log(`❌ 失敗: ${failed}/${tests.length}`);
+
+    if (failed === 0) {
+        console.log('\n🎉 所有測試通過！協議註冊檔案格式與安裝偵測正確。\n');
+    } else {
+        console.log('\n⚠️ 有測試失敗，請檢查上面的錯誤訊息。\n');
+        process.exit(1);
+    }
+}
+
+// 執行測試
+runTests().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,179 @@
+/**
+ * 設定結構測試腳本
+ *
+ * 測試 extension/settings.js 的預設值與正規化邏輯是否符合 docs/settings-schema.md
+ *
+ * 執行方式: node tests/settings.test.js
+ */
+
+const {
+    SETTINGS_KEYS,
+    DEFAULT_SETTINGS,
+    normalizeSettings
+} = require('../extension/settings.js');
+
+// ========== 測試案例 ==========
+
+function runTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, actual, expected) {
+        const status = actual === expected ? '✅ PASS' : '❌ FAIL';
+        tests.push({ name, status, actual, expected });
+
+        if (actual === expected) {
+            passed++;
+        } else {
+            failed++;
+            console.error(`\n❌ FAIL: ${name}`);
+            console.error('  Expected:', expected);
+            console.error('  Actual:  ', actual);
+        }
+    }
+
+    // ========== 測試 1: 預設值 ==========
+    console.log('\n⚙️ 測試 1: 預設值\n');
+
+    const defaults = normalizeSettings({});
+
+    test(
+        '1.1 空設定包含所有鍵',
+        Object.keys(defaults).sort().join(','),
+        Object.values(SETTINGS_KEYS).sort().join(',')
+    );
+
+    test(
+        '1.2 預設 IDE 為 antigravity',
+        defaults[SETTINGS_KEYS.SELECTED_PROTOCOL],
+        DEFAULT_SETTINGS[SETTINGS_KEYS.SELECTED_PROTOCOL]
+    );
+
+    test(
+        '1.3 未設定時預設啟用攔截',
+        defaults[SETTINGS_KEYS.INTERCEPTION_ENABLED],
+        true
+    );
+
+    test(
+        '1.4 未設定時顯示 MCP 安裝說明',
+        defaults[SETTINGS_KEYS.MCP_MODAL_DISMISSED],
+        false
+    );
+
+    test(
+        '1.5 未設定時不指定多 IDE 安裝目標',
+        defaults[SETTINGS_KEYS.MULTI_INSTALL_IDES].length,
+        0
+    );
+
+    test(
+        '1.6 非物件輸入回傳預設值',
+        normalizeSettings(undefined)[SETTINGS_KEYS.ASK_EVERY_TIME],
+        false
+    );
+
+    // ========== 測試 2: 正規化 ==========
+    console.log('\n🧹 測試 2: 正規化\n');
+
+    const settings = normalizeSettings({
+        selectedProtocol: 'vscodium',
+        siteRules: [
+            { pattern: 'github.com', protocol: 'vscodium' },
+            { pattern: 'gitlab.com', protocol: 'removed-ide' }
+        ],
+        linkTypeRules: { mcp: 'cursor', file: 'removed-ide' },
+        customIdes: [{ id: 'vscodium', name: 'VSCodium', command: 'codium' }],
+        askEveryTime: 'yes',
+        interceptionEnabled: false,
+        mcpInstructionModalDismissed: true,
+        multiInstallEnabled: true,
+        multiInstallIdes: ['cursor', 'vscodium', 'cursor', 'removed-ide'],
+        pathMappings: [{ from: '/builds/org/repo', to: '/home/me/src/repo' }, { from: '/tmp' }],
+        repoMappings: [{ repo: 'https://GitHub.com/org/repo.git', path: '/home/me/src/repo' }, { repo: 'not a repo', path: '/tmp' }]
+    });
+
+    test(
+        '2.1 自訂 IDE 可作為預設 IDE',
+        settings[SETTINGS_KEYS.SELECTED_PROTOCOL],
+        'vscodium'
+    );
+
+    test(
+        '2.2 濾除指向不存在 IDE 的站台規則',
+        settings[SETTINGS_KEYS.SITE_RULES].map(rule => rule.pattern).join(','),
+        'github.com'
+    );
+
+    test(
+        '2.3 濾除指向不存在 IDE 的連結類型規則',
+        Object.keys(settings[SETTINGS_KEYS.LINK_TYPE_RULES]).join(','),
+        'mcp'
+    );
+
+    test(
+        '2.4 布林設定只接受 true',
+        settings[SETTINGS_KEYS.ASK_EVERY_TIME],
+        false
+    );
+
+    test(
+        '2.5 明確停用攔截',
+        settings[SETTINGS_KEYS.INTERCEPTION_ENABLED],
+        false
+    );
+
+    test(
+        '2.6 MCP 說明已關閉',
+        settings[SETTINGS_KEYS.MCP_MODAL_DISMISSED],
+        true
+    );
+
+    test(
+        '2.7 啟用多 IDE 安裝',
+        settings[SETTINGS_KEYS.MULTI_INSTALL_ENABLED],
+        true
+    );
+
+    test(
+        '2.8 多 IDE 安裝目標去除重複並濾除不存在的 IDE',
+        settings[SETTINGS_KEYS.MULTI_INSTALL_IDES].join(','),
+        'cursor,vscodium'
+    );
+
+    test(
+        '2.9 移除自訂 IDE 後預設 IDE 回到 antigravity',
+        normalizeSettings({ selectedProtocol: 'vscodium' })[SETTINGS_KEYS.SELECTED_PROTOCOL],
+        'antigravity'
+    );
+
+    test(
+        '2.10 濾除缺少目標前綴的路徑改寫規則',
+        settings[SETTINGS_KEYS.PATH_MAPPINGS].map(mapping => mapping.from).join(','),
+        '/builds/org/repo'
+    );
+
+    test(
+        '2.11 本機倉庫對應以正規化的倉庫網址儲存',
+        settings[SETTINGS_KEYS.REPO_MAPPINGS].map(mapping => mapping.repo).join(','),
+        'github.com/org/repo'
+    );
+
+    // ========== 測試結果統計 ==========
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 測試結果統計');
+    console.log('='.repeat(60));
+    console.log(`✅ 通過: ${passed}/${tests.length}`);
+    console.log(`❌ 失敗: ${failed}/${tests.length}`);
+
+    if (failed === 0) {
+        console.log('\n🎉 所有測試通過！設定結構符合 settings-schema.md 規範。\n');
+    } else {
+        console.log('\n⚠️ 有測試失敗，請檢查上面的錯誤訊息。\n');
+        process.exit(1);
+    }
+}
+
+// 執行測試
+runTests();
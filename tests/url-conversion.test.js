@@ -2,123 +2,51 @@
  * URL 轉換規則測試腳本
  * 
  * 測試 IDE-Link-Interceptor 的 URL 轉換邏輯是否符合 url-conversion-rules.md 規範
+ * 直接載入 extension/url-conversion.js，與 content.js / interceptor.js / background.js 使用同一份實作
  * 
  * 執行方式: node tests/url-conversion.test.js
  */
 
-// ========== 模擬核心轉換邏輯 ==========
-
-const IDE_PROVIDER_MAP = {
-    'vscode': 'github.remotehub',
-    'vscode-insiders': 'github.remotehub',
-    'antigravity': 'git',
-    'cursor': 'repo',
-    'windsurf': 'repo',
-    'vscodium': 'github.remotehub'
-};
-
-// 避免破壞 OAuth/登入流程（例如 GitHub Copilot / GitHub Auth 回呼）
-function isAuthCallbackUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    const match = url.match(/^([^:]+):\/\/([^/]+)\/([^?]+)(\?.*)?$/) ||
-        url.match(/^([^:]+):([^/]+)\/([^?]+)(\?.*)?$/);
-    if (!match) return false;
-    const provider = (match[2] || '').toLowerCase();
-    return provider.includes('authentication');
-}
-
-/**
- * 轉換 VS Code URL 為目標協議
- */
-function convertVSCodeUrl(url, targetProtocol) {
-    if (url.startsWith(`${targetProtocol}:`)) return url;
-    if (isAuthCallbackUrl(url)) return url;
-
-    try {
-        const match = url.match(/^([^:]+):\/\/([^\/]+)\/([^?]+)(\?.*)?$/) ||
-            url.match(/^([^:]+):([^\/]+)\/([^?]+)(\?.*)?$/);
-
-        if (match) {
-            const [, , , action, queryStr] = match;
-            const targetProvider = IDE_PROVIDER_MAP[targetProtocol] || 'git';
-            return `${targetProtocol}://${targetProvider}/${action}${queryStr || ''}`;
-        }
-
-        // Fallback
-        const protocols = ['vscode:', 'vscode-insiders:', 'cursor:'];
-        for (const protocol of protocols) {
-            if (url.startsWith(protocol)) {
-                return url.replace(protocol, `${targetProtocol}:`);
-            }
-        }
-    } catch (e) {
-        console.error('轉換失敗:', e);
-    }
-
-    return url;
-}
-
-/**
- * 建構 VSIX 安裝 URL
- */
-function buildVsixInstallUrl(targetProtocol, vsixUrl, publisher, name, version) {
-    const encodedVsixUrl = encodeURIComponent(vsixUrl);
-    const extensionName = `${publisher}.${name}`;
-
-    let url = `${targetProtocol}://extension/install?url=${encodedVsixUrl}&name=${extensionName}`;
-
-    if (version) {
-        url += `&version=${version}`;
-    }
-
-    return url;
-}
-
-/**
- * 建構擴充 URL
- * Antigravity 使用 protocol://id 格式
- * 其他協議使用 protocol:extension/id 格式
- */
-function buildExtensionUrl(protocol, publisher, name) {
-    const extensionId = `${publisher}.${name}`;
-    if (protocol === 'antigravity') {
-        return `antigravity://${extensionId}`;
-    }
-    return `${protocol}:extension/${extensionId}`;
-}
-
-/**
- * 檢查 URL 是否為 MCP URL
- */
-function isMcpUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    return /^(vscode|vscode-insiders):mcp\//.test(url);
-}
-
-/**
- * 從 MCP URL 提取服務器名稱
- */
-function extractMcpServerName(url) {
-    if (!isMcpUrl(url)) return null;
-    
-    try {
-        // Format 1: vscode:mcp/by-name/{name}
-        const byNameMatch = url.match(/^(vscode|vscode-insiders):mcp\/by-name\/([^/?#]+)/);
-        if (byNameMatch) {
-            return byNameMatch[2];
-        }
-        
-        // Format 2: vscode:mcp/api.mcp.github.com/.../servers/{id}/{name}
-        const apiMatch = url.match(/^(vscode|vscode-insiders):mcp\/api\.mcp\.github\.com.*\/servers\/[^/]+\/([^/?#]+)/);
-        if (apiMatch) {
-            return apiMatch[2];
-        }
-        
-        return null;
-    } catch {
-        return null;
-    }
-}
+// ========== 載入擴充功能實際使用的轉換模組 ==========
+
+const {
+    convertToTargetUrl,
+    convertVSCodeDevUrl,
+    convertMcpUrl,
+    parseMcpInstallUrl,
+    buildMcpInstallUrl,
+    buildVsixInstallUrl,
+    buildExtensionUrl,
+    isMcpUrl,
+    extractMcpServerName,
+    isVsixUrl,
+    parseExtensionFromVsixUrl,
+    parseVSCodeExtensionId,
+    formatExtensionSpec,
+    parseExtensionSpec,
+    processUrl,
+    matchesSitePattern,
+    normalizeSiteRules,
+    normalizeLinkTypeRules,
+    classifyLink,
+    resolveTargetProtocol,
+    getProtocolPrefix,
+    normalizeCustomIdes,
+    getIdeOptions,
+    setCustomIdes,
+    normalizePathMappings,
+    setPathMappings,
+    remapFilePath,
+    remapFileUrl,
+    getRemoteExtensionId,
+    parseRemoteLink,
+    getMissingRemoteSupport,
+    REPO_LINK_ERRORS,
+    normalizeRepoUrl,
+    normalizeRepoMappings,
+    parseRepoFileUrl,
+    buildRepoFileLink
+} = require('../extension/url-conversion.js');
 
 // ========== 測試案例 ==========
 
@@ -143,31 +71,43 @@ function runTests() {
 
     console.log('\n🧪 開始測試 URL 轉換規則...\n');
 
-    // ========== 測試 1: Provider 映射 ==========
-    console.log('📋 測試 1: Provider 映射');
+    // ========== 測試 1: 協議轉換保留 provider ==========
+    console.log('📋 測試 1: 協議轉換保留 provider');
 
     test(
-        '1.1 VS Code 使用 github.remotehub provider',
-        convertVSCodeUrl('vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7', 'vscode'),
+        '1.1 目標協議與來源相同時不轉換',
+        convertToTargetUrl('vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7', 'vscode'),
         'vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7'
     );
 
     test(
-        '1.2 VS Code → Antigravity 轉換使用 git provider',
-        convertVSCodeUrl('vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7', 'antigravity'),
-        'antigravity://git/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7'
+        '1.2 VS Code → Antigravity 不產生重複斜線',
+        convertToTargetUrl('vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7', 'antigravity'),
+        'antigravity://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7'
     );
 
     test(
-        '1.3 VS Code → Cursor 轉換使用 repo provider',
-        convertVSCodeUrl('vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7', 'cursor'),
-        'cursor://repo/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7'
+        '1.3 VS Code → Cursor 保留 authority',
+        convertToTargetUrl('vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7', 'cursor'),
+        'cursor://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7'
     );
 
     test(
-        '1.4 VS Code → Windsurf 轉換使用 repo provider',
-        convertVSCodeUrl('vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7', 'windsurf'),
-        'windsurf://repo/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7'
+        '1.4 VS Code → Windsurf 保留 authority',
+        convertToTargetUrl('vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7', 'windsurf'),
+        'windsurf://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fmcp%2Fcontext7'
+    );
+
+    test(
+        '1.5 無 authority 的連結轉換為 Antigravity 使用 :// 前綴',
+        convertToTargetUrl('vscode:extension/esbenp.prettier-vscode', 'antigravity'),
+        'antigravity://extension/esbenp.prettier-vscode'
+    );
+
+    test(
+        '1.6 無 authority 的連結轉換為 Cursor 使用 : 前綴',
+        convertToTargetUrl('vscode-insiders:extension/esbenp.prettier-vscode', 'cursor'),
+        'cursor:extension/esbenp.prettier-vscode'
     );
 
     // ========== 測試 2: GitHub Repo 轉換 ==========
@@ -175,20 +115,20 @@ function runTests() {
 
     test(
         '2.1 標準 vscode:// 格式轉換',
-        convertVSCodeUrl('vscode://github.remotehub/clone?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo', 'antigravity'),
-        'antigravity://git/clone?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo'
+        convertToTargetUrl('vscode://github.remotehub/clone?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo', 'antigravity'),
+        'antigravity://github.remotehub/clone?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo'
     );
 
     test(
         '2.2 含分支參數的轉換',
-        convertVSCodeUrl('vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo&branch=main', 'antigravity'),
-        'antigravity://git/open?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo&branch=main'
+        convertToTargetUrl('vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo&branch=main', 'antigravity'),
+        'antigravity://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo&branch=main'
     );
 
     test(
         '2.3 含多個參數的轉換',
-        convertVSCodeUrl('vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo&branch=dev&path=src', 'cursor'),
-        'cursor://repo/open?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo&branch=dev&path=src'
+        convertToTargetUrl('vscode://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo&branch=dev&path=src', 'cursor'),
+        'cursor://github.remotehub/open?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo&branch=dev&path=src'
     );
 
     // ========== 測試 3: VSIX 安裝 URL ==========
@@ -196,19 +136,19 @@ function runTests() {
 
     test(
         '3.1 Open VSX 完整格式（含版本）',
-        buildVsixInstallUrl('antigravity', 'https://open-vsx.org/api/pub/ext/1.2.3/file', 'pub', 'ext', '1.2.3'),
+        buildVsixInstallUrl('antigravity', 'https://open-vsx.org/api/pub/ext/1.2.3/file', { publisher: 'pub', name: 'ext', version: '1.2.3' }),
         'antigravity://extension/install?url=https%3A%2F%2Fopen-vsx.org%2Fapi%2Fpub%2Fext%2F1.2.3%2Ffile&name=pub.ext&version=1.2.3'
     );
 
     test(
         '3.2 無版本號的 VSIX',
-        buildVsixInstallUrl('cursor', 'https://example.com/extension.vsix', 'publisher', 'myext', null),
+        buildVsixInstallUrl('cursor', 'https://example.com/extension.vsix', { publisher: 'publisher', name: 'myext' }),
         'cursor://extension/install?url=https%3A%2F%2Fexample.com%2Fextension.vsix&name=publisher.myext'
     );
 
     test(
         '3.3 特殊字元 URL encoding',
-        buildVsixInstallUrl('antigravity', 'https://example.com/ext?token=abc&id=123', 'test', 'ext', '2.0.0'),
+        buildVsixInstallUrl('antigravity', 'https://example.com/ext?token=abc&id=123', { publisher: 'test', name: 'ext', version: '2.0.0' }),
         'antigravity://extension/install?url=https%3A%2F%2Fexample.com%2Fext%3Ftoken%3Dabc%26id%3D123&name=test.ext&version=2.0.0'
     );
 
@@ -217,9 +157,7 @@ function runTests() {
         buildVsixInstallUrl(
             'antigravity',
             'https://ms-python.gallery.vsassets.io/_apis/public/gallery/publisher/ms-python/extension/python/2026.0.0/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage',
-            'ms-python',
-            'python',
-            '2026.0.0'
+            { publisher: 'ms-python', name: 'python', version: '2026.0.0' }
         ),
         'antigravity://extension/install?url=https%3A%2F%2Fms-python.gallery.vsassets.io%2F_apis%2Fpublic%2Fgallery%2Fpublisher%2Fms-python%2Fextension%2Fpython%2F2026.0.0%2Fassetbyname%2FMicrosoft.VisualStudio.Services.VSIXPackage&name=ms-python.python&version=2026.0.0'
     );
@@ -259,13 +197,13 @@ function runTests() {
 
     test(
         '5.1 vscode.github-authentication 不轉換',
-        convertVSCodeUrl('vscode://vscode.github-authentication/did-authenticate?code=abc&state=def', 'cursor'),
+        convertToTargetUrl('vscode://vscode.github-authentication/did-authenticate?code=abc&state=def', 'cursor'),
         'vscode://vscode.github-authentication/did-authenticate?code=abc&state=def'
     );
 
     test(
         '5.2 cursor://...authentication... 不轉換',
-        convertVSCodeUrl('cursor://vscode.github-authentication/did-authenticate?code=abc&state=def', 'antigravity'),
+        convertToTargetUrl('cursor://vscode.github-authentication/did-authenticate?code=abc&state=def', 'antigravity'),
         'cursor://vscode.github-authentication/did-authenticate?code=abc&state=def'
     );
 
@@ -274,19 +212,19 @@ function runTests() {
 
     test(
         '6.1 Antigravity 擴充 URL 使用 protocol://id 格式',
-        buildExtensionUrl('antigravity', 'esbenp', 'prettier-vscode'),
+        buildExtensionUrl('antigravity', 'esbenp.prettier-vscode'),
         'antigravity://esbenp.prettier-vscode'
     );
 
     test(
         '6.2 VS Code 擴充 URL 保持 protocol:extension/id 格式',
-        buildExtensionUrl('vscode', 'esbenp', 'prettier-vscode'),
+        buildExtensionUrl('vscode', 'esbenp.prettier-vscode'),
         'vscode:extension/esbenp.prettier-vscode'
     );
 
      test(
          '6.3 Cursor 擴充 URL 保持 protocol:extension/id 格式',
-         buildExtensionUrl('cursor', 'ms-python', 'python'),
+         buildExtensionUrl('cursor', 'ms-python.python'),
          'cursor:extension/ms-python.python'
      );
 
@@ -365,6 +303,690 @@ function runTests() {
          null
      );
 
+     // ========== 測試 8: vscode.dev 重定向連結 ==========
+     console.log('\n📋 測試 8: vscode.dev 重定向連結');
+
+     test(
+         '8.1 url 參數格式解碼後轉換協議',
+         convertVSCodeDevUrl('https://insiders.vscode.dev/redirect?url=vscode%3Aextension%2Fms-python.python', 'cursor'),
+         'cursor:extension/ms-python.python'
+     );
+
+     test(
+         '8.2 多層編碼的 url 參數可正確解碼',
+         convertVSCodeDevUrl('https://vscode.dev/redirect?url=vscode%253Aextension%252Fms-python.python', 'windsurf'),
+         'windsurf:extension/ms-python.python'
+     );
+
+     test(
+         '8.3 路徑格式轉換為目標協議',
+         convertVSCodeDevUrl('https://insiders.vscode.dev/redirect/mcp/install?name=github', 'antigravity'),
+         'antigravity://mcp/install?name=github'
+     );
+
+     test(
+         '8.4 認證回呼不轉換',
+         convertVSCodeDevUrl('https://vscode.dev/redirect?url=vscode%3A%2F%2Fvscode.github-authentication%2Fdid-authenticate%3Fcode%3Dabc', 'cursor'),
+         'vscode://vscode.github-authentication/did-authenticate?code=abc'
+     );
+
+     // ========== 測試 9: MCP 安裝連結轉換 ==========
+     console.log('\n📋 測試 9: MCP 安裝連結轉換');
+
+     const mcpConfig = { name: 'github', type: 'http', url: 'https://api.githubcopilot.com/mcp/' };
+     const vscodeMcpUrl = `vscode:mcp/install?${encodeURIComponent(JSON.stringify(mcpConfig))}`;
+     const cursorConfig = Buffer.from(JSON.stringify({ type: 'http', url: 'https://api.githubcopilot.com/mcp/' })).toString('base64');
+     const cursorMcpUrl = `cursor://anysphere.cursor-deeplink/mcp/install?name=github&config=${cursorConfig}`;
+
+     test(
+         '9.1 VS Code MCP 連結轉換為 Cursor deeplink',
+         convertMcpUrl(vscodeMcpUrl, 'cursor'),
+         cursorMcpUrl
+     );
+
+     test(
+         '9.2 Cursor deeplink 轉換為 VS Code MCP 連結',
+         convertMcpUrl(cursorMcpUrl, 'vscode'),
+         vscodeMcpUrl
+     );
+
+     test(
+         '9.3 VS Code MCP 連結轉換為 Windsurf 僅替換協議',
+         convertMcpUrl('vscode:mcp/by-name/huggingface', 'windsurf'),
+         'windsurf:mcp/by-name/huggingface'
+     );
+
+     test(
+         '9.4 processUrl 對 JS 導航的 MCP 連結套用相同轉換',
+         processUrl(vscodeMcpUrl, 'cursor'),
+         cursorMcpUrl
+     );
+
+     // ========== 測試 10: VSIX 與擴充連結解析 ==========
+     console.log('\n📋 測試 10: VSIX 與擴充連結解析');
+
+     test(
+         '10.1 Open VSX 檔案連結視為 VSIX',
+         isVsixUrl('https://open-vsx.org/api/pub/ext/1.2.3/file/pub.ext-1.2.3.vsix'),
+         true
+     );
+
+     test(
+         '10.2 一般 GitHub 頁面不視為 VSIX',
+         isVsixUrl('https://github.com/user/repo'),
+         false
+     );
+
+     test(
+         '10.3 從 Marketplace vspackage 連結解析擴充資訊',
+         JSON.stringify(parseExtensionFromVsixUrl('https://marketplace.visualstudio.com/_apis/public/gallery/publishers/ms-python/vsextensions/python/2026.0.0/vspackage')),
+         JSON.stringify({ publisher: 'ms-python', name: 'python', version: '2026.0.0' })
+     );
+
+     test(
+         '10.4 從 {publisher}.{name}-{version}.vsix 檔名解析擴充資訊',
+         JSON.stringify(parseExtensionFromVsixUrl('https://github.com/org/repo/releases/download/v1.0.0/acme.tool-1.0.0.vsix')),
+         JSON.stringify({ publisher: 'acme', name: 'tool', version: '1.0.0' })
+     );
+
+     test(
+         '10.5 解析 vscode:extension/{id} 連結',
+         parseVSCodeExtensionId('vscode:extension/esbenp.prettier-vscode'),
+         'esbenp.prettier-vscode'
+     );
+
+     test(
+         '10.6 非 VS Code 協議的擴充連結不解析',
+         parseVSCodeExtensionId('cursor:extension/esbenp.prettier-vscode'),
+         null
+     );
+
+     test(
+         '10.7 版本已知時產生 publisher.name@version',
+         formatExtensionSpec({ publisher: 'ms-python', name: 'python', version: '2026.0.0' }),
+         'ms-python.python@2026.0.0'
+     );
+
+     test(
+         '10.8 版本為別名（latest）時不固定版本',
+         formatExtensionSpec({ publisher: 'ms-python', name: 'python', version: 'latest' }),
+         'ms-python.python'
+     );
+
+     test(
+         '10.9 解析 publisher.name@version',
+         JSON.stringify(parseExtensionSpec('esbenp.prettier-vscode@10.4.0')),
+         JSON.stringify({ id: 'esbenp.prettier-vscode', version: '10.4.0' })
+     );
+
+     test(
+         '10.10 未指定版本時 version 為 null',
+         JSON.stringify(parseExtensionSpec('esbenp.prettier-vscode')),
+         JSON.stringify({ id: 'esbenp.prettier-vscode', version: null })
+     );
+
+     test(
+         '10.11 拒絕含 shell 字元的版本',
+         parseExtensionSpec('esbenp.prettier-vscode@1.0.0;echo'),
+         null
+     );
+
+     // ========== 測試 11: 站台規則 ==========
+     console.log('\n📋 測試 11: 站台規則');
+
+     const siteRules = [
+         { pattern: 'github.com/our-org/*', protocol: 'cursor' },
+         { pattern: '*.gitlab.internal', protocol: 'vscode' },
+         { pattern: 'github.com', protocol: 'windsurf' }
+     ];
+
+     test(
+         '11.1 路徑樣式符合組織下的頁面',
+         matchesSitePattern('github.com/our-org/*', 'https://github.com/our-org/repo/pull/1'),
+         true
+     );
+
+     test(
+         '11.2 路徑樣式不符合其他組織',
+         matchesSitePattern('github.com/our-org/*', 'https://github.com/other-org/repo'),
+         false
+     );
+
+     test(
+         '11.3 子網域萬用字元',
+         matchesSitePattern('*.gitlab.internal', 'https://code.gitlab.internal/group/project'),
+         true
+     );
+
+     test(
+         '11.4 含連接埠的樣式比對 host',
+         matchesSitePattern('localhost:3000', 'http://localhost:3000/docs'),
+         true
+     );
+
+     test(
+         '11.5 第一條符合的規則生效',
+         resolveTargetProtocol('https://github.com/our-org/repo', siteRules, 'antigravity').protocol,
+         'cursor'
+     );
+
+     test(
+         '11.6 較寬鬆的規則作為後備',
+         resolveTargetProtocol('https://github.com/other-org/repo', siteRules, 'antigravity').protocol,
+         'windsurf'
+     );
+
+     test(
+         '11.7 無符合規則時使用預設協議',
+         resolveTargetProtocol('https://example.com/', siteRules, 'antigravity').rule,
+         null
+     );
+
+     test(
+         '11.8 過濾不支援的協議與空白樣式',
+         normalizeSiteRules([
+             { pattern: ' github.com ', protocol: 'cursor' },
+             { pattern: 'example.com', protocol: 'javascript' },
+             { pattern: '', protocol: 'vscode' }
+         ], new Set(['cursor', 'vscode'])).length,
+         1
+     );
+
+     // ========== 測試 12: 連結類型路由 ==========
+     console.log('\n📋 測試 12: 連結類型路由');
+
+     test(
+         '12.1 vscode:extension 連結分類為 extension',
+         classifyLink('vscode:extension/esbenp.prettier-vscode'),
+         'extension'
+     );
+
+     test(
+         '12.2 VSIX 下載連結分類為 extension',
+         classifyLink('https://open-vsx.org/api/pub/ext/1.2.3/file'),
+         'extension'
+     );
+
+     test(
+         '12.3 VS Code MCP 連結分類為 mcp',
+         classifyLink('vscode:mcp/by-name/huggingface'),
+         'mcp'
+     );
+
+     test(
+         '12.4 Cursor MCP deeplink 分類為 mcp',
+         classifyLink('cursor://anysphere.cursor-deeplink/mcp/install?name=x&config=e30='),
+         'mcp'
+     );
+
+     test(
+         '12.5 vscode.dev 重定向依內層連結分類',
+         classifyLink('https://insiders.vscode.dev/redirect?url=vscode%3Amcp%2Finstall%3F%7B%7D'),
+         'mcp'
+     );
+
+     test(
+         '12.6 vscode://file 連結分類為 file',
+         classifyLink('vscode://file/C:/project/src/index.js:10:5'),
+         'file'
+     );
+
+     test(
+         '12.7 vscode.git/clone 連結分類為 clone',
+         classifyLink('vscode://vscode.git/clone?url=https%3A%2F%2Fgithub.com%2Fuser%2Frepo'),
+         'clone'
+     );
+
+     test(
+         '12.8 其他 IDE 連結分類為 other',
+         classifyLink('vscode://github.remotehub/open?url=x'),
+         'other'
+     );
+
+     test(
+         '12.9 一般網頁不分類',
+         classifyLink('https://github.com/user/repo'),
+         null
+     );
+
+     const linkTypeRules = normalizeLinkTypeRules(
+         { mcp: 'cursor', extension: 'vscode', file: 'windsurf', clone: 'antigravity', other: 'cursor', bogus: 'vscode' },
+         new Set(['vscode', 'antigravity', 'cursor', 'windsurf'])
+     );
+
+     test(
+         '12.10 只保留可路由的連結類型',
+         Object.keys(linkTypeRules).sort().join(','),
+         'clone,extension,file,mcp'
+     );
+
+     test(
+         '12.11 連結類型規則決定 MCP 目標',
+         resolveTargetProtocol('https://github.com/mcp', [], 'antigravity', { linkUrl: 'vscode:mcp/by-name/huggingface', linkTypeRules }).protocol,
+         'cursor'
+     );
+
+     test(
+         '12.12 站台規則優先於連結類型規則',
+         resolveTargetProtocol('https://github.com/our-org/repo', siteRules, 'antigravity', { linkUrl: 'vscode://file/C:/a.js', linkTypeRules }).source,
+         'site'
+     );
+
+     test(
+         '12.13 無連結類型規則時使用預設協議',
+         resolveTargetProtocol('https://example.com/', [], 'antigravity', { linkUrl: 'vscode://github.remotehub/open?url=x', linkTypeRules }).protocol,
+         'antigravity'
+     );
+
+     // ========== 測試 13: 自訂 IDE ==========
+     console.log('\n🧩 測試 13: 自訂 IDE\n');
+
+     const customIdes = normalizeCustomIdes([
+         { id: 'VSCodium', name: 'VSCodium', command: 'codium', icon: '🟦🟦🟦' },
+         { id: 'kiro', name: 'Kiro', prefixStyle: 'slashes', command: 'kiro' },
+         { id: 'cursor', name: 'My Cursor' },
+         { id: 'https', name: 'Browser' },
+         { id: 'trae', name: 'Trae', command: 'trae & calc' },
+         { id: 'kiro', name: 'Duplicate' },
+         { id: '1bad' }
+     ]);
+
+     test(
+         '13.1 濾除與內建/保留 scheme 衝突、重複或不合法的項目',
+         customIdes.map(ide => ide.id).join(','),
+         'vscodium,kiro,trae'
+     );
+
+     test(
+         '13.2 含 shell 特殊字元的 CLI 命令被清除',
+         customIdes[2].command,
+         ''
+     );
+
+     test(
+         '13.3 文字圖示最多保留兩個字元',
+         customIdes[0].icon,
+         '🟦🟦'
+     );
+
+     test(
+         '13.4 IDE 清單包含內建與自訂 IDE',
+         getIdeOptions(customIdes).map(ide => ide.id).join(','),
+         'vscode,vscode-insiders,antigravity,cursor,windsurf,vscodium,kiro,trae'
+     );
+
+     setCustomIdes(customIdes);
+
+     test(
+         '13.5 slashes 前綴格式的自訂 IDE',
+         getProtocolPrefix('kiro'),
+         'kiro://'
+     );
+
+     test(
+         '13.6 colon 前綴格式的自訂 IDE',
+         convertToTargetUrl('vscode:extension/ms-python.python', 'vscodium'),
+         'vscodium:extension/ms-python.python'
+     );
+
+     test(
+         '13.7 轉換至 slashes 格式的自訂 IDE',
+         convertToTargetUrl('vscode:extension/ms-python.python', 'kiro'),
+         'kiro://extension/ms-python.python'
+     );
+
+     test(
+         '13.8 自訂 IDE 可作為站台規則目標',
+         normalizeSiteRules([{ pattern: 'github.com', protocol: 'kiro' }], new Set(getIdeOptions(customIdes).map(ide => ide.id))).length,
+         1
+     );
+
+     setCustomIdes([]);
+
+     test(
+         '13.9 清除自訂 IDE 後恢復預設前綴',
+         getProtocolPrefix('kiro'),
+         'kiro:'
+     );
+
+     // ========== 測試 14: MCP 安裝設定解析 ==========
+     console.log('\n🔌 測試 14: MCP 安裝設定解析\n');
+
+     const mcpServer = { name: 'github', command: 'npx', args: ['-y', '@modelcontextprotocol/server-github'] };
+     const mcpInstallUrl = `vscode:mcp/install?${encodeURIComponent(JSON.stringify(mcpServer))}`;
+
+     test(
+         '14.1 解析 VS Code mcp/install 連結',
+         JSON.stringify(parseMcpInstallUrl(mcpInstallUrl)),
+         JSON.stringify(mcpServer)
+     );
+
+     test(
+         '14.2 解析 Cursor deeplink（name 併入設定）',
+         JSON.stringify(parseMcpInstallUrl(convertMcpUrl(mcpInstallUrl, 'cursor'))),
+         JSON.stringify(mcpServer)
+     );
+
+     test(
+         '14.3 解析 vscode.dev 重定向中的 MCP 安裝連結',
+         parseMcpInstallUrl(`https://insiders.vscode.dev/redirect?url=${encodeURIComponent(mcpInstallUrl)}`)?.command,
+         'npx'
+     );
+
+     test(
+         '14.4 解析 vscode.dev 路徑格式（config 為 JSON）',
+         parseMcpInstallUrl('https://insiders.vscode.dev/redirect/mcp/install?name=github&config=' +
+             encodeURIComponent('{"type":"http","url":"https://api.githubcopilot.com/mcp/"}'))?.url,
+         'https://api.githubcopilot.com/mcp/'
+     );
+
+     test(
+         '14.5 by-name 連結沒有設定內容',
+         parseMcpInstallUrl('vscode:mcp/by-name/huggingface'),
+         null
+     );
+
+     test(
+         '14.6 無法解析的設定返回 null',
+         parseMcpInstallUrl('vscode:mcp/install?not-json'),
+         null
+     );
+
+     test(
+         '14.7 建立 Cursor deeplink 與既有轉換結果相同',
+         buildMcpInstallUrl('cursor', mcpServer).url,
+         convertMcpUrl(mcpInstallUrl, 'cursor')
+     );
+
+     test(
+         '14.8 建立其他 IDE 的 mcp/install 連結',
+         buildMcpInstallUrl('windsurf', mcpServer).url,
+         `windsurf:mcp/install?${encodeURIComponent(JSON.stringify(mcpServer))}`
+     );
+
+     test(
+         '14.9 非 ASCII 設定可往返 Cursor deeplink',
+         parseMcpInstallUrl(buildMcpInstallUrl('cursor', { name: 'notes', command: 'node', args: ['筆記.js'] }).url)?.args[0],
+         '筆記.js'
+     );
+
+     const inputServer = {
+         name: 'github',
+         type: 'http',
+         url: 'https://api.githubcopilot.com/mcp/',
+         headers: { Authorization: 'Bearer ${input:token}' },
+         inputs: [{ type: 'promptString', id: 'token', password: true }]
+     };
+
+     test(
+         '14.10 VS Code 格式保留 inputs',
+         parseMcpInstallUrl(buildMcpInstallUrl('vscode-insiders', inputServer).url)?.inputs[0].id,
+         'token'
+     );
+
+     test(
+         '14.11 Cursor 不支援 inputs 時回傳錯誤',
+         buildMcpInstallUrl('cursor', inputServer).error,
+         'unsupportedInputs'
+     );
+
+     test(
+         '14.12 無法轉換的設定不產生連結',
+         convertMcpUrl(`vscode:mcp/install?${encodeURIComponent(JSON.stringify(inputServer))}`, 'cursor'),
+         null
+     );
+
+     test(
+         '14.13 設定無效時回傳錯誤',
+         buildMcpInstallUrl('vscode', { name: 'bad', command: 'node', args: 'server.js' }).error,
+         'invalidArgs'
+     );
+
+     // ========== 測試 15: 檔案連結路徑改寫 ==========
+     console.log('\n📁 測試 15: 檔案連結路徑改寫\n');
+
+     const pathMappings = [
+         { from: '/builds/org/repo', to: '/home/me/src/repo' },
+         { from: '\\\\wsl$\\Ubuntu\\home', to: '/home' },
+         { from: '/home', to: '\\\\wsl$\\Ubuntu\\home' },
+         { from: 'C:\\work', to: '/mnt/c/work' }
+     ];
+
+     test(
+         '15.1 依前綴改寫並保留行號與欄號',
+         remapFileUrl('vscode://file//builds/org/repo/src/main.py:10:5', pathMappings),
+         'vscode://file//home/me/src/repo/src/main.py:10:5'
+     );
+
+     test(
+         '15.2 只在路徑段落邊界比對',
+         remapFileUrl('vscode://file//builds/org/repository/main.py', pathMappings),
+         'vscode://file//builds/org/repository/main.py'
+     );
+
+     test(
+         '15.3 WSL UNC 路徑改為 Linux 路徑',
+         remapFileUrl('vscode://file///wsl$/Ubuntu/home/me/app.js:3', pathMappings),
+         'vscode://file//home/me/app.js:3'
+     );
+
+     test(
+         '15.4 Linux 路徑改為 WSL UNC 路徑（第一條符合者生效）',
+         remapFilePath('/home/me/app.js', pathMappings.slice(2)),
+         '//wsl$/Ubuntu/home/me/app.js'
+     );
+
+     test(
+         '15.5 Windows 路徑不分大小寫並統一分隔符號',
+         remapFilePath('c:\\Work\\app\\main.ts', pathMappings),
+         '/mnt/c/work/app/main.ts'
+     );
+
+     test(
+         '15.6 解碼後比對並重新編碼，保留查詢字串',
+         remapFileUrl('vscode://file//builds/org/repo/My%20Docs/a.md?windowId=_blank', pathMappings),
+         'vscode://file//home/me/src/repo/My%20Docs/a.md?windowId=_blank'
+     );
+
+     test(
+         '15.7 沒有規則符合時保留原連結',
+         remapFileUrl('vscode://file/D:/other/a.py:1', pathMappings),
+         'vscode://file/D:/other/a.py:1'
+     );
+
+     test(
+         '15.8 非檔案連結不受影響',
+         remapFileUrl('vscode:extension/ms-python.python', pathMappings),
+         'vscode:extension/ms-python.python'
+     );
+
+     test(
+         '15.9 濾除缺少來源或目標的規則',
+         JSON.stringify(normalizePathMappings([{ from: ' /a ', to: ' /b ' }, { from: '/c' }, { from: '', to: '/d' }, null])),
+         JSON.stringify([{ from: '/a', to: '/b' }])
+     );
+
+     setPathMappings(pathMappings);
+
+     test(
+         '15.10 轉換協議時套用 setPathMappings 設定的規則',
+         processUrl('vscode://file//builds/org/repo/main.py:10:5', 'cursor'),
+         'cursor://file//home/me/src/repo/main.py:10:5'
+     );
+
+     test(
+         '15.11 目標協議與來源相同時仍改寫路徑',
+         convertToTargetUrl('vscode://file/C:/work/main.py', 'vscode'),
+         'vscode://file//mnt/c/work/main.py'
+     );
+
+     setPathMappings([]);
+
+     test(
+         '15.12 清除規則後不再改寫',
+         processUrl('vscode://file//builds/org/repo/main.py', 'vscode'),
+         'vscode://file//builds/org/repo/main.py'
+     );
+
+     test(
+         '15.13 改寫後的路徑含 # 或 ? 時仍編碼，不被當成片段或查詢字串',
+         remapFileUrl('vscode://file//builds/org/repo/src/c%23/a%3F.cs:4', pathMappings),
+         'vscode://file//home/me/src/repo/src/c%23/a%3F.cs:4'
+     );
+
+     // ========== 測試 16: 遠端開發連結 ==========
+     console.log('\n🛰️ 測試 16: 遠端開發連結\n');
+
+     const containerLink = 'vscode://ms-vscode-remote.remote-containers/cloneInVolume?url=https://github.com/acme/app';
+     const sshFolderLink = 'vscode://vscode-remote/ssh-remote+build-box/home/me/app';
+
+     test(
+         '16.1 Dev Containers 連結改用 Cursor 的擴充功能',
+         convertToTargetUrl(containerLink, 'cursor'),
+         'cursor://anysphere.remote-containers/cloneInVolume?url=https://github.com/acme/app'
+     );
+
+     test(
+         '16.2 其他 IDE 的擴充功能 ID 可轉回 VS Code',
+         convertToTargetUrl('cursor://anysphere.remote-ssh/connect?host=build-box', 'vscode'),
+         'vscode://ms-vscode-remote.remote-ssh/connect?host=build-box'
+     );
+
+     test(
+         '16.3 vscode.dev 重定向中的 Dev Containers 連結',
+         processUrl(`https://vscode.dev/redirect?url=${encodeURIComponent(containerLink)}`, 'windsurf'),
+         'windsurf://codeium.windsurf-dev-containers/cloneInVolume?url=https://github.com/acme/app'
+     );
+
+     test(
+         '16.4 沒有對應擴充功能時保留原 authority',
+         convertToTargetUrl(containerLink, 'antigravity'),
+         'antigravity://ms-vscode-remote.remote-containers/cloneInVolume?url=https://github.com/acme/app'
+     );
+
+     test(
+         '16.5 沒有對應擴充功能時回報缺少的擴充功能',
+         getMissingRemoteSupport(containerLink, 'antigravity')?.name,
+         'Dev Containers'
+     );
+
+     test(
+         '16.6 vscode-remote 連結只替換協議',
+         convertToTargetUrl(sshFolderLink, 'cursor'),
+         'cursor://vscode-remote/ssh-remote+build-box/home/me/app'
+     );
+
+     test(
+         '16.7 vscode-remote 連結依遠端類型檢查擴充功能',
+         getMissingRemoteSupport('vscode://vscode-remote/wsl+Ubuntu/home/me/app', 'windsurf')?.remote,
+         'wsl'
+     );
+
+     test(
+         '16.8 目標 IDE 有對應擴充功能時不回報',
+         getMissingRemoteSupport(sshFolderLink, 'windsurf'),
+         null
+     );
+
+     test(
+         '16.9 未列出的 IDE 沿用 VS Code 的擴充功能',
+         getRemoteExtensionId('ssh', 'vscode-insiders'),
+         'ms-vscode-remote.remote-ssh'
+     );
+
+     test(
+         '16.10 一般擴充功能連結不是遠端開發連結',
+         parseRemoteLink('vscode://ms-python.python/run'),
+         null
+     );
+
+     // ========== 測試 17: 倉庫檔案頁面 ==========
+     console.log('\n📂 測試 17: 倉庫檔案頁面\n');
+
+     const repoMappings = [
+         { repo: 'https://github.com/acme/app.git', path: '/home/me/src/app/' },
+         { repo: 'gitlab.example.com/platform/tools/cli', path: 'C:\\src\\cli' }
+     ];
+
+     test(
+         '17.1 HTTPS 與 SSH 倉庫網址正規化為相同的鍵',
+         normalizeRepoUrl('git@GitHub.com:acme/app.git') === normalizeRepoUrl('https://github.com/Acme/App/'),
+         true
+     );
+
+     test(
+         '17.2 貼上的頁面網址只保留倉庫部分',
+         normalizeRepoUrl('https://gitlab.example.com/platform/tools/cli/-/tree/main?ref_type=heads'),
+         'gitlab.example.com/platform/tools/cli'
+     );
+
+     test(
+         '17.3 只有 owner 的網址無效',
+         normalizeRepoUrl('https://github.com/acme'),
+         ''
+     );
+
+     test(
+         '17.4 同一倉庫的對應保留後出現者',
+         normalizeRepoMappings([...repoMappings, { repo: 'github.com/acme/app', path: '/work/app' }, { repo: 'github.com/a/b' }])
+             .map(mapping => mapping.path).join(','),
+         'C:\\src\\cli,/work/app'
+     );
+
+     test(
+         '17.5 解析 GitHub 檔案頁面與行號範圍',
+         JSON.stringify(parseRepoFileUrl('https://github.com/acme/app/blob/main/src/app%20main.js#L10-L20')),
+         JSON.stringify({ repo: 'github.com/acme/app', ref: 'main', path: 'src/app main.js', line: 10 })
+     );
+
+     test(
+         '17.6 解析 GitLab blame 頁面（子群組與 #L10-20 行號）',
+         JSON.stringify(parseRepoFileUrl('https://gitlab.example.com/platform/tools/cli/-/blame/v2.0/lib/run.go#L3-9')),
+         JSON.stringify({ repo: 'gitlab.example.com/platform/tools/cli', ref: 'v2.0', path: 'lib/run.go', line: 3 })
+     );
+
+     test(
+         '17.7 目錄頁面不是檔案頁面',
+         parseRepoFileUrl('https://github.com/acme/app/tree/main/src'),
+         null
+     );
+
+     test(
+         '17.8 產生帶行號的本機檔案連結',
+         buildRepoFileLink('https://github.com/acme/app/blob/4f2e1c9/src/index.js?plain=1#L42C5-L48C1', repoMappings).url,
+         'vscode://file/home/me/src/app/src/index.js:42'
+     );
+
+     test(
+         '17.9 Windows 本機目錄',
+         buildRepoFileLink('https://gitlab.example.com/platform/tools/cli/-/blob/main/README.md', repoMappings).url,
+         'vscode://file/C:/src/cli/README.md'
+     );
+
+     test(
+         '17.10 檔名中的 # 會被編碼',
+         buildRepoFileLink('https://github.com/acme/app/blob/main/docs/c%23.md', repoMappings).url,
+         'vscode://file/home/me/src/app/docs/c%23.md'
+     );
+
+     test(
+         '17.11 沒有對應的倉庫回報倉庫鍵',
+         JSON.stringify(buildRepoFileLink('https://github.com/acme/other/blob/main/a.js', repoMappings)),
+         JSON.stringify({ url: null, repo: 'github.com/acme/other', error: REPO_LINK_ERRORS.UNMAPPED_REPO })
+     );
+
+     test(
+         '17.12 產生的連結可轉為目標協議',
+         convertToTargetUrl(buildRepoFileLink('https://github.com/acme/app/blame/main/a.js#L7', repoMappings).url, 'antigravity'),
+         'antigravity://file/home/me/src/app/a.js:7'
+     );
+
+     test(
+         '17.13 產生的連結屬於檔案類型',
+         classifyLink(buildRepoFileLink('https://github.com/acme/app/blob/main/a.js', repoMappings).url),
+         'file'
+     );
+
      // ========== 測試結果統計 ==========
     console.log('\n' + '='.repeat(60));
     console.log('📊 測試結果統計');